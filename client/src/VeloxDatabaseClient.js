@@ -105,31 +105,7 @@
                 client.__velox_database = dbApi ;
     
                 //add sub api entry for each table
-                Object.keys(schema).forEach(function(table){
-                    dbApi[table] = {} ;
-    
-                    dbApi[table].insert = function(record, callback){
-                        this.insert(table, record, callback) ;
-                    }.bind(this) ;
-                    dbApi[table].update = function(record, callback){
-                        this.update(table, record, callback) ;
-                    }.bind(this) ;
-                    dbApi[table].remove = function(pkOrRecord, callback){
-                        this.remove(table, pkOrRecord, callback) ;
-                    }.bind(this) ;
-                    dbApi[table].getPk = function(record, callback){
-                        this.getPk(table, record, callback) ;
-                    }.bind(this) ;
-                    dbApi[table].getByPk = function(pkOrRecord, joinFetch, callback){
-                        this.getByPk(table, pkOrRecord, joinFetch, callback) ;
-                    }.bind(this) ;
-                    dbApi[table].search = function(search, joinFetch, orderBy, offset, limit, callback){
-                        this.search(table, search, joinFetch, orderBy, offset, limit, callback) ;
-                    }.bind(this) ;
-                    dbApi[table].searchFirst = function(search, joinFetch, orderBy, callback){
-                        this.searchFirst(table, search,joinFetch, orderBy, callback) ;
-                    }.bind(this) ;
-                }.bind(this)) ;
+                this._addTablesApi(schema) ;
     
                 
     
@@ -141,6 +117,91 @@
     } ;
 
 
+    /**
+     * Add the api entry of each table (client.api.table.search(...))
+     * 
+     * @private
+     * @param {object} schema the database schema
+     */
+    VeloxDatabaseClient.prototype._addTablesApi = function(schema){
+        var dbApi = this ;
+        Object.keys(schema).forEach(function(table){
+            dbApi[table] = {} ;
+    
+            dbApi[table].insert = function(record, callback){
+                this.insert(table, record, callback) ;
+            }.bind(this) ;
+            dbApi[table].update = function(record, callback){
+                this.update(table, record, callback) ;
+            }.bind(this) ;
+            dbApi[table].remove = function(pkOrRecord, callback){
+                this.remove(table, pkOrRecord, callback) ;
+            }.bind(this) ;
+            dbApi[table].getPk = function(record, callback){
+                this.getPk(table, record, callback) ;
+            }.bind(this) ;
+            dbApi[table].getByPk = function(pkOrRecord, joinFetch, callback){
+                this.getByPk(table, pkOrRecord, joinFetch, callback) ;
+            }.bind(this) ;
+            dbApi[table].search = function(search, joinFetch, orderBy, offset, limit, options, callback){
+                this.search(table, search, joinFetch, orderBy, offset, limit, options, callback) ;
+            }.bind(this) ;
+            dbApi[table].searchFirst = function(search, joinFetch, orderBy, callback){
+                this.searchFirst(table, search,joinFetch, orderBy, callback) ;
+            }.bind(this) ;
+            dbApi[table].aggregate = function(search, options, callback){
+                this.aggregate(table, search, options, callback) ;
+            }.bind(this) ;
+
+            //table of another database schema (schema.table), also give access as api.schema.table
+            var indexDot = table.indexOf(".") ;
+            if(indexDot !== -1){
+                var dbSchema = table.substring(0, indexDot) ;
+                if(typeof(dbApi[dbSchema]) !== "function" && !schema[dbSchema]){
+                    if(!dbApi[dbSchema]){
+                        dbApi[dbSchema] = {} ;
+                    }
+                    dbApi[dbSchema][table.substring(indexDot+1)] = dbApi[table] ;
+                }
+            }
+        }.bind(this)) ;
+    } ;
+
+    /**
+     * Reload the schema from the server and update the tables api entries
+     * 
+     * @param {function(Error, object)} callback called with the new schema
+     */
+    VeloxDatabaseClient.prototype.reloadSchema = function(callback){
+        this.client.ajax(this.dbEntryPoint+"schema", "GET", null, "json", function(err, schema){
+            if(err){ return callback(err) ;}
+            this.schema = schema ;
+            this._addTablesApi(schema) ;
+            callback(null, schema) ;
+        }.bind(this)) ;
+    } ;
+
+    /**
+     * Check if the schema version changed on the server and reload the schema if it changed. 
+     * 
+     * Note : the server also gives its schema version in the X-Velox-Schema-Version header of each response, 
+     * the schema is automatically reloaded when this header changes
+     * 
+     * @param {function(Error, boolean)} callback called with true if the schema changed
+     */
+    VeloxDatabaseClient.prototype.checkSchemaVersion = function(callback){
+        this.client.ajax(this.dbEntryPoint+"schemaVersion", "GET", null, "json", function(err, version){
+            if(err){ return callback(err) ;}
+            if(this.schema && this.schema.__version && this.schema.__version.version == version.version){
+                return callback(null, false) ;
+            }
+            this.reloadSchema(function(err){
+                if(err){ return callback(err) ;}
+                callback(null, true) ;
+            }) ;
+        }.bind(this)) ;
+    } ;
+
     /**
      * get database schema if not yet retrieved
      * 
@@ -159,6 +220,73 @@
         }.bind(this)) ;
     };
 
+    /**
+     * Listen to an event of the database client
+     * 
+     * Events :
+     *  - schemaReloadError : the schema reload after a change of the server schema version failed, the listener receives the error and the new version
+     * 
+     * @param {string} event the event name
+     * @param {function} listener the listener
+     */
+    VeloxDatabaseClient.prototype.on = function(event, listener){
+        if(!this.eventListeners){
+            this.eventListeners = {} ;
+        }
+        if(!this.eventListeners[event]){
+            this.eventListeners[event] = [] ;
+        }
+        this.eventListeners[event].push(listener) ;
+    } ;
+
+    /**
+     * Call the listeners of an event
+     * 
+     * @private
+     * @param {string} event the event name
+     * @param {...*} args the arguments given to the listeners
+     */
+    VeloxDatabaseClient.prototype._emit = function(event){
+        var args = Array.prototype.slice.call(arguments, 1) ;
+        var listeners = (this.eventListeners && this.eventListeners[event]) || [] ;
+        listeners.forEach(function(listener){
+            listener.apply(null, args) ;
+        }) ;
+    } ;
+
+    /**
+     * Do an ajax call to the database API and reload the schema when the X-Velox-Schema-Version
+     * header of the response is not the version of the current schema
+     * 
+     * The header is read on the xhr given back by the service client ajax call. If there is none (or if the
+     * response is given before it is returned), the version is not checked, use checkSchemaVersion to check it.
+     * A failed reload is given to the schemaReloadError listeners
+     * 
+     * @private
+     * @param {string} url the URL to call
+     * @param {string} method the HTTP method
+     * @param {object} data the data to send
+     * @param {string} dataType the expected data type
+     * @param {function(Error, *)} callback called with the response
+     */
+    VeloxDatabaseClient.prototype._ajax = function(url, method, data, dataType, callback){
+        var xhr = this.client.ajax(url, method, data, dataType, function(err, result){
+            var serverVersion = xhr && typeof(xhr.getResponseHeader) === "function" ? xhr.getResponseHeader("X-Velox-Schema-Version") : null ;
+            if(serverVersion && !this.reloadingSchema && 
+                (!this.schema || !this.schema.__version || this.schema.__version.version != serverVersion)){
+                this.reloadingSchema = true ;
+                this.reloadSchema(function(errReload){
+                    this.reloadingSchema = false ;
+                    if(errReload){ 
+                        this._emit("schemaReloadError", errReload, serverVersion) ;
+                    }
+                }.bind(this)) ;
+            }
+            callback(err, result) ;
+        }.bind(this)) ;
+        return xhr ;
+    } ;
+
     /**
      * Create the URL primary key for a record of a table
      * 
@@ -211,6 +339,16 @@
     /**
      * Get the schema of the database
      * 
+     * The tables of the default database schema are given by their name, the tables of the other database schemas are named schema.table
+     * 
+     * For each table, the schema gives : 
+     * columns : [{name: "", type: "", size: 123, nullable: true, defaultValue: "SQL default expression", values: ["enum values"]}]
+     * pk : ["field1", "field2"]
+     * fk : [{targetTable: "", thisColumn: "", targetColumn: ""}]
+     * unique : [{name: "", columns: ["field1"]}]
+     * indexes : [{name: "", columns: ["field1"], unique: false}]
+     * checks : [{name: "", definition: "CHECK (...)"}]
+     * 
      * @param {function(Error, object)} callback called with the schema of database
      */
     VeloxDatabaseClient.prototype.getSchema = function(callback){
@@ -230,7 +368,7 @@
     VeloxDatabaseClient.prototype.insert = function(table, record, callback){
         this._checkSchema(function(err){
             if(err){ return callback(err); }
-            this.client.ajax(this.dbEntryPoint+table, "POST", record, "json", callback) ;
+            this._ajax(this.dbEntryPoint+table, "POST", record, "json", callback) ;
         }.bind(this)) ;
     };
 
@@ -244,7 +382,7 @@
     VeloxDatabaseClient.prototype.update = function(table, record, callback){
         this._checkSchema(function(err){
             if(err){ return callback(err); }
-            this.client.ajax(this.dbEntryPoint+table+"/"+this._createPk(table,record), 
+            this._ajax(this.dbEntryPoint+table+"/"+this._createPk(table,record), 
                 "PUT", record, "json", callback) ;    
         }.bind(this)) ;
     };
@@ -259,7 +397,7 @@
     VeloxDatabaseClient.prototype.remove = function(table, pkOrRecord, callback){
         this._checkSchema(function(err){
             if(err){ return callback(err); }
-            this.client.ajax(this.dbEntryPoint+table+"/"+this._createPk(table, pkOrRecord), 
+            this._ajax(this.dbEntryPoint+table+"/"+this._createPk(table, pkOrRecord), 
                 "DELETE", null, "json", callback) ;    
         }.bind(this)) ;
     };
@@ -269,9 +407,11 @@
      * 
      * The change set format is :
      * [
-     *      action: "insert" | "update" | "auto" ("auto" if not given)
+     *      action: "insert" | "update" | "upsert" | "auto" ("auto" if not given)
      *      table : table name
      *      record: {record to sync}
+     *      conflictColumns: [columns] (upsert only, default is the primary key)
+     *      updateColumns: [columns] (upsert only, default is all given columns)
      * ]
      * 
      * your record can contain the special syntax ${table.field} it will be replaced by the field value from last insert/update on this table in the transaction
@@ -290,7 +430,7 @@
     VeloxDatabaseClient.prototype.transactionalChanges = function(changeSet, callback){
         this._checkSchema(function(err){
             if(err){ return callback(err); }
-            this.client.ajax(this.dbEntryPoint+"transactionalChanges", "POST", changeSet, "json", callback) ;    
+            this._ajax(this.dbEntryPoint+"transactionalChanges", "POST", changeSet, "json", callback) ;    
         }.bind(this)) ;
     };
 
@@ -318,7 +458,7 @@
         }
         this._checkSchema(function(err){
             if(err){ return callback(err); }
-            this.client.ajax(this.dbEntryPoint+table+"/"+this._createPk(table, pkOrRecord),
+            this._ajax(this.dbEntryPoint+table+"/"+this._createPk(table, pkOrRecord),
                   "GET",joinFetch?{joinFetch: joinFetch}:null, "json", callback) ;    
         }.bind(this)) ;
     };
@@ -336,15 +476,29 @@
      * {foo: {ope : "<", value : 10}}
      * {foo: {ope : "between", value : [from, to]}}
      * {foo: {ope : "not in", value : ["", ""]}}
+     * full text search condition : {foo: {ope : "fts", value : "words to search", lang: "french"}}. 
+     * Use $rank in order by to sort on relevance ("$rank desc")
+     * JSON column conditions : {"foo->address->city": "Paris"} (path also usable in order by : "foo->age desc"), 
+     * {foo: {ope : "?", value : "key"}}, {foo: {ope : "?|", value : ["key1", "key2"]}}, {foo: {ope : "?&", value : ["key1", "key2"]}}, 
+     * {foo: {ope : "@>", value : {status: "active"}}}
+     * related tables conditions : {"customer.country": "FR"}, {order_line: {$exists: {product_id: 12}}}, {order_line: {$exists: false}}
+     * 
+     * Instead of an offset, you can give the option {after: cursor} to do a keyset pagination. In this case the result
+     * is {rows: [records], cursor: "..."}. Give the cursor in the next call to get the next page 
+     * (start with {after: null} to get the first page). The cursor is null when there is no more page.
+     * 
+     * To get the total count of records matching the search alongside the page, give the option 
+     * {withCount: true}. In this case the result is {rows: [records], total: 123}
      * 
      * @param {string} table table name
      * @param {object} search search object
      * @param {string} [orderBy] order by clause
-     * @param {number} [offset] offset, default is 0
+     * @param {number} [offset] offset, default is 0 (ignored with the after option)
      * @param {number} [limit] limit, default is no limit
+     * @param {object} [options] search options {after: cursor} for keyset pagination, {withCount: true} to get the total count
      * @param {function(Error, Array)} callback called on finished. give back the found records
      */
-    VeloxDatabaseClient.prototype.search = function(table, search, joinFetch, orderBy, offset, limit, callback){
+    VeloxDatabaseClient.prototype.search = function(table, search, joinFetch, orderBy, offset, limit, options, callback){
         if(typeof(joinFetch) === "function"){
             callback = joinFetch;
             joinFetch = null;
@@ -353,7 +507,8 @@
             limit = null ;
         } 
         if(typeof(joinFetch) === "string"){
-            callback = limit;
+            callback = options;
+            options = limit;
             limit = offset;
             offset = orderBy;
             orderBy = joinFetch;
@@ -371,18 +526,32 @@
         } else if(typeof(limit) === "function"){
             callback = limit;
             limit = null ;
+        } else if(typeof(options) === "function"){
+            callback = options;
+            options = null ;
+        }
+
+        var searchParams = {
+            conditions: search,
+            joinFetch: joinFetch,
+            orderBy : orderBy,
+            offset: offset,
+            limit: limit
+        } ;
+        options = options || {} ;
+        if(options.after !== undefined){
+            //keyset pagination
+            searchParams.offset = 0 ;
+            searchParams.after = options.after || null ;
+        }
+        if(options.withCount){
+            searchParams.withCount = true ;
         }
 
         this._checkSchema(function(err){
             if(err){ return callback(err); }
-            this.client.ajax(this.dbEntryPoint+table, "GET", { 
-                search : {
-                    conditions: search,
-                    joinFetch: joinFetch,
-                    orderBy : orderBy,
-                    offset: offset,
-                    limit: limit
-                }
+            this._ajax(this.dbEntryPoint+table, "GET", { 
+                search : searchParams
             }, "json", callback) ;    
         }.bind(this)) ;
         
@@ -424,7 +593,7 @@
         }
         this._checkSchema(function(err){
             if(err){ return callback(err); }
-            this.client.ajax(this.dbEntryPoint+table, "GET", {
+            this._ajax(this.dbEntryPoint+table, "GET", {
                 searchFirst:  {
                     conditions: search,
                     orderBy : orderBy,
@@ -435,6 +604,51 @@
         
     };
 
+    /**
+     * Do an aggregation on the records of a table
+     * 
+     * The search object is the same as in search
+     * 
+     * The options are : 
+     * groupBy : the columns to group on, as an array or a comma separated string
+     * measures : the computed values {alias: {fn: "count|sum|avg|min|max", column: "col", distinct: false}}, 
+     *            default is {count: {fn: "count"}}
+     * orderBy : order by clause on group by columns and measures aliases, default is the group by columns
+     * 
+     * @example
+     * client.aggregate("invoice", {status: "paid"}, {
+     *     groupBy: ["customer_id"],
+     *     measures: { nb: {fn: "count"}, total: {fn: "sum", column: "amount"} }
+     * }, function(err, rows){
+     *     //rows : [{customer_id: 1, nb: 3, total: 1500}, ...]
+     * }) ;
+     * 
+     * @param {string} table table name
+     * @param {object} search search object
+     * @param {object} [options] aggregation options {groupBy, measures, orderBy}
+     * @param {function(Error, Array)} callback called on finished. give back one row by group
+     */
+    VeloxDatabaseClient.prototype.aggregate = function(table, search, options, callback){
+        if(typeof(options) === "function"){
+            callback = options;
+            options = null;
+        }
+        if(!options){
+            options = {} ;
+        }
+        this._checkSchema(function(err){
+            if(err){ return callback(err); }
+            this._ajax(this.dbEntryPoint+table, "GET", {
+                aggregate:  {
+                    conditions: search,
+                    groupBy: options.groupBy,
+                    measures: options.measures,
+                    orderBy: options.orderBy
+                }
+            }, "json", callback) ;    
+        }.bind(this)) ;
+    };
+
     /**
      * Do many reads in one time
      * 
@@ -444,13 +658,15 @@
      *      name1 : { pk : recordOk },
      *      name2 : {search: {...}, orderBy : "", offset: 0, limit: 10}
      *      name3 : {searchFirst: {...}, orderBy : ""}
+     *      name4 : {table: "", aggregate: {...}, groupBy: [""], measures: {...}, orderBy : ""}
      * }
      * 
      * //returns will be
      * {
      *      name1 : { record },
      *      name2 : [ records ],
-     *      name3 : { record }
+     *      name3 : { record },
+     *      name4 : [ aggregation rows ]
      * }
      * 
      * @param {object} reads object of search read to do
@@ -459,7 +675,7 @@
     VeloxDatabaseClient.prototype.multiread = function(reads, callback){
         this._checkSchema(function(err){
             if(err){ return callback(err); }
-            this.client.ajax(this.dbEntryPoint+"multiread", "POST", {
+            this._ajax(this.dbEntryPoint+"multiread", "POST", {
                 reads: reads
             }, "json",callback) ;    
         }.bind(this)) ;
@@ -12,6 +12,18 @@
     'use strict';
 
 /**
+     * Split a text in lower case words (used by the full text search "fts" operator)
+     * 
+     * @param {string} text the text
+     * @return {string[]} the words
+     */
+    function tokenizeFullText(text) {
+        return String(text).toLowerCase().split(/[\s.,;:!?'"()\[\]{}<>\/\\|+=*&^%$#@~`_-]+/).filter(function (token) {
+            return !!token;
+        });
+    }
+
+    /**
      * @typedef VeloxDbOfflineIndDbOptions
      * @type {object}
      * @property {string} [dbName] indexedDB database name
@@ -29,6 +41,10 @@
     VeloxDbOfflineIndDb.prototype.prepare = function (options, callback) {
         this.options = options;
         this.schema = options.schema;
+        if(this.db){
+            //prepare again after a schema change, close the current connection to not block the upgrade
+            this.db.close() ;
+        }
         var dbName = this.options.dbName || "velox_sync_db" ;
         if(options.prefix){
             dbName = options.prefix+dbName;
@@ -249,7 +265,7 @@
         }, callback) ;
     };
 
-    VeloxDbOfflineIndDb.prototype.search = function (table, search, joinFetch, orderBy, offset, limit, callback) {
+    VeloxDbOfflineIndDb.prototype.search = function (table, search, joinFetch, orderBy, offset, limit, options, callback) {
         if(typeof(joinFetch) === "function"){
             callback = joinFetch;
             joinFetch = null;
@@ -258,7 +274,8 @@
             limit = null ;
         } 
         if(typeof(joinFetch) === "string"){
-            callback = limit;
+            callback = options;
+            options = limit;
             limit = offset;
             offset = orderBy;
             orderBy = joinFetch;
@@ -276,6 +293,9 @@
         } else if (typeof (limit) === "function") {
             callback = limit;
             limit = null;
+        } else if (typeof (options) === "function") {
+            callback = options;
+            options = null;
         }
 
         var tables = [table] ;
@@ -284,7 +304,7 @@
         }
 
         this.tx(tables, "readonly", function(tx, done){
-            tx.search(table, search, joinFetch, orderBy, offset, limit, done) ;
+            tx.search(table, search, joinFetch, orderBy, offset, limit, options, done) ;
         }, callback) ;
     };
 
@@ -342,7 +362,7 @@
                     });
                 }else if(read.search){
                     //console.log("start search "+read.table+" in "+tx.idTr) ;
-                    tx.search(read.table, read.search, read.joinFetch, read.orderBy, read.offset, read.limit, function(err, res){
+                    tx.search(read.table, read.search, read.joinFetch, read.orderBy, read.offset, read.limit, read.options, function(err, res){
                         //console.log("finish search "+read.table+" in "+tx.idTr, res) ;
                         if(err){ return done(err) ;}
                         results[read.name] = res ;
@@ -662,7 +682,7 @@
     };
 
 
-    VeloxDbOfflineIndDbTransaction.prototype.search = function (table, search, joinFetch, orderBy, offset, limit, callback) {
+    VeloxDbOfflineIndDbTransaction.prototype.search = function (table, search, joinFetch, orderBy, offset, limit, options, callback) {
         if(typeof(joinFetch) === "function"){
             callback = joinFetch;
             joinFetch = null;
@@ -671,7 +691,8 @@
             limit = null ;
         } 
         if(typeof(joinFetch) === "string"){
-            callback = limit;
+            callback = options;
+            options = limit;
             limit = offset;
             offset = orderBy;
             orderBy = joinFetch;
@@ -689,9 +710,19 @@
         } else if (typeof (limit) === "function") {
             callback = limit;
             limit = null;
+        } else if (typeof (options) === "function") {
+            callback = options;
+            options = null;
         }
 
+        if (options && options.after !== undefined) {
+            //the records are not sorted by this storage, the keyset pages can't be built
+            return callback("Keyset pagination (after option) is not supported by the IndexedDB offline storage, use offset and limit");
+        }
+        var withCount = !!options && !!options.withCount;
+
         var records = [];
+        var total = 0;
         try{
             var request = this.tx.objectStore(table).openCursor();
             var off = offset || 0 ;
@@ -706,14 +737,16 @@
                     // this is where you'd do something with the result
                     var currentRecord = cursor.value ;
                     if(this.testRecord(currentRecord, search)){
+                        total++ ;
                         if(off > 0){
                             off-- ;
-                        }else{
+                        }else if(!limit || records.length < limit){
                             records.push(currentRecord) ;
                         }
                     }
-                    if(limit && records.length === limit){
-                        this._doJoinFetch(table, joinFetch, records, function(err){
+                    if(limit && records.length === limit && !withCount){
+                        //limit reached, no need to read more records
+                        return this._doJoinFetch(table, joinFetch, records, function(err){
                             if(err){ return callback(err) ; }
                             callback(null, records) ;
                         }) ;
@@ -724,6 +757,9 @@
                     //console.log("start join fetch "+this.idTr, table, records, joinFetch) ;
                     this._doJoinFetch(table, joinFetch, records, function(err){
                         if(err){ return callback(err) ; }
+                        if(withCount){
+                            return callback(null, {rows: records, total: total}) ;
+                        }
                         callback(null, records) ;
                         //console.log("end join fetch "+this.idTr, table, records) ;
                     }.bind(this)) ;
@@ -772,6 +808,11 @@
                             return Array.isArray(val.value) && val.value.indexOf(record[k]) !== -1 ;
                             case "not in":
                             return Array.isArray(val.value) && !val.value.indexOf(record[k]) !== -1 ;
+                        case "fts":
+                            //no full text index offline, all the words must be found in the value
+                            var tokens = tokenizeFullText(val.value) ;
+                            var text = record[k] === null || record[k] === undefined ? "" : String(record[k]).toLowerCase() ;
+                            return tokens.length > 0 && tokens.every(function(token){ return text.indexOf(token) !== -1 ; }) ;
                         }
                 } else if (Array.isArray(val)) {
                     return Array.isArray(val) && val.indexOf(record[k]) !== -1 ;
@@ -32,6 +32,18 @@
         }
     ];
 
+    /**
+     * Split a text in lower case words (used by the full text search "fts" operator)
+     * 
+     * @param {string} text the text
+     * @return {string[]} the words
+     */
+    function tokenizeFullText(text) {
+        return String(text).toLowerCase().split(/[\s.,;:!?'"()\[\]{}<>\/\\|+=*&^%$#@~`_-]+/).filter(function (token) {
+            return !!token;
+        });
+    }
+
     /**
      * @typedef VeloxDbOfflineLokiOptions
      * @type {object}
@@ -367,7 +379,7 @@
 
 
 
-    VeloxDbOfflineLoki.prototype.search = function (table, search, joinFetch, orderBy, offset, limit, callback) {
+    VeloxDbOfflineLoki.prototype.search = function (table, search, joinFetch, orderBy, offset, limit, options, callback) {
         if(typeof(joinFetch) === "function"){
             callback = joinFetch;
             joinFetch = null;
@@ -376,7 +388,8 @@
             limit = null ;
         } 
         if(typeof(joinFetch) === "string"){
-            callback = limit;
+            callback = options;
+            options = limit;
             limit = offset;
             offset = orderBy;
             orderBy = joinFetch;
@@ -394,14 +407,50 @@
         } else if (typeof (limit) === "function") {
             callback = limit;
             limit = null;
+        } else if (typeof (options) === "function") {
+            callback = options;
+            options = null;
         }
 
+        var withCount = !!options && !!options.withCount;
+        var cursorMode = !!options && options.after !== undefined;
+
         var records = [];
+        var total = null;
+        var cursorSort = null;
         try {
-            if (!offset && !limit && !orderBy) {
+            if (withCount) {
+                //count on the same resultset as find ({$and: []} matches nothing with count)
+                total = this.getCollection(table).chain().find(this._translateSearch(search)).count();
+            }
+            if (cursorMode) {
+                //keyset pagination, the records are sorted on order by columns and primary key
+                cursorSort = this._getCursorSort(table, orderBy);
+                var chainAfter = this.getCollection(table).chain().find(this._translateSearch(search));
+                if (options.after) {
+                    var afterValues = this._readCursor(cursorSort, options.after);
+                    chainAfter = chainAfter.where(function (r) {
+                        return this._compareCursorValues(cursorSort, cursorSort.map(function (s) { return r[s.column]; }), afterValues) > 0;
+                    }.bind(this));
+                }
+                chainAfter = chainAfter.sort(function (r1, r2) {
+                    return this._compareCursorValues(cursorSort, cursorSort.map(function (s) { return r1[s.column]; }),
+                        cursorSort.map(function (s) { return r2[s.column]; }));
+                }.bind(this));
+                if (limit) {
+                    chainAfter = chainAfter.limit(limit);
+                }
+                records = chainAfter.data();
+            } else if (!offset && !limit && !orderBy) {
                 records = this.getCollection(table).find(this._translateSearch(search));
             } else {
                 var chain = this.getCollection(table).chain().find(this._translateSearch(search));
+                if (orderBy && typeof (orderBy) === "string") {
+                    //no full text rank offline, the $rank order is ignored
+                    orderBy = orderBy.split(",").filter(function (s) {
+                        return !/^\s*\$rank(\s|$)/i.test(s);
+                    }).join(",");
+                }
                 if (orderBy) {
                     if (typeof (orderBy) === "string" && /^[a-zA-Z_0-9]+$/.test(orderBy)) {
                         chain = chain.simplesort(orderBy);
@@ -470,10 +519,118 @@
             if(callback){callback(err);}
             return {err: err} ;
         }
+        if (cursorMode) {
+            var page = {rows: records, cursor: this._createCursor(cursorSort, records, limit)};
+            if (withCount) {
+                page.total = total;
+            }
+            if(callback){callback(null, page);}
+            return {records: records, cursor: page.cursor, total: page.total} ;
+        }
+        if (withCount) {
+            if(callback){callback(null, {rows: records, total: total});}
+            return {records: records, total: total} ;
+        }
         if(callback){callback(null, records);}
         return {records: records} ;
     };
 
+    /**
+     * Get the sort columns of the keyset pagination : the order by columns then the primary key columns
+     * 
+     * @param {string} table the table name
+     * @param {string} orderBy the order by clause
+     * @return {Array} the sort columns [{column: "", desc: false}]
+     */
+    VeloxDbOfflineLoki.prototype._getCursorSort = function (table, orderBy) {
+        var sort = [];
+        if (orderBy) {
+            if (typeof (orderBy) !== "string" || /(^|,)\s*\$rank(\s|,|$)/i.test(orderBy)) {
+                throw "Keyset pagination can't be ordered by $rank or JSON path";
+            }
+            sort = orderBy.split(",").map(function (ob) {
+                var parts = ob.trim().split(/\s+/);
+                return {column: parts[0], desc: !!parts[1] && parts[1].toUpperCase() === "DESC"};
+            });
+        }
+        this.schema[table].pk.forEach(function (pk) {
+            if (!sort.some(function (s) { return s.column === pk; })) {
+                sort.push({column: pk, desc: false});
+            }
+        });
+        return sort;
+    };
+
+    /**
+     * Compare the sort values of 2 records like the database does (NULL values are bigger than any value)
+     * 
+     * @param {Array} sort the sort columns
+     * @param {Array} values1 the values of the first record
+     * @param {Array} values2 the values of the second record
+     * @return {number} -1 if the first record comes before, 1 if it comes after, 0 if same position
+     */
+    VeloxDbOfflineLoki.prototype._compareCursorValues = function (sort, values1, values2) {
+        for (var i = 0; i < sort.length; i++) {
+            var v1 = values1[i];
+            var v2 = values2[i];
+            var isNull1 = v1 === null || v1 === undefined;
+            var isNull2 = v2 === null || v2 === undefined;
+            var c = 0;
+            if (isNull1 || isNull2) {
+                c = isNull1 === isNull2 ? 0 : (isNull1 ? 1 : -1);
+            } else if (v1 < v2) {
+                c = -1;
+            } else if (v1 > v2) {
+                c = 1;
+            }
+            if (c !== 0) {
+                return sort[i].desc ? -c : c;
+            }
+        }
+        return 0;
+    };
+
+    /**
+     * Create the cursor of the next page (same format as the server cursor), null if the page is not full
+     * 
+     * @param {Array} sort the sort columns
+     * @param {Array} records the records of the page
+     * @param {number} limit the page size
+     * @return {string} the cursor
+     */
+    VeloxDbOfflineLoki.prototype._createCursor = function (sort, records, limit) {
+        if (!limit || records.length < parseInt(limit, 10)) {
+            return null;
+        }
+        var last = records[records.length - 1];
+        var content = JSON.stringify({
+            c: sort.map(function (s) { return s.column + (s.desc ? " desc" : ""); }),
+            v: sort.map(function (s) { return last[s.column] === undefined ? null : last[s.column]; })
+        });
+        return btoa(unescape(encodeURIComponent(content)));
+    };
+
+    /**
+     * Read the values of the last record of the previous page from the cursor
+     * 
+     * @param {Array} sort the sort columns
+     * @param {string} cursor the cursor
+     * @return {Array} the values of the sort columns
+     */
+    VeloxDbOfflineLoki.prototype._readCursor = function (sort, cursor) {
+        var content = null;
+        try {
+            content = JSON.parse(decodeURIComponent(escape(atob(cursor))));
+        } catch (e) {
+            throw "Invalid cursor " + cursor;
+        }
+        var columns = sort.map(function (s) { return s.column + (s.desc ? " desc" : ""); });
+        if (!content || !Array.isArray(content.v) || JSON.stringify(content.c) !== JSON.stringify(columns)) {
+            throw "The cursor " + cursor + " does not match the order by " + columns.join(", ");
+        }
+        return content.v;
+    };
+
 
     VeloxDbOfflineLoki.prototype.searchFirst = function (table, search, joinFetch, orderBy, callback) {
         if(typeof(joinFetch) === "function"){
@@ -524,7 +681,7 @@
                 next();
             }.bind(this));
         } else if (r.search) {
-            this.search(r.table, r.search, r.joinFetch, r.orderBy, r.offset, r.limit, function (err, records) {
+            this.search(r.table, r.search, r.joinFetch, r.orderBy, r.offset, r.limit, r.options, function (err, records) {
                 if (err) { return callback(err); }
                 results[r.name] = records;
                 next();
@@ -606,6 +763,15 @@
                     }
                     translatedVal = {};
                     translatedVal[translatedOperator] = val.value;
+                    if (val.ope.toLowerCase() === "fts") {
+                        //no full text index offline, all the words must be found in the value
+                        var tokens = tokenizeFullText(val.value);
+                        translatedVal = {
+                            $regex: new RegExp(tokens.length === 0 ? "(?!)" : tokens.map(function (token) {
+                                return "(?=[\\s\\S]*" + token.replace(/[.*+?^${}()|[\]\\]/g, "\\$&") + ")";
+                            }).join(""), "i")
+                        };
+                    }
                 } else if (Array.isArray(val)) {
                     translatedVal = { $in: val };
                 } else if (val && typeof (val) === "object" && val.constructor === RegExp) {
@@ -499,9 +499,13 @@
         }, callback) ;
     };
 
-    extension.extendsObj.search = function (table, search, joinFetch, orderBy, offset, limit, callback) {
+    extension.extendsObj.search = function (table, search, joinFetch, orderBy, offset, limit, options, callback) {
+        if (typeof (options) === "function") {
+            callback = options;
+            options = null;
+        }
         doOperation(this, "search", arguments, function(done){
-            storage.search(table, search, joinFetch, orderBy, offset, limit, done);
+            storage.search(table, search, joinFetch, orderBy, offset, limit, options, done);
         }, callback) ;
     };
 
@@ -538,7 +542,8 @@
             }
             reads[k].name = k;
 
-            if(!getAllTableNames(reads[k]).every(function(t){ return isOffline(t); })){
+            if(reads[k].aggregate || !getAllTableNames(reads[k]).every(function(t){ return isOffline(t); })){
+                //aggregations are always done by the server
                 onlineReads[k] = reads[k] ;
                 return  ;
             }
@@ -870,25 +875,18 @@
     };
 
     function syncSchema(callback) {
-        storage.searchFirst("velox_db_version", {}, function (err, localVersion) {
+        this.constructor.prototype.checkSchemaVersion.bind(this)(function (err, changed) {
             if (err) { return callback(err); }
-            this.constructor.prototype.searchFirst.bind(this)("velox_db_version", {}, function (err, distantVersion) {
-                if (err) { return callback(err); }
-                if (!localVersion || localVersion.version < distantVersion.version) {
-                    this.constructor.prototype.getSchema.bind(this)(function (err, schema) {
-                        if (err) { return callback(err); }
-                        storage.schema = schema;
-                        localStorage.setItem(LOCAL_SCHEMA_KEY, JSON.stringify(schema));
-                        callback();
-                    }.bind(this));
-                } else {
-                    //schema did not changed
-                    callback();
-                }
-            }.bind(this));
+            if (!changed) {
+                //schema did not changed
+                return callback();
+            }
+            localStorage.setItem(LOCAL_SCHEMA_KEY, JSON.stringify(this.schema));
+            sessionStorage.setItem(LOCAL_SCHEMA_KEY, JSON.stringify(this.schema));
+            //prepare again the storage to create the new tables
+            prepareDone = false;
+            prepare.bind(this)(callback);
         }.bind(this));
-
-
     }
 
     function syncTables(tablesToSync, localVersions, pCallback) {
@@ -1,8 +1,242 @@
-const VeloxDbPgBackend = require("./backends/pg/VeloxDbPgBackend");
 const VeloxSqlUpdater = require("./VeloxSqlUpdater") ;
+const VeloxSchemaDiff = require("./VeloxSchemaDiff") ;
 const VeloxLogger = require("velox-commons/VeloxLogger") ;
 const AsyncJob = require("velox-commons/AsyncJob") ;
 const events = require("events") ;
+const stream = require("stream") ;
+const fs = require("fs") ;
+const path = require("path") ;
+const hjson = require("hjson") ;
+
+/**
+ * Available backends with their mandatory options
+ * 
+ * The backend module is loaded only when used so you don't need to install the drivers of other backends
+ */
+const BACKENDS = {
+    pg: {
+        requiredOptions: ["user", "host", "port", "database", "password"],
+        replicas: true,
+        load: function(){ return require("./backends/pg/VeloxDbPgBackend") ; }
+    },
+    sqlite: {
+        requiredOptions: ["database"],
+        load: function(){ return require("./backends/sqlite/VeloxDbSqliteBackend") ; }
+    },
+    mysql: {
+        requiredOptions: ["user", "host", "database", "password"],
+        replicas: true,
+        load: function(){ return require("./backends/mysql/VeloxDbMysqlBackend") ; }
+    },
+    memory: {
+        requiredOptions: ["schema"],
+        load: function(){ return require("./backends/memory/VeloxDbMemoryBackend") ; }
+    }
+} ;
+
+/**
+ * Default delay (ms) before checking again a replica that failed
+ */
+const DEFAULT_REPLICA_HEALTH_CHECK_DELAY = 10000 ;
+
+/**
+ * Error codes of a lost or refused connection (network errors and PostgreSQL connection exception, shutdown and recovery classes)
+ */
+const CONNECTION_ERROR_CODES = /^(ECONNRESET|ECONNREFUSED|ETIMEDOUT|EPIPE|EHOSTUNREACH|PROTOCOL_CONNECTION_LOST|08...|57P0[1-4])$/ ;
+
+/**
+ * Client functions that give back a promise when they are called without callback
+ */
+const PROMISE_CLIENT_FUNCTIONS = ["query", "queryFirst", "getByPk", "search", "searchFirst", "aggregate", "insert", "update", 
+    "upsert", "bulkInsert", "remove", "removeWhere", "updateWhere", "multiread", "changes", "getSchema", "getPrimaryKey", "getColumnsDefinition"] ;
+
+/**
+ * Client functions that take the table as first argument, they use the statement timeout of the table
+ */
+const TABLE_CLIENT_FUNCTIONS = ["getByPk", "search", "searchFirst", "aggregate", "insert", "update", 
+    "upsert", "bulkInsert", "remove", "removeWhere", "updateWhere"] ;
+
+/**
+ * Upsert a record with the insert and update functions so the interceptors are called. It is used when the table
+ * has after insert or update interceptors, they need to know if the record is inserted or updated
+ * 
+ * The existing record is searched on the conflict columns, then it is updated, or the record is inserted if it does not exist
+ * 
+ * @param {VeloxDatabaseClient} tx the transaction client
+ * @param {string} table the table name
+ * @param {object} record the record to upsert
+ * @param {object} options the upsert options {conflictColumns: [], updateColumns: [], constraint: ""}
+ * @param {function(Error, object)} callback called with the upserted record
+ */
+function upsertWithInterceptors(tx, table, record, options, callback){
+    let toArray = function(value){
+        return typeof(value) === "string" ? value.split(",").map(function(c){ return c.trim() ;}) : value ;
+    } ;
+    tx.getSchema(function(err, schema){
+        if(err){ return callback(err) ;}
+        if(!schema[table]){ return callback("Unkown table "+table) ; }
+        if(options.constraint && !options.conflictColumns){
+            return callback("Can't upsert on constraint "+options.constraint+" in table "+table+" that has interceptors, give the conflict columns") ;
+        }
+        let conflictColumns = toArray(options.conflictColumns) || schema[table].pk ;
+        if(conflictColumns.some(function(c){ return record[c] === undefined || record[c] === null ;})){
+            //no conflict possible without conflict values
+            return tx.insert(table, record, callback) ;
+        }
+        let search = {} ;
+        for(let c of conflictColumns){
+            search[c] = record[c] ;
+        }
+        tx.unsafe(function(txUnsafe, done){
+            txUnsafe.searchFirst(table, search, done) ;
+        }, function(err, recordDb){
+            if(err){ return callback(err) ;}
+            if(!recordDb){
+                return tx.insert(table, record, callback) ;
+            }
+            let updateColumns = toArray(options.updateColumns) || Object.keys(record).filter(function(c){ 
+                return conflictColumns.indexOf(c) === -1 ;
+            }) ;
+            let updatedRecord = {} ;
+            for(let k of schema[table].pk){
+                updatedRecord[k] = recordDb[k] ;
+            }
+            for(let c of updateColumns){
+                if(record[c] !== undefined){
+                    updatedRecord[c] = record[c] ;
+                }
+            }
+            tx.update(table, updatedRecord, callback) ;
+        }) ;
+    }) ;
+}
+
+/**
+ * Check if the last argument received is a callback
+ * 
+ * @param {Arguments} args the arguments received by the function
+ * @return {boolean} true if the last argument is a function
+ */
+function hasCallback(args){
+    return args.length > 0 && typeof(args[args.length-1]) === "function" ;
+}
+
+/**
+ * Call a callback style function and give back a promise resolved with the callback result
+ * 
+ * Note : if the callback receive many results, only the first one is given to the promise
+ * 
+ * @param {function} fun the callback style function
+ * @param {object} thisArg the this of the call
+ * @param {Arguments} args the arguments to give to the function (without the callback)
+ * @return {Promise} promise resolved with the callback result
+ */
+/**
+ * Create a view of the client for an operation
+ * 
+ * The view shares everything with the client but has its own operation name and table statement timeout
+ * so the operations running in parallel on the same client don't change the state of each other
+ * 
+ * @param {object} client the client (or the view of the calling operation)
+ * @param {string} operation the operation name
+ * @return {object} the client view
+ */
+function operationView(client, operation){
+    let view = Object.create(client) ;
+    view.operation = operation ;
+    return view ;
+}
+
+/**
+ * Give the client a wrapped function must run on : the view of the calling operation if it is called from one, else the client
+ * 
+ * @param {object} client the client
+ * @param {object} thisArg the this of the call
+ * @return {object} the client or the operation view
+ */
+function callingClient(client, thisArg){
+    if(thisArg === client || Object.prototype.isPrototypeOf.call(client, thisArg)){ return thisArg ; }
+    return client ;
+}
+
+function callAsPromise(fun, thisArg, args){
+    args = Array.prototype.slice.call(args) ;
+    //remove the undefined arguments given at the end to let the callback at the expected position
+    while(args.length > 0 && args[args.length-1] === undefined){
+        args.pop() ;
+    }
+    return new Promise((resolve, reject)=>{
+        fun.apply(thisArg, args.concat([function(err, result){
+            if(err){ return reject(err) ;}
+            resolve(result) ;
+        }])) ;
+    }) ;
+}
+
+/**
+ * Transform a job function to the callback style job function function(client, done)
+ * 
+ * The job receives the client and the done callback. If it gives back a promise (async function), the job 
+ * is finished when the promise is settled, otherwise it must call done. A job that takes only the client and 
+ * gives back a value that is not a promise is finished with this value
+ * 
+ * @example
+ * db.transaction(async (tx)=>{
+ *      let foo = await tx.insert("foo", {...}) ;
+ *      return foo ;
+ * }) ;
+ * 
+ * @param {function} doJob the job function
+ * @return {function(VeloxDatabaseClient, function)} the callback style job function
+ */
+function asCallbackJob(doJob){
+    return function(client, done){
+        let finished = false ;
+        let finish = function(){
+            //the job may both call done and give back a promise, finish only once
+            if(finished){ return ; }
+            finished = true ;
+            done.apply(null, arguments) ;
+        } ;
+        let result ;
+        try{
+            result = doJob(client, finish) ;
+        }catch(err){
+            return finish(err) ;
+        }
+        if(result && typeof(result.then) === "function"){
+            result.then((value)=>{
+                finish(null, value) ;
+            }, (err)=>{
+                finish(err || "Promise rejected without reason") ;
+            }) ;
+        }else if(doJob.length < 2){
+            finish(null, result) ;
+        }
+    } ;
+}
+
+/**
+ * Give back the promise of a transaction started without final callback
+ * 
+ * The transactions with a callback style job function(tx, done) used to be started without final callback to 
+ * ignore their result, their rejection is logged instead of failing the process on unhandled rejection. 
+ * The rejection of the transactions with a promise style job is left to the caller
+ * 
+ * @param {Promise} promise the transaction promise
+ * @param {function} callbackDoTransaction the transaction job function
+ * @param {VeloxLogger} logger the logger to log the rejection of the callback style transactions
+ * @return {Promise} the same promise
+ */
+function transactionPromise(promise, callbackDoTransaction, logger){
+    if(callbackDoTransaction.length >= 2){
+        promise.catch(function(err){
+            logger.error("Transaction failed : "+(err && err.stack ? err.stack : err)) ;
+        }) ;
+    }
+    return promise ;
+}
+
 /**
  * VeloxDatabase helps you to manage your database
  */
@@ -20,13 +254,28 @@ class VeloxDatabase {
     /**
      * @typedef VeloxDatabaseOptions
      * @type {object}
-     * @property {string} user database user
-     * @property {string} host database host
-     * @property {string} database database name
-     * @property {string} password database password
-     * @property {'pg'} backend database backend
+     * @property {string} user database user (pg and mysql backends)
+     * @property {string} host database host (pg and mysql backends)
+     * @property {string} database database name (database file path for sqlite backend)
+     * @property {string} password database password (pg and mysql backends)
+     * @property {'pg'|'sqlite'|'mysql'|'memory'} backend database backend
      * @property {string} migrationFolder  migration scripts folder
-     * @property {object} schema database schema information (will extends information from database schema)
+     * @property {object} schema database schema information (will extends information from database schema, for memory backend it is the tables description).
+     *              The full text indexes are declared here : {table: {fullTextIndexes: [{column: "col", lang: "french"}]}}
+     *              The statement timeout of a table is declared here : {table: {statementTimeout: ms}}
+     * @property {object} [data] initial data of the memory backend {table: [records]}
+     * @property {string[]} [searchPath] database schemas to use (pg backend, default ["public"]). 
+     *              The tables of the first schema keep their name, the tables of the other schemas are named schema.table
+     * @property {boolean} [listenSchemaChanges] listen the schema changes done by other nodes to reload the schema (pg backend, see {@link onSchemaChange})
+     * @property {object[]} [replicas] read replicas connections [{host, port, database, user, password}] (pg and mysql backends).
+     *              The missing options are taken from the primary connection. The reads are sent to the replicas (see {@link onPrimary})
+     * @property {number} [replicaHealthCheckDelay=10000] delay (ms) before checking again a replica that failed
+     * @property {object} [slowQuery] slow queries detection {threshold: ms, explain: false, analyze: false, explainInterval: ms}. The queries slower than the threshold are logged
+     *              with the calling operation and the user. With explain, the plan of the slow queries is saved in the velox_slow_query table (pg backend, created by {@link updateSchema}).
+     *              With analyze, the plan is computed with EXPLAIN (ANALYZE, BUFFERS), running the query again in a rollbacked transaction.
+     *              A query is explained at most once by explainInterval (default 10min) and one at a time
+     * @property {number} [statementTimeout] default statement timeout (ms) of the queries (pg and mysql backends, only SELECT queries on mysql).
+     *              It can be overridden by table (see schema) and by call (see {@link inDatabase})
      * @property {InterfaceLogger} [logger=console] logger (use console if not given)
      */
 
@@ -39,7 +288,10 @@ class VeloxDatabase {
     constructor(options){
         this.options = options ;
 
-        for( let k of ["user", "host", "port", "database", "password", "backend"]){
+        if(options.backend === undefined) { throw "VeloxDatabase : missing option backend" ; } 
+        let backendDef = BACKENDS[options.backend] ;
+        if(!backendDef) { throw "VeloxDatabase : unknown backend "+options.backend ; } 
+        for( let k of backendDef.requiredOptions){
             if(options[k] === undefined) { throw "VeloxDatabase : missing option "+k ; } 
         }
 
@@ -51,23 +303,54 @@ class VeloxDatabase {
             this.logger.warn("No logger provided, using console.") ;
         }
 
-        this.backend = new VeloxDbPgBackend({
+        let BackendClass = backendDef.load() ;
+        this.backend = new BackendClass({
             user: options.user,
             host: options.host,
             port: options.port,
             database: options.database,
             password: options.password,
             schema : options.schema,
+            data: options.data,
+            searchPath: options.searchPath,
+            slowQuery: options.slowQuery,
+            statementTimeout: options.statementTimeout,
             logger: logger,
             customClientInit: []
         });
+        if(options.slowQuery && options.slowQuery.explain && options.backend !== "pg"){
+            this.logger.warn("The slow queries plan can't be saved with the backend "+options.backend+", they are only logged") ;
+        }
 
-        for(let extension of VeloxDatabase.extensions){
-            if(extension.extendsBackends && extension.extendsBackends[options.backend]){                
-                Object.keys(extension.extendsBackends[options.backend]).forEach((key)=> {
-                    this.backend[key] = extension.extendsBackends[options.backend][key];
+        this._extendBackend(this.backend) ;
+
+        this.replicas = [] ;
+        this.replicaRouting = {next: 0} ;
+        if(options.replicas && options.replicas.length > 0){
+            if(!backendDef.replicas) { throw "VeloxDatabase : the backend "+options.backend+" does not support replicas" ; }
+            this.replicas = options.replicas.map((replicaOptions)=>{
+                let replicaBackend = new BackendClass({
+                    user: replicaOptions.user || options.user,
+                    host: replicaOptions.host || options.host,
+                    port: replicaOptions.port || options.port,
+                    database: replicaOptions.database || options.database,
+                    password: replicaOptions.password || options.password,
+                    schema : options.schema,
+                    searchPath: options.searchPath,
+                    slowQuery: options.slowQuery,
+                    statementTimeout: options.statementTimeout,
+                    logger: logger,
+                    customClientInit: this.backend.customClientInit
                 });
-            }
+                //the replicas have the same schema, the cache is shared so the invalidation apply to all
+                replicaBackend.cache = this.backend.cache ;
+                this._extendBackend(replicaBackend) ;
+                return {
+                    name: (replicaOptions.host || options.host)+":"+(replicaOptions.port || options.port || "")+"/"+(replicaOptions.database || options.database),
+                    backend: replicaBackend,
+                    healthy: true
+                } ;
+            }) ;
         }
 
         //register express middleware action from extensions
@@ -104,31 +387,467 @@ class VeloxDatabase {
         }
 
         this._addClientCustomInit() ;
+
+        this.schemaChangeListeners = [] ;
+        if(options.listenSchemaChanges){
+            if(this.backend.listenSchemaChanges){
+                this.backend.listenSchemaChanges(()=>{
+                    this._schemaChanged(false, (err)=>{
+                        if(err){ this.logger.error("Reload schema after change notification failed : "+err) ; }
+                    }) ;
+                }) ;
+            }else{
+                this.logger.warn("The backend "+options.backend+" can't listen schema changes, ignore listenSchemaChanges option") ;
+            }
+        }
+    }
+
+    /**
+     * Add the backend functions of the extensions to a backend
+     * 
+     * @private
+     * @param {object} backend the backend
+     */
+    _extendBackend(backend){
+        for(let extension of VeloxDatabase.extensions){
+            if(extension.extendsBackends && extension.extendsBackends[this.options.backend]){                
+                Object.keys(extension.extendsBackends[this.options.backend]).forEach((key)=> {
+                    backend[key] = extension.extendsBackends[this.options.backend][key];
+                });
+            }
+        }
+    }
+
+    /**
+     * Give a database access that do all the reads on the primary database, even if replicas are configured.
+     * 
+     * Use it when you need to read what you just wrote, as the replicas may not be up to date yet
+     * 
+     * @example
+     * await db.transactionalChanges([{table: "customer", record: customer}]) ;
+     * let customers = await db.onPrimary().search("customer", {}) ;
+     * 
+     * @return {VeloxDatabase} the database access using the primary database
+     */
+    onPrimary(){
+        let db = Object.create(this) ;
+        db.forcePrimary = true ;
+        return db ;
+    }
+
+    /**
+     * Open a connection to do reads only. It is opened on a replica (round-robin) if there are replicas available
+     * and on the primary database otherwise.
+     * 
+     * A replica that fails to connect is removed from the rotation until it passes a health check. The client of a replica
+     * is marked with the replica so a lost connection during the queries also removes it (see {@link _readFailed})
+     * 
+     * @private
+     * @param {function(Error, VeloxDatabaseClient)} callback called with the opened client
+     */
+    _openReadClient(callback){
+        let healthyReplicas = this.replicas.filter((r)=>{ return r.healthy ;}) ;
+        if(this.forcePrimary || healthyReplicas.length === 0){
+            return this.backend.open(callback) ;
+        }
+        let replica = healthyReplicas[this.replicaRouting.next++ % healthyReplicas.length] ;
+        replica.backend.open((err, client)=>{
+            if(err){
+                this._replicaFailed(replica, err) ;
+                return this._openReadClient(callback) ;
+            }
+            client.replica = replica ;
+            callback(null, client) ;
+        }) ;
+    }
+
+    /**
+     * Check the error of a read done with a client of {@link _openReadClient}, the replica is removed from the rotation
+     * if the error is a lost or refused connection (the SQL errors don't change the replica health)
+     * 
+     * @private
+     * @param {VeloxDatabaseClient} client the read client
+     * @param {Error} err the read error
+     */
+    _readFailed(client, err){
+        if(!client.replica || !err){ return ; }
+        if(err.fatal || CONNECTION_ERROR_CODES.test(err.code || "") || /connection terminated/i.test(err.message || "")){
+            this._replicaFailed(client.replica, err) ;
+        }
+    }
+
+    /**
+     * Give the inDatabase options of a read
+     * 
+     * @private
+     * @param {object} [options] the read call options {primary: true} to read on the primary database
+     * @return {object} the inDatabase options
+     */
+    _readAccessOptions(options){
+        return {readOnly: !(options && options.primary)} ;
+    }
+
+    /**
+     * Remove a replica from the rotation and check it again later
+     * 
+     * @private
+     * @param {object} replica the replica
+     * @param {Error} err the connection or query error
+     */
+    _replicaFailed(replica, err){
+        if(!replica.healthy){ return ; }
+        replica.healthy = false ;
+        this.logger.warn("Replica "+replica.name+" unavailable, its reads go to other databases : "+err) ;
+        this._scheduleReplicaHealthCheck(replica) ;
+    }
+
+    /**
+     * Check a failed replica after the health check delay, it goes back in the rotation if it answers
+     * 
+     * @private
+     * @param {object} replica the replica
+     */
+    _scheduleReplicaHealthCheck(replica){
+        let timer = setTimeout(()=>{
+            replica.backend.open((err, client)=>{
+                if(err){ return this._scheduleReplicaHealthCheck(replica) ; }
+                client.ping((err)=>{
+                    client.close() ;
+                    if(err){ return this._scheduleReplicaHealthCheck(replica) ; }
+                    this.logger.info("Replica "+replica.name+" is available again") ;
+                    replica.healthy = true ;
+                }) ;
+            }) ;
+        }, this.options.replicaHealthCheckDelay || DEFAULT_REPLICA_HEALTH_CHECK_DELAY) ;
+        if(timer.unref){ timer.unref() ; }
+    }
+
+    /**
+     * Get the connection pools statistics of the primary database and of the replicas (pg backend)
+     * 
+     * The pool statistics are {total, idle, waiting, acquire: {count, avgMs, maxMs, lastMs}}, total, idle and waiting are
+     * the number of clients, acquire gives the time to get a client from the pool
+     * 
+     * @return {object} the statistics {primary: {pool statistics}, replicas: [{name, healthy, pool}]}. The pool statistics are null
+     *      if the backend does not give them
+     */
+    getPoolStats(){
+        let poolStats = (backend)=>{
+            return backend.getPoolStats ? backend.getPoolStats() : null ;
+        } ;
+        return {
+            primary: poolStats(this.backend),
+            replicas: this.replicas.map((replica)=>{
+                return {name: replica.name, healthy: replica.healthy, pool: poolStats(replica.backend)} ;
+            })
+        } ;
+    }
+
+    /**
+     * Check the database health : run a trivial query and check that the schema is in the last version of the migration folder
+     * 
+     * The errors are given in the result, the callback does not receive an error if the database is not available
+     * 
+     * @example
+     * db.healthCheck((err, health)=>{
+     *     //health : {ok: true, database: {ok: true, latencyMs: 2}, schema: {ok: true, version: 12, lastVersion: 12}, pools: {...}}
+     * }) ;
+     * 
+     * @param {function(Error, object)} [callback] called with the health {ok, database: {ok, latencyMs, error}, schema: {ok, version, lastVersion, error}, pools}.
+     *      If not given, a promise is returned
+     */
+    healthCheck(callback){
+        if(!hasCallback(arguments)){ return callAsPromise(this.healthCheck, this, arguments) ; }
+        let health = {ok: false, database: {ok: false}, schema: {ok: false}} ;
+        let finish = ()=>{
+            health.ok = health.database.ok && health.schema.ok ;
+            health.pools = this.getPoolStats() ;
+            callback(null, health) ;
+        } ;
+        let start = Date.now() ;
+        this.backend.open((err, client)=>{
+            if(err){
+                health.database.error = String(err) ;
+                return finish() ;
+            }
+            client.ping((err)=>{
+                if(err){
+                    client.close() ;
+                    health.database.error = String(err) ;
+                    return finish() ;
+                }
+                health.database = {ok: true, latencyMs: Date.now() - start} ;
+                client.dbVersionTableExists((err, exists)=>{
+                    if(err || !exists){
+                        client.close() ;
+                        health.schema.error = err ? String(err) : "No version table" ;
+                        return finish() ;
+                    }
+                    client.getCurrentVersion((err, version)=>{
+                        client.close() ;
+                        if(err){
+                            health.schema.error = String(err) ;
+                            return finish() ;
+                        }
+                        this._getLastMigrationVersion((err, lastVersion)=>{
+                            if(err){
+                                health.schema.error = String(err) ;
+                                return finish() ;
+                            }
+                            health.schema = {ok: Number(version) === lastVersion, version: Number(version), lastVersion: lastVersion} ;
+                            finish() ;
+                        }) ;
+                    }) ;
+                }) ;
+            }) ;
+        }) ;
+    }
+
+    /**
+     * Get the last version of the migration folder
+     * 
+     * The folder is read once, the version is kept (it is also set by the schema update)
+     * 
+     * @private
+     * @param {function(Error, number)} callback called with the last version
+     */
+    _getLastMigrationVersion(callback){
+        if(this.lastMigrationVersion !== undefined){
+            return callback(null, this.lastMigrationVersion) ;
+        }
+        let updater = new VeloxSqlUpdater() ;
+        updater.loadChanges(this.options.migrationFolder, (err)=>{
+            if(err){ return callback(err); }
+            this.lastMigrationVersion = updater.getLastVersion() ;
+            callback(null, this.lastMigrationVersion) ;
+        }) ;
+    }
+
+    /**
+     * Register a listener called when the schema changed (after a schema update or when another node signaled a schema change).
+     * 
+     * The listener receives the new schema, its version is in schema.__version
+     * 
+     * @param {function(object)} listener the listener
+     */
+    onSchemaChange(listener){
+        this.schemaChangeListeners.push(listener) ;
+    }
+
+    /**
+     * Reload the schema after a change and call the schema change listeners
+     * 
+     * @private
+     * @param {boolean} notifyOtherNodes signal the change to the other nodes (if the backend supports it)
+     * @param {function(Error)} callback called when done
+     */
+    _schemaChanged(notifyOtherNodes, callback){
+        this.backend.open((err, client)=>{
+            if(err){ return callback(err); }
+            client.invalidateSchemaCache() ;
+            client.getSchema((err, schema)=>{
+                client.close() ;
+                if(err){ return callback(err); }
+                for(let listener of this.schemaChangeListeners){
+                    listener(schema) ;
+                }
+                if(!notifyOtherNodes || !this.backend.notifySchemaChange){
+                    return callback() ;
+                }
+                this.backend.notifySchemaChange(schema.__version ? schema.__version.version : null, callback) ;
+            }) ;
+        }) ;
     }
 
     /**
      * Will apply needed change to the schema
      * 
-     * @param {function(err)} callback - Called when update is done
+     * The cached schema is reloaded after the update. If changes were applied, the other nodes are notified (see {@link onSchemaChange})
+     * 
+     * By default the database is updated to the last version of the migration folder. If a target version is given,
+     * the database is updated to this version, or rollbacked to it with the down queries of the migration files
+     * if the database is in a more recent version. All the changes are done in the same transaction.
+     * 
+     * @example
+     * //rollback to version 12
+     * db.updateSchema({targetVersion: 12}, (err)=>{}) ;
+     * 
+     * @param {object} [options] - update options {targetVersion: number}
+     * @param {function(err)} [callback] - Called when update is done. If not given, a promise is returned
      */
-    updateSchema(callback){
+    updateSchema(options, callback){
+        if(!hasCallback(arguments)){ return callAsPromise(this.updateSchema, this, arguments) ; }
+        if(typeof(options) === "function"){
+            callback = options ;
+            options = {} ;
+        }
+        options = options || {} ;
         this.logger.info("Start update database schema") ;
         this.backend.createIfNotExist((err)=>{
             if(err){ return callback(err); }
             
+            let changesApplied = false ;
             this.transaction((client, done)=>{
                 if(err){ return done(err); }
 
                 this._createDbVersionTable(client, (err)=>{
                     if(err){ return done(err); }
 
-                    this._getAndApplyChanges(client, (err)=>{
+                    this._getAndApplyChanges(client, options.targetVersion, (err, applied)=>{
                         if(err){ return done(err); }
-
+                        changesApplied = applied ;
                         done() ;
                     }) ;
                 }) ;
-            }, callback) ;
+            }, (err)=>{
+                if(err){ return callback(err); }
+                this._schemaChanged(changesApplied, callback) ;
+            }) ;
+        }) ;
+    }
+
+    /**
+     * Give the schema update plan without applying it (dry run)
+     * 
+     * The plan lists the queries of the migration files, by version, and the queries of the extensions hooks
+     * in the order they would be run by {@link updateSchema}. The changes done by a function are given as {run: true}.
+     * 
+     * The drift lists the migration files that were modified after they were applied (their checksum is
+     * saved in the version table when they are applied).
+     * 
+     * @example
+     * db.planSchemaUpdate((err, plan)=>{
+     *     //plan.steps : [{source: "migration", version: 3, file: "003.hjson", queries: [{sql: "...", params: []}]}]
+     *     //plan.drift : [{version: 2, file: "002.hjson"}]
+     * }) ;
+     * 
+     * @param {object} [options] - plan options {targetVersion: number}
+     * @param {function(err, object)} [callback] - Called with the plan {currentVersion, targetVersion, rollback, steps, drift}. If not given, a promise is returned
+     */
+    planSchemaUpdate(options, callback){
+        if(!hasCallback(arguments)){ return callAsPromise(this.planSchemaUpdate, this, arguments) ; }
+        if(typeof(options) === "function"){
+            callback = options ;
+            options = {} ;
+        }
+        options = options || {} ;
+        this.backend.open((err, client)=>{
+            if(err){ return callback(err); }
+            let version = 0 ;
+            let checksums = {} ;
+            let job = new AsyncJob(AsyncJob.SERIES) ;
+            job.push((cb)=>{
+                client.dbVersionTableExists((err, exists)=>{
+                    if(err){ return cb(err); }
+                    if(!exists){ return cb() ; }
+                    client.getCurrentVersion((err, currentVersion)=>{
+                        if(err){ return cb(err); }
+                        version = currentVersion ;
+                        client.getMigrationChecksums((err, currentChecksums)=>{
+                            if(err){ return cb(err); }
+                            checksums = currentChecksums ;
+                            cb() ;
+                        }) ;
+                    }) ;
+                }) ;
+            }) ;
+            job.async((err)=>{
+                client.close() ;
+                if(err){ return callback(err); }
+                this._prepareSchemaUpdate(version, checksums, options.targetVersion, (err, plan)=>{
+                    if(err){ return callback(err); }
+                    callback(null, {
+                        currentVersion: plan.currentVersion,
+                        targetVersion: plan.targetVersion,
+                        rollback: plan.rollback,
+                        drift: plan.drift,
+                        steps: plan.steps.map((step)=>{
+                            return {
+                                source: step.source,
+                                hook: step.hook,
+                                version: step.version,
+                                file: step.file,
+                                queries: step.changes.map((c)=>{
+                                    if(c.run){ return {run: true} ; }
+                                    return {sql: c.sql, params: c.params || []} ;
+                                })
+                            } ;
+                        })
+                    }) ;
+                }) ;
+            }) ;
+        }) ;
+    }
+
+    /**
+     * Generate the next migration file from a declarative schema definition
+     * 
+     * The definition is compared to the current database schema (see {@link VeloxSchemaDiff} for the definition format)
+     * and the queries to apply are written in a new migration file in the migration folder. Run {@link updateSchema} to apply it.
+     * 
+     * The destructive changes (drop of table, column or index, change of column type or size reduction) are refused unless allowDestructive is set.
+     * When a table or a column is dropped while another is created, the error hints to use renamedFrom to rename it instead.
+     * 
+     * @example
+     * db.generateMigration("schema/definition.hjson", {name: "add_customer"}, (err, migration)=>{
+     *     //migration is null if the database is already up to date
+     *     //migration.file is the created file, migration.warnings should be checked before applying it
+     * }) ;
+     * 
+     * @param {object|string} definition - the schema definition or the path of a .js, .json or .hjson definition file
+     * @param {object} [options] - options {name: "file name suffix", allowDestructive: false, ignoreTables: [], folder: migrationFolder}
+     * @param {function(err, object)} [callback] - Called with {file, version, queries, warnings}, or null if there is no change. If not given, a promise is returned
+     */
+    generateMigration(definition, options, callback){
+        if(!hasCallback(arguments)){ return callAsPromise(this.generateMigration, this, arguments) ; }
+        if(typeof(options) === "function"){
+            callback = options ;
+            options = {} ;
+        }
+        options = options || {} ;
+        let folder = options.folder || this.options.migrationFolder ;
+        let differ ;
+        try{
+            differ = new VeloxSchemaDiff(this.options.backend) ;
+        }catch(e){
+            return callback(e) ;
+        }
+        VeloxSchemaDiff.loadDefinition(definition, (err, definition)=>{
+            if(err){ return callback(err); }
+            this.backend.open((err, client)=>{
+                if(err){ return callback(err); }
+                client.invalidateSchemaCache() ;
+                client.getSchema((err, schema)=>{
+                    client.close() ;
+                    if(err){ return callback(err); }
+                    let diff = differ.diff(definition, schema, {ignoreTables: options.ignoreTables}) ;
+                    if(diff.errors.length > 0){
+                        return callback("Can't generate the migration : "+diff.errors.join(", ")) ;
+                    }
+                    if(diff.destructive.length > 0 && !options.allowDestructive){
+                        return callback("The migration has destructive changes, set allowDestructive to generate it : "+diff.destructive.join(", ")) ;
+                    }
+                    for(let warning of diff.warnings){
+                        this.logger.warn(warning) ;
+                    }
+                    if(diff.queries.length === 0){
+                        this.logger.info("The database schema is up to date, no migration to generate") ;
+                        return callback(null, null) ;
+                    }
+                    let updater = new VeloxSqlUpdater() ;
+                    updater.loadChanges(folder, (err)=>{
+                        if(err){ return callback(err); }
+                        let version = updater.getLastVersion()+1 ;
+                        let file = path.join(folder, String(version).padStart(3, "0")+"_"+(options.name || "schema")+".hjson") ;
+                        let content = hjson.stringify({version: version, queries: diff.queries}, {quotes: "strings", separator: true, bracesSameLine: true}) ;
+                        fs.writeFile(file, content, {encoding: "utf8"}, (err)=>{
+                            if(err){ return callback(err); }
+                            this.logger.info("Migration "+version+" generated in "+file+" - "+diff.queries.length+" queries") ;
+                            callback(null, {file: file, version: version, queries: diff.queries, warnings: diff.warnings}) ;
+                        }) ;
+                    }) ;
+                }) ;
+            }) ;
         }) ;
     }
 
@@ -152,7 +871,7 @@ class VeloxDatabase {
                                 cb() ;
                             }) ;
                         }else if(r.search){
-                            client.search(r.table || k, r.search, r.joinFetch, r.orderBy, r.offset, r.limit, (err, records)=>{
+                            client.search(r.table || k, r.search, r.joinFetch, r.orderBy, r.offset, r.limit, r.options, (err, records)=>{
                                 if(err){ return cb(err); }
                                 results[k] = records ;
                                 cb() ;
@@ -163,6 +882,12 @@ class VeloxDatabase {
                                 results[k] = record ;
                                 cb() ;
                             }) ;
+                        }else if(r.aggregate){
+                            client.aggregate(r.table || k, r.aggregate, {groupBy: r.groupBy, measures: r.measures, orderBy: r.orderBy}, (err, rows)=>{
+                                if(err){ return cb(err); }
+                                results[k] = rows ;
+                                cb() ;
+                            }) ;
                         }else{
                             cb("Unknown operation for "+JSON.stringify(r)) ;
                         }
@@ -188,7 +913,7 @@ class VeloxDatabase {
                                 cb() ;
                             }) ;
                         }else if(r.search){
-                            client.search(r.table || k, r.search, r.joinFetch, r.orderBy, r.offset, r.limit, (err, records)=>{
+                            client.search(r.table || k, r.search, r.joinFetch, r.orderBy, r.offset, r.limit, r.options, (err, records)=>{
                                 if(err){ return cb(err); }
                                 results[k] = records ;
                                 cb() ;
@@ -196,7 +921,13 @@ class VeloxDatabase {
                         }else if(r.searchFirst){
                             client.searchFirst(r.table || k, r.searchFirst, r.joinFetch, r.orderBy, (err, record)=>{
                                 if(err){ return cb(err); }
-                                results[k] = record ;
+                                results[k] = record ;
+                                cb() ;
+                            }) ;
+                        }else if(r.aggregate){
+                            client.aggregate(r.table || k, r.aggregate, {groupBy: r.groupBy, measures: r.measures, orderBy: r.orderBy}, (err, rows)=>{
+                                if(err){ return cb(err); }
+                                results[k] = rows ;
                                 cb() ;
                             }) ;
                         }else{
@@ -222,7 +953,11 @@ class VeloxDatabase {
                 } ;
             }
 
-            client.changes = function(changeSet, done){
+            client.changes = function(changeSet, options, done){
+                if(typeof(options) === "function"){
+                    done = options ;
+                    options = null ;
+                }
                 let tx = this ;
                 let results = [] ;
                 let recordCache = {};
@@ -231,7 +966,9 @@ class VeloxDatabase {
                         for(let k of Object.keys(record)){
                             if(record[k] && typeof(record[k]) === "string" && record[k].indexOf("${") === 0){
                                 //this record contains ${table.field} that must be replaced by the real value of last inserted record of this table                        
-                                let [othertable, otherfield] = record[k].replace("${", "").replace("}", "").split(".") ;
+                                let placeholder = record[k].replace("${", "").replace("}", "") ;
+                                let othertable = placeholder.substring(0, placeholder.lastIndexOf(".")) ;
+                                let otherfield = placeholder.substring(placeholder.lastIndexOf(".")+1) ;
                                 if(recordCache[othertable]){
                                     record[k] = recordCache[othertable][otherfield] ;
                                 }
@@ -240,6 +977,27 @@ class VeloxDatabase {
                     }
                 } ;
                 let job = new AsyncJob(AsyncJob.SERIES) ;
+                let pushChange = (change, doChange)=>{
+                    if(!options || !options.continueOnError){
+                        return job.push(doChange) ;
+                    }
+                    job.push((cb)=>{
+                        //in a transaction, a failing change is rollbacked to its savepoint and the next changes are done
+                        let runChange = tx.inTransaction ? tx.savepoint.bind(tx) : function(fn, cbChange){ fn(tx, cbChange) ; } ;
+                        runChange((sp, doneChange)=>{
+                            doChange(doneChange) ;
+                        }, (err)=>{
+                            if(err){
+                                results.push({
+                                    action: change.action || "auto",
+                                    table: change.table,
+                                    error: (err && err.message) || err
+                                }) ;
+                            }
+                            cb() ;
+                        }) ;
+                    }) ;
+                } ;
                 
                 for(let change of changeSet){
                     let record = change.record ;
@@ -247,7 +1005,7 @@ class VeloxDatabase {
                     let table = change.table ;
                     let action = change.action ;
                     if(action === "insert"){
-                        job.push((cb)=>{
+                        pushChange(change, (cb)=>{
                             updatePlaceholder(record) ;
                             tx.insert(table, record, (err, insertedRecord)=>{
                                 if(err){ return cb(err); }
@@ -262,7 +1020,7 @@ class VeloxDatabase {
                         });
                     }
                     if(action === "update"){
-                        job.push((cb)=>{
+                        pushChange(change, (cb)=>{
                             updatePlaceholder(record) ;
                             tx.update(table, record, (err, updatedRecord)=>{
                                 if(err){ return cb(err); }
@@ -276,8 +1034,29 @@ class VeloxDatabase {
                             }) ;
                         });
                     }
+                    if(action === "upsert"){
+                        pushChange(change, (cb)=>{
+                            updatePlaceholder(record) ;
+                            let options = {
+                                conflictColumns: change.conflictColumns, 
+                                updateColumns: change.updateColumns, 
+                                constraint: change.constraint
+                            } ;
+                            let upsertDone = (err, upsertedRecord)=>{
+                                if(err){ return cb(err); }
+                                results.push({
+                                    action: "upsert",
+                                    table : table,
+                                    record: upsertedRecord
+                                }) ;
+                                recordCache[table] = upsertedRecord ;
+                                cb() ;
+                            } ;
+                            tx.upsert(table, record, options, upsertDone) ;
+                        });
+                    }
                     if(action === "remove"){
-                        job.push((cb)=>{
+                        pushChange(change, (cb)=>{
                             updatePlaceholder(record) ;
                             tx.remove(table, record, (err)=>{
                                 if(err){ return cb(err); }
@@ -290,7 +1069,7 @@ class VeloxDatabase {
                         });
                     }
                     if(action === "removeWhere"){
-                        job.push((cb)=>{
+                        pushChange(change, (cb)=>{
                             updatePlaceholder(record) ;
                             tx.removeWhere(table, record, (err)=>{
                                 if(err){ return cb(err); }
@@ -303,7 +1082,7 @@ class VeloxDatabase {
                         });
                     }
                     if(action === "updateWhere"){
-                        job.push((cb)=>{
+                        pushChange(change, (cb)=>{
                             updatePlaceholder(record) ;
                             tx.updateWhere(table, record.values, record.conditions, (err)=>{
                                 if(err){ return cb(err); }
@@ -316,7 +1095,7 @@ class VeloxDatabase {
                         });
                     }
                     if(!action || action === "auto"){
-                        job.push((cb)=>{
+                        pushChange(change, (cb)=>{
                             updatePlaceholder(record) ;
                             tx.getPrimaryKey(table, (err, primaryKey)=>{
                                 if(err) { return cb(err) ;}
@@ -402,23 +1181,24 @@ class VeloxDatabase {
                     }
                 }
             }
-            var callOneInterceptor = (interceptor, args, callback)=>{
+            var callOneInterceptor = (callClient, interceptor, args, callback)=>{
                 if(!interceptor){ return callback() ;}
                 if(interceptor.length === args.length){
                     try{
-                        interceptor.apply(client, args) ;
+                        interceptor.apply(callClient, args) ;
                     }catch(err){
                         return callback(err) ;
                     }
                     callback() ;
                 }else{
-                    interceptor.apply(client, args.concat([callback])) ;
+                    interceptor.apply(callClient, args.concat([callback])) ;
                 }
             } ;
             for(let actionName of Object.keys(interceptorsByActions)){
                 let interceptors = interceptorsByActions[actionName] ;
                 let originalFunction = client[actionName] ;
                 client[actionName] = function(){
+                    let callClient = callingClient(client, this) ;
                     let args = Array.prototype.slice.call(arguments) ;
                     let tableName = args[0] ;
                     let realCallback = args.pop();
@@ -426,11 +1206,12 @@ class VeloxDatabase {
                         //called without params, add them
                         args.push([]) ;
                     }
+                    let operation = callClient.operation ;
                     let jobBefore = new AsyncJob(AsyncJob.SERIES) ;
                     for(let int of interceptors.filter(function(int){return !int.table || (int.table === tableName && int.before) ;})){
                         jobBefore.push((cb)=>{
                             var argsCall = [args[0], args[1]] ;
-                            if((actionName === "search" || actionName === "searchFirst" || actionName === "getByPk")){
+                            if((actionName === "search" || actionName === "searchFirst" || actionName === "getByPk" || actionName === "aggregate")){
                                 //read interceptor, give the joinFetch if any
                                 if(Array.isArray(args[2])){
                                     argsCall.push(args[2]) ;
@@ -438,12 +1219,12 @@ class VeloxDatabase {
                                     argsCall.push(null) ;
                                 }
                             }
-                            callOneInterceptor(int.before, argsCall, cb) ;
+                            callOneInterceptor(operationView(callClient, operation+" > before interceptor"), int.before, argsCall, cb) ;
                         });
                     }
                     jobBefore.async((err)=>{
                         if(err){ return realCallback(err) ; }
-                        originalFunction.apply(this, args.concat([function(err){
+                        originalFunction.apply(callClient, args.concat([function(err){
                             if(err){
                                 return realCallback(err) ;
                             }
@@ -452,16 +1233,196 @@ class VeloxDatabase {
                             let jobAfter = new AsyncJob(AsyncJob.SERIES) ;
                             for(let int of interceptors.filter(function(int){return !int.table  || (int.table === tableName && int.after) ;})){
                                 jobAfter.push((cb)=>{
-                                    callOneInterceptor(int.after, args, cb) ;
+                                    callOneInterceptor(operationView(callClient, operation+" > after interceptor"), int.after, args, cb) ;
                                 });
                             }
                             jobAfter.async((err)=>{
                                 if(err){ return realCallback(err); }
                                 realCallback.apply(null, [null, args[1]]) ;
                             }) ;
-                        }.bind(this)])) ;
+                        }])) ;
+                    }) ;
+                } ;
+            }
+            let originalBulkInsert = client.bulkInsert ;
+            if(originalBulkInsert && interceptorsByActions.insert){
+                client.bulkInsert = function(table, recordsOrStream, options, callback){
+                    let callClient = callingClient(client, this) ;
+                    if(typeof(options) === "function"){
+                        callback = options ;
+                        options = null ;
+                    }
+                    options = options || {} ;
+                    let interceptors = interceptorsByActions.insert.filter(function(int){ return !int.table || int.table === table ;}) ;
+                    if(options.skipInterceptors || interceptors.length === 0){
+                        return originalBulkInsert.call(callClient, table, recordsOrStream, options, callback) ;
+                    }
+                    if(interceptors.some(function(int){ return int.after ;})){
+                        return callback("The table "+table+" has after insert interceptors that can't be run on bulk insert, use insert or the skipInterceptors option") ;
+                    }
+                    let prepareRecord = options.prepareRecord ;
+                    originalBulkInsert.call(callClient, table, recordsOrStream, Object.assign({}, options, {
+                        prepareRecord: function(record, done){
+                            //run the before insert interceptors on each record
+                            let job = new AsyncJob(AsyncJob.SERIES) ;
+                            if(prepareRecord){
+                                job.push(function(cb){ prepareRecord(record, cb) ; }) ;
+                            }
+                            for(let int of interceptors){
+                                job.push(function(cb){ callOneInterceptor(callClient, int.before, [table, record], cb) ; }) ;
+                            }
+                            job.async(function(err){ done(err) ; }) ;
+                        }
+                    }), callback) ;
+                } ;
+            }
+            let originalUpsert = client.upsert ;
+            if(originalUpsert && (interceptorsByActions.insert || interceptorsByActions.update)){
+                client.upsert = function(table, records, options, callback){
+                    let callClient = callingClient(client, this) ;
+                    if(typeof(options) === "function"){
+                        callback = options ;
+                        options = null ;
+                    }
+                    options = options || {} ;
+                    let interceptors = (interceptorsByActions.insert || []).concat(interceptorsByActions.update || []).filter(function(int){ 
+                        return !int.table || int.table === table ;
+                    }) ;
+                    if(interceptors.length === 0 || !records){
+                        return originalUpsert.call(callClient, table, records, options, callback) ;
+                    }
+                    let single = !Array.isArray(records) ;
+                    let recordsList = single ? [records] : records ;
+                    let job = new AsyncJob(AsyncJob.SERIES) ;
+                    if(interceptors.some(function(int){ return int.after ;})){
+                        //the after interceptors need to know if the record is inserted or updated, upsert each record with insert or update
+                        let upserted = [] ;
+                        for(let record of recordsList){
+                            job.push(function(cb){
+                                upsertWithInterceptors(callClient, table, record, options, function(err, upsertedRecord){
+                                    if(err){ return cb(err) ;}
+                                    upserted.push(upsertedRecord) ;
+                                    cb() ;
+                                }) ;
+                            }) ;
+                        }
+                        return job.async(function(err){
+                            if(err){ return callback(err) ;}
+                            callback(null, single ? upserted[0] : upserted) ;
+                        }) ;
+                    }
+                    //run the before insert and update interceptors on each record (once if the same function is registered on both)
+                    //then upsert all records in a single statement
+                    let befores = [] ;
+                    for(let int of interceptors){
+                        if(int.before && befores.indexOf(int.before) === -1){
+                            befores.push(int.before) ;
+                        }
+                    }
+                    for(let record of recordsList){
+                        for(let before of befores){
+                            job.push(function(cb){ callOneInterceptor(callClient, before, [table, record], cb) ; }) ;
+                        }
+                    }
+                    job.async(function(err){
+                        if(err){ return callback(err) ;}
+                        originalUpsert.call(callClient, table, records, options, callback) ;
+                    }) ;
+                } ;
+            }
+            let originalSearchStream = client.searchStream ;
+            if(originalSearchStream && interceptorsByActions.search){
+                client.searchStream = function(table, search, orderBy, options){
+                    let interceptors = interceptorsByActions.search.filter(function(int){ return !int.table || int.table === table ;}) ;
+                    if(interceptors.length === 0){
+                        return originalSearchStream.call(client, table, search, orderBy, options) ;
+                    }
+                    let source = null ;
+                    let sourceClosed = false ;
+                    let output = new stream.Transform({
+                        objectMode: true,
+                        transform: function(record, encoding, cb){
+                            //run the after search interceptors on each record
+                            let job = new AsyncJob(AsyncJob.SERIES) ;
+                            for(let int of interceptors){
+                                job.push(function(cbInt){ callOneInterceptor(client, int.after, [table, [record]], cbInt) ; }) ;
+                            }
+                            job.async(function(err){
+                                if(err){ return cb(err) ; }
+                                cb(null, record) ;
+                            }) ;
+                        },
+                        destroy: function(err, cb){
+                            if(!source || sourceClosed){ return cb(err) ; }
+                            source.once("close", function(){ cb(err) ; }) ;
+                            source.destroy() ;
+                        }
+                    }) ;
+                    let jobBefore = new AsyncJob(AsyncJob.SERIES) ;
+                    for(let int of interceptors){
+                        jobBefore.push(function(cb){ callOneInterceptor(client, int.before, [table, search, null], cb) ; }) ;
+                    }
+                    jobBefore.async(function(err){
+                        if(err){ return output.destroy(err) ; }
+                        if(output.destroyed){ return ; }
+                        source = originalSearchStream.call(client, table, search, orderBy, options) ;
+                        source.on("close", function(){ sourceClosed = true ; }) ;
+                        source.on("error", function(err){ output.destroy(err) ; }) ;
+                        source.pipe(output) ;
                     }) ;
-                }.bind(client) ;
+                    return output ;
+                } ;
+            }
+        });
+        this.backend.customClientInit.push(function(client){
+            //this init must be the last one to also wrap functions intercepted by extensions
+            for(let functionName of PROMISE_CLIENT_FUNCTIONS){
+                let originalFunction = client[functionName] ;
+                if(!originalFunction){ continue ; }
+                let trackedFunction = function(){
+                    //run on a view of the client that keeps the running operation for the slow queries log
+                    //and the statement timeout of the table
+                    let callClient = callingClient(client, this) ;
+                    let view = operationView(callClient, callClient.operation ? callClient.operation+" > "+functionName : functionName) ;
+                    let tableSchema = TABLE_CLIENT_FUNCTIONS.indexOf(functionName) !== -1 && client.schema && client.schema[arguments[0]] ;
+                    if(tableSchema && tableSchema.statementTimeout !== undefined){
+                        view.tableStatementTimeout = tableSchema.statementTimeout ;
+                    }
+                    return originalFunction.apply(view, arguments) ;
+                } ;
+                client[functionName] = function(){
+                    if(hasCallback(arguments)){
+                        return trackedFunction.apply(this, arguments) ;
+                    }
+                    return callAsPromise(trackedFunction, this, arguments) ;
+                } ;
+            }
+            let originalTransaction = client.transaction ;
+            if(originalTransaction){
+                client.transaction = function(callbackDoTransaction, callbackDone, timeout){
+                    if(typeof(callbackDone) === "number"){
+                        timeout = callbackDone ;
+                        callbackDone = null ;
+                    }
+                    if(typeof(callbackDone) !== "function"){
+                        return transactionPromise(new Promise((resolve, reject)=>{
+                            originalTransaction.bind(client)(asCallbackJob(callbackDoTransaction), (err, result)=>{
+                                if(err){ return reject(err) ;}
+                                resolve(result) ;
+                            }, timeout) ;
+                        }), callbackDoTransaction, client.logger) ;
+                    }
+                    return originalTransaction.bind(client)(asCallbackJob(callbackDoTransaction), callbackDone, timeout) ;
+                } ;
+            }
+            let originalSavepoint = client.savepoint ;
+            if(originalSavepoint){
+                client.savepoint = function(callbackDoSavepoint, callbackDone){
+                    if(typeof(callbackDone) !== "function"){
+                        return callAsPromise(originalSavepoint, client, [asCallbackJob(callbackDoSavepoint)]) ;
+                    }
+                    return originalSavepoint.bind(client)(asCallbackJob(callbackDoSavepoint), callbackDone) ;
+                } ;
             }
         });
     }
@@ -471,6 +1432,10 @@ class VeloxDatabase {
      * 
      * Note : you should use this when you have only read action to do. If you need insert/update, use the transaction
      * 
+     * If replicas are configured, give the option {readOnly: true} to run the actions on a replica.
+     * The actions must only read (getByPk, search, multiread...) as the replicas can't be written. 
+     * If the replica connection is lost while running the actions, the replica is removed from the rotation
+     * 
      * @example
      * db.inDatabase((client, done){
      *    //run a first query    
@@ -492,18 +1457,38 @@ class VeloxDatabase {
      *      console.log("my results : "+result1+", "+result2) ;
      * }) ;
      * 
-     * @param {function(VeloxDatabaseClient, function)} callbackDoInDb function that do the needed job in database
-     * @param {function(Error)} callbackDone function called when database actions are done
+     * //promise style
+     * let result = await db.inDatabase(async (client)=>{
+     *    let foo = await client.getByPk("foo", id) ;
+     *    return await client.search("bar", {foo_id: foo.id}) ;
+     * }) ;
+     * 
+     * @param {function(VeloxDatabaseClient, function)} callbackDoInDb function that do the needed job in database. It calls the done callback or returns a promise
+     * @param {object} [options] options {readOnly: true} to use a replica, {statementTimeout: ms} to override the statement timeout
+     * @param {function(Error)} [callbackDone] function called when database actions are done. If not given, a promise is returned
      */
-    inDatabase(callbackDoInDb, callbackDone){
-        this.backend.open((err, client)=>{
+    inDatabase(callbackDoInDb, options, callbackDone){
+        if(typeof(options) === "function"){
+            callbackDone = options ;
+            options = null ;
+        }
+        if(typeof(callbackDone) !== "function"){ return callAsPromise(this.inDatabase, this, [callbackDoInDb, options]) ; }
+        callbackDoInDb = asCallbackJob(callbackDoInDb) ;
+        let open = options && options.readOnly ? this._openReadClient.bind(this) : this.backend.open.bind(this.backend) ;
+        open((err, client)=>{
             if(err){ return callbackDone(err); }
+            if(options && options.statementTimeout !== undefined){
+                client.statementTimeout = options.statementTimeout ;
+            }
             try {
                 callbackDoInDb(client, function(err){
                     client.close() ;
-                    if(err){ return callbackDone(err); }
+                    if(err){ 
+                        this._readFailed(client, err) ;
+                        return callbackDone(err); 
+                    }
                     callbackDone.apply(null, arguments) ;
-                }) ;
+                }.bind(this)) ;
             } catch (error) {
                 client.close() ;
                 return callbackDone(error);
@@ -511,17 +1496,49 @@ class VeloxDatabase {
         }) ;
     }
 
-    getByPk(table, pk, joinFetch, callback){
+    /**
+     * Get a record in the table by its pk
+     * 
+     * @see VeloxDatabaseClient#getByPk
+     * 
+     * @param {string} table the table name
+     * @param {any|object} pk the pk value. can be an object containing each value for composed keys
+     * @param {VeloxDatabaseJoinFetch} [joinFetch] join fetch from other sub tables
+     * @param {object} [options] options {primary: true} to read on the primary database even if replicas are configured (to read your writes)
+     * @param {function(Error,object)} [callback] called with result. give null if not found. If not given, a promise is returned
+     */
+    getByPk(table, pk, joinFetch, options, callback){
+        if(!hasCallback(arguments)){ return callAsPromise(this.getByPk, this, arguments) ; }
         if(typeof(joinFetch) === "function"){
             callback = joinFetch;
             joinFetch = null;
+            options = null;
+        } else if(typeof(options) === "function"){
+            callback = options;
+            options = null;
         }
         this.inDatabase((client, done)=>{
             client.getByPk(table, pk, joinFetch, done) ;
-        }, callback) ;
+        }, this._readAccessOptions(options), callback) ;
     }
 
-    search(table, search, joinFetch,orderBy, offset, limit, callback){
+    /**
+     * Do a search in a table
+     * 
+     * @see VeloxDatabaseClient#search
+     * 
+     * @param {string} table table name
+     * @param {object} search search object
+     * @param {VeloxDatabaseJoinFetch} [joinFetch] join fetch from other sub tables
+     * @param {string} [orderBy] order by clause
+     * @param {number} [offset] offset, default is 0
+     * @param {number} [limit] limit, default is no limit
+     * @param {object} [options] search options {after: cursor} for keyset pagination, {withCount: true} to get the total count,
+     *      {primary: true} to read on the primary database even if replicas are configured (to read your writes)
+     * @param {function(Error, Array)} [callback] called on finished. give back the found records. If not given, a promise is returned
+     */
+    search(table, search, joinFetch,orderBy, offset, limit, options, callback){
+        if(!hasCallback(arguments)){ return callAsPromise(this.search, this, arguments) ; }
         if(typeof(joinFetch) === "function"){
             callback = joinFetch;
             joinFetch = null;
@@ -530,7 +1547,8 @@ class VeloxDatabase {
             limit = null ;
         } 
         if(typeof(joinFetch) === "string"){
-            callback = limit;
+            callback = options;
+            options = limit;
             limit = offset;
             offset = orderBy;
             orderBy = joinFetch;
@@ -548,10 +1566,60 @@ class VeloxDatabase {
         } else if(typeof(limit) === "function"){
             callback = limit;
             limit = null ;
+        } else if(typeof(options) === "function"){
+            callback = options;
+            options = null ;
         }
         this.inDatabase((client, done)=>{
-            client.search(table, search, joinFetch,orderBy, offset, limit, done) ;
-        }, callback) ;
+            client.search(table, search, joinFetch,orderBy, offset, limit, options, done) ;
+        }, this._readAccessOptions(options), callback) ;
+    }
+
+    /**
+     * Do a search in a table and give back the found records as a readable stream of objects
+     * 
+     * A database connection is used until the stream is finished (or destroyed)
+     * 
+     * @see VeloxDatabaseClient#searchStream
+     * 
+     * @param {string} table table name
+     * @param {object} search search object
+     * @param {string} [orderBy] order by clause
+     * @param {object} [options] options {batchSize: 1000}, {primary: true} to read on the primary database even if replicas are configured
+     * @return {stream.Readable} the readable stream of records
+     */
+    searchStream(table, search, orderBy, options){
+        let output = new stream.PassThrough({objectMode: true}) ;
+        let open = options && options.primary ? this.backend.open.bind(this.backend) : this._openReadClient.bind(this) ;
+        open((err, client)=>{
+            if(err){ return output.destroy(err) ; }
+            let records = null ;
+            try {
+                records = client.searchStream(table, search, orderBy, options) ;
+            } catch (error) {
+                client.close() ;
+                return output.destroy(error) ;
+            }
+            let closed = false ;
+            let closeClient = ()=>{
+                if(closed){ return ; }
+                closed = true ;
+                client.close() ;
+            } ;
+            records.on("end", closeClient) ;
+            records.on("close", closeClient) ;
+            records.on("error", (err)=>{ 
+                closeClient() ;
+                this._readFailed(client, err) ;
+                output.destroy(err) ; 
+            }) ;
+            output.on("close", ()=>{ 
+                records.destroy() ; 
+                closeClient() ;
+            }) ;
+            records.pipe(output) ;
+        }) ;
+        return output ;
     }
 
     /**
@@ -559,18 +1627,23 @@ class VeloxDatabase {
      * {
      *      table1 : {
      *          columns : [
-     *              {name : "", type: "", size: 123}
+     *              {name : "", type: "", size: 123, nullable: true, defaultValue: "SQL default expression", values: ["enum values"]}
      *          ],
-     *          pk: ["field1", field2]
+     *          pk: ["field1", field2],
+     *          fk: [{targetTable: "", thisColumn: "", targetColumn: ""}],
+     *          unique: [{name: "", columns: ["field1"]}],
+     *          indexes: [{name: "", columns: ["field1"], unique: false}],
+     *          checks: [{name: "", definition: "CHECK (...)"}]
      *      },
      *      table2 : {...s}
      * }
      * 
-     * Note : result is cached so in the case you modify the table while application is running you should restart to see the modifications
+     * Note : result is cached, the cache is cleared on schema update, on DDL queries and on schema change notified by other nodes
      * 
-     * @param {function(Error,object)} callback 
+     * @param {function(Error,object)} [callback] called with the schema. If not given, a promise is returned
      */
     getSchema(callback){
+        if(!hasCallback(arguments)){ return callAsPromise(this.getSchema, this, arguments) ; }
         this.backend.open((err, client)=>{
             if(err){ return callback(err); }
             try {
@@ -591,8 +1664,8 @@ class VeloxDatabase {
      * 
      * @see #transaction
      */
-    inDb(callbackDoInDb, callbackDone){ 
-        this.inDatabase(callbackDoInDb, callbackDone) ;
+    inDb(callbackDoInDb, options, callbackDone){ 
+        return this.inDatabase(callbackDoInDb, options, callbackDone) ;
     }
 
     /**
@@ -618,22 +1691,44 @@ class VeloxDatabase {
      *              }
      *              logger.info("Success !!")
      *          });
+     * 
+     *          //promise style : commit when the promise is resolved, rollback when it is rejected
+     *          let result = await db.transaction(async (tx)=>{
+     *              await tx.insert("profile", {...}) ;
+     *              return await tx.insert("user", {...}) ;
+     *          }) ;
      *
-     * @param {function({VeloxDbPgClient}, {function(err, result)})} callbackDoTransaction - function that do the content of the transaction receive tx should call done() on finish
-     * @param {function(err)} [callbackDone] - called when the transaction is finished
+     * @param {function({VeloxDbPgClient}, {function(err, result)})} callbackDoTransaction - function that do the content of the transaction receive tx should call done() on finish.
+     *          It can also return a promise instead of calling done
+     * @param {function(err)} [callbackDone] - called when the transaction is finished. If not given, a promise is returned 
+     *          (with a callback style job, its rejection is logged and does not fail the process if it is ignored)
      * @param {number} [timeout] - if this timeout (seconds) is expired, the transaction is automatically rollbacked.
      *          If not set, default value is 30s. If set to 0, there is no timeout (not recomended)
      *
      */
     transaction(callbackDoTransaction, callbackDone, timeout){ 
-        if(!callbackDone){ callbackDone = function(){} ;}
+        if(typeof(callbackDone) === "number"){
+            timeout = callbackDone ;
+            callbackDone = null ;
+        }
+        if(typeof(callbackDone) !== "function"){
+            return transactionPromise(new Promise((resolve, reject)=>{
+                this.transaction(callbackDoTransaction, (err, result)=>{
+                    if(err){ return reject(err) ;}
+                    resolve(result) ;
+                }, timeout) ;
+            }), callbackDoTransaction, this.logger) ;
+        }
+        callbackDoTransaction = asCallbackJob(callbackDoTransaction) ;
         var eventTx = new events.EventEmitter();
 
         this.backend.open((err, client)=>{
             if(err){ return callbackDone(err) ;}
             client.on = eventTx.on.bind(eventTx) ;
             client.transaction((tx, done)=>{
-                callbackDoTransaction(client, done) ;
+                //give the transaction client so the nested transactions are savepoints
+                tx.on = client.on ;
+                callbackDoTransaction(tx, done) ;
             }, function(err){ //explicit use of function instead of arrow to have argument variable
                 eventTx.emit("close", {db: this}) ;
                 client.close() ;
@@ -651,7 +1746,7 @@ class VeloxDatabase {
      * @see #transaction
      */
     tx(callbackDoTransaction, callbackDone, timeout){ 
-        this.transaction(callbackDoTransaction, callbackDone, timeout) ;
+        return this.transaction(callbackDoTransaction, callbackDone, timeout) ;
     }
 
     /**
@@ -661,24 +1756,32 @@ class VeloxDatabase {
      * //reads format 
      * {
      *      name1 : { pk : recordOk },
-     *      name2 : {search: {...}, orderBy : "", offset: 0, limit: 10}
+     *      name2 : {search: {...}, orderBy : "", offset: 0, limit: 10, options: {withCount: true}}
      *      name3 : {searchFirst: {...}, orderBy : ""}
+     *      name4 : {table: "", aggregate: {...}, groupBy: [""], measures: {...}, orderBy : ""}
      * }
      * 
      * //returns will be
      * {
      *      name1 : { record },
      *      name2 : [ records ],
-     *      name3 : { record }
+     *      name3 : { record },
+     *      name4 : [ aggregation rows ]
      * }
      * 
      * @param {object} reads object of search read to do
-     * @param {function(Error, object)} callback called with results of searches
+     * @param {object} [options] options {primary: true} to read on the primary database even if replicas are configured (to read your writes)
+     * @param {function(Error, object)} [callback] called with results of searches. If not given, a promise is returned
      */
-    multiread(reads, callback){
+    multiread(reads, options, callback){
+        if(!hasCallback(arguments)){ return callAsPromise(this.multiread, this, arguments) ; }
+        if(typeof(options) === "function"){
+            callback = options;
+            options = null;
+        }
         this.inDatabase((client, done)=>{
             client.multiread(reads, done) ;
-        }, callback) ;
+        }, this._readAccessOptions(options), callback) ;
     }
 
 
@@ -688,11 +1791,16 @@ class VeloxDatabase {
      * 
      * The change set format is :
      * [
-     *      action: "insert" | "update" | "auto" ("auto" if not given)
+     *      action: "insert" | "update" | "upsert" | "auto" ("auto" if not given)
      *      table : table name
      *      record: {record to sync}
+     *      conflictColumns: [columns] (upsert only, default is the primary key)
+     *      updateColumns: [columns] (upsert only, default is all given columns)
+     *      constraint: "unique constraint name" (upsert only, instead of conflictColumns)
      * ]
      * 
+     * The upsert action use INSERT ... ON CONFLICT DO UPDATE, it does not need to read the record before like the auto action
+     * 
      * your record can contain the special syntax ${table.field} it will be replaced by the field value from last insert/update on this table in the transaction
      * it is useful if you have some kind of auto id used as foreign key
      * 
@@ -703,13 +1811,22 @@ class VeloxDatabase {
      * ]
      * 
      * 
+     * With the option continueOnError, each change is done in a savepoint. A failing change is rollbacked alone
+     * and the other changes are commited. The failing changes are given in the results as {action, table, error}
+     * 
      * @param {object} changeSet the changes to do in this transaction 
-     * @param {function(Error)} callback called on finish
+     * @param {object} [options] options {continueOnError: true} to report the failing changes instead of rollbacking all the changes
+     * @param {function(Error)} [callback] called on finish. If not given, a promise is returned
      */
-    transactionalChanges(changeSet, callback){
-        
+    transactionalChanges(changeSet, options, callback){
+        if(!hasCallback(arguments)){ return callAsPromise(this.transactionalChanges, this, arguments) ; }
+        if(typeof(options) === "function"){
+            callback = options ;
+            options = null ;
+        }
+
         this.transaction((tx, done)=>{
-            tx.changes(changeSet, done) ;
+            tx.changes(changeSet, options, done) ;
         }, (err, results)=>{
             if(err) { return callback(err) ;}
             callback(null, results) ;
@@ -737,55 +1854,217 @@ class VeloxDatabase {
     /**
      * Get the schema update to do, run them and update database version
      * 
+     * The checksums of the applied migration files are saved in the version table and a warning is logged
+     * for each applied file that was modified afterwards
+     * 
      * @private
      * @param {VeloxDbClient} client - database client connection
-     * @param {function(err)} callback - called when finished 
+     * @param {number} [targetVersion] - the version to reach (default the last version)
+     * @param {function(err, boolean)} callback - called when finished, with true if changes were applied
      */
-    _getAndApplyChanges(client, callback){
-        let updater = new VeloxSqlUpdater() ;
-        updater.loadChanges(this.options.migrationFolder, (err)=>{
+    _getAndApplyChanges(client, targetVersion, callback){
+        client.getCurrentVersion((err, version)=>{
             if(err){ return callback(err); }
 
-            client.getCurrentVersion((err, version)=>{
+            client.getMigrationChecksums((err, checksums)=>{
                 if(err){ return callback(err); }
 
-                let changes = [];
+                this._prepareSchemaUpdate(version, checksums, targetVersion, (err, plan)=>{
+                    if(err){ return callback(err); }
 
-                let lastVersion = updater.getLastVersion() ;
-                
-                for(let extension of VeloxDatabase.extensions){
-                    if(extension.prependSchemaChanges){
-                        let extensionChanges = extension.prependSchemaChanges(this.options.backend, version, lastVersion) ;
-                        for(let c of extensionChanges){
-                            changes.push(c) ;
-                        }
+                    for(let drift of plan.drift){
+                        this.logger.warn("The migration file "+drift.file+" (version "+drift.version+") was modified after it was applied") ;
                     }
-                }
-                
-                changes = changes.concat(updater.getChanges(version)) ;
-                
-                
 
-                for(let extension of VeloxDatabase.extensions){
-                    if(extension.addSchemaChanges){
-                        let extensionChanges = extension.addSchemaChanges(this.options.backend, version, lastVersion) ;
-                        for(let c of extensionChanges){
-                            changes.push(c) ;
-                        }
+                    let changes = [] ;
+                    for(let step of plan.steps){
+                        changes = changes.concat(step.changes) ;
+                    }
+
+                    let saveChecksums = (applied)=>{
+                        let job = new AsyncJob(AsyncJob.SERIES) ;
+                        job.push((cb)=>{ this._createFullTextIndexes(client, plan, cb) ; }) ;
+                        job.push((cb)=>{ this._createSlowQueryTable(client, plan, cb) ; }) ;
+                        job.async((err)=>{
+                            if(err){ return callback(err); }
+                            if(JSON.stringify(plan.checksums) === JSON.stringify(checksums)){
+                                return callback(null, applied) ;
+                            }
+                            client.saveMigrationChecksums(plan.checksums, (err)=>{
+                                if(err){ return callback(err); }
+                                callback(null, applied) ;
+                            }) ;
+                        }) ;
+                    } ;
+
+                    if(changes.length>0){
+                        this.logger.info((plan.rollback?"Rollback":"Update")+" from "+version+" to "+plan.targetVersion+" - "+changes.length+" changes to apply") ;
+
+                        client.runQueriesAndUpdateVersion(changes, plan.targetVersion, (err)=>{
+                            if(err){ return callback(err); }
+                            saveChecksums(true) ;
+                        }) ;
+                    }else{
+                        this.logger.info("No update to do") ;
+                        saveChecksums(false) ;
                     }
+                }) ;
+            }) ;
+        }) ;
+    }
+
+    /**
+     * Create the full text indexes declared in the schema option if they don't exist yet
+     * 
+     * They are not versioned changes : creating them does not change the database version
+     * 
+     * @private
+     * @param {VeloxDbClient} client - database client connection
+     * @param {object} plan - the applied schema update plan
+     * @param {function(err)} callback - called when finished
+     */
+    _createFullTextIndexes(client, plan, callback){
+        let schemaOption = this.options.schema || {} ;
+        if(plan.rollback || !Object.keys(schemaOption).some((table)=>{ return schemaOption[table].fullTextIndexes ;})){
+            return callback() ;
+        }
+        client.createFullTextIndexes(callback) ;
+    }
+
+    /**
+     * Create the table that receives the plans of the slow queries if the slowQuery explain option is set (pg backend)
+     * 
+     * It is not a versioned change : creating it does not change the database version
+     * 
+     * @private
+     * @param {VeloxDbClient} client - database client connection
+     * @param {object} plan - the applied schema update plan
+     * @param {function(err)} callback - called when finished
+     */
+    _createSlowQueryTable(client, plan, callback){
+        if(plan.rollback || !client.createSlowQueryTable){
+            return callback() ;
+        }
+        client.createSlowQueryTable(callback) ;
+    }
+
+    /**
+     * Prepare the schema update from the migration folder and the extensions
+     * 
+     * The plan contains :
+     *  - steps : the changes to apply in order, grouped by source {source: "migration", version, file, changes} for the migration files
+     *      and {source: "extension name", hook: "prependSchemaChanges", changes} for the extensions
+     *  - drift : the applied migration files modified after they were applied [{version, file}]
+     *  - checksums : the checksums to save once the steps are applied
+     * 
+     * @private
+     * @param {number} version - the current database version
+     * @param {object} checksums - the checksums of the applied migration files {version: checksum}
+     * @param {number} [targetVersion] - the version to reach (default the last version)
+     * @param {function(err, object)} callback - called with the plan {currentVersion, targetVersion, rollback, steps, drift, checksums}
+     */
+    _prepareSchemaUpdate(version, checksums, targetVersion, callback){
+        let updater = new VeloxSqlUpdater() ;
+        updater.loadChanges(this.options.migrationFolder, (err)=>{
+            if(err){ return callback(err); }
+
+            let files = updater.getFiles() ;
+            let lastVersion = updater.getLastVersion() ;
+            this.lastMigrationVersion = lastVersion ;
+            let plan = {currentVersion: version, targetVersion: lastVersion, rollback: false, steps: [], drift: [], checksums: {}} ;
+
+            for(let v of Object.keys(checksums)){
+                if(files[v] && files[v].checksum !== checksums[v]){
+                    plan.drift.push({version: Number(v), file: files[v].file}) ;
                 }
+            }
 
-                if(changes.length>0){
-                    this.logger.info("Update from "+version+" to "+lastVersion+" - "+changes.length+" changes to apply") ;
+            let hasTarget = targetVersion !== undefined && targetVersion !== null ;
+            if(hasTarget && targetVersion < version){
+                if(version > lastVersion){
+                    return callback("Can't rollback from version "+version+", the last version of the migration folder is "+lastVersion) ;
+                }
+                let missingDown = updater.getVersionsWithoutDown(version, targetVersion) ;
+                if(missingDown.length > 0){
+                    return callback("Can't rollback to version "+targetVersion+", no down queries for version "+missingDown.join(", ")) ;
+                }
+                plan.rollback = true ;
+                plan.targetVersion = targetVersion ;
+                plan.steps = this._migrationSteps(updater.getDownChanges(version, targetVersion), files) ;
+            }else{
+                if(hasTarget){
+                    if(targetVersion > lastVersion){
+                        return callback("Can't update to version "+targetVersion+", the last version is "+lastVersion) ;
+                    }
+                    plan.targetVersion = targetVersion ;
+                }
+                try{
+                    plan.steps = plan.steps.concat(this._extensionsSteps("prependSchemaChanges", version, plan.targetVersion)) ;
+                    plan.steps = plan.steps.concat(this._migrationSteps(updater.getChanges(version, plan.targetVersion), files)) ;
+                    plan.steps = plan.steps.concat(this._extensionsSteps("addSchemaChanges", version, plan.targetVersion)) ;
+                }catch(e){
+                    return callback(e) ;
+                }
+            }
 
-                    client.runQueriesAndUpdateVersion(changes, lastVersion, callback) ;
-                }else{
-                    this.logger.info("No update to do") ;
-                    callback() ;
+            //the version is not changed if there is nothing to apply
+            let appliedVersion = plan.steps.length > 0 ? plan.targetVersion : version ;
+            for(let v of Object.keys(files)){
+                if(Number(v) <= appliedVersion){
+                    plan.checksums[v] = checksums[v] || files[v].checksum ;
                 }
-            }) ;
+            }
+            callback(null, plan) ;
         }) ;
     }
+
+    /**
+     * Group the changes of the migration files by version
+     * 
+     * @private
+     * @param {VeloxSqlChange[]} changes - the changes in the order to apply
+     * @param {object} files - the migration files by version
+     * @return {object[]} the steps [{source: "migration", version, file, changes}]
+     */
+    _migrationSteps(changes, files){
+        let steps = [] ;
+        for(let change of changes){
+            let step = steps[steps.length-1] ;
+            if(!step || step.version !== change.sinceVersion){
+                step = {
+                    source: "migration",
+                    version: change.sinceVersion,
+                    file: files[change.sinceVersion] ? files[change.sinceVersion].file : null,
+                    changes: []
+                } ;
+                steps.push(step) ;
+            }
+            step.changes.push(change) ;
+        }
+        return steps ;
+    }
+
+    /**
+     * Get the schema changes of the extensions
+     * 
+     * @private
+     * @param {string} hook - the extension hook (prependSchemaChanges or addSchemaChanges)
+     * @param {number} version - the current database version
+     * @param {number} lastVersion - the version to reach
+     * @return {object[]} the steps [{source: "extension name", hook, changes}]
+     */
+    _extensionsSteps(hook, version, lastVersion){
+        let steps = [] ;
+        for(let extension of VeloxDatabase.extensions){
+            if(extension[hook]){
+                let extensionChanges = extension[hook](this.options.backend, version, lastVersion) ;
+                if(extensionChanges.length > 0){
+                    steps.push({source: extension.name, hook: hook, changes: extensionChanges}) ;
+                }
+            }
+        }
+        return steps ;
+    }
 }
 
 
@@ -877,6 +2156,43 @@ class VeloxDatabaseClient {
      */
     getCurrentVersion(callback) { callback("not implemented"); }
 
+    /**
+     * Run a trivial query to check the connection
+     * 
+     * @param {function(err)} callback - called when finished
+     */
+    ping(callback) { callback("not implemented"); }
+
+    /**
+     * Cancel the query running on this client if any (pg backend). The running query fails with a cancel error
+     * 
+     * The statement timeout of the client can be changed with the statementTimeout property (ms)
+     * 
+     * @param {function(err)} [callback] - called when the cancel is sent
+     */
+    cancel(callback) { callback("not implemented"); }
+
+    /**
+     * Get the checksums of the applied migration files
+     * 
+     * Note : this function is for internal schema update usage. It may be changed or
+     * be remove anytime, don't rely on it
+     * 
+     * @param {function(err, object)} callback - called with the checksums by version {version: checksum}
+     */
+    getMigrationChecksums(callback) { callback("not implemented"); }
+
+    /**
+     * Save the checksums of the applied migration files
+     * 
+     * Note : this function is for internal schema update usage. It may be changed or
+     * be remove anytime, don't rely on it
+     * 
+     * @param {object} checksums - the checksums by version {version: checksum}
+     * @param {function(err)} callback - called when finished
+     */
+    saveMigrationChecksums(checksums, callback) { callback("not implemented"); }
+
     /**
      * Execute a query and give the result back
      * 
@@ -935,6 +2251,31 @@ class VeloxDatabaseClient {
      */
     update(table, record, callback){ callback("not implemented"); }
 
+    /**
+     * Insert records or update them if they already exist (on primary key, conflict columns or unique constraint). 
+     * Give back the upserted records
+     * 
+     * @param {string} table the table name
+     * @param {object|Array} records the record or the array of records to upsert
+     * @param {object} [options] options {conflictColumns: [], updateColumns: [], constraint: ""}
+     * @param {function(Error, object|Array)} callback called when done. give back the upserted record (or an array if an array is given)
+     */
+    upsert(table, records, options, callback){ callback("not implemented"); }
+
+    /**
+     * Insert a large amount of records (array or readable stream of objects) by batches, using COPY when the database supports it.
+     * Give back a report of the load
+     * 
+     * The before insert interceptors are run on each record, unless the skipInterceptors option is set. 
+     * The after insert interceptors can't be run, the skipInterceptors option must be set if the table has some
+     * 
+     * @param {string} table the table name
+     * @param {Array|stream.Readable} recordsOrStream the records to insert or a readable stream of records
+     * @param {object} [options] options {mapping: {}, batchSize: 1000, continueOnError: false, skipInterceptors: false, prepareRecord: function(record, callback)}
+     * @param {function(Error, object)} callback called when done. give back the report {inserted: 0, failed: 0, errors: [{batch: 0, firstRow: 0, rowCount: 0, error: ""}]}
+     */
+    bulkInsert(table, recordsOrStream, options, callback){ callback("not implemented"); }
+
     /**
      * Helpers to do simple search in table
      * 
@@ -955,9 +2296,10 @@ class VeloxDatabaseClient {
      * @param {string} [orderBy] order by clause
      * @param {number} [offset] offset, default is 0
      * @param {number} [limit] limit, default is no limit
+     * @param {object} [options] search options {after: cursor} for keyset pagination, {withCount: true} to get the total count
      * @param {function(Error, Array)} callback called on finished. give back the found records
      */
-    search(table, search, joinFetch, orderBy, offset, limit, callback){ callback("not implemented"); }
+    search(table, search, joinFetch, orderBy, offset, limit, options, callback){ callback("not implemented"); }
 
     /**
      * Helpers to do simple search in table and return first found record
@@ -981,10 +2323,24 @@ class VeloxDatabaseClient {
      */
     searchFirst(table, search, joinFetch, orderBy, callback){ callback("not implemented"); }
 
+    /**
+     * Do a search in a table and give back the found records as a readable stream of objects. 
+     * The records are read by batches with a server-side cursor
+     * 
+     * The search and the order by are the same as in {@link search}. The client must be kept open until the stream is finished
+     * 
+     * @param {string} table table name
+     * @param {object} search search object
+     * @param {string} [orderBy] order by clause
+     * @param {object} [options] options {batchSize: 1000}
+     * @return {stream.Readable} the readable stream of records
+     */
+    searchStream(){ throw "not implemented" ; }
+
     /**
      * Get the columns of a table. Give back an array of columns definition
      * 
-     * Note : result is cached so in the case you modify the table while application is running you should restart to see the modifications
+     * Note : result is cached, the cache is cleared on schema update, on DDL queries and on schema change notified by other nodes
      * 
      * @param {string} table the table name
      * @param {function(Error, Array)} callback called when found primary key, return array of column definitions
@@ -994,13 +2350,20 @@ class VeloxDatabaseClient {
     /**
      * Get the primary key of a table. Give back an array of column composing the primary key
      * 
-     * Note : result is cached so in the case you modify the table while application is running you should restart to see the modifications
+     * Note : result is cached, the cache is cleared on schema update, on DDL queries and on schema change notified by other nodes
      * 
      * @param {string} table the table name
      * @param {function(Error, Array)} callback called when found primary key, return array of column names composing primary key
      */
     getPrimaryKey(table, callback){ callback("not implemented"); }
 
+    /**
+     * Clear the cached schema, primary keys and columns definitions. 
+     * 
+     * They are read again from the database on next use
+     */
+    invalidateSchemaCache(){ throw "not implemented" ; }
+
     /**
      * Execute the schema changes and update the version number
      * 
@@ -1046,6 +2409,20 @@ class VeloxDatabaseClient {
      */
     transaction(callbackDoTransaction, callbackDone, timeout){ callbackDone("not implemented"); }
 
+    /**
+     * Do some actions in a savepoint of the current transaction. If they fail, only the changes done since the savepoint
+     * are rollbacked and the transaction can continue. Calling transaction on a transaction client also creates a savepoint
+     * 
+     * @example
+     *          await tx.savepoint(async (sp)=>{
+     *              await sp.insert("product", batch) ;
+     *          }) ;
+     * 
+     * @param {function({VeloxDbPgClient}, {function(err, result)})} callbackDoSavepoint - function that do the actions, it should call done() on finish
+     * @param {function(err, result)} [callbackDone] - called when the savepoint is released or rollbacked. If not given, a promise is returned
+     */
+    savepoint(callbackDoSavepoint, callbackDone){ callbackDone("not implemented"); }
+
 
     /**
      * Delete a record in the table by its pk
@@ -5,6 +5,12 @@ class VeloxDatabaseExpress {
      * @typedef VeloxDatabaseOptions
      * @type {object}
      * @property {string} [dbEntryPoint] database entry point (default : /api)
+     * @property {string} [healthCheckEntryPoint] health check entry point (ex : /health), not registered if not given.
+     *          It is public and answers {ok: true|false} with the status 200 if the database is ok and 503 otherwise.
+     *          The details are logged when the database is not ok (see {@link VeloxDatabase#healthCheck} for the full health)
+     * @property {boolean} [healthCheckDetails] if true, the health check also answers the ping latency, the schema version and
+     *          the connection pools statistics (with the replicas health) : {ok, database: {ok, latencyMs}, schema: {ok, version, lastVersion}, pools}.
+     *          The error messages are only logged
      */
 
     /**
@@ -22,6 +28,10 @@ class VeloxDatabaseExpress {
             this.options.dbEntryPoint = "/api" ;
         }
 
+        this.db.onSchemaChange((schema)=>{
+            this.schema = schema ;
+        }) ;
+
         if(this.db.expressExtensionsProto){
             Object.keys(this.db.expressExtensionsProto).forEach((k)=>{
                 this[k] = this.db.expressExtensionsProto[k].bind(this) ;
@@ -46,6 +56,13 @@ class VeloxDatabaseExpress {
         app.use(bodyParser.json()) ;
         app.use(bodyParser.urlencoded({extended: true}));
 
+        if(this.options.healthCheckEntryPoint){
+            //registered before the extensions so the load balancer probes don't need authentication
+            app.get(this.options.healthCheckEntryPoint, (req, res)=>{
+                this._healthCheck(req, res) ;
+            }) ;
+        }
+
         if(this.db.expressExtensionsConfigure){
             this.db.expressExtensionsConfigure.forEach((c)=>{
                 c.bind(this)(app, this.options) ;
@@ -110,7 +127,10 @@ class VeloxDatabaseExpress {
     }
 
     /**
+     * Set the request context on the client. If the client abort the request, the running query is cancelled
      * 
+     * A single close listener is added by request, it cancels the queries still running on the clients of the request
+     *
      * @param {VeloxDatabaseClient} client the database client instance
      * @param {HttpRequest} req the current HTTP request
      */
@@ -118,6 +138,156 @@ class VeloxDatabaseExpress {
         client.context = {
             req: req
         } ;
+        if(!req.res || !client.cancel){ return ; }
+        if(!req.veloxDbClients){
+            req.veloxDbClients = [] ;
+            req.res.once("close", ()=>{
+                let clients = req.veloxDbClients ;
+                req.veloxDbClients = [] ;
+                if(req.res.writableEnded){ 
+                    //the response was sent, it is not an abort
+                    return ; 
+                }
+                for(let c of clients){
+                    c.cancel() ;
+                }
+            }) ;
+        }
+        if(req.veloxDbClients.indexOf(client) === -1){
+            req.veloxDbClients.push(client) ;
+        }
+    }
+
+    /**
+     * Answer the database health
+     * 
+     * The route is public, only the status is given unless the healthCheckDetails option is set. The errors are logged
+     * 
+     * @param {HttpRequest} req the current HTTP request
+     * @param {HttpResponse} res the HTTP response
+     */
+    _healthCheck(req, res){
+        this.db.healthCheck((err, health)=>{
+            if(err){
+                this.db.logger.error(this._formatErrLogger(err, req)) ;
+                return res.status(503).json({ok: false}) ;
+            }
+            if(!health.ok){
+                this.db.logger.warn("Database health check failed : "+JSON.stringify({database: health.database, schema: health.schema})) ;
+            }
+            if(!this.options.healthCheckDetails){
+                return res.status(health.ok ? 200 : 503).json({ok: health.ok}) ;
+            }
+            let withoutError = (check)=>{
+                let details = Object.assign({}, check) ;
+                delete details.error ;
+                return details ;
+            } ;
+            res.status(health.ok ? 200 : 503).json({
+                ok: health.ok,
+                database: withoutError(health.database),
+                schema: withoutError(health.schema),
+                pools: health.pools
+            }) ;
+        }) ;
+    }
+
+    /**
+     * Give the options of the read accesses. The reads are done on a replica (if the database has replicas)
+     * unless the request has the header X-Velox-Read-Primary: true (to read the records just written)
+     * 
+     * @param {HttpRequest} req the current HTTP request
+     * @return {object} the inDatabase options
+     */
+    _readOptions(req){
+        return {readOnly: req.headers["x-velox-read-primary"] !== "true"} ;
+    }
+
+    /**
+     * Write the records of a search stream in the response as NDJSON (a JSON record by line) or CSV
+     * 
+     * The response is not started before the first record so an error on the query can still be sent as an error response.
+     * If the client abort the request, the stream is destroyed (and the database cursor closed)
+     * 
+     * @param {stream.Readable} records the stream of records
+     * @param {string} format the output format : ndjson or csv
+     * @param {string[]} columns the columns of the records (CSV header)
+     * @param {HttpResponse} res the HTTP response
+     * @param {function(Error)} callback called when the stream is finished
+     */
+    _pipeRecords(records, format, columns, res, callback){
+        let started = false ;
+        let finished = false ;
+        let finish = (err)=>{
+            //called on the first of end, error and close (of the stream or of the response)
+            if(finished){ return ; }
+            finished = true ;
+            callback(err) ;
+        } ;
+        let start = ()=>{
+            if(started){ return ; }
+            started = true ;
+            res.status(200) ;
+            if(format === "csv"){
+                res.setHeader("Content-Type", "text/csv; charset=utf-8") ;
+                res.write(this._csvLine(columns)) ;
+            }else{
+                res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8") ;
+            }
+        } ;
+        records.on("data", (record)=>{
+            start() ;
+            let line = null ;
+            if(format === "csv"){
+                line = this._csvLine(columns.map((c)=>{ return record[c] ;})) ;
+            }else{
+                line = JSON.stringify(record)+"\n" ;
+            }
+            if(!res.write(line)){
+                records.pause() ;
+                res.once("drain", ()=>{ records.resume() ; }) ;
+            }
+        }) ;
+        records.on("end", ()=>{
+            start() ;
+            res.end() ;
+            finish() ;
+        }) ;
+        records.on("error", (err)=>{
+            finish(err) ;
+        }) ;
+        records.on("close", ()=>{
+            finish() ;
+        }) ;
+        res.on("close", ()=>{
+            if(!res.writableEnded){
+                this.db.logger.info("Search stream aborted by the client") ;
+                records.destroy() ;
+                finish() ;
+            }
+        }) ;
+    }
+
+    /**
+     * Format a CSV line
+     * 
+     * @param {Array} values the values of the line
+     * @return {string} the CSV line
+     */
+    _csvLine(values){
+        return values.map((value)=>{
+            if(value === null || value === undefined){ return "" ; }
+            if(value instanceof Date){
+                value = value.toISOString() ;
+            }else if(typeof(value) === "object"){
+                value = JSON.stringify(value) ;
+            }
+            value = ""+value ;
+            if(/[",\r\n]/.test(value)){
+                return '"'+value.replace(/"/g, '""')+'"' ;
+            }
+            return value ;
+        }).join(",")+"\r\n" ;
     }
 
     /**
@@ -149,6 +319,11 @@ class VeloxDatabaseExpress {
 
                 let table = urlParts[1] ;
                 
+                if(schema.__version){
+                    //give the schema version on each response so the clients know when they must reload the schema
+                    res.setHeader("X-Velox-Schema-Version", schema.__version.version) ;
+                }
+                
 
                 if(this.db.expressExtensions[table]){
                     this.db.expressExtensions[table].bind(this)(record, (err, result)=>{
@@ -178,9 +353,11 @@ class VeloxDatabaseExpress {
                             return res.status(500).end(this._formatErr(err)) ; 
                         }
 
+                        //with the continueOnError field, the failing changes are reported in the results instead of rollbacking all
+                        let options = {continueOnError: !!fields.continueOnError && fields.continueOnError[0] === "true"} ;
                         this.db.transaction((tx, done)=>{
                             this._setContext(tx, req) ;
-                            tx.changes(changes, done) ;
+                            tx.changes(changes, options, done) ;
                         }, (err, modifiedRecord)=>{
                             if(err){ 
                                 this.db.logger.error(this._formatErrLogger(err, req)) ;
@@ -192,12 +369,14 @@ class VeloxDatabaseExpress {
 
                 } else if(table === "schema"){
                     res.status(200).json(schema) ;
+                } else if(table === "schemaVersion"){
+                    res.status(200).json(schema.__version || {version: 0}) ;
                 } else if(table === "multiread"){
                     let reads = record.reads;
                     this.db.inDatabase((client, done)=>{
                         this._setContext(client, req) ;
                         client.multiread(reads, done) ;
-                    }, (err, results)=>{
+                    }, this._readOptions(req), (err, results)=>{
                         if(err){ 
                             this.db.logger.error(this._formatErrLogger(err, req)) ;
                             return res.status(500).end(this._formatErr(err)) ; 
@@ -288,7 +467,7 @@ class VeloxDatabaseExpress {
                                     joinFetch = JSON.parse(req.query.joinFetch) ;
                                 }
                                 client.getByPk(table, pk, joinFetch, done) ;
-                            }, (err, foundRecord)=>{
+                            }, this._readOptions(req), (err, foundRecord)=>{
                                 if(err){ 
                                     this.db.logger.error(this._formatErrLogger(err, req)) ;
                                     return res.status(500).end(this._formatErr(err)) ; 
@@ -298,10 +477,19 @@ class VeloxDatabaseExpress {
                         }else if(req.query["search"]){
                             try{
                                 let search = JSON.parse(req.query["search"]) ;
+                                let options = {} ;
+                                if(search.after !== undefined){
+                                    //keyset pagination
+                                    options.after = search.after ;
+                                }
+                                if(search.withCount){
+                                    //give back the total count with the records
+                                    options.withCount = true ;
+                                }
                                 this.db.inDatabase((client, done)=>{
                                     this._setContext(client, req) ;
-                                    client.search(table, search.conditions, search.joinFetch, search.orderBy, search.offset, search.limit, done) ;
-                                }, (err, foundRecords)=>{
+                                    client.search(table, search.conditions, search.joinFetch, search.orderBy, search.offset, search.limit, options, done) ;
+                                }, this._readOptions(req), (err, foundRecords)=>{
                                     if(err){ 
                                         this.db.logger.error(this._formatErrLogger(err, req)) ;
                                         return res.status(500).end(this._formatErr(err)) ; 
@@ -312,13 +500,40 @@ class VeloxDatabaseExpress {
                                 this.db.logger.error("invalid search format : "+req.query["search"]+" : "+error) ;
                                 return res.status(500).end("invalid search format") ;
                             }
+                        }else if(req.query["searchStream"]){
+                            let search = null ;
+                            try{
+                                search = JSON.parse(req.query["searchStream"]) ;
+                            } catch (error) {
+                                this.db.logger.error("invalid search format : "+req.query["searchStream"]+" : "+error) ;
+                                return res.status(500).end("invalid search format") ;
+                            }
+                            let format = search.format || "ndjson" ;
+                            if(["ndjson", "csv"].indexOf(format) === -1){
+                                this.db.logger.error("Unknown search stream format "+format) ;
+                                return res.status(500).end("Unknown search stream format "+format) ;
+                            }
+                            this.db.inDatabase((client, done)=>{
+                                this._setContext(client, req) ;
+                                let records = client.searchStream(table, search.conditions || {}, search.orderBy) ;
+                                this._pipeRecords(records, format, schema[table].columns.map((c)=>{ return c.name ;}), res, done) ;
+                            }, this._readOptions(req), (err)=>{
+                                if(err){ 
+                                    this.db.logger.error(this._formatErrLogger(err, req)) ;
+                                    if(res.headersSent){
+                                        //the response is started, it can only be interrupted
+                                        return res.destroy() ;
+                                    }
+                                    return res.status(500).end(this._formatErr(err)) ; 
+                                }
+                            }) ;
                         }else if(req.query["searchFirst"]){
                             try{
                                 let search = JSON.parse(req.query["searchFirst"]) ;
                                 this.db.inDatabase((client, done)=>{
                                     this._setContext(client, req) ;
                                     client.searchFirst(table, search.conditions, search.joinFetch, search.orderBy, done) ;
-                                }, (err, foundRecords)=>{
+                                }, this._readOptions(req), (err, foundRecords)=>{
                                     if(err){ 
                                         this.db.logger.error(this._formatErrLogger(err, req)) ;
                                         return res.status(500).end(this._formatErr(err)) ; 
@@ -329,6 +544,27 @@ class VeloxDatabaseExpress {
                                 this.db.logger.error("invalid search format : "+req.query["searchFirst"]+" : "+error) ;
                                 return res.status(500).end("invalid search format") ;
                             }
+                        }else if(req.query["aggregate"]){
+                            try{
+                                let aggregate = JSON.parse(req.query["aggregate"]) ;
+                                this.db.inDatabase((client, done)=>{
+                                    this._setContext(client, req) ;
+                                    client.aggregate(table, aggregate.conditions || {}, {
+                                        groupBy: aggregate.groupBy, 
+                                        measures: aggregate.measures, 
+                                        orderBy: aggregate.orderBy
+                                    }, done) ;
+                                }, this._readOptions(req), (err, rows)=>{
+                                    if(err){ 
+                                        this.db.logger.error(this._formatErrLogger(err, req)) ;
+                                        return res.status(500).end(this._formatErr(err)) ; 
+                                    }
+                                    res.status(200).json(rows) ;
+                                }) ;
+                            } catch (error) {
+                                this.db.logger.error("invalid aggregate format : "+req.query["aggregate"]+" : "+error) ;
+                                return res.status(500).end("invalid aggregate format") ;
+                            }
                         }else{
                             this.db.logger.error("Wrong GET access") ;
                             res.status(500).end("Wrong GET access") ;    
@@ -0,0 +1,561 @@
+const fs = require("fs");
+const path = require("path");
+const hjson = require("hjson") ;
+
+/**
+ * Aliases of the SQL types, used to compare a declared type with the type read from the database
+ */
+const TYPE_ALIASES = {
+    "integer": "int", "int4": "int", "serial": "int", "serial4": "int", "mediumint": "int",
+    "int8": "bigint", "bigserial": "bigint", "serial8": "bigint",
+    "int2": "smallint", "smallserial": "smallint",
+    "character varying": "varchar", "nvarchar": "varchar",
+    "character": "char", "bpchar": "char",
+    "bool": "boolean",
+    "float8": "double", "double precision": "double",
+    "float4": "real", "float": "real",
+    "timestamp without time zone": "timestamp", "datetime": "timestamp",
+    "timestamp with time zone": "timestamptz",
+    "decimal": "numeric"
+} ;
+
+/**
+ * Compare a declarative schema definition with the schema of a database and give the SQL queries to apply
+ *
+ * The definition use the same format as the schema given by getSchema :
+ * {
+ *     customer: {
+ *         columns: [
+ *             {name: "id", type: "serial"},
+ *             {name: "full_name", type: "varchar", size: 100, nullable: false, renamedFrom: "name"},
+ *             {name: "country", type: "varchar", size: 2, defaultValue: "'FR'"}
+ *         ],
+ *         pk: ["id"],
+ *         fk: [{thisColumn: "country", targetTable: "country", targetColumn: "code"}],
+ *         indexes: [{name: "customer_name_idx", columns: ["full_name"], unique: false}],
+ *         renamedFrom: "client"
+ *     }
+ * }
+ *
+ * The types are written as is in the SQL queries so they must be valid types for the backend.
+ * The renames are done only when they are hinted with renamedFrom on the table or the column.
+ *
+ * The drops of tables, columns and indexes, the changes of column type and the size reductions are destructive changes,
+ * they are given in the destructive list so the caller can refuse them. The velox_* indexes (created by velox, like the
+ * full text indexes) and the indexes on expressions are not managed by the definition, they are never dropped
+ */
+class VeloxSchemaDiff {
+
+    /**
+     * Create the schema diff tool
+     *
+     * @param {'pg'|'sqlite'|'mysql'} backend the database backend
+     */
+    constructor(backend){
+        if(["pg", "sqlite", "mysql"].indexOf(backend) === -1){
+            throw "VeloxSchemaDiff : unsupported backend "+backend ;
+        }
+        this.backend = backend ;
+    }
+
+    /**
+     * Load a declarative schema definition. It can be given as an object or as the path of a .js, .json or .hjson file
+     *
+     * @param {object|string} definition the definition or the path of the definition file
+     * @param {function(Error, object)} callback called with the definition
+     */
+    static loadDefinition(definition, callback){
+        if(typeof(definition) !== "string"){
+            return callback(null, definition) ;
+        }
+        if(path.extname(definition) === ".js"){
+            try{
+                return callback(null, require(path.resolve(definition))) ;
+            }catch(e){
+                return callback("Can't load definition file "+definition+" : "+e) ;
+            }
+        }
+        fs.readFile(definition, {encoding: "utf8"}, (err, strFile)=>{
+            if(err){ return callback(err); }
+            try{
+                callback(null, hjson.parse(strFile)) ;
+            }catch(e){
+                callback("Can't parse definition file "+definition+" : "+e) ;
+            }
+        }) ;
+    }
+
+    /**
+     * Compare the definition with the database schema
+     *
+     * The tables of the database that are not declared are dropped, except the velox_* tables and the ignored tables
+     *
+     * @param {object} definition the declarative schema definition
+     * @param {object} schema the database schema (from getSchema)
+     * @param {object} [options] options {ignoreTables: ["table"]}
+     * @return {object} the result {queries: [], destructive: [], warnings: [], errors: []}
+     */
+    diff(definition, schema, options){
+        options = options || {} ;
+        let ignoreTables = options.ignoreTables || [] ;
+        let result = {queries: [], destructive: [], warnings: [], errors: []} ;
+        let steps = {renameTables: [], createTables: [], alterColumns: [], addFk: [], indexes: [], dropColumns: [], dropTables: []} ;
+
+        let isIgnored = (table)=>{
+            let name = table.substring(table.lastIndexOf(".")+1) ;
+            return table === "__version" || name.indexOf("velox_") === 0 || ignoreTables.indexOf(table) !== -1 ;
+        } ;
+
+        let tables = this._normalizeDefinition(definition, result.errors) ;
+        let usedLiveTables = [] ;
+        let createdTables = [] ;
+
+        for(let tableName of Object.keys(tables)){
+            let table = tables[tableName] ;
+            let live = schema[tableName] ;
+            if(!live && table.renamedFrom && schema[table.renamedFrom]){
+                live = schema[table.renamedFrom] ;
+                usedLiveTables.push(table.renamedFrom) ;
+                steps.renameTables.push(this._renameTableSql(table.renamedFrom, tableName)) ;
+            }
+            if(!live){
+                createdTables.push(tableName) ;
+                continue ;
+            }
+            usedLiveTables.push(tableName) ;
+            this._diffTable(tableName, table, live, steps, result) ;
+        }
+
+        for(let tableName of this._sortByDependencies(createdTables, tables)){
+            steps.createTables.push(this._createTableSql(tableName, tables[tableName])) ;
+            for(let index of tables[tableName].indexes){
+                steps.indexes.push(this._createIndexSql(tableName, index)) ;
+            }
+        }
+
+        for(let tableName of Object.keys(schema)){
+            if(isIgnored(tableName) || usedLiveTables.indexOf(tableName) !== -1){ continue ; }
+            let message = "Drop table "+tableName ;
+            let renameCandidates = createdTables.filter((t)=>{ return !tables[t].renamedFrom ; }) ;
+            if(renameCandidates.length > 0){
+                message += " (if it is renamed, set renamedFrom: \""+tableName+"\" on the table "+renameCandidates.join(" or ")+")" ;
+            }
+            result.destructive.push(message) ;
+            steps.dropTables.push(`DROP TABLE ${this._escapeTable(tableName)}`) ;
+        }
+
+        result.queries = [].concat(steps.renameTables, steps.createTables, steps.alterColumns, steps.addFk,
+            steps.indexes, steps.dropColumns, steps.dropTables) ;
+        return result ;
+    }
+
+    /**
+     * Check the definition and set the default values (pk, fk, indexes and indexes names)
+     *
+     * @private
+     * @param {object} definition the declarative schema definition
+     * @param {string[]} errors the errors list to complete
+     * @return {object} the normalized tables definitions
+     */
+    _normalizeDefinition(definition, errors){
+        let tables = {} ;
+        for(let tableName of Object.keys(definition || {})){
+            let table = definition[tableName] ;
+            if(!table.columns || !Array.isArray(table.columns) || table.columns.length === 0){
+                errors.push("The table "+tableName+" must have columns") ;
+                continue ;
+            }
+            for(let col of table.columns){
+                if(!col.name || !col.type){
+                    errors.push("The columns of the table "+tableName+" must have a name and a type") ;
+                }
+            }
+            tables[tableName] = {
+                columns: table.columns,
+                pk: table.pk || [],
+                fk: table.fk || [],
+                indexes: (table.indexes || []).map((index)=>{
+                    return {
+                        name: index.name || (tableName+"_"+index.columns.join("_")+"_idx").replace(/\./g, "_"),
+                        columns: index.columns,
+                        unique: !!index.unique
+                    } ;
+                }),
+                renamedFrom: table.renamedFrom
+            } ;
+        }
+        return tables ;
+    }
+
+    /**
+     * Compare a declared table with the existing table
+     *
+     * @private
+     * @param {string} tableName the table name
+     * @param {object} table the declared table
+     * @param {object} live the existing table
+     * @param {object} steps the queries by step
+     * @param {object} result the diff result (to add destructive changes, warnings and errors)
+     */
+    _diffTable(tableName, table, live, steps, result){
+        let usedLiveColumns = [] ;
+        let addedColumns = [] ;
+        for(let col of table.columns){
+            let liveCol = live.columns.find((c)=>{ return c.name === col.name ;}) ;
+            if(!liveCol && col.renamedFrom){
+                liveCol = live.columns.find((c)=>{ return c.name === col.renamedFrom ;}) ;
+                if(liveCol){
+                    steps.alterColumns.push(`ALTER TABLE ${this._escapeTable(tableName)} RENAME COLUMN ${this._escapeId(col.renamedFrom)} TO ${this._escapeId(col.name)}`) ;
+                }
+            }
+            if(!liveCol){
+                addedColumns.push(col) ;
+                if(col.nullable === false && (col.defaultValue === undefined || col.defaultValue === null)){
+                    result.warnings.push("The column "+tableName+"."+col.name+" is added as not null without default value, it will fail if the table has records") ;
+                }
+                steps.alterColumns.push(`ALTER TABLE ${this._escapeTable(tableName)} ADD COLUMN ${this._columnSql(col)}`) ;
+                continue ;
+            }
+            usedLiveColumns.push(liveCol.name) ;
+            this._diffColumn(tableName, col, liveCol, table.pk.indexOf(col.name) !== -1, steps, result) ;
+        }
+
+        for(let liveCol of live.columns){
+            if(usedLiveColumns.indexOf(liveCol.name) !== -1){ continue ; }
+            let message = "Drop column "+tableName+"."+liveCol.name ;
+            let renameCandidates = addedColumns.filter((c)=>{
+                return !c.renamedFrom && this._sameType(c.type, liveCol.type) ;
+            }) ;
+            if(renameCandidates.length > 0){
+                message += " (if it is renamed, set renamedFrom: \""+liveCol.name+"\" on the column "+renameCandidates.map((c)=>{ return c.name ;}).join(" or ")+")" ;
+            }
+            result.destructive.push(message) ;
+            steps.dropColumns.push(`ALTER TABLE ${this._escapeTable(tableName)} DROP COLUMN ${this._escapeId(liveCol.name)}`) ;
+        }
+
+        if(table.pk.length > 0 && table.pk.join(",") !== live.pk.join(",")){
+            result.warnings.push("The primary key of "+tableName+" is "+live.pk.join(", ")+" in database and "+table.pk.join(", ")+" in definition, the primary key changes are not generated") ;
+        }
+
+        for(let fk of table.fk){
+            let exists = live.fk.some((liveFk)=>{
+                return liveFk.thisColumn === fk.thisColumn && liveFk.targetTable === fk.targetTable && liveFk.targetColumn === fk.targetColumn ;
+            }) ;
+            if(exists){ continue ; }
+            if(this.backend === "sqlite"){
+                result.errors.push("SQLite can't add the foreign key "+tableName+"."+fk.thisColumn+" on an existing table") ;
+                continue ;
+            }
+            steps.addFk.push(`ALTER TABLE ${this._escapeTable(tableName)} ADD ${this._foreignKeySql(fk)}`) ;
+        }
+        for(let liveFk of live.fk){
+            let declared = table.fk.some((fk)=>{
+                return liveFk.thisColumn === fk.thisColumn && liveFk.targetTable === fk.targetTable && liveFk.targetColumn === fk.targetColumn ;
+            }) ;
+            if(!declared){
+                result.warnings.push("The foreign key "+tableName+"."+liveFk.thisColumn+" to "+liveFk.targetTable+" is not declared, the foreign key removal is not generated") ;
+            }
+        }
+
+        //the indexes created for unique constraints and primary keys are not managed here
+        let constraintNames = (live.unique || []).map((u)=>{ return u.name ;}) ;
+        let liveIndexes = (live.indexes || []).filter((index)=>{
+            return constraintNames.indexOf(index.name) === -1 && index.name.indexOf("sqlite_autoindex_") !== 0 ;
+        }) ;
+        for(let index of table.indexes){
+            let liveIndex = liveIndexes.find((i)=>{ return i.name === index.name ;}) ;
+            if(liveIndex && liveIndex.columns.join(",") === index.columns.join(",") && !!liveIndex.unique === index.unique){
+                continue ;
+            }
+            if(liveIndex){
+                steps.indexes.push(this._dropIndexSql(tableName, liveIndex.name)) ;
+            }
+            steps.indexes.push(this._createIndexSql(tableName, index)) ;
+        }
+        for(let liveIndex of liveIndexes){
+            if(table.indexes.some((i)=>{ return i.name === liveIndex.name ;})){ continue ; }
+            //the velox_* indexes (full text indexes...) and the expression indexes are not managed by the definition
+            if(liveIndex.name.indexOf("velox_") === 0 || liveIndex.expression){ continue ; }
+            result.destructive.push("Drop index "+liveIndex.name+" of table "+tableName) ;
+            steps.indexes.push(this._dropIndexSql(tableName, liveIndex.name)) ;
+        }
+    }
+
+    /**
+     * Compare a declared column with the existing column
+     *
+     * The type, size, nullable and default value are compared only if they are given in the definition
+     *
+     * @private
+     * @param {string} tableName the table name
+     * @param {object} col the declared column
+     * @param {object} liveCol the existing column
+     * @param {boolean} isPk the column is in the primary key
+     * @param {object} steps the queries by step
+     * @param {object} result the diff result (to add destructive changes and errors)
+     */
+    _diffColumn(tableName, col, liveCol, isPk, steps, result){
+        let fullName = tableName+"."+col.name ;
+        //the foreign key columns type is replaced by "select" in the schema, their type can't be compared
+        let typeChanged = liveCol.type !== "select" && !this._sameType(col.type, liveCol.type) ;
+        let sizeChanged = col.size !== undefined && col.size !== null && liveCol.size !== undefined && liveCol.size !== null &&
+            Number(col.size) !== Number(liveCol.size) ;
+        let nullableChanged = col.nullable !== undefined && !isPk && col.nullable !== liveCol.nullable ;
+        let defaultChanged = col.defaultValue !== undefined &&
+            this._normalizeDefault(col.defaultValue) !== this._normalizeDefault(liveCol.defaultValue) ;
+
+        if(typeChanged || (sizeChanged && Number(col.size) < Number(liveCol.size))){
+            result.destructive.push("Change type of column "+fullName+" from "+liveCol.type+(liveCol.size?"("+liveCol.size+")":"")+
+                " to "+this._typeSql(col)) ;
+        }
+        if(!typeChanged && !sizeChanged && !nullableChanged && !defaultChanged){
+            return ;
+        }
+        if(this.backend === "sqlite"){
+            result.errors.push("SQLite can't modify the column "+fullName+", create a new table and copy the data") ;
+            return ;
+        }
+        let table = this._escapeTable(tableName) ;
+        let column = this._escapeId(col.name) ;
+        if(this.backend === "mysql"){
+            if(typeChanged || sizeChanged || nullableChanged){
+                //MODIFY COLUMN replaces the whole column definition, the attributes not given in the definition are kept
+                let modifiedCol = Object.assign({}, col) ;
+                if(modifiedCol.nullable === undefined){
+                    modifiedCol.nullable = liveCol.nullable ;
+                }
+                if(modifiedCol.defaultValue === undefined){
+                    modifiedCol.defaultValue = this._mysqlDefaultSql(liveCol.defaultValue) ;
+                }
+                steps.alterColumns.push(`ALTER TABLE ${table} MODIFY COLUMN ${this._columnSql(modifiedCol)}`) ;
+                return ;
+            }
+        }else{
+            if(typeChanged || sizeChanged){
+                steps.alterColumns.push(`ALTER TABLE ${table} ALTER COLUMN ${column} TYPE ${this._typeSql(col)}`) ;
+            }
+            if(nullableChanged){
+                steps.alterColumns.push(`ALTER TABLE ${table} ALTER COLUMN ${column} ${col.nullable?"DROP":"SET"} NOT NULL`) ;
+            }
+        }
+        if(defaultChanged){
+            if(col.defaultValue === null){
+                steps.alterColumns.push(`ALTER TABLE ${table} ALTER COLUMN ${column} DROP DEFAULT`) ;
+            }else{
+                steps.alterColumns.push(`ALTER TABLE ${table} ALTER COLUMN ${column} SET DEFAULT ${col.defaultValue}`) ;
+            }
+        }
+    }
+
+    /**
+     * Sort the created tables so the tables referenced by foreign keys are created first
+     *
+     * @private
+     * @param {string[]} createdTables the tables to create
+     * @param {object} tables the declared tables
+     * @return {string[]} the sorted tables
+     */
+    _sortByDependencies(createdTables, tables){
+        let sorted = [] ;
+        let visiting = [] ;
+        let visit = (tableName)=>{
+            if(sorted.indexOf(tableName) !== -1 || visiting.indexOf(tableName) !== -1){ return ; }
+            visiting.push(tableName) ;
+            for(let fk of tables[tableName].fk){
+                if(createdTables.indexOf(fk.targetTable) !== -1){
+                    visit(fk.targetTable) ;
+                }
+            }
+            sorted.push(tableName) ;
+        } ;
+        createdTables.forEach(visit) ;
+        return sorted ;
+    }
+
+    /**
+     * Check if 2 types are the same (the types aliases are considered equal)
+     *
+     * @private
+     * @param {string} type1 the first type
+     * @param {string} type2 the second type
+     * @return {boolean} true if the types are the same
+     */
+    _sameType(type1, type2){
+        let normalize = (type)=>{
+            type = (type || "").toLowerCase().replace(/\(.*\)/, "").trim() ;
+            return TYPE_ALIASES[type] || type ;
+        } ;
+        return normalize(type1) === normalize(type2) ;
+    }
+
+    /**
+     * Normalize a default value expression to compare it (remove the casts, the parenthesis and the quotes)
+     *
+     * @private
+     * @param {string} value the default value SQL expression
+     * @return {string} the normalized value, null if no default value
+     */
+    _normalizeDefault(value){
+        if(value === null || value === undefined){ return null ; }
+        return String(value).replace(/::[a-z ]+(\[\])?/gi, "").trim().replace(/^\((.*)\)$/, "$1").replace(/^'(.*)'$/, "$1") ;
+    }
+
+    /**
+     * Give the SQL expression of a default value read from the MySQL schema
+     *
+     * MySQL gives the string literals without their quotes (MariaDB quotes them and gives NULL when there is no default)
+     *
+     * @private
+     * @param {string} value the default value read from the schema
+     * @return {string} the default value SQL expression, null if no default value
+     */
+    _mysqlDefaultSql(value){
+        if(value === null || value === undefined || value === "NULL"){ return null ; }
+        value = String(value) ;
+        if(/^'.*'$/.test(value) || /^-?\d+(\.\d+)?$/.test(value) || /^(current_timestamp|now|localtime|localtimestamp)\b/i.test(value) ||
+            /^\(.*\)$/.test(value)){
+            return value ;
+        }
+        return "'"+value.replace(/'/g, "''")+"'" ;
+    }
+
+    /**
+     * Quote an identifier for the backend
+     *
+     * @private
+     * @param {string} name the identifier
+     * @return {string} the quoted identifier
+     */
+    _escapeId(name){
+        if(this.backend === "mysql"){
+            return "`"+name+"`" ;
+        }
+        return "\""+name+"\"" ;
+    }
+
+    /**
+     * Quote a table name, the pg table of another database schema (schema.table) are quoted in 2 parts
+     *
+     * @private
+     * @param {string} tableName the table name
+     * @return {string} the quoted table name
+     */
+    _escapeTable(tableName){
+        if(this.backend === "pg"){
+            return tableName.split(".").map((p)=>{ return this._escapeId(p) ;}).join(".") ;
+        }
+        return this._escapeId(tableName) ;
+    }
+
+    /**
+     * Create the SQL type of a column
+     *
+     * @private
+     * @param {object} col the column definition
+     * @return {string} the SQL type
+     */
+    _typeSql(col){
+        if(col.size && col.type.indexOf("(") === -1){
+            return col.type+"("+col.size+")" ;
+        }
+        return col.type ;
+    }
+
+    /**
+     * Create the SQL definition of a column
+     *
+     * @private
+     * @param {object} col the column definition
+     * @return {string} the SQL definition
+     */
+    _columnSql(col){
+        let sql = this._escapeId(col.name)+" "+this._typeSql(col) ;
+        if(col.nullable === false){
+            sql += " NOT NULL" ;
+        }
+        if(col.defaultValue !== undefined && col.defaultValue !== null){
+            sql += " DEFAULT "+col.defaultValue ;
+        }
+        return sql ;
+    }
+
+    /**
+     * Create the SQL of a foreign key constraint
+     *
+     * @private
+     * @param {object} fk the foreign key definition {thisColumn, targetTable, targetColumn}
+     * @return {string} the SQL of the constraint
+     */
+    _foreignKeySql(fk){
+        return `FOREIGN KEY (${this._escapeId(fk.thisColumn)}) REFERENCES ${this._escapeTable(fk.targetTable)}(${this._escapeId(fk.targetColumn)})` ;
+    }
+
+    /**
+     * Create the CREATE TABLE query
+     *
+     * @private
+     * @param {string} tableName the table name
+     * @param {object} table the table definition
+     * @return {string} the SQL query
+     */
+    _createTableSql(tableName, table){
+        let defs = table.columns.map((col)=>{ return this._columnSql(col) ;}) ;
+        if(table.pk.length > 0){
+            defs.push(`PRIMARY KEY (${table.pk.map((c)=>{ return this._escapeId(c) ;}).join(", ")})`) ;
+        }
+        for(let fk of table.fk){
+            defs.push(this._foreignKeySql(fk)) ;
+        }
+        return `CREATE TABLE ${this._escapeTable(tableName)} (${defs.join(", ")})` ;
+    }
+
+    /**
+     * Create the RENAME TABLE query
+     *
+     * @private
+     * @param {string} oldName the current table name
+     * @param {string} newName the new table name
+     * @return {string} the SQL query
+     */
+    _renameTableSql(oldName, newName){
+        if(this.backend === "mysql"){
+            return `RENAME TABLE ${this._escapeTable(oldName)} TO ${this._escapeTable(newName)}` ;
+        }
+        //the renamed table stays in its database schema
+        return `ALTER TABLE ${this._escapeTable(oldName)} RENAME TO ${this._escapeId(newName.substring(newName.lastIndexOf(".")+1))}` ;
+    }
+
+    /**
+     * Create the CREATE INDEX query
+     *
+     * @private
+     * @param {string} tableName the table name
+     * @param {object} index the index definition {name, columns, unique}
+     * @return {string} the SQL query
+     */
+    _createIndexSql(tableName, index){
+        return `CREATE ${index.unique?"UNIQUE ":""}INDEX ${this._escapeId(index.name)} ON ${this._escapeTable(tableName)} `+
+            `(${index.columns.map((c)=>{ return this._escapeId(c) ;}).join(", ")})` ;
+    }
+
+    /**
+     * Create the DROP INDEX query
+     *
+     * @private
+     * @param {string} tableName the table name
+     * @param {string} indexName the index name
+     * @return {string} the SQL query
+     */
+    _dropIndexSql(tableName, indexName){
+        if(this.backend === "mysql"){
+            return `DROP INDEX ${this._escapeId(indexName)} ON ${this._escapeTable(tableName)}` ;
+        }
+        if(this.backend === "pg" && tableName.indexOf(".") !== -1){
+            //the index is in the database schema of its table
+            return `DROP INDEX ${this._escapeId(tableName.substring(0, tableName.indexOf(".")))}.${this._escapeId(indexName)}` ;
+        }
+        return `DROP INDEX ${this._escapeId(indexName)}` ;
+    }
+}
+
+module.exports = VeloxSchemaDiff;
@@ -1,5 +1,6 @@
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
 const hjson = require("hjson") ;
 const AsyncJob = require("velox-commons/AsyncJob") ;
 
@@ -31,6 +32,9 @@ class VeloxSqlChange {
 class VeloxSqlUpdater {
     constructor(){
         this.changes = [] ;
+        this.downChanges = [] ;
+        this.downVersions = [] ;
+        this.files = {} ;
     }
 
     /**
@@ -46,6 +50,19 @@ class VeloxSqlUpdater {
         this.changes.push(change) ;
     }
 
+    /**
+     * Add a change to do to rollback a version
+     * 
+     * @param {number} version - version that this query rollback
+     * @param {string} sql - SQL query to run
+     * @param {Array} [params] - SQL params for the query
+     */
+    addDownChange(version, sql, params){
+        var change = new VeloxSqlChange(version, sql, params) ;
+        change.index = this.downChanges.length ;
+        this.downChanges.push(change) ;
+    }
+
     /**
      * Get all the changes from a version to another
      * 
@@ -60,6 +77,53 @@ class VeloxSqlUpdater {
         }) ;
     }
 
+    /**
+     * Get the changes to rollback from a version to a previous version
+     * 
+     * The versions are rollbacked from the most recent, the queries of a version are run in their declaration order
+     * 
+     * @param {number} fromVersion - the current version
+     * @param {number} toVersion - the target version (this version is kept)
+     * @return {VeloxSqlChange[]} - the list of changes to apply
+     */
+    getDownChanges(fromVersion, toVersion){
+        return this.downChanges.filter((c)=>{
+            return c.sinceVersion <= fromVersion && c.sinceVersion > toVersion ;
+        }).sort((c1, c2)=>{
+            if(c1.sinceVersion !== c2.sinceVersion){
+                return c2.sinceVersion - c1.sinceVersion ;
+            }
+            return c1.index - c2.index ;
+        }) ;
+    }
+
+    /**
+     * Get the versions between 2 versions that can't be rollbacked because they don't define down queries
+     * 
+     * @param {number} fromVersion - the current version
+     * @param {number} toVersion - the target version (this version is kept)
+     * @return {number[]} - the versions without down queries
+     */
+    getVersionsWithoutDown(fromVersion, toVersion){
+        let versions = [] ;
+        for(let c of this.changes){
+            if(c.sinceVersion <= fromVersion && c.sinceVersion > toVersion && versions.indexOf(c.sinceVersion) === -1 &&
+                this.downVersions.indexOf(c.sinceVersion) === -1){
+                versions.push(c.sinceVersion) ;
+            }
+        }
+        return versions.sort((v1, v2)=>{ return v1 - v2 ;}) ;
+    }
+
+    /**
+     * Get the files loaded from the migration folder
+     * 
+     * @return {object} - the files by version {version: {file: "file name", checksum: "sha256 of the file content"}}
+     */
+    getFiles(){
+        return this.files ;
+    }
+
     /**
      * Get the last version of schema
      * 
@@ -95,15 +159,34 @@ class VeloxSqlUpdater {
     /**
      * Load migration files from a folder. Each file refering to a version
      * 
-     * File should written in HJSON and containing :
+     * The .sql files contain the SQL queries separated by ; and their version is the number at the start of the
+     * file name (003_add_customer.sql is the version 3). The queries after a line "-- @down" rollback the version.
+     * 
+     * The .js files are modules giving the functions to run with the transaction client, to do data migrations
+     * that need application logic. The version is the number at the start of the file name if it is not exported :
+     * module.exports = {
+     *  version: 3,
+     *  up: function(tx, done){ ... },
+     *  down: function(tx, done){ ... } //optional
+     * }
+     * The functions can also return a promise instead of calling done.
+     * 
+     * Other files should written in HJSON and containing :
      * {
      *  version
      *  queries: [
      *     "Simple query"
      *     { query : "query with params", params: [...] }
      *  ]
+     *  down: [
+     *     "Query that rollback this version (optional, same format as queries)"
+     *  ]
      * }
      * 
+     * A version can be rollbacked only if its file has the down queries (an empty list is allowed if there is nothing to undo)
+     * 
+     * The checksum of each file is kept to detect the files modified after they were applied (see {@link getFiles})
+     * 
      * @param {string} folder - Path of folder containing migration files
      * @param {function(err)} callback - Called when loaded all files
      */
@@ -112,48 +195,51 @@ class VeloxSqlUpdater {
             if(err){ return callback(err) ;}
             let jobRead = new AsyncJob(AsyncJob.PARALLEL) ;
             let changes = [] ;
+            let downChanges = [] ;
+            let downVersions = [] ;
+            let files = {} ;
             for (let file of fileList) {
                 jobRead.push((cb)=>{
                     fs.readFile(path.join(folder, file), {encoding: "utf8"}, (err, strFile) => {
                         if(err){ return cb(err); }
                         try {
-                            let hjsonFile = hjson.parse(strFile) ;
+                            let migration ;
+                            let extension = path.extname(file).toLowerCase() ;
+                            if(extension === ".sql"){
+                                migration = this._parseSqlFile(file, strFile) ;
+                            }else if(extension === ".js"){
+                                migration = this._parseJsFile(path.join(folder, file)) ;
+                            }else{
+                                migration = hjson.parse(strFile) ;
+                            }
 
-                            if(!hjsonFile.version){
+                            if(!migration.version){
                                 return cb("Missing version in file "+file) ;
                             }
-                            if(!hjsonFile.queries){
+                            if(!migration.queries){
                                 return cb("Missing queries in file "+file) ;
                             }
-                            if(!Array.isArray(hjsonFile.queries)){
+                            if(!Array.isArray(migration.queries)){
                                 return cb("Queries is not an array in file "+file) ;
                             }
 
-                            let toVersion = hjsonFile.version ;
-                            if(changes.some((c)=> { return c.sinceVersion === toVersion; })){
+                            let toVersion = migration.version ;
+                            if(files[toVersion] || changes.some((c)=> { return c.sinceVersion === toVersion; })){
                                 throw "Error parsing file "+file+", another file already define version "+toVersion ;
                             }
-                            for(let q of hjsonFile.queries){
-                                if(typeof(q) === "string"){
-                                    var c = new VeloxSqlChange(toVersion, q, []) ;
-                                    c.index = changes.length ;
-                                    changes.push(c) ;
-                                } else if (typeof(q) === "object"){
-                                    if(!q.query) {
-                                        return cb("Missing query key in queries entry in file "+file) ;
-                                    }
-                                    if(!q.params) {
-                                        return cb("Missing params key in queries entry in file "+file) ;
-                                    }
-                                    if(!Array.isArray(q.params)) {
-                                        return cb("Params is not an array in queries entry in file "+file) ;
-                                    }
-                                    var c = new VeloxSqlChange(toVersion, q.query, q.params) ;
-                                    c.index = changes.length ;
-                                    changes.push(c) ;
-                                }
+                            files[toVersion] = {
+                                file: file,
+                                checksum: crypto.createHash("sha256").update(strFile).digest("hex")
+                            } ;
+                            if(migration.down !== undefined && !Array.isArray(migration.down)){
+                                return cb("Down is not an array in file "+file) ;
+                            }
+                            let err = this._parseQueries(migration.queries, toVersion, changes, "queries", file) ;
+                            if(!err && migration.down){
+                                downVersions.push(toVersion) ;
+                                err = this._parseQueries(migration.down, toVersion, downChanges, "down", file) ;
                             }
-                            cb() ;
+                            cb(err) ;
                         } catch(e) {
                             return cb("Can't parse file "+file+" : "+e) ;
                         }
@@ -163,11 +249,198 @@ class VeloxSqlUpdater {
             jobRead.async((err)=>{
                 if(err){ return callback(err); }
                 this.changes = changes ;
+                this.downChanges = downChanges ;
+                this.downVersions = downVersions ;
+                this.files = files ;
                 callback();
             }) ;
         }) ;
         
     }
+
+    /**
+     * Parse the queries of a migration file
+     * 
+     * @private
+     * @param {Array} queries - the queries of the file (string, {query, params} or function(tx, done))
+     * @param {number} version - the version of the file
+     * @param {VeloxSqlChange[]} changes - the list to add the changes to
+     * @param {string} key - the key of the queries in the file
+     * @param {string} file - the file name
+     * @return {string} - the error if a query is not valid
+     */
+    _parseQueries(queries, version, changes, key, file){
+        for(let q of queries){
+            if(typeof(q) === "function"){
+                var c = new VeloxSqlChange(version, null, null) ;
+                c.run = q ;
+                c.index = changes.length ;
+                changes.push(c) ;
+            } else if(typeof(q) === "string"){
+                var c = new VeloxSqlChange(version, q, []) ;
+                c.index = changes.length ;
+                changes.push(c) ;
+            } else if (typeof(q) === "object"){
+                if(!q.query) {
+                    return "Missing query key in "+key+" entry in file "+file ;
+                }
+                if(!q.params) {
+                    return "Missing params key in "+key+" entry in file "+file ;
+                }
+                if(!Array.isArray(q.params)) {
+                    return "Params is not an array in "+key+" entry in file "+file ;
+                }
+                var c = new VeloxSqlChange(version, q.query, q.params) ;
+                c.index = changes.length ;
+                changes.push(c) ;
+            }
+        }
+        return null ;
+    }
+
+    /**
+     * Get the version from the number at the start of a file name
+     * 
+     * @private
+     * @param {string} file - the file name
+     * @return {number} - the version, null if the file name does not start by a number
+     */
+    _getFileVersion(file){
+        let match = /^(\d+)/.exec(path.basename(file)) ;
+        return match ? Number(match[1]) : null ;
+    }
+
+    /**
+     * Parse a .sql migration file
+     * 
+     * @private
+     * @param {string} file - the file name
+     * @param {string} strFile - the file content
+     * @return {object} - the migration {version, queries, down}
+     */
+    _parseSqlFile(file, strFile){
+        let downMarker = /^[ \t]*--[ \t]*@down[ \t]*$/m.exec(strFile) ;
+        let migration = {
+            version: this._getFileVersion(file),
+            queries: this._splitSqlQueries(downMarker ? strFile.substring(0, downMarker.index) : strFile)
+        } ;
+        if(downMarker){
+            migration.down = this._splitSqlQueries(strFile.substring(downMarker.index + downMarker[0].length)) ;
+        }
+        return migration ;
+    }
+
+    /**
+     * Split SQL queries separated by ;
+     * 
+     * The ; inside strings, quoted identifiers, comments and dollar quoted bodies (PostgreSQL functions) don't split the queries.
+     * The comments are removed.
+     * 
+     * @private
+     * @param {string} sql - the SQL queries
+     * @return {string[]} - the queries
+     */
+    _splitSqlQueries(sql){
+        let queries = [] ;
+        let current = "" ;
+        let i = 0 ;
+        while(i < sql.length){
+            let char = sql[i] ;
+            let end = -1 ;
+            if(char === "-" && sql[i+1] === "-"){
+                end = sql.indexOf("\n", i) ;
+                i = end === -1 ? sql.length : end ;
+                continue ;
+            }
+            if(char === "/" && sql[i+1] === "*"){
+                end = sql.indexOf("*/", i+2) ;
+                i = end === -1 ? sql.length : end+2 ;
+                continue ;
+            }
+            if(char === ";"){
+                if(current.trim()){ queries.push(current.trim()) ; }
+                current = "" ;
+                i++ ;
+                continue ;
+            }
+            let dollarQuote = char === "$" ? /^\$([A-Za-z_][A-Za-z0-9_]*)?\$/.exec(sql.substring(i)) : null ;
+            if(dollarQuote){
+                end = sql.indexOf(dollarQuote[0], i+dollarQuote[0].length) ;
+                end = end === -1 ? sql.length : end+dollarQuote[0].length ;
+            }else if(char === "'" || char === "\"" || char === "`"){
+                end = i+1 ;
+                //a doubled quote is an escaped quote, it is read as 2 consecutive strings
+                while(end < sql.length && sql[end] !== char){
+                    end++ ;
+                }
+                end = Math.min(end+1, sql.length) ;
+            }
+            if(end !== -1){
+                current += sql.substring(i, end) ;
+                i = end ;
+            }else{
+                current += char ;
+                i++ ;
+            }
+        }
+        if(current.trim()){ queries.push(current.trim()) ; }
+        return queries ;
+    }
+
+    /**
+     * Load a .js migration module
+     * 
+     * The module is reloaded on each load so the changes are taken into account
+     * 
+     * @private
+     * @param {string} filePath - the file path
+     * @return {object} - the migration {version, queries, down}
+     */
+    _parseJsFile(filePath){
+        let modulePath = path.resolve(filePath) ;
+        delete require.cache[modulePath] ;
+        let jsMigration = require(modulePath) ;
+        if(typeof(jsMigration.up) !== "function"){
+            throw "The module must export an up function" ;
+        }
+        let migration = {
+            version: jsMigration.version || this._getFileVersion(filePath),
+            queries: [this._wrapMigrationFunction(jsMigration.up)]
+        } ;
+        if(jsMigration.down){
+            if(typeof(jsMigration.down) !== "function"){
+                throw "The down export must be a function" ;
+            }
+            migration.down = [this._wrapMigrationFunction(jsMigration.down)] ;
+        }
+        return migration ;
+    }
+
+    /**
+     * Wrap a migration function so it can call the done callback or return a promise. A thrown error is given to the done callback
+     * 
+     * @private
+     * @param {function} fn - the migration function (tx, done)
+     * @return {function(tx, done)} - the function to run
+     */
+    _wrapMigrationFunction(fn){
+        return function(tx, done){
+            let result = null ;
+            try{
+                result = fn(tx, done) ;
+            }catch(err){
+                //a synchronous error must rollback the migration instead of crashing the process
+                return done(err) ;
+            }
+            if(fn.length < 2){
+                if(result && typeof(result.then) === "function"){
+                    result.then(function(){ done() ; }, function(err){ done(err || "Migration promise rejected without reason") ; }) ;
+                }else{
+                    done() ;
+                }
+            }
+        } ;
+    }
 }
 
 module.exports = VeloxSqlUpdater;
\ No newline at end of file
@@ -0,0 +1,1821 @@
+const VeloxLogger = require("velox-commons/VeloxLogger") ;
+const VeloxDbPgClient = require("../pg/VeloxDbPgBackend").VeloxDbPgClient ;
+
+/**
+ * Column types that receive an auto generated value when they are the primary key and no value is given
+ */
+const INTEGER_TYPES = ["int", "int2", "int4", "int8", "integer", "bigint", "serial", "bigserial"] ;
+
+/**
+ * Search operators on JSON columns
+ */
+const JSON_OPERATORS = ["?", "?|", "?&", "@>"] ;
+
+var clientIdInc = 0;
+
+/**
+ * Copy a value to avoid sharing objects between the store and the caller
+ *
+ * @param {any} value the value to copy
+ * @return {any} the copied value
+ */
+function copyValue(value){
+    if(Array.isArray(value)){
+        return value.map(copyValue) ;
+    }
+    if(value instanceof Date){
+        return new Date(value.getTime()) ;
+    }
+    if(value && typeof(value) === "object"){
+        let copy = {} ;
+        for(let k of Object.keys(value)){
+            copy[k] = copyValue(value[k]) ;
+        }
+        return copy ;
+    }
+    return value ;
+}
+
+/**
+ * Give a value that can be compared with < and >
+ *
+ * numeric strings are compared as numbers with numbers, dates are compared on their time
+ *
+ * @param {any} value the value
+ * @param {any} otherValue the value it will be compared to
+ * @return {any} the comparable value
+ */
+function comparableValue(value, otherValue){
+    if(value instanceof Date){
+        return value.getTime() ;
+    }
+    if(typeof(value) === "string" && typeof(otherValue) === "number" && value.trim() !== "" && !isNaN(value)){
+        return Number(value) ;
+    }
+    return value ;
+}
+
+/**
+ * Compare 2 values (not null)
+ *
+ * @param {any} v1 first value
+ * @param {any} v2 second value
+ * @return {number} -1 if v1 < v2, 1 if v1 > v2, 0 if equals
+ */
+function compareValues(v1, v2){
+    let c1 = comparableValue(v1, v2) ;
+    let c2 = comparableValue(v2, v1) ;
+    if(c1 < c2){ return -1 ; }
+    if(c1 > c2){ return 1 ; }
+    return 0 ;
+}
+
+/**
+ * Transform a SQL LIKE pattern to a regexp
+ *
+ * @param {string} pattern the LIKE pattern (with % and _)
+ * @param {boolean} caseInsensitive true for ILIKE
+ * @return {RegExp} the regexp
+ */
+function likeToRegExp(pattern, caseInsensitive){
+    let regexp = String(pattern).replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/%/g, ".*").replace(/_/g, ".") ;
+    return new RegExp("^"+regexp+"$", caseInsensitive?"i":"") ;
+}
+
+/**
+ * Read a JSON value that may be stored as string
+ *
+ * @param {any} value the value
+ * @return {any} the parsed value
+ */
+function readJson(value){
+    if(typeof(value) === "string"){
+        try{
+            return JSON.parse(value) ;
+        }catch(e){}
+    }
+    return value ;
+}
+
+/**
+ * Check if a value is a JSON object (not an array)
+ *
+ * @param {any} value the value
+ * @return {boolean} true if it is an object
+ */
+function isJsonObject(value){
+    return !!value && typeof(value) === "object" && !Array.isArray(value) ;
+}
+
+/**
+ * Check if a JSON value contains another one (as PostgreSQL @> operator)
+ *
+ * @param {any} json the JSON value
+ * @param {any} contained the contained JSON value
+ * @return {boolean} true if json contains the other value
+ */
+function jsonContains(json, contained){
+    if(Array.isArray(contained)){
+        return Array.isArray(json) && contained.every((c)=>{ return json.some((j)=>{ return jsonContains(j, c) ;}) ;}) ;
+    }
+    if(isJsonObject(contained)){
+        return isJsonObject(json) && Object.keys(contained).every((k)=>{ 
+            return json[k] !== undefined && jsonContains(json[k], contained[k]) ;
+        }) ;
+    }
+    if(Array.isArray(json)){
+        //as in PostgreSQL, an array contains a primitive value if one of its element is this value
+        return json.some((j)=>{ return j === contained ;}) ;
+    }
+    return json === contained ;
+}
+
+/**
+ * Create the function that read a value inside a JSON column of a record
+ *
+ * @param {string} column the column name
+ * @param {string[]} path the path inside the JSON
+ * @return {function(object)} the function that give back the value (undefined if the path does not exist)
+ */
+function jsonPathGetter(column, path){
+    return function(r){
+        let value = readJson(r[column]) ;
+        for(let p of path){
+            if(!value || typeof(value) !== "object"){
+                return undefined ;
+            }
+            value = value[p] ;
+        }
+        return value ;
+    } ;
+}
+
+/**
+ * Create the filter function of a single column condition
+ *
+ * Null values never match (as in SQL), except for the IS NULL / IS NOT NULL conditions
+ *
+ * @param {function(object)} getValue the function that read the column value (or the value inside a JSON column) of a record
+ * @param {string} ope the operator
+ * @param {any} value the condition value
+ * @return {function(object)} the filter function
+ */
+function createConditionFilter(getValue, ope, value){
+    let notNull = function(v){ return v !== null && v !== undefined ; } ;
+    switch(ope.toUpperCase()){
+        case "IN" :
+            return function(r){ return notNull(getValue(r)) && value.some((v)=>{ return compareValues(getValue(r), v) === 0 ;}) ; } ;
+        case "NOT IN" :
+            return function(r){ return notNull(getValue(r)) && value.every((v)=>{ return compareValues(getValue(r), v) !== 0 ;}) ; } ;
+        case "BETWEEN" :
+            return function(r){ return notNull(getValue(r)) && compareValues(getValue(r), value[0]) >= 0 && compareValues(getValue(r), value[1]) <= 0 ; } ;
+        case "IS NULL" :
+            return function(r){ return !notNull(getValue(r)) ; } ;
+        case "IS NOT NULL" :
+            return function(r){ return notNull(getValue(r)) ; } ;
+        case "=" :
+            return function(r){ return notNull(getValue(r)) && compareValues(getValue(r), value) === 0 ; } ;
+        case "<>" :
+        case "!=" :
+            return function(r){ return notNull(getValue(r)) && compareValues(getValue(r), value) !== 0 ; } ;
+        case "<" :
+            return function(r){ return notNull(getValue(r)) && compareValues(getValue(r), value) < 0 ; } ;
+        case "<=" :
+            return function(r){ return notNull(getValue(r)) && compareValues(getValue(r), value) <= 0 ; } ;
+        case ">" :
+            return function(r){ return notNull(getValue(r)) && compareValues(getValue(r), value) > 0 ; } ;
+        case ">=" :
+            return function(r){ return notNull(getValue(r)) && compareValues(getValue(r), value) >= 0 ; } ;
+        case "FTS" :
+            //value is the list of words to find
+            return function(r){ 
+                if(!notNull(getValue(r)) || value.length === 0){ return false ;}
+                let text = String(getValue(r)).toLowerCase() ;
+                return value.every((token)=>{ return text.indexOf(token) !== -1 ;}) ; 
+            } ;
+        case "?" :
+            return function(r){ let json = readJson(getValue(r)) ; return isJsonObject(json) && json[value] !== undefined ; } ;
+        case "?|" :
+            return function(r){ let json = readJson(getValue(r)) ; return isJsonObject(json) && value.some((k)=>{ return json[k] !== undefined ;}) ; } ;
+        case "?&" :
+            return function(r){ let json = readJson(getValue(r)) ; return isJsonObject(json) && value.every((k)=>{ return json[k] !== undefined ;}) ; } ;
+        case "@>" : {
+            let contained = readJson(value) ;
+            return function(r){ let json = readJson(getValue(r)) ; return notNull(json) && jsonContains(json, contained) ; } ;
+        }
+        case "LIKE" :
+        case "ILIKE" :
+        case "NOT LIKE" :
+        case "NOT ILIKE" : {
+            let upperOpe = ope.toUpperCase() ;
+            let regexp = likeToRegExp(value, upperOpe.indexOf("ILIKE") !== -1) ;
+            let not = upperOpe.indexOf("NOT") === 0 ;
+            return function(r){ return notNull(getValue(r)) && regexp.test(String(getValue(r))) !== not ; } ;
+        }
+        default :
+            throw ("Search operand "+ope+" is not supported by the memory backend") ;
+    }
+}
+
+/**
+ * The in memory data shared by all clients of the backend
+ */
+class VeloxDbMemoryStore {
+
+    /**
+     * Create the store
+     *
+     * @param {object} schema the schema description
+     * @param {object} [data] the initial data {table: [records]}
+     */
+    constructor(schema, data){
+        this.schema = schema ;
+        this.version = 0 ;
+        this.lastUpdate = null ;
+        this.checksums = {} ;
+        this.txRunning = false ;
+        this.txQueue = [] ;
+        this.load(data) ;
+    }
+
+    /**
+     * Replace all the data of the store
+     *
+     * @param {object} [data] the data {table: [records]}
+     */
+    load(data){
+        this.tables = {} ;
+        this.sequences = {} ;
+        for(let table of Object.keys(this.schema)){
+            this.tables[table] = [] ;
+            this.sequences[table] = 0 ;
+        }
+        if(data){
+            for(let table of Object.keys(data)){
+                if(!this.tables[table]){ throw "Unknown table "+table ; }
+                for(let record of data[table]){
+                    this.tables[table].push(this.createRecord(table, record)) ;
+                }
+            }
+        }
+    }
+
+    /**
+     * Create the record to store from a given record : keep only the columns of the table and
+     * generate the primary key value if needed
+     *
+     * @param {string} table the table name
+     * @param {object} record the given record
+     * @return {object} the record to store
+     */
+    createRecord(table, record){
+        let tableDef = this.schema[table] ;
+        let stored = {} ;
+        for(let c of tableDef.columns){
+            stored[c.name] = record[c.name] === undefined ? null : copyValue(record[c.name]) ;
+        }
+        let pk = tableDef.pk || [] ;
+        if(pk.length === 1){
+            let pkColumn = tableDef.columns.find((c)=>{ return c.name === pk[0] ;}) ;
+            if(pkColumn && INTEGER_TYPES.indexOf(pkColumn.type) !== -1){
+                if(stored[pk[0]] === null){
+                    //generate the value like a serial column
+                    this.sequences[table]++ ;
+                    stored[pk[0]] = this.sequences[table] ;
+                }else if(Number(stored[pk[0]]) > this.sequences[table]){
+                    this.sequences[table] = Number(stored[pk[0]]) ;
+                }
+            }
+        }
+        return stored ;
+    }
+
+    /**
+     * Copy the current data
+     *
+     * @return {object} the data copy
+     */
+    snapshot(){
+        let tables = {} ;
+        for(let table of Object.keys(this.tables)){
+            tables[table] = this.tables[table].map((r)=>{ return Object.assign({}, r) ;}) ;
+        }
+        return {
+            tables: tables,
+            sequences: Object.assign({}, this.sequences),
+            version: this.version,
+            lastUpdate: this.lastUpdate,
+            checksums: Object.assign({}, this.checksums)
+        } ;
+    }
+
+    /**
+     * Restore the data from a snapshot
+     *
+     * @param {object} snapshot the snapshot to restore
+     */
+    restore(snapshot){
+        this.tables = snapshot.tables ;
+        this.sequences = snapshot.sequences ;
+        this.version = snapshot.version ;
+        this.lastUpdate = snapshot.lastUpdate ;
+        this.checksums = snapshot.checksums ;
+    }
+
+    /**
+     * Wait for the running transaction to finish before starting a new one
+     *
+     * @param {function} callback called when the transaction can start
+     */
+    acquireTransaction(callback){
+        if(this.txRunning){
+            return this.txQueue.push(callback) ;
+        }
+        this.txRunning = true ;
+        callback() ;
+    }
+
+    /**
+     * Release the transaction and start the next waiting one
+     */
+    releaseTransaction(){
+        let next = this.txQueue.shift() ;
+        if(next){
+            return next() ;
+        }
+        this.txRunning = false ;
+    }
+}
+
+/**
+ * Fake connection that only understand the transaction statements
+ *
+ * BEGIN take a snapshot of the data that is restored on ROLLBACK, SAVEPOINT take a snapshot that is restored on ROLLBACK TO SAVEPOINT
+ */
+class VeloxDbMemoryConnection {
+
+    /**
+     * Create the connection
+     *
+     * @param {VeloxDbMemoryStore} store the data store
+     */
+    constructor(store){
+        this.store = store ;
+        this.snapshot = null ;
+        this.savepoints = {} ;
+    }
+
+    /**
+     * Handle the BEGIN, COMMIT, ROLLBACK and savepoints statements, any other SQL is refused
+     *
+     * @param {string} sql - SQL to execute
+     * @param {Array} [params] - Params
+     * @param {function(err, results)} callback - called when finished
+     */
+    query(sql, params, callback){
+        if(!callback && typeof(params) === "function"){
+            callback = params;
+            params = [];
+        }
+        let statement = sql.trim().toUpperCase() ;
+        let savepoint = /^(SAVEPOINT|ROLLBACK TO SAVEPOINT|RELEASE SAVEPOINT) (\w+)$/.exec(statement) ;
+        setImmediate(()=>{
+            if(statement === "BEGIN"){
+                this.snapshot = this.store.snapshot() ;
+                this.savepoints = {} ;
+            }else if(statement === "COMMIT"){
+                this.snapshot = null ;
+                this.savepoints = {} ;
+            }else if(statement === "ROLLBACK"){
+                if(this.snapshot){
+                    this.store.restore(this.snapshot) ;
+                    this.snapshot = null ;
+                }
+                this.savepoints = {} ;
+            }else if(savepoint && savepoint[1] === "SAVEPOINT"){
+                this.savepoints[savepoint[2]] = this.store.snapshot() ;
+            }else if(savepoint && this.savepoints[savepoint[2]]){
+                if(savepoint[1] === "ROLLBACK TO SAVEPOINT"){
+                    this.store.restore(this.savepoints[savepoint[2]]) ;
+                    //the savepoint still exists after a rollback to it, keep a copy of the restored data
+                    this.savepoints[savepoint[2]] = this.store.snapshot() ;
+                }else{
+                    delete this.savepoints[savepoint[2]] ;
+                }
+            }else if(savepoint){
+                return callback("Unknown savepoint "+savepoint[2]) ;
+            }else{
+                return callback("The memory backend can't run SQL queries : "+sql) ;
+            }
+            callback(null, {rows: [], rowCount: 0}) ;
+        }) ;
+    }
+}
+
+/**
+ * In memory database client
+ *
+ * It gives the same search semantics than the PostgreSQL client (conditions, joinFetch, orderBy, offset/limit)
+ * without any database server. It is intended for unit tests.
+ *
+ * Note : raw SQL queries and the getTable_xxx/getColumnWrite_xxx SQL overrides are not supported
+ */
+class VeloxDbMemoryClient extends VeloxDbPgClient {
+
+    /**
+     * The version is kept in the store, the version table always exists
+     *
+     * @param {function(err, exists)} callback - Called when check is done
+     */
+    dbVersionTableExists(callback) {
+        setImmediate(()=>{ callback(null, true) ; }) ;
+    }
+
+    /**
+     * The version is kept in the store, nothing to create
+     *
+     * @param {function(err)} callback - called when finished
+     */
+    createDbVersionTable(callback) {
+        setImmediate(callback) ;
+    }
+
+    /**
+     * Get database version number
+     *
+     * @param {function(err, version)} callback - called when finished with the version number
+     */
+    getCurrentVersion(callback) {
+        setImmediate(()=>{ callback(null, this.connection.store.version) ; }) ;
+    }
+
+    /**
+     * The store is always available
+     *
+     * @param {function(err)} callback - called when finished
+     */
+    ping(callback) {
+        setImmediate(callback) ;
+    }
+
+    /**
+     * Get the checksums of the applied migration files
+     *
+     * @param {function(err, object)} callback - called with the checksums by version {version: checksum}
+     */
+    getMigrationChecksums(callback) {
+        setImmediate(()=>{ callback(null, Object.assign({}, this.connection.store.checksums)) ; }) ;
+    }
+
+    /**
+     * Save the checksums of the applied migration files in the store
+     *
+     * @param {object} checksums - the checksums by version {version: checksum}
+     * @param {function(err)} callback - called when finished
+     */
+    saveMigrationChecksums(checksums, callback) {
+        this.connection.store.checksums = Object.assign({}, checksums) ;
+        setImmediate(callback) ;
+    }
+
+    /**
+     * Execute the schema changes and update the version number
+     *
+     * Only the changes with a run function can be applied, SQL changes are refused
+     *
+     * @param {VeloxSqlChange[]} changes - Array of changes
+     * @param {number} newVersion - The new database version
+     * @param {function(err)} callback - called when finish
+     */
+    runQueriesAndUpdateVersion(changes, newVersion, callback){
+        let runChange = (index)=>{
+            if(index >= changes.length){
+                this.connection.store.version = newVersion ;
+                this.connection.store.lastUpdate = new Date() ;
+                return callback() ;
+            }
+            let change = changes[index] ;
+            if(!change.run){
+                return callback("The memory backend can't apply SQL changes : "+change.sql) ;
+            }
+            change.run(this, (err)=>{
+                if(err){ return callback(err); }
+                runChange(index+1) ;
+            }) ;
+        } ;
+        runChange(0) ;
+    }
+
+    /**
+     * Give the tables description from the store schema
+     *
+     * The unique constraints, indexes and check constraints are given back if the store schema describes them, they are not enforced.
+     * The columns are nullable by default except the primary key columns
+     *
+     * @private
+     * @param {function(Error, object)} callback called with the raw schema
+     */
+    _readSchema(callback){
+        let schema = {} ;
+        let storeSchema = this.connection.store.schema ;
+        for(let table of Object.keys(storeSchema)){
+            let tableDef = Object.assign({}, storeSchema[table]) ;
+            tableDef.pk = (tableDef.pk || []).slice() ;
+            tableDef.columns = (tableDef.columns || []).map((c)=>{ 
+                let column = Object.assign({}, c) ;
+                if(column.nullable === undefined){
+                    column.nullable = tableDef.pk.indexOf(column.name) === -1 ;
+                }
+                if(column.defaultValue === undefined){
+                    column.defaultValue = null ;
+                }
+                return column ;
+            }) ;
+            tableDef.fk = (tableDef.fk || []).map((fk)=>{ return Object.assign({}, fk) ;}) ;
+            tableDef.unique = (tableDef.unique || []).map((u)=>{ return Object.assign({}, u, {columns: u.columns.slice()}) ;}) ;
+            tableDef.indexes = (tableDef.indexes || []).map((i)=>{ return Object.assign({}, i, {columns: i.columns.slice()}) ;}) ;
+            tableDef.checks = (tableDef.checks || []).map((c)=>{ return Object.assign({}, c) ;}) ;
+            schema[table] = tableDef ;
+        }
+        callback(null, schema) ;
+    }
+
+    /**
+     * The unique constraints, indexes and check constraints are given in the store schema
+     *
+     * @private
+     * @see VeloxDbPgClient#_readSchemaConstraints
+     */
+    _readSchemaConstraints(schema, callback){
+        callback() ;
+    }
+
+    /**
+     * Give the version of the store
+     *
+     * @private
+     * @param {object} schema the schema
+     * @param {function(Error, object)} callback called with the version record {version, last_update}
+     */
+    _readSchemaVersion(schema, callback){
+        callback(null, {version: this.connection.store.version, last_update: this.connection.store.lastUpdate}) ;
+    }
+
+    /**
+     * Get the columns of a table. Give back an array of columns definition
+     *
+     * @param {string} table the table name
+     * @param {function(Error, Array)} callback called when found primary key, return array of column definitions
+     */
+    getColumnsDefinition(table, callback){
+        this.getSchema((err, schema)=>{
+            if(err){ return callback(err); }
+            if(!schema[table]){ return callback("Unkown table "+table) ; }
+            callback(null, schema[table].columns.map((c)=>{
+                return {
+                    column_name: c.name,
+                    udt_name: c.type,
+                    character_maximum_length: c.size
+                } ;
+            })) ;
+        }) ;
+    }
+
+    /**
+     * Get the primary key of a table. Give back an array of column composing the primary key
+     *
+     * @param {string} table the table name
+     * @param {function(Error, Array)} callback called when found primary key, return array of column names composing primary key
+     */
+    getPrimaryKey(table, callback){
+        this.getSchema((err, schema)=>{
+            if(err){ return callback(err); }
+            if(!schema[table]){ return callback("Unkown table "+table) ; }
+            callback(null, schema[table].pk) ;
+        }) ;
+    }
+
+    /**
+     * No SQL is generated, the identifiers are kept as is
+     *
+     * @param {string} name the identifier
+     * @return {string} the identifier
+     */
+    _escapeId(name){
+        return name ;
+    }
+
+    /**
+     * Give back the result asynchronously, like a real database does
+     *
+     * @private
+     * @param {function(Error, any)} callback the callback to call
+     * @param {Error} err the error
+     * @param {any} [result] the result
+     */
+    _done(callback, err, result){
+        setImmediate(()=>{
+            if(err){ return callback(err) ;}
+            callback(null, result) ;
+        }) ;
+    }
+
+    /**
+     * Create the filter function corresponding to the search object
+     *
+     * Same search object as {@link VeloxDbPgClient#_prepareWhereCondition}
+     *
+     * @private
+     * @param {Array} columns the table columns
+     * @param {object} search the search object
+     * @param {string} table the table name
+     * @return {function(object)} the filter function, return true if the record match
+     */
+    _prepareFilter(columns, search, table){
+        let filters = [] ;
+        let conditions = [] ;
+        for(let c of columns){
+            if(search[c.name] !== undefined && !this._isExistsCondition(search[c.name])){
+                conditions.push({getValue: function(r){ return r[c.name] ; }, value: search[c.name]}) ;
+            }
+        }
+        for(let key of Object.keys(search)){
+            let relation = this._parseRelationCondition(key, search[key]) ;
+            if(relation){
+                filters.push(this._prepareRelationFilter(table, relation)) ;
+                continue;
+            }
+            let jsonPath = this._parseJsonPath(key, columns) ;
+            if(jsonPath){
+                conditions.push({getValue: jsonPathGetter(jsonPath.column.name, jsonPath.path), path: jsonPath.path, value: search[key]}) ;
+            }
+        }
+        for(let condition of conditions){
+            let value = condition.value ;
+            let ope = "=" ;
+            if(value && typeof(value) === "object" && !Array.isArray(value)){
+                ope = value.ope ;
+                value = value.value ;
+                if(!ope){
+                    throw ("Search with special condition wrong syntax. Expected {ope: ..., value: ...}. received "+JSON.stringify(search)) ;
+                }
+            }else{
+                if(Array.isArray(value)){
+                    ope = "IN" ;
+                }else if(typeof(value) === "string" && value.indexOf("%") !== -1){
+                    ope = "ILIKE" ;
+                }
+            }
+
+            if(ope.toUpperCase() === "IN" || ope.toUpperCase() === "NOT IN"){
+                if(!Array.isArray(value) || value.length === 0){
+                    throw ("Search in table "+table+" failed. Search operand IN provided with no value. Expected an array with at least one value") ;
+                }
+            } else if (ope.toUpperCase() === "BETWEEN"){
+                if(!Array.isArray(value) || value.length !== 2){
+                    throw ("Search in table "+table+" failed. Search operand BETWEEN provided with wrong value. Expected an array with 2 values") ;
+                }
+            } else if (condition.path && (ope.toUpperCase() === "FTS" || JSON_OPERATORS.indexOf(ope) !== -1)){
+                throw ("Search in table "+table+" failed. Search operand "+ope+" is not available on JSON path") ;
+            } else if ((ope === "?|" || ope === "?&") && (!Array.isArray(value) || value.length === 0)){
+                throw ("Search in table "+table+" failed. Search operand "+ope+" provided with wrong value. Expected an array with at least one key") ;
+            } else if (ope.toUpperCase() === "FTS"){
+                if(typeof(value) !== "string"){
+                    throw ("Search in table "+table+" failed. Search operand FTS provided with wrong value. Expected a string") ;
+                }
+                value = this._tokenizeFullText(value) ;
+            } else if(ope === "=" && value === null){
+                ope = "IS NULL" ;
+            } else if(ope === "<>" && value === null){
+                ope = "IS NOT NULL" ;
+            }
+            filters.push(createConditionFilter(condition.getValue, ope, value)) ;
+        }
+        if(search.$or){
+            if(!Array.isArray(search.$or)){
+                throw "$or must be an array of sub predicate" ;
+            }
+            let orFilters = search.$or.map((orPart)=>{ return this._prepareFilter(columns, orPart, table) ;}) ;
+            filters.push(function(r){ return orFilters.some((f)=>{ return f(r) ;}) ; }) ;
+        }
+        if(search.$and){
+            if(!Array.isArray(search.$and)){
+                throw "$and must be an array of sub predicate" ;
+            }
+            let andFilters = search.$and.map((andPart)=>{ return this._prepareFilter(columns, andPart, table) ;}) ;
+            filters.push(function(r){ return andFilters.every((f)=>{ return f(r) ;}) ; }) ;
+        }
+        return function(r){
+            return filters.every((f)=>{ return f(r) ;}) ;
+        } ;
+    }
+
+    /**
+     * Create the filter function of a related table condition : a record match if at least one related
+     * record (linked by FK) match the sub search
+     *
+     * @private
+     * @param {string} table the table name
+     * @param {object} relation the related table condition (see {@link VeloxDbPgClient#_parseRelationCondition})
+     * @return {function(object)} the filter function
+     */
+    _prepareRelationFilter(table, relation){
+        let schema = this.cache.schema ;
+        let otherTable = relation.otherTable ;
+        if(!schema || !schema[otherTable]){
+            throw "Search in table "+table+" failed. Unknown table "+otherTable ;
+        }
+        let pairs = this._getFkPairs(schema, table, otherTable) ;
+        if(pairs.length === 0){
+            throw "Search in table "+table+" failed. Can't find FK between "+table+" and "+otherTable ;
+        }
+        let subFilter = this._prepareFilter(schema[otherTable].columns, relation.search, otherTable) ;
+        return (r)=>{
+            let found = this._getRecords(otherTable).some((other)=>{
+                return pairs.every((p)=>{
+                    let thisValue = r[p.thisColumn] ;
+                    let otherValue = other[p.otherColumn] ;
+                    return thisValue !== null && thisValue !== undefined && otherValue !== null && otherValue !== undefined && 
+                        compareValues(thisValue, otherValue) === 0 ;
+                }) && subFilter(other) ;
+            }) ;
+            return relation.not ? !found : found ;
+        } ;
+    }
+
+    /**
+     * Create the function that compute the full text rank of a row : the number of occurrences 
+     * of the searched words in the columns having a full text search condition
+     *
+     * @private
+     * @param {Array} columns the table columns
+     * @param {object} search the search object
+     * @return {function(object)} the rank function, null if there is no full text search condition
+     */
+    _prepareFullTextRank(columns, search){
+        let ftsConditions = [] ;
+        let addConditions = (search)=>{
+            for(let c of columns){
+                let value = search[c.name] ;
+                if(value && typeof(value) === "object" && value.ope && value.ope.toUpperCase() === "FTS"){
+                    ftsConditions.push({column: c.name, tokens: this._tokenizeFullText(value.value)}) ;
+                }
+            }
+            for(let subSearch of (search.$or || []).concat(search.$and || [])){
+                addConditions(subSearch) ;
+            }
+        } ;
+        addConditions(search) ;
+        if(ftsConditions.length === 0){
+            return null ;
+        }
+        return function(r){
+            let rank = 0 ;
+            for(let condition of ftsConditions){
+                if(r[condition.column] === null || r[condition.column] === undefined){ continue ; }
+                let text = String(r[condition.column]).toLowerCase() ;
+                for(let token of condition.tokens){
+                    rank += text.split(token).length - 1 ;
+                }
+            }
+            return rank ;
+        } ;
+    }
+
+    /**
+     * No full text index in memory, the full text search is done by searching each word
+     *
+     * @param {function(Error)} callback called when done
+     */
+    createFullTextIndexes(callback){
+        callback() ;
+    }
+
+    /**
+     * Get the stored records of a table
+     *
+     * @private
+     * @param {string} table the table name
+     * @return {Array} the stored records
+     */
+    _getRecords(table){
+        let records = this.connection.store.tables[table] ;
+        if(!records){
+            throw "Unkown table "+table ;
+        }
+        return records ;
+    }
+
+    /**
+     * Join the rows with the records of the joined table (LEFT JOIN)
+     *
+     * The joined columns are added to the rows with the alias prefix, the same way
+     * than the SQL created by {@link VeloxDbPgClient#_addFromJoin}, so the rows
+     * can be given to {@link VeloxDbPgClient#constructResults}
+     *
+     * @private
+     * @return {Array} the joined rows
+     */
+    _addJoinRows(join, schema, rows, aliases, baseTable, parentAliasId){
+        if(!parentAliasId){ parentAliasId = "main" ;}
+
+        var indexSep = join.otherTable.indexOf(">");
+        if(indexSep !== -1){
+            join.flattenJoin = {otherTable : join.otherTable.substring(indexSep+1), flatten: true} ;
+            join.otherTable = join.otherTable.substring(0, indexSep) ;
+        }
+
+        if(!schema[join.otherTable]){ throw ("Unknown table "+join.otherTable) ;}
+
+        let alias = "t"+Object.keys(aliases).length ;
+        var aliasId = parentAliasId+"_"+(join.name||join.otherTable) ;
+        aliases[aliasId] = alias ;
+
+        let otherField = join.otherField ;
+        if(otherField){
+            if(!schema[join.otherTable].columns.some((c)=>{ return c.name === otherField ;})){
+                throw ("Unknown columns "+join.otherTable+"."+otherField) ;
+            }
+        }
+
+        let thisTable = join.thisTable||baseTable;
+        if(join.thisTable){
+            if(!schema[join.thisTable]){ throw ("Unknown table "+join.thisTable) ;}
+        }
+        let thisField = join.thisField;
+        if(thisField){
+            if(!schema[thisTable].columns.some((c)=>{ return c.name === thisField ;})){
+                throw ("Unknown columns "+thisTable+"."+thisField) ;
+            }
+        }
+
+        if(otherField && !thisField || !otherField && thisField){ throw ("You must set both otherField and thisField") ; }
+
+        let pairs = [] ;
+        if(otherField && thisField){
+            pairs.push({thisColumn: thisField, otherColumn: otherField}) ;
+        }else{
+            //assuming using FK
+            pairs = this._getFkPairs(schema, thisTable, join.otherTable) ;
+
+            if(pairs.length === 0){
+                throw ("No otherField/thisField given and can't find in FK in join "+JSON.stringify(join)) ;
+            }
+        }
+
+        let otherRecords = this._getRecords(join.otherTable) ;
+        if(join.joinSearch){
+            otherRecords = otherRecords.filter(this._prepareFilter(schema[join.otherTable].columns, join.joinSearch, join.otherTable)) ;
+        }
+
+        let parentPrefix = aliases[parentAliasId] === "t" ? "" : aliases[parentAliasId]+"_" ;
+        let otherColumns = schema[join.otherTable].columns ;
+        let joinedRows = [] ;
+        for(let row of rows){
+            let matches = otherRecords.filter((other)=>{
+                return pairs.every((p)=>{
+                    let thisValue = row[parentPrefix+p.thisColumn] ;
+                    let otherValue = other[p.otherColumn] ;
+                    return thisValue !== null && thisValue !== undefined && otherValue !== null && otherValue !== undefined &&
+                        compareValues(thisValue, otherValue) === 0 ;
+                }) ;
+            }) ;
+            if(matches.length === 0){
+                matches = [{}] ;
+            }
+            for(let other of matches){
+                let joinedRow = Object.assign({}, row) ;
+                for(let col of otherColumns){
+                    joinedRow[alias+"_"+col.name] = other[col.name] === undefined ? null : other[col.name] ;
+                }
+                joinedRows.push(joinedRow) ;
+            }
+        }
+
+        if(join.joins && join.flattenJoin){
+            throw "You can't both have joins and flatten with another table" ;
+        }
+        if(join.joins){
+            for(let subJoin of join.joins){
+                joinedRows = this._addJoinRows(subJoin, schema, joinedRows, aliases, join.otherTable, aliasId) ;
+            }
+        }
+        if(join.flattenJoin){
+            joinedRows = this._addJoinRows(join.flattenJoin, schema, joinedRows, aliases, join.otherTable, aliasId) ;
+        }
+        return joinedRows ;
+    }
+
+    /**
+     * Sort the rows following the order by items (same format as the SQL ORDER BY items : t1.col DESC)
+     *
+     * Null values are sorted last in ascending order and first in descending order, like PostgreSQL
+     *
+     * @private
+     * @param {Array} rows the rows to sort
+     * @param {Array} orderByItems the order by items
+     * @return {Array} the sorted rows
+     */
+    _sortRows(rows, orderByItems){
+        return rows.sort(this._createRowsComparator(orderByItems)) ;
+    }
+
+    /**
+     * Create the function that compare 2 rows following the order by items
+     *
+     * @private
+     * @param {Array} orderByItems the order by items
+     * @return {function(object, object)} the compare function
+     */
+    _createRowsComparator(orderByItems){
+        let sorts = [] ;
+        for(let item of orderByItems.join(",").split(",")){
+            let parts = item.trim().split(/\s+/) ;
+            let column = parts[0] ;
+            let indexDot = column.indexOf(".") ;
+            if(indexDot !== -1){
+                let alias = column.substring(0, indexDot) ;
+                column = column.substring(indexDot+1) ;
+                if(alias !== "t"){
+                    column = alias+"_"+column ;
+                }
+            }
+            sorts.push({column: column, desc: !!parts[1] && parts[1].toUpperCase() === "DESC"}) ;
+        }
+        return (r1, r2)=>{
+            for(let sort of sorts){
+                let v1 = r1[sort.column] ;
+                let v2 = r2[sort.column] ;
+                let null1 = v1 === null || v1 === undefined ;
+                let null2 = v2 === null || v2 === undefined ;
+                let compare = 0 ;
+                if(null1 && null2){
+                    compare = 0 ;
+                }else if(null1){
+                    compare = 1 ;
+                }else if(null2){
+                    compare = -1 ;
+                }else{
+                    compare = compareValues(v1, v2) ;
+                }
+                if(compare !== 0){
+                    return sort.desc ? -compare : compare ;
+                }
+            }
+            return 0 ;
+        } ;
+    }
+
+    /**
+     * Create the rows of the main table records with the join fetch rows
+     *
+     * @private
+     * @return {object} the rows and aliases {rows, aliases}
+     */
+    _createRowsWithJoin(table, records, joinFetch, schema){
+        let aliases = {main: "t"} ;
+        let rows = records.map((r)=>{ return Object.assign({}, r) ;}) ;
+        if(joinFetch){
+            for(let join of joinFetch){
+                rows = this._addJoinRows(join, schema, rows, aliases, table) ;
+            }
+        }
+        return {rows: rows, aliases: aliases} ;
+    }
+
+    /**
+     * Check the given pk and format it as an object {col1: value1, col2: value2}
+     *
+     * @private
+     * @param {string} table the table name
+     * @param {any|object} pk the pk value
+     * @param {Array} pkColumns the pk columns
+     * @param {string} action the action name for the error messages (searching, deleting)
+     * @return {object} the pk object
+     */
+    _formatPk(table, pk, pkColumns, action){
+        if(!pkColumns || pkColumns.length === 0){
+            throw "Error "+action+" in table "+table+", no primary column for this table" ;
+        }
+
+        if(typeof(pk) === "object"){
+            //the given pk has the form {col1: "", col2: ""}
+            if(Object.keys(pk).length < pkColumns.length){
+                throw "Error "+action+" in table "+table+", the given PK has "+Object.keys(pk).length+" properties but PK has "+pkColumns.length ;
+            }
+            for(let k of pkColumns){
+                if(Object.keys(pk).indexOf(k) === -1){
+                    throw "Error "+action+" in table "+table+", the given PK miss "+k+" property" ;
+                }
+            }
+            return pk ;
+        }
+        //the given pk is a simple value, assuming simple PK form
+        if(pkColumns.length > 1){
+            throw "Error "+action+" in table "+table+", the primary key should be composed of "+pkColumns.join(", ") ;
+        }
+        let formatedPk = {} ;
+        formatedPk[pkColumns[0]] = pk ;
+        return formatedPk ;
+    }
+
+    /**
+     * Create the filter on the primary key
+     *
+     * @private
+     * @param {object} pk the pk object
+     * @param {Array} pkColumns the pk columns
+     * @return {function(object)} the filter function
+     */
+    _pkFilter(pk, pkColumns){
+        return function(r){
+            return pkColumns.every((k)=>{
+                return r[k] !== null && pk[k] !== null && pk[k] !== undefined && compareValues(r[k], pk[k]) === 0 ;
+            }) ;
+        } ;
+    }
+
+    /**
+     * Get a record in the table by its pk
+     *
+     * @see VeloxDbPgClient#getByPk
+     *
+     * @param {string} table the table name
+     * @param {any|object} pk the pk value. can be an object containing each value for composed keys
+     * @param {VeloxDatabaseJoinFetch} [joinFetch] join fetch from other sub tables
+     * @param {function(Error,object)} callback called with result. give null if not found
+     */
+    getByPk(table, pk, joinFetch, callback){
+        if(typeof(joinFetch) === "function"){
+            callback = joinFetch;
+            joinFetch = null;
+        }
+
+        if(!pk) {
+            return callback("Error searching in table "+table+", empty primary key given") ;
+        }
+
+        this.getSchema((err, schema)=>{
+            if(err){ return callback(err); }
+
+            if(!schema[table]){
+                return callback("Unkown table "+table) ;
+            }
+
+            let record = null ;
+            try{
+                let pkColumns = schema[table].pk ;
+                pk = this._formatPk(table, pk, pkColumns, "searching") ;
+
+                let records = this._getRecords(table).filter(this._pkFilter(pk, pkColumns)) ;
+                let {rows, aliases} = this._createRowsWithJoin(table, records, joinFetch, schema) ;
+
+                if(rows.length > 0){
+                    if(!joinFetch){
+                        record = rows[0] ;
+                    } else {
+                        var orderByItems = [] ;
+                        for(let join of joinFetch){
+                            this._addOrderByJoin(join, schema, orderByItems, aliases) ;
+                        }
+                        if(orderByItems.length > 0){
+                            rows = this._sortRows(rows, orderByItems) ;
+                        }
+                        record = this.constructResults(schema, table, aliases, rows, joinFetch)[0]||null ;
+                    }
+                }
+            }catch(e){
+                return this._done(callback, e) ;
+            }
+            this._done(callback, null, copyValue(record)) ;
+        }) ;
+    }
+
+    /**
+     * Helpers to do simple search in table
+     *
+     * @see VeloxDbPgClient#search
+     *
+     * @param {string} table table name
+     * @param {object} search search object
+     * @param {VeloxDatabaseJoinFetch} [joinFetch] join fetch from other sub tables
+     * @param {string} [orderBy] order by clause
+     * @param {number} [offset] offset, default is 0 (ignored with the after option)
+     * @param {number} [limit] limit, default is no limit
+     * @param {object} [options] search options {after: cursor} for keyset pagination, {withCount: true} to get the total count
+     * @param {function(Error, Array)} callback called on finished. give back the found records
+     */
+    search(table, search, joinFetch, orderBy, offset, limit, options, callback){
+        if(typeof(joinFetch) === "function"){
+            callback = joinFetch;
+            joinFetch = null;
+            orderBy = null;
+            offset = 0;
+            limit = null ;
+        }
+        if(typeof(joinFetch) === "string"){
+            callback = options;
+            options = limit;
+            limit = offset;
+            offset = orderBy;
+            orderBy = joinFetch;
+            joinFetch = null ;
+        }
+        if(typeof(orderBy) === "function"){
+            callback = orderBy;
+            orderBy = null;
+            offset = 0;
+            limit = null ;
+            options = null ;
+        } else if(typeof(offset) === "function"){
+            callback = offset;
+            offset = 0;
+            limit = null ;
+            options = null ;
+        } else if(typeof(limit) === "function"){
+            callback = limit;
+            limit = null ;
+            options = null ;
+        } else if(typeof(options) === "function"){
+            callback = options;
+            options = null ;
+        }
+        options = options || {} ;
+
+        if(!search) { return callback("Try to search with null search in table "+table) ; }
+
+        let withCount = !!options.withCount ;
+        let cursorMode = options.after !== undefined ;
+        let after = cursorMode ? options.after : null ;
+        if(cursorMode){
+            offset = 0 ;
+        }
+
+        this.getSchema((err, schema)=>{
+            if(err){ return callback(err); }
+
+            if(!schema[table]){
+                return callback("Unkown table "+table) ;
+            }
+
+            let columns = schema[table].columns ;
+            let records = null ;
+            try{
+                let filter = this._prepareFilter(columns, search, table) ;
+                let mainRecords = this._getRecords(table).filter(filter) ;
+
+                let rankOrder = false ;
+                let jsonPathOrders = [] ;
+                if(orderBy){
+                    let columnsOrderBy = orderBy.split(",").filter((ob)=>{ 
+                        return !this._isRankOrderBy(ob) && !this._isJsonPathOrderBy(ob) ;
+                    }).join(",") ;
+                    if(columnsOrderBy && !this._checkOrderByClause(columnsOrderBy, columns)){
+                        throw "Invalid order by clause "+orderBy ;
+                    }
+                    if(cursorMode && columnsOrderBy !== orderBy){
+                        throw "Keyset pagination can't be ordered by $rank or JSON path" ;
+                    }
+                    rankOrder = orderBy.split(",").some((ob)=>{ return this._isRankOrderBy(ob) ;}) ;
+                    for(let ob of orderBy.split(",").filter((ob)=>{ return this._isJsonPathOrderBy(ob) ;})){
+                        let [key, direction] = ob.trim().split(/\s+/) ;
+                        if(direction && !/^(asc|desc)$/i.test(direction)){
+                            throw "Invalid order by clause "+orderBy ;
+                        }
+                        let jsonPath = this._parseJsonPath(key, columns) ;
+                        jsonPathOrders.push({key: key, getValue: jsonPathGetter(jsonPath.column.name, jsonPath.path)}) ;
+                    }
+                }
+
+                var orderByItems = [] ;
+                var cursorSort = null ;
+                if(cursorMode){
+                    //keyset pagination, the records are sorted on order by columns and primary key
+                    cursorSort = this._getCursorSort(table, orderBy, schema) ;
+                    orderByItems.push(this._cursorOrderBy(cursorSort)) ;
+                    if(after){
+                        let values = this._readCursor(cursorSort, after) ;
+                        let lastRecord = {} ;
+                        cursorSort.forEach((s, i)=>{ lastRecord[s.column] = values[i] ; }) ;
+                        let comparator = this._createRowsComparator(orderByItems) ;
+                        mainRecords = mainRecords.filter((r)=>{ return comparator(r, lastRecord) > 0 ; }) ;
+                    }
+                }else if(orderBy){
+                    orderByItems.push(orderBy) ;
+                }
+
+                let {rows, aliases} = this._createRowsWithJoin(table, mainRecords, joinFetch, schema) ;
+
+                if(rankOrder){
+                    let rank = this._prepareFullTextRank(columns, search) ;
+                    if(!rank){
+                        throw "Order by $rank needs a full text search condition" ;
+                    }
+                    for(let row of rows){
+                        row.$rank = rank(row) ;
+                    }
+                }
+                for(let jsonPathOrder of jsonPathOrders){
+                    //the value inside the JSON is set on the row to be sorted like a column
+                    for(let row of rows){
+                        row[jsonPathOrder.key] = jsonPathOrder.getValue(row) ;
+                    }
+                }
+
+                if(joinFetch){
+                    for(let join of joinFetch){
+                        this._addOrderByJoin(join, schema, orderByItems, aliases) ;
+                    }
+                }
+                if(orderByItems.length > 0){
+                    //there is order by clause, force add the pk in order by
+                    if(!cursorSort){
+                        orderByItems = orderByItems.concat(schema[table].pk.map((p)=>{ return "t."+p ;})) ;
+                    }
+                    rows = this._sortRows(rows, orderByItems) ;
+                }
+
+                records = this.constructResults(schema, table, aliases, rows, joinFetch) ;
+
+                if(limit || offset){
+                    limit = limit ? parseInt(limit, 10) : null ;
+                    offset = offset ? parseInt(offset, 10) : 0 ;
+                    if(isNaN(limit)){
+                        throw "Invalid limit clause "+limit ;
+                    }
+                    if(isNaN(offset)){
+                        throw "Invalid offset clause "+offset ;
+                    }
+                    records = records.slice(offset, limit ? offset+limit : undefined) ;
+                }
+                if(cursorSort){
+                    records = this._createCursorPage(cursorSort, records, limit) ;
+                }
+            }catch(e){
+                return this._done(callback, e) ;
+            }
+            if(withCount){
+                return this._addSearchCount(table, search, copyValue(records), callback) ;
+            }
+            this._done(callback, null, copyValue(records)) ;
+        }) ;
+    }
+
+    /**
+     * Count the records matching the search
+     *
+     * @private
+     * @param {string} table table name
+     * @param {object} search search object
+     * @param {function(Error, number)} callback called on finished. give back the count
+     */
+    _searchCount(table, search, callback){
+        this.getSchema((err, schema)=>{
+            if(err){ return callback(err); }
+            let total = 0 ;
+            try{
+                let filter = this._prepareFilter(schema[table].columns, search, table) ;
+                total = this._getRecords(table).filter(filter).length ;
+            }catch(e){
+                return this._done(callback, e) ;
+            }
+            this._done(callback, null, total) ;
+        }) ;
+    }
+
+    /**
+     * Open a cursor on the search result. The records are all searched at once and given back by batches
+     *
+     * @private
+     * @see VeloxDbPgClient#_openSearchCursor
+     */
+    _openSearchCursor(table, search, orderBy, callback){
+        this.constructor.prototype.search.call(this, table, search, null, orderBy, 0, null, (err, records)=>{
+            if(err){ return callback(err); }
+            callback(null, {
+                read: (count, cb)=>{
+                    this._done(cb, null, records.splice(0, count)) ;
+                },
+                close: (cb)=>{
+                    records = [] ;
+                    cb() ;
+                }
+            }) ;
+        }) ;
+    }
+
+    /**
+     * Do an aggregation on the records of a table
+     *
+     * Same options as {@link VeloxDbPgClient#aggregate}
+     *
+     * @param {string} table table name
+     * @param {object} search search object
+     * @param {object} [options] aggregation options {groupBy, measures, orderBy}
+     * @param {function(Error, Array)} callback called on finished. give back one row by group
+     */
+    aggregate(table, search, options, callback){
+        if(typeof(options) === "function"){
+            callback = options ;
+            options = null ;
+        }
+        if(!search) { return callback("Try to aggregate with null search in table "+table) ; }
+
+        this.getSchema((err, schema)=>{
+            if(err){ return callback(err); }
+
+            if(!schema[table]){
+                return callback("Unkown table "+table) ;
+            }
+
+            let rows = null ;
+            try{
+                let aggregation = this._prepareAggregation(table, options, schema) ;
+                let filter = this._prepareFilter(schema[table].columns, search, table) ;
+                let records = this._getRecords(table).filter(filter) ;
+
+                let groups = [] ;
+                let groupsByKey = {} ;
+                for(let record of records){
+                    let key = JSON.stringify(aggregation.groupBy.map((col)=>{ 
+                        return record[col] === undefined ? null : record[col] ;
+                    })) ;
+                    if(!groupsByKey[key]){
+                        groupsByKey[key] = [] ;
+                        groups.push(groupsByKey[key]) ;
+                    }
+                    groupsByKey[key].push(record) ;
+                }
+                if(groups.length === 0 && aggregation.groupBy.length === 0){
+                    //no group by, there is always one result row
+                    groups.push([]) ;
+                }
+
+                rows = groups.map((groupRecords)=>{
+                    let row = {} ;
+                    for(let col of aggregation.groupBy){
+                        row[col] = groupRecords[0][col] ;
+                    }
+                    for(let measure of aggregation.measures){
+                        row[measure.alias] = this._computeMeasure(measure, groupRecords) ;
+                    }
+                    return row ;
+                }) ;
+
+                if(aggregation.orderBy.length > 0){
+                    rows = this._sortRows(rows, aggregation.orderBy.map((ob)=>{ return ob.name+(ob.desc?" DESC":"") ;})) ;
+                }
+                rows = rows.map((row)=>{ return this._formatAggregateRow(aggregation, row) ;}) ;
+            }catch(e){
+                return this._done(callback, e) ;
+            }
+            this._done(callback, null, copyValue(rows)) ;
+        }) ;
+    }
+
+    /**
+     * Compute an aggregation measure on the records of a group
+     *
+     * As in SQL, the null values are ignored and sum, avg, min and max give null when there is no value
+     *
+     * @private
+     * @param {object} measure the measure {alias, fn, column, distinct}
+     * @param {Array} records the records of the group
+     * @return {any} the measure value
+     */
+    _computeMeasure(measure, records){
+        if(!measure.column){
+            return records.length ;
+        }
+        let values = records.map((r)=>{ return r[measure.column] ; }).filter((v)=>{ return v !== null && v !== undefined ; }) ;
+        if(measure.distinct){
+            values = values.filter((v, i)=>{
+                return values.findIndex((other)=>{ return compareValues(v, other) === 0 ;}) === i ;
+            }) ;
+        }
+        if(measure.fn === "count"){
+            return values.length ;
+        }
+        if(values.length === 0){
+            return null ;
+        }
+        if(measure.fn === "min" || measure.fn === "max"){
+            return values.reduce((result, v)=>{
+                let compare = compareValues(v, result) ;
+                return (measure.fn === "min" ? compare < 0 : compare > 0) ? v : result ;
+            }) ;
+        }
+        let sum = values.reduce((result, v)=>{ return result + Number(v) ; }, 0) ;
+        if(measure.fn === "avg"){
+            return sum / values.length ;
+        }
+        return sum ;
+    }
+
+    /**
+     * Insert a record in the table. Give back the inserted record (with potential generated values)
+     *
+     * @param {string} table the table name
+     * @param {object} records the object to insert or an array of object to insert
+     * @param {function(Error, object)} callback called when insert is done. give back the inserted result (with potential generated values)
+     */
+    insert(table, records, callback){
+        if(!this.holdsStore){ return this._writeOutsideTransaction("insert", arguments) ; }
+        if(!records) { return callback("Try to insert null record in table "+table) ; }
+        this.getSchema((err, schema)=>{
+            if(err){ return callback(err); }
+
+            if(!Array.isArray(records)){
+                records = [records] ;
+            }
+
+            let inserted = null ;
+            try{
+                let storedRecords = this._getRecords(table) ;
+                let pkColumns = schema[table].pk ;
+                let newRecords = [] ;
+                for(let record of records){
+                    let newRecord = this.connection.store.createRecord(table, record) ;
+                    let filterPk = this._pkFilter(newRecord, pkColumns) ;
+                    if(storedRecords.some(filterPk) || newRecords.some(filterPk)){
+                        throw "duplicate key value violates unique constraint \""+table+"_pkey\"" ;
+                    }
+                    newRecords.push(newRecord) ;
+                }
+                for(let newRecord of newRecords){
+                    storedRecords.push(newRecord) ;
+                }
+                inserted = this.constructResults(schema, table, null, [Object.assign({}, newRecords[0])], null)[0] ;
+            }catch(e){
+                return this._done(callback, e) ;
+            }
+            this._done(callback, null, copyValue(inserted)) ;
+        }) ;
+    }
+
+    /**
+     * Insert a batch of a bulk insert in the records of the table
+     *
+     * @private
+     * @see VeloxDbPgClient#_bulkInsertBatch
+     */
+    _bulkInsertBatch(table, cols, records, schema, callback){
+        this.constructor.prototype.insert.call(this, table, records, (err)=>{ callback(err) ; }) ;
+    }
+
+    /**
+     * Insert records or update them if a record with the same conflict columns values already exists
+     *
+     * The memory backend has no unique constraint, targeting a constraint by its name is not supported
+     *
+     * @see VeloxDbPgClient#upsert
+     */
+    upsert(table, records, options, callback){
+        if(!this.holdsStore){ return this._writeOutsideTransaction("upsert", arguments) ; }
+        if(typeof(options) === "function"){
+            callback = options ;
+            options = null ;
+        }
+        options = options || {} ;
+        if(!records) { return callback("Try to upsert null record in table "+table) ; }
+        let single = !Array.isArray(records) ;
+        if(single){
+            records = [records] ;
+        }
+        if(options.constraint && !options.conflictColumns){
+            return callback("The memory backend can't upsert on constraint "+options.constraint+", give the conflict columns") ;
+        }
+        this.getSchema((err, schema)=>{
+            if(err){ return callback(err); }
+
+            if(!schema[table]){
+                return callback("Unkown table "+table) ;
+            }
+
+            let upserted = [] ;
+            try{
+                let cols = schema[table].columns.filter((c)=>{ 
+                    return records.some((r)=>{ return r[c.name] !== undefined ;}) ;
+                }).map((c)=>{ return c.name ;}) ;
+                let {conflictColumns, updateColumns} = this._prepareUpsertColumns(table, cols, options, schema) ;
+                let storedRecords = this._getRecords(table) ;
+                let pkColumns = schema[table].pk ;
+                for(let record of records){
+                    let stored = storedRecords.find(this._pkFilter(record, conflictColumns)) ;
+                    if(stored){
+                        for(let c of updateColumns){
+                            if(record[c] !== undefined){
+                                stored[c] = copyValue(record[c]) ;
+                            }
+                        }
+                    }else{
+                        stored = this.connection.store.createRecord(table, record) ;
+                        if(storedRecords.some(this._pkFilter(stored, pkColumns))){
+                            throw "duplicate key value violates unique constraint \""+table+"_pkey\"" ;
+                        }
+                        storedRecords.push(stored) ;
+                    }
+                    upserted.push(this.constructResults(schema, table, null, [Object.assign({}, stored)], null)[0]) ;
+                }
+            }catch(e){
+                return this._done(callback, e) ;
+            }
+            this._done(callback, null, copyValue(single ? upserted[0] : upserted)) ;
+        }) ;
+    }
+
+    /**
+     * Compute the new value of a column. A {$merge: {...}} value is merged in the current JSON value
+     *
+     * @private
+     * @param {string} table the table name
+     * @param {object} column the column definition
+     * @param {*} value the written value
+     * @param {*} currentValue the current value of the column
+     * @return {*} the value to store
+     */
+    _columnWriteValue(table, column, value, currentValue){
+        if(value && typeof(value) === "object" && !Array.isArray(value) && value.$merge !== undefined){
+            if(!isJsonObject(value.$merge)){
+                throw "Update of "+table+"."+column.name+" failed. $merge expects an object" ;
+            }
+            let current = readJson(currentValue) ;
+            return Object.assign({}, isJsonObject(current) ? current : {}, copyValue(value.$merge)) ;
+        }
+        return copyValue(value) ;
+    }
+
+    /**
+     * Update a record in the table. Give back the updated record (with potential generated values)
+     *
+     * @param {string} table the table name
+     * @param {object} record the object to insert
+     * @param {function(Error, object)} callback called when insert is done. give back the updated result (with potential generated values)
+     */
+    update(table, record, callback){
+        if(!this.holdsStore){ return this._writeOutsideTransaction("update", arguments) ; }
+        if(!record) { return callback("Try to update null record in table "+table) ; }
+        this.getSchema((err, schema)=>{
+            if(err){ return callback(err); }
+
+            let columns = schema[table].columns ;
+            let pkColumns = schema[table].pk ;
+
+            //check PK
+            for(let k of pkColumns){
+                if(Object.keys(record).indexOf(k) === -1){
+                    return callback("Error updating in table "+table+", the given record miss primary key "+k+" property") ;
+                }
+            }
+
+            let sets = columns.filter((c)=>{
+                return record[c.name] !== undefined && pkColumns.indexOf(c.name) === -1 ;
+            }) ;
+
+            if(sets.length === 0){
+                //nothing to update, select the record and return it
+                return this.getByPk(table, record, callback) ;
+            }
+
+            let updated = null ;
+            try{
+                let stored = this._getRecords(table).find(this._pkFilter(record, pkColumns)) ;
+                if(stored){
+                    for(let c of sets){
+                        stored[c.name] = this._columnWriteValue(table, c, record[c.name], stored[c.name]) ;
+                    }
+                    updated = this.constructResults(schema, table, null, [Object.assign({}, stored)], null)[0] ;
+                }
+            }catch(e){
+                return this._done(callback, e) ;
+            }
+            this._done(callback, null, copyValue(updated)) ;
+        }) ;
+    }
+
+    /**
+     * Update all record where condition is true
+     *
+     * @param {string} table the table name
+     * @param {object} values the new values
+     * @param {object} condition the search condition
+     * @param {function(Error)} callback called when done
+     */
+    updateWhere(table, values, conditions, callback){
+        if(!this.holdsStore){ return this._writeOutsideTransaction("updateWhere", arguments) ; }
+        this.getSchema((err, schema)=>{
+            if(err){ return callback(err); }
+
+            let updated = [] ;
+            try{
+                let columns = schema[table].columns ;
+                let filter = this._prepareFilter(columns, conditions, table) ;
+                updated = this._getRecords(table).filter(filter) ;
+                for(let stored of updated){
+                    for(let c of columns){
+                        if(values[c.name] !== undefined){
+                            stored[c.name] = this._columnWriteValue(table, c, values[c.name], stored[c.name]) ;
+                        }
+                    }
+                }
+            }catch(e){
+                return this._done(callback, e) ;
+            }
+            if(updated.length === 0){
+                return this._done(callback, null, null) ;
+            }
+            this._done(callback, null, copyValue(this.constructResults(schema, table, null, [Object.assign({}, updated[0])], null))) ;
+        }) ;
+    }
+
+    /**
+     * Delete a record in the table by its pk
+     *
+     * @param {string} table the table name
+     * @param {any|object} pk the pk value. can be an object containing each value for composed keys
+     * @param {function(Error)} callback called when done
+     */
+    remove(table, pk, callback){
+        if(!this.holdsStore){ return this._writeOutsideTransaction("remove", arguments) ; }
+        this.getPrimaryKey(table, (err, pkColumns)=>{
+            if(err){ return callback(err); }
+
+            let rowCount = 0 ;
+            try{
+                pk = this._formatPk(table, pk, pkColumns, "deleting") ;
+                rowCount = this._removeRecords(table, this._pkFilter(pk, pkColumns)) ;
+            }catch(e){
+                return this._done(callback, e) ;
+            }
+            this._done(callback, null, {rows: [], rowCount: rowCount}) ;
+        }) ;
+    }
+
+    /**
+     * Delete a record in the table following conditions
+     *
+     * @param {string} table the table name
+     * @param {object} condition the search condition
+     * @param {function(Error)} callback called when done
+     */
+    removeWhere(table, conditions, callback){
+        if(!this.holdsStore){ return this._writeOutsideTransaction("removeWhere", arguments) ; }
+        this.getSchema((err, schema)=>{
+            if(err){ return callback(err); }
+
+            if(!schema[table]){
+                return callback("Unkown table "+table) ;
+            }
+
+            let rowCount = 0 ;
+            try{
+                rowCount = this._removeRecords(table, this._prepareFilter(schema[table].columns, conditions, table)) ;
+            }catch(e){
+                return this._done(callback, e) ;
+            }
+            this._done(callback, null, {rows: [], rowCount: rowCount}) ;
+        }) ;
+    }
+
+    /**
+     * Remove the records matching the filter
+     *
+     * @private
+     * @param {string} table the table name
+     * @param {function(object)} filter the filter function
+     * @return {number} the number of removed records
+     */
+    _removeRecords(table, filter){
+        let records = this._getRecords(table) ;
+        let kept = records.filter((r)=>{ return !filter(r) ;}) ;
+        this.connection.store.tables[table] = kept ;
+        return records.length - kept.length ;
+    }
+
+    /**
+     * Run a write of a client that is not in a transaction : it waits for the running transaction to finish
+     * so the rollback of this transaction can't remove it
+     *
+     * @private
+     * @param {string} method the write method
+     * @param {Arguments} args the arguments of the write, the callback is the last one
+     */
+    _writeOutsideTransaction(method, args){
+        args = Array.prototype.slice.call(args) ;
+        let callback = args.pop() ;
+        let store = this.connection.store ;
+        store.acquireTransaction(()=>{
+            let writer = this.clone() ;
+            writer.holdsStore = true ;
+            this.constructor.prototype[method].apply(writer, args.concat([function(){
+                store.releaseTransaction() ;
+                callback.apply(null, arguments) ;
+            }])) ;
+        }) ;
+    }
+
+    /**
+     * Do some actions in a database inside an unique transaction
+     *
+     * The data are restored if the transaction is rollbacked. The transactions are run one after the other, the writes
+     * done outside of a transaction wait for the running transaction to finish.
+     *
+     * @see VeloxDbPgClient#transaction
+     *
+     * @param {function({VeloxDbMemoryClient}, {function(err, result)})} callbackDoTransaction - function that do the content of the transaction receive tx should call done() on finish
+     * @param {function(err)} [callbackDone] - called when the transaction is finished
+     * @param {number} timeout - if this timeout (seconds) is expired, the transaction is automatically rollbacked.
+     */
+    transaction(callbackDoTransaction, callbackDone, timeout){
+        if(!callbackDone){ callbackDone = function(){} ;}
+        this.connection.store.acquireTransaction(()=>{
+            super.transaction((tx, done)=>{
+                tx.holdsStore = true ;
+                callbackDoTransaction(tx, done) ;
+            }, function(){
+                this.connection.store.releaseTransaction() ;
+                callbackDone.apply(null, arguments) ;
+            }.bind(this), timeout) ;
+        }) ;
+    }
+}
+
+/**
+ * VeloxDatabase in memory backend
+ *
+ * Load a schema description and keep the data in memory. It is intended for unit tests of code using VeloxDatabase
+ * (and of extensions : the interceptors are run as with the other backends)
+ *
+ * @example
+ * const db = new VeloxDatabase({
+ *    backend: "memory",
+ *    schema: {
+ *       customer : { columns: [{name: "id", type: "int"}, {name: "name", type: "varchar", size: 128}], pk: ["id"] },
+ *       orders : { columns: [{name: "id", type: "int"}, {name: "customer_id", type: "int"}], pk: ["id"],
+ *                  fk: [{targetTable: "customer", thisColumn: "customer_id", targetColumn: "id"}] }
+ *    },
+ *    data: {
+ *       customer: [{id: 1, name: "John"}]
+ *    }
+ * }) ;
+ */
+class VeloxDbMemoryBackend {
+
+   /**
+     * @typedef VeloxDbMemoryBackendOptions
+     * @type {object}
+     * @property {object} schema the tables description {table: {columns: [{name, type, size}], pk: [], fk: [{targetTable, thisColumn, targetColumn}]}}
+     * @property {object} [data] the initial data {table: [records]}
+     * @property {VeloxLogger} logger logger
+     */
+
+    /**
+     * Create a VeloxDbMemoryBackend
+     *
+     * @param {VeloxDbMemoryBackendOptions} options
+     */
+    constructor(options){
+        this.options = options ;
+
+        for( let k of ["schema"]){
+            if(options[k] === undefined) { throw "VeloxDbMemoryBackend : missing option "+k ; }
+        }
+
+        this.logger = new VeloxLogger("VeloxDbMemoryBackend", options.logger) ;
+        this.cache = {} ;
+        this.store = new VeloxDbMemoryStore(options.schema, options.data) ;
+        this.customClientInit = options.customClientInit || [] ;
+    }
+
+    /**
+     * Replace all the data (useful to reset the data between tests)
+     *
+     * @param {object} [data] the data {table: [records]}
+     */
+    loadData(data){
+        this.store.load(data) ;
+    }
+
+    /**
+     * Get a database client
+     *
+     * @param {function(Error, VeloxDbMemoryClient)} callback - Callback with VeloxDbMemoryClient instance
+     */
+    open(callback){
+        var idConnect = clientIdInc++ ;
+        let dbClient = new VeloxDbMemoryClient(new VeloxDbMemoryConnection(this.store), function(){}, this.logger, this.cache, {}, this.customClientInit) ;
+        dbClient.id = idConnect ;
+        setImmediate(()=>{ callback(null, dbClient) ; }) ;
+    }
+
+    /**
+     * Nothing to create for the memory backend
+     *
+     * @param {function(err)} callback
+     */
+    createIfNotExist(callback){
+        setImmediate(callback) ;
+    }
+}
+
+module.exports = VeloxDbMemoryBackend ;
@@ -0,0 +1,1020 @@
+const mysql = require("mysql") ;
+const VeloxLogger = require("velox-commons/VeloxLogger") ;
+const VeloxDbPgClient = require("../pg/VeloxDbPgBackend").VeloxDbPgClient ;
+
+const DB_VERSION_TABLE = "velox_db_version" ;
+
+/**
+ * Biggest value accepted by MySQL LIMIT, used to give an OFFSET without LIMIT
+ */
+const MAX_LIMIT = "18446744073709551615" ;
+
+var clientIdInc = 0;
+
+/**
+ * Wrap the MySQL connection to give it the same query API than the pg connection
+ */
+class VeloxDbMysqlConnection {
+
+    /**
+     * Create the connection wrapper
+     *
+     * @param {object} connection the mysql connection
+     */
+    constructor(connection){
+        this.connection = connection ;
+    }
+
+    /**
+     * Execute a query and give back the result in the same format than pg : {rows: [], rowCount: 0}
+     *
+     * The $1, $2... parameters of the query are transformed to MySQL positional parameters ?
+     * (params are reordered, a parameter used many times is given many times)
+     *
+     * On INSERT, the generated auto increment value is given back in insertId
+     *
+     * @param {string} sql - SQL to execute
+     * @param {Array} [params] - Params
+     * @param {function(err, results)} callback - called when finished
+     */
+    query(sql, params, callback){
+        if(!callback && typeof(params) === "function"){
+            callback = params;
+            params = [];
+        }
+        let values = null ;
+        ({sql, values} = this._positionalParams(sql, params)) ;
+        this.connection.query(sql, values, (err, results)=>{
+            if(err){ return callback(err) ;}
+            if(Array.isArray(results)){
+                return callback(null, {rows: results, rowCount: results.length}) ;
+            }
+            callback(null, {rows: [], rowCount: results.affectedRows, insertId: results.insertId}) ;
+        }) ;
+    }
+
+    /**
+     * Open a cursor on a query. The rows are read from the mysql query stream, the connection is paused 
+     * while the read rows are not consumed
+     *
+     * @param {string} sql - SQL to execute
+     * @param {Array} [params] - Params
+     * @param {function(err, cursor)} callback - called with the cursor {read: function(count, callback(err, rows)), close: function(callback)}
+     */
+    cursor(sql, params, callback){
+        let values = null ;
+        ({sql, values} = this._positionalParams(sql, params)) ;
+        let stream = this.connection.query(sql, values).stream() ;
+        let ended = false ;
+        let error = null ;
+        let pending = null ;
+        let check = ()=>{
+            if(!pending){ return ; }
+            let row ;
+            while(pending.rows.length < pending.count && (row = stream.read()) !== null){
+                pending.rows.push(row) ;
+            }
+            if(error || ended || pending.rows.length >= pending.count){
+                let done = pending ;
+                pending = null ;
+                done.callback(error, done.rows) ;
+            }
+        } ;
+        stream.on("readable", check) ;
+        stream.on("end", ()=>{
+            ended = true ;
+            check() ;
+        }) ;
+        stream.on("error", (err)=>{
+            error = err ;
+            ended = true ;
+            check() ;
+        }) ;
+        callback(null, {
+            read: (count, cb)=>{
+                pending = {count: count, rows: [], callback: cb} ;
+                check() ;
+            },
+            close: (cb)=>{
+                if(ended){ return cb() ; }
+                //MySQL can't stop a running query, the remaining rows are read and ignored
+                stream.removeListener("readable", check) ;
+                stream.on("end", ()=>{ cb() ; }) ;
+                stream.resume() ;
+            }
+        }) ;
+    }
+
+    /**
+     * Transform the $1, $2... parameters of the query to MySQL positional parameters ?
+     *
+     * @private
+     * @param {string} sql - SQL with $1, $2... parameters
+     * @param {Array} [params] - Params
+     * @return {object} the transformed query {sql: "", values: []}
+     */
+    _positionalParams(sql, params){
+        if(!params){
+            params = [] ;
+        }
+        let values = [] ;
+        sql = sql.replace(/\$(\d+)/g, (match, paramNumber)=>{
+            values.push(params[parseInt(paramNumber, 10)-1]) ;
+            return "?" ;
+        }) ;
+        return {sql: sql, values: values} ;
+    }
+}
+
+/**
+ * MySQL/MariaDB database client
+ *
+ * It reuse the SQL generation of the PostgreSQL client and only override what is specific to MySQL
+ */
+class VeloxDbMysqlClient extends VeloxDbPgClient {
+
+    /**
+     * Give the query that set the statement timeout of the connection
+     *
+     * Note : MySQL only apply the max_execution_time to the SELECT queries
+     *
+     * @private
+     * @param {number} [timeout] the timeout (ms), if not given the server default is restored
+     * @return {string} the SQL query
+     */
+    _statementTimeoutQuery(timeout){
+        return "SET SESSION max_execution_time = "+(timeout === undefined ? "DEFAULT" : Number(timeout)) ;
+    }
+
+    /**
+     * Check if the db version table exists
+     * @param {function(err, exists)} callback - Called when check is done
+     */
+    dbVersionTableExists(callback) {
+        this.connection.query(`SELECT count(*) AS nb FROM information_schema.tables
+                WHERE table_schema = DATABASE() AND table_name = $1`,
+            [DB_VERSION_TABLE], (err, res) => {
+                if(err){ return callback(err); }
+                callback(null, res.rows[0].nb > 0) ;
+        });
+    }
+
+    /**
+     * Create the db version table and initialize it with version 0
+     *
+     * @param {function(err)} callback - called when finished
+     */
+    createDbVersionTable(callback) {
+        this.connection.query(`CREATE TABLE ${DB_VERSION_TABLE} (
+                    version bigint,
+                    last_update datetime,
+                    checksums text
+                    ) `, [], (err) => {
+                        if(err){ return callback(err); }
+                        this.connection.query(`INSERT INTO ${DB_VERSION_TABLE} (version, last_update)
+                            VALUES ($1, ${this._sqlNow()})`, [0], callback) ;
+                    });
+    }
+
+    /**
+     * Quote an identifier (table or column name) with backticks
+     *
+     * @param {string} name the identifier to quote
+     * @return {string} the quoted identifier
+     */
+    _escapeId(name){
+        return "`"+name+"`" ;
+    }
+
+    /**
+     * MySQL does not accept OFFSET without LIMIT
+     *
+     * @param {number} [limit] limit
+     * @param {number} [offset] offset
+     * @return {string} the SQL clause
+     */
+    _limitOffsetClause(limit, offset){
+        let clause = ` LIMIT ${limit || MAX_LIMIT}` ;
+        if(offset) {
+            clause += ` OFFSET ${offset}` ;
+        }
+        return clause ;
+    }
+
+    /**
+     * MySQL consider NULL smaller than any value (NULLS FIRST in ascending order)
+     *
+     * @param {boolean} desc true for descending order
+     * @return {boolean} true if NULL values come last
+     */
+    _nullsLast(desc){
+        return desc ;
+    }
+
+    /**
+     * MySQL has no text search vectors, the full text search is done by searching each word with LIKE
+     *
+     * @private
+     * @see VeloxDbPgClient#_ftsTokenCondition
+     */
+    _ftsCondition(table, alias, column, value, lang, params){
+        return this._ftsTokenCondition(table, alias, column, value, params) ;
+    }
+
+    /**
+     * No full text index with MySQL, the full text search is done with LIKE conditions
+     *
+     * @param {function(Error)} callback called when done
+     */
+    createFullTextIndexes(callback){
+        callback() ;
+    }
+
+    /**
+     * MySQL does not have ILIKE operator but LIKE is case insensitive with the default collations
+     */
+    _prepareWhereCondition(columns, search, table, params, alias, ranks){
+        let conditions = super._prepareWhereCondition(columns, search, table, params, alias, ranks) ;
+        conditions.where = conditions.where.map((w)=>{ return w.replace(/ ILIKE /gi, " LIKE ") ;}) ;
+        return conditions ;
+    }
+
+    /**
+     * Read a value inside a JSON column with JSON_EXTRACT
+     *
+     * @private
+     * @see VeloxDbPgClient#_jsonPathValue
+     */
+    _jsonPathValue(colSql, path){
+        return `JSON_UNQUOTE(JSON_EXTRACT(${colSql}, '${this._jsonPathString(path)}'))` ;
+    }
+
+    /**
+     * Sort on the JSON value (not unquoted) to sort numbers as numbers
+     *
+     * @private
+     * @see VeloxDbPgClient#_jsonPathOrderValue
+     */
+    _jsonPathOrderValue(colSql, path){
+        return `JSON_EXTRACT(${colSql}, '${this._jsonPathString(path)}')` ;
+    }
+
+    /**
+     * Create the JSON path string (ex : $.address.city, $.items[0])
+     *
+     * @private
+     * @param {string[]} path the path inside the JSON
+     * @return {string} the JSON path string
+     */
+    _jsonPathString(path){
+        return "$"+path.map((p)=>{ return /^[0-9]+$/.test(p) ? "["+p+"]" : "."+p ;}).join("") ;
+    }
+
+    /**
+     * JSON operators with JSON_CONTAINS_PATH and JSON_CONTAINS
+     *
+     * @private
+     * @see VeloxDbPgClient#_jsonCondition
+     */
+    _jsonCondition(colSql, ope, value, params){
+        if(ope === "@>"){
+            params.push(typeof(value) === "string" ? value : JSON.stringify(value)) ;
+            return `JSON_CONTAINS(${colSql}, $${params.length})` ;
+        }
+        let keys = (Array.isArray(value) ? value : [value]).map((k)=>{
+            params.push("$."+JSON.stringify(String(k))) ;
+            return "$"+params.length ;
+        }) ;
+        return `JSON_CONTAINS_PATH(${colSql}, '${ope === "?&" ? "all" : "one"}', ${keys.join(", ")})` ;
+    }
+
+    /**
+     * Merge JSON with JSON_MERGE_PATCH
+     *
+     * @private
+     * @see VeloxDbPgClient#_jsonMergeValue
+     */
+    _jsonMergeValue(colSql, paramSql){
+        return `JSON_MERGE_PATCH(COALESCE(${colSql}, '{}'), ${paramSql})` ;
+    }
+
+    /**
+     * Read a record by its primary key without any join or interceptor
+     *
+     * @private
+     * @param {object} schema the schema
+     * @param {string} table the table name
+     * @param {object} pkValues the primary key values
+     * @param {function(Error, object)} callback called with the record
+     */
+    _readRecord(schema, table, pkValues, callback){
+        this._readRecordByColumns(schema, table, schema[table].pk, pkValues, callback) ;
+    }
+
+    /**
+     * Read a record by the value of some columns (that must be unique) without any join or interceptor
+     *
+     * @private
+     * @param {object} schema the schema
+     * @param {string} table the table name
+     * @param {string[]} columns the columns to search on
+     * @param {object} values the values of the columns
+     * @param {function(Error, object)} callback called with the record
+     */
+    _readRecordByColumns(schema, table, columns, values, callback){
+        let where = [] ;
+        let params = [] ;
+        for(let k of columns){
+            params.push(values[k]) ;
+            where.push(this._escapeId(k)+" = $"+params.length) ;
+        }
+        this._queryFirst(`SELECT * FROM ${table} WHERE ${where.join(" AND ")}`, params, (err, row)=>{
+            if(err){ return callback(err) ;}
+            if(!row){
+                return callback(null, null) ;
+            }
+            let records = this.constructResults(schema, table,  null, [row], null) ;
+            callback(null, records[0]) ;
+        }) ;
+    }
+
+    /**
+     * Remove all record where condition is true
+     *
+     * MySQL needs the DELETE t FROM syntax to use an alias on the deleted table
+     *
+     * @param {string} table the table name
+     * @param {object} condition the search condition
+     * @param {function(Error)} callback called when done
+     */
+    removeWhere(table, conditions, callback){
+        this.getSchema((err, schema)=>{
+            if(err){ return callback(err); }
+
+            if(!schema[table]){
+                return callback("Unkown table "+table) ;
+            }
+
+            let columns = schema[table].columns ;
+            try {
+                var {where, params} = this._prepareWhereCondition(columns, conditions, table) ;
+            }catch(e){
+                return callback(e) ;
+            }
+
+            let sql = `DELETE t FROM ${table} AS t WHERE ${where.join(" AND ")}` ;
+
+            this._query(sql, params, callback) ;
+        }) ;
+    }
+
+    /**
+     * Update all record where condition is true
+     *
+     * As MySQL does not support UPDATE ... RETURNING, the callback receive the number of updated records
+     *
+     * @param {string} table the table name
+     * @param {object} values the new values
+     * @param {object} condition the search condition
+     * @param {function(Error, number)} callback called when done
+     */
+    updateWhere(table, values, conditions, callback){
+        this.getSchema((err, schema)=>{
+            if(err){ return callback(err); }
+
+            let columns = schema[table].columns ;
+
+            let sets = [];
+
+            try {
+                var {where, params} = this._prepareWhereCondition(columns, conditions, table) ;
+            }catch(e){
+                return callback(e) ;
+            }
+
+            try {
+                for(let c of columns){
+                    if(values[c.name] !== undefined){
+                        let colSql = "t."+this._escapeId(c.name) ;
+                        sets.push(colSql+" = "+this._columnWriteValue(table, c, values[c.name], params, colSql)) ;
+                    }
+                }
+            }catch(e){
+                return callback(e) ;
+            }
+
+            let sql = `UPDATE ${table} AS t SET ${sets.join(",")} WHERE ${where.join(" AND ")}` ;
+
+            this._query(sql, params, (err, result) => {
+                if(err){ return callback(err) ;}
+                callback(null, result.rowCount) ;
+            }) ;
+        }) ;
+    }
+
+    /**
+     * Insert a record in the table. Give back the inserted record (with potential generated values)
+     *
+     * As MySQL does not support INSERT ... RETURNING, the record is read again after insert using
+     * its primary key or the generated auto increment value
+     *
+     * @param {string} table the table name
+     * @param {object} records the object to insert or an array of object to insert
+     * @param {function(Error, object)} callback called when insert is done. give back the inserted result (with potential generated values)
+     */
+    insert(table, records, callback){
+        if(!records) { return callback("Try to insert null record in table "+table) ; }
+        this.getSchema((err, schema)=>{
+            if(err){ return callback(err); }
+
+            let cols = [];
+            let values = [];
+            let params = [] ;
+            if(!Array.isArray(records)){
+                records = [records] ;
+            }
+            for(let c of schema[table].columns){
+                for(let r of records){
+                    if(r[c.name] !== undefined){
+                        cols.push(c.name) ;
+                        break;
+                    }
+                }
+            }
+            if(cols.length === 0){
+                return callback("Can't found any column to insert in "+table+" from record "+JSON.stringify(records)) ;
+            }
+
+            for(let record of records){
+                var valuesCols = [] ;
+                for(let c of cols){
+                    params.push(record[c]) ;
+                    valuesCols.push(this.getColumnWrite(table, c, params.length)) ;
+                }
+                values.push(`(${valuesCols.join(",")})`);
+            }
+
+            let sql = `INSERT INTO ${table}(${cols.map((c)=>{ return this._escapeId(c) ;}).join(",")}) VALUES ${values.join(",")}` ;
+
+            this._query(sql, params, (err, result) => {
+                if(err){ return callback(err) ;}
+                let pkValues = {} ;
+                for(let k of schema[table].pk){
+                    pkValues[k] = records[0][k] ;
+                }
+                let pkColumns = schema[table].pk ;
+                if(pkColumns.length === 1 && pkValues[pkColumns[0]] === undefined && result.insertId){
+                    //the primary key is an auto increment column, insertId is the value of the first inserted record
+                    pkValues[pkColumns[0]] = result.insertId ;
+                }
+                this._readRecord(schema, table, pkValues, callback) ;
+            }) ;
+        }) ;
+    }
+
+    /**
+     * Open a cursor on a query with the mysql query stream
+     *
+     * @private
+     * @see VeloxDbPgClient#_openCursor
+     */
+    _openCursor(sql, params, callback){
+        this.logger.debug("Open cursor on SQL "+sql+", params "+JSON.stringify(params)) ;
+        this.connection.cursor(sql, params, callback) ;
+    }
+
+    /**
+     * MySQL has no COPY, the batches of a bulk insert are loaded with multi-rows INSERT
+     *
+     * @private
+     * @see VeloxDbPgClient#_bulkInsertBatch
+     */
+    _bulkInsertBatch(table, cols, records, schema, callback){
+        this._insertBatch(table, records, schema, callback) ;
+    }
+
+    /**
+     * Insert records or update them if they already exist, using INSERT ... ON DUPLICATE KEY UPDATE
+     *
+     * MySQL checks the conflict on all the unique keys of the table, the conflict columns are only used 
+     * to read the records again after the upsert (when they are not given, the auto increment value is used for a single record). 
+     * Targeting a constraint by its name is not supported
+     *
+     * @see VeloxDbPgClient#upsert
+     */
+    upsert(table, records, options, callback){
+        if(typeof(options) === "function"){
+            callback = options ;
+            options = null ;
+        }
+        options = options || {} ;
+        if(!records) { return callback("Try to upsert null record in table "+table) ; }
+        let single = !Array.isArray(records) ;
+        if(single){
+            records = [records] ;
+        }
+        if(records.length === 0){
+            return callback(null, []) ;
+        }
+        if(options.constraint && !options.conflictColumns){
+            return callback("MySQL can't upsert on constraint "+options.constraint+", give the conflict columns") ;
+        }
+        if(this._upsertByColumnsGroups(table, records, options, callback)){
+            return;
+        }
+        this.getSchema((err, schema)=>{
+            if(err){ return callback(err); }
+
+            if(!schema[table]){
+                return callback("Unkown table "+table) ;
+            }
+
+            let params = [] ;
+            let cols = null;
+            let values = null;
+            let upsertColumns = null ;
+            try{
+                ({cols, values} = this._prepareInsertValues(table, records, schema, params)) ;
+                upsertColumns = this._prepareUpsertColumns(table, cols, options, schema) ;
+            }catch(e){
+                return callback(e) ;
+            }
+            let conflictColumns = upsertColumns.conflictColumns ;
+            let sets = upsertColumns.updateColumns.map((c)=>{ return this._escapeId(c)+" = VALUES("+this._escapeId(c)+")" ;}) ;
+            if(sets.length === 0){
+                //nothing to update, keep the existing record
+                sets.push(this._escapeId(cols[0])+" = "+this._escapeId(cols[0])) ;
+            }
+
+            let sql = `INSERT INTO ${table}(${cols.map((c)=>{ return this._escapeId(c) ;}).join(",")}) VALUES ${values.join(",")} 
+                ON DUPLICATE KEY UPDATE ${sets.join(", ")}` ;
+
+            this._query(sql, params, (err, result) => {
+                if(err){ return callback(err) ;}
+                let upserted = [] ;
+                let readNext = (i)=>{
+                    if(i >= records.length){
+                        return callback(null, single ? upserted[0] : upserted) ;
+                    }
+                    let record = records[i] ;
+                    let readColumns = conflictColumns ;
+                    let readValues = record ;
+                    if(!conflictColumns.every((c)=>{ return record[c] !== undefined && record[c] !== null ;})){
+                        let pkColumns = schema[table].pk ;
+                        if(!single || pkColumns.length !== 1 || !result.insertId){
+                            //can't find back the record
+                            upserted.push(null) ;
+                            return readNext(i+1) ;
+                        }
+                        readColumns = pkColumns ;
+                        readValues = {} ;
+                        readValues[pkColumns[0]] = result.insertId ;
+                    }
+                    this._readRecordByColumns(schema, table, readColumns, readValues, (err, upsertedRecord)=>{
+                        if(err){ return callback(err) ;}
+                        upserted.push(upsertedRecord) ;
+                        readNext(i+1) ;
+                    }) ;
+                } ;
+                readNext(0) ;
+            }) ;
+        }) ;
+    }
+
+    /**
+     * Update a record in the table. Give back the updated record (with potential generated values)
+     *
+     * As MySQL does not support UPDATE ... RETURNING, the record is read again after update
+     *
+     * @param {string} table the table name
+     * @param {object} record the object to insert
+     * @param {function(Error, object)} callback called when insert is done. give back the updated result (with potential generated values)
+     */
+    update(table, record, callback){
+        if(!record) { return callback("Try to update null record in table "+table) ; }
+        this.getSchema((err, schema)=>{
+            if(err){ return callback(err); }
+
+            let columns = schema[table].columns ;
+            let pkColumns = schema[table].pk ;
+
+            //check PK
+            for(let k of pkColumns){
+                if(Object.keys(record).indexOf(k) === -1){
+                    return callback("Error updating in table "+table+", the given record miss primary key "+k+" property") ;
+                }
+            }
+
+            let sets = [];
+            let params = [] ;
+            try {
+                for(let c of columns){
+                    if(record[c.name] !== undefined && pkColumns.indexOf(c.name) === -1){
+                        sets.push(this._escapeId(c.name)+" = "+this._columnWriteValue(table, c, record[c.name], params)) ;
+                    }
+                }
+            }catch(e){
+                return callback(e) ;
+            }
+            let where = [] ;
+            for(let k of pkColumns){
+                params.push(record[k]) ;
+                where.push(this._escapeId(k)+" = $"+params.length) ;
+            }
+
+            if(sets.length === 0){
+                //nothing to update, select the record and return it
+                return this.getByPk(table, record, callback) ;
+            }
+
+            let sql = `UPDATE ${table} SET ${sets.join(",")} WHERE ${where.join(" AND ")}` ;
+
+            this._query(sql, params, (err, result) => {
+                if(err){ return callback(err) ;}
+                if(result.rowCount === 0){
+                    return callback(null, null) ;
+                }
+                this._readRecord(schema, table, record, callback) ;
+            }) ;
+        }) ;
+    }
+
+    /**
+     * Read the tables, columns, primary keys and foreign keys from the database
+     *
+     * @private
+     * @param {function(Error, object)} callback called with the raw schema
+     */
+    _readSchema(callback){
+        this._query(`
+                SELECT c.table_name AS table_name, c.column_name AS column_name, c.data_type AS data_type,
+                    c.column_type AS column_type, c.character_maximum_length AS character_maximum_length,
+                    c.numeric_precision AS numeric_precision, c.datetime_precision AS datetime_precision,
+                    c.is_nullable AS is_nullable, c.column_default AS column_default
+                    FROM information_schema.columns c
+                JOIN information_schema.tables t ON c.table_schema = t.table_schema AND c.table_name = t.table_name
+                    WHERE c.table_schema = DATABASE()
+                    AND t.table_type IN ('BASE TABLE', 'VIEW')
+                    ORDER BY c.table_name, c.ordinal_position
+        `, [], (err, results)=>{
+            if(err){ return callback(err); }
+
+            let schema = {} ;
+            for(let r of results.rows){
+                let table = schema[r.table_name] ;
+                if(!table){
+                    table = {
+                        columns: [],
+                        pk: [],
+                        fk: [],
+                        unique: [],
+                        indexes: [],
+                        checks: []
+                    } ;
+                    schema[r.table_name] = table;
+                }
+                let column = {
+                    name: r.column_name,
+                    type: this._sanitizeType(r.data_type, r.column_type),
+                    size : r.character_maximum_length || r.numeric_precision || r.datetime_precision,
+                    nullable: r.is_nullable === "YES",
+                    defaultValue: r.column_default === undefined ? null : r.column_default
+                } ;
+                let enumValues = this._parseEnumValues(r.column_type) ;
+                if(enumValues){
+                    column.values = enumValues ;
+                }
+                table.columns.push(column) ;
+            }
+
+            //MySQL store primary and foreign keys in key_column_usage, the primary key constraint is always named PRIMARY
+            this._query(`
+                SELECT k.table_name AS table_name, k.column_name AS column_name, k.constraint_name AS constraint_name,
+                    k.referenced_table_name AS foreign_table_name, k.referenced_column_name AS foreign_column_name
+                    FROM information_schema.key_column_usage k
+                    WHERE k.table_schema = DATABASE()
+                    AND (k.constraint_name = 'PRIMARY' OR k.referenced_table_name IS NOT NULL)
+                    ORDER BY k.table_name, k.constraint_name, k.ordinal_position
+            `, [], (err, results)=>{
+                if(err){ return callback(err); }
+                for(let r of results.rows){
+                    let table = schema[r.table_name] ;
+                    if(!table){ continue ; }
+                    if(r.constraint_name === "PRIMARY"){
+                        table.pk.push(r.column_name) ;
+                    }else{
+                        table.fk.push({
+                            targetTable: r.foreign_table_name,
+                            thisColumn: r.column_name,
+                            targetColumn: r.foreign_column_name,
+                        }) ;
+                    }
+                }
+                callback(null, schema) ;
+            }) ;
+        }) ;
+    }
+
+    /**
+     * Give the values of an enum column type (ex : enum('a','b'))
+     *
+     * @private
+     * @param {string} columnType the full column type
+     * @return {string[]} the enum values or null if the column is not an enum
+     */
+    _parseEnumValues(columnType){
+        let match = /^enum\((.*)\)$/i.exec(columnType || "") ;
+        if(!match){
+            return null ;
+        }
+        let values = [] ;
+        let regexp = /'((?:[^']|'')*)'/g ;
+        let value ;
+        while((value = regexp.exec(match[1])) !== null){
+            values.push(value[1].replace(/''/g, "'")) ;
+        }
+        return values ;
+    }
+
+    /**
+     * Read the unique constraints, indexes and check constraints and add them to the schema
+     *
+     * The check constraints are only available since MySQL 8.0.16 and MariaDB 10.2, they are ignored on older versions
+     *
+     * @private
+     * @see VeloxDbPgClient#_readSchemaConstraints
+     */
+    _readSchemaConstraints(schema, callback){
+        this._query(`
+            SELECT tc.table_name AS table_name, tc.constraint_name AS constraint_name, k.column_name AS column_name
+                FROM information_schema.table_constraints tc
+                JOIN information_schema.key_column_usage k ON k.table_schema = tc.table_schema AND k.table_name = tc.table_name
+                AND k.constraint_name = tc.constraint_name
+                WHERE tc.table_schema = DATABASE() AND tc.constraint_type = 'UNIQUE'
+                ORDER BY tc.table_name, tc.constraint_name, k.ordinal_position
+        `, [], (err, results)=>{
+            if(err){ return callback(err); }
+            this._addSchemaColumnsGroups(schema, "unique", results.rows.map((r)=>{
+                return {table: r.table_name, name: r.constraint_name, column: r.column_name} ;
+            })) ;
+            this._query(`
+                SELECT s.table_name AS table_name, s.index_name AS index_name, s.non_unique AS non_unique, s.column_name AS column_name
+                    FROM information_schema.statistics s
+                    WHERE s.table_schema = DATABASE() AND s.index_name <> 'PRIMARY'
+                    ORDER BY s.table_name, s.index_name, s.seq_in_index
+            `, [], (err, results)=>{
+                if(err){ return callback(err); }
+                this._addSchemaColumnsGroups(schema, "indexes", results.rows.map((r)=>{
+                    return {table: r.table_name, name: r.index_name, column: r.column_name, unique: Number(r.non_unique) === 0} ;
+                })) ;
+                this._query(`
+                    SELECT tc.table_name AS table_name, tc.constraint_name AS constraint_name, cc.check_clause AS check_clause
+                        FROM information_schema.table_constraints tc
+                        JOIN information_schema.check_constraints cc ON cc.constraint_schema = tc.constraint_schema 
+                        AND cc.constraint_name = tc.constraint_name
+                        WHERE tc.table_schema = DATABASE() AND tc.constraint_type = 'CHECK'
+                        ORDER BY tc.table_name, tc.constraint_name
+                `, [], (err, results)=>{
+                    if(err){
+                        //no check constraints support on this version
+                        return callback() ;
+                    }
+                    for(let r of results.rows){
+                        if(schema[r.table_name]){
+                            schema[r.table_name].checks.push({name: r.constraint_name, definition: "CHECK ("+r.check_clause+")"}) ;
+                        }
+                    }
+                    callback() ;
+                }) ;
+            }) ;
+        }) ;
+    }
+
+    /**
+     * Compute a fake version number from columns and table count of the current database
+     *
+     * @private
+     * @param {function(Error, object)} callback called with the version record {version, last_update}
+     */
+    _computeFakeSchemaVersion(callback){
+        this._query(`
+        SELECT t.table_count + c.col_count AS version, NULL AS last_update FROM
+            (SELECT count(*) AS col_count FROM information_schema.columns WHERE table_schema = DATABASE()) c,
+            (SELECT count(*) AS table_count FROM information_schema.tables WHERE table_schema = DATABASE()) t
+        `, [], (err, results) => {
+            if(err){ return callback(err); }
+            callback(null, results.rows.length>0?results.rows[0]:{version: 0}) ;
+        }) ;
+    }
+
+    /**
+     * Give the MySQL types the same names than PostgreSQL
+     *
+     * @private
+     * @param {string} type the data type
+     * @param {string} columnType the full column type (ex : tinyint(1))
+     * @return {string} the type name
+     */
+    _sanitizeType(type, columnType){
+        type = (type || "").toLowerCase() ;
+        if(type === "tinyint" && columnType && columnType.toLowerCase() === "tinyint(1)"){
+            return "bool" ;
+        }
+        if(type === "int" || type === "integer" || type === "mediumint"){
+            return "int" ;
+        }
+        if(type === "bigint"){
+            return "int8" ;
+        }
+        if(type === "smallint" || type === "tinyint"){
+            return "int2" ;
+        }
+        if(type === "datetime"){
+            return "timestamp" ;
+        }
+        if(type === "double"){
+            return "float8" ;
+        }
+        if(type === "float"){
+            return "float4" ;
+        }
+        if(type === "decimal"){
+            return "numeric" ;
+        }
+        if(type === "longtext" || type === "mediumtext" || type === "tinytext"){
+            return "text" ;
+        }
+        return type;
+    }
+
+    /**
+     * Get the columns of a table. Give back an array of columns definition
+     *
+     * Note : result is cached so in the case you modify the table while application is running you should restart to see the modifications
+     *
+     * @param {string} table the table name
+     * @param {function(Error, Array)} callback called when found primary key, return array of column definitions
+     */
+    getColumnsDefinition(table, callback){
+        if(this.cache._cacheColumns[table]){
+            return callback(null, this.cache._cacheColumns[table]) ;
+        }
+        this._query(`SELECT column_name AS column_name, data_type AS data_type, column_type AS column_type,
+                    character_maximum_length AS character_maximum_length, numeric_precision AS numeric_precision,
+                    datetime_precision AS datetime_precision
+                    FROM information_schema.columns
+                    WHERE table_schema = DATABASE() AND table_name = $1
+                    ORDER BY ordinal_position
+                    `, [table], (err, result)=>{
+            if(err){ return callback(err); }
+
+            this.cache._cacheColumns[table] = result.rows.map((r)=>{
+                return {
+                    column_name: r.column_name,
+                    udt_name: this._sanitizeType(r.data_type, r.column_type),
+                    character_maximum_length: r.character_maximum_length,
+                    numeric_precision: r.numeric_precision,
+                    datetime_precision: r.datetime_precision
+                } ;
+            }) ;
+            callback(null, this.cache._cacheColumns[table]) ;
+        });
+    }
+
+    /**
+     * Get the primary key of a table. Give back an array of column composing the primary key
+     *
+     * Note : result is cached so in the case you modify the table while application is running you should restart to see the modifications
+     *
+     * @param {string} table the table name
+     * @param {function(Error, Array)} callback called when found primary key, return array of column names composing primary key
+     */
+    getPrimaryKey(table, callback){
+        if(this.cache._cachePk[table]){
+            return callback(null, this.cache._cachePk[table]) ;
+        }
+        this._query(`SELECT column_name AS column_name FROM information_schema.key_column_usage
+                    WHERE table_schema = DATABASE() AND constraint_name = 'PRIMARY' AND table_name = $1
+                    ORDER BY ordinal_position
+                    `, [table], (err, result)=>{
+            if(err){ return callback(err); }
+
+            this.cache._cachePk[table] = result.rows.map((r)=>{
+                return r.column_name ;
+            }) ;
+            callback(null, this.cache._cachePk[table]) ;
+        });
+    }
+}
+
+/**
+ * VeloxDatabase MySQL/MariaDB backend
+ *
+ * Note : it needs MySQL 8+ or MariaDB 10.2+ for window functions (used by joinFetch with limit/offset)
+ */
+class VeloxDbMysqlBackend {
+
+   /**
+     * @typedef VeloxDbMysqlBackendOptions
+     * @type {object}
+     * @property {string} user database user
+     * @property {string} host database host
+     * @property {number} [port] database port (default 3306)
+     * @property {string} database database name
+     * @property {string} password database password
+     * @property {VeloxLogger} logger logger
+     * @property {number} [statementTimeout] the default timeout (ms) of the SELECT queries
+     */
+
+    /**
+     * Create a VeloxDbMysqlBackend
+     *
+     * @param {VeloxDbMysqlBackendOptions} options
+     */
+    constructor(options){
+        this.options = options ;
+
+        for( let k of ["user", "host", "database", "password"]){
+            if(options[k] === undefined) { throw "VeloxDbMysqlBackend : missing option "+k ; }
+        }
+
+        this.pool = mysql.createPool(this._connectionOptions(options.database)) ;
+
+        this.logger = new VeloxLogger("VeloxDbMysqlBackend", options.logger) ;
+        this.cache = {} ;
+        this.schema = options.schema || {} ;
+        this.customClientInit = options.customClientInit || [] ;
+    }
+
+    /**
+     * Create the mysql connection options
+     *
+     * Dates are given back as strings and tinyint(1) as booleans to get the same values than the pg backend
+     *
+     * @private
+     * @param {string} [database] the database name
+     * @return {object} the mysql connection options
+     */
+    _connectionOptions(database){
+        return {
+            user: this.options.user,
+            host: this.options.host,
+            database: database,
+            password: this.options.password,
+            port: this.options.port || 3306,
+            dateStrings: ["DATETIME"],
+            typeCast: function(field, next){
+                if(field.type === "TINY" && field.length === 1){
+                    let value = field.string() ;
+                    return value === null ? null : value === "1" ;
+                }
+                return next() ;
+            }
+        } ;
+    }
+
+    /**
+     * Get a database connection from the pool
+     *
+     * @param {function(Error, VeloxDbMysqlClient)} callback - Callback with VeloxDbMysqlClient instance
+     */
+    open(callback){
+        var idConnect = clientIdInc++ ;
+        this.pool.getConnection((err, connection) => {
+            if(err){ return callback(err); }
+
+            let dbClient = new VeloxDbMysqlClient(new VeloxDbMysqlConnection(connection), function(){ connection.release() ; },
+                this.logger, this.cache, this.schema, this.customClientInit, {
+                    slowQuery: this.options.slowQuery,
+                    statementTimeout: this.options.statementTimeout
+                }) ;
+            dbClient.id = idConnect ;
+            callback(null, dbClient) ;
+        });
+    }
+
+    /**
+     * Create the database if not exists
+     *
+     * @param {function(err)} callback
+     */
+    createIfNotExist(callback){
+        const connection = mysql.createConnection(this._connectionOptions()) ;
+        connection.connect((err) => {
+            if(err){
+                this.logger.error("Can't connect to database server");
+                return callback(err) ;
+            }
+            connection.query("CREATE DATABASE IF NOT EXISTS `"+this.options.database+"`", (err)=>{
+                connection.end() ;
+                if(err){
+                    this.logger.error("Create database failed");
+                    return callback(err) ;
+                }
+                callback() ;
+            }) ;
+        }) ;
+    }
+}
+
+module.exports = VeloxDbMysqlBackend ;
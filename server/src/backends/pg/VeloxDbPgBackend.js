@@ -1,4 +1,5 @@
 const { Pool, Client, types } = require('pg');
+const { Readable } = require("stream");
 const AsyncJob = require("velox-commons/AsyncJob") ;
 const VeloxLogger = require("velox-commons/VeloxLogger") ;
 
@@ -8,6 +9,29 @@ types.setTypeParser(1114, function(stringValue) {
 
 const DB_VERSION_TABLE = "velox_db_version" ;
 
+const AGGREGATE_FUNCTIONS = ["count", "sum", "avg", "min", "max"] ;
+
+const DEFAULT_FTS_LANG = "simple" ;
+
+//built from a string, the unicode property escapes are not understood by the linter
+const FTS_WORD_SEPARATOR = new RegExp("[^\\p{L}\\p{N}]+", "u") ;
+
+const JSON_OPERATORS = ["?", "?|", "?&", "@>"] ;
+
+const MAX_INSERT_PARAMS = 30000 ;
+
+const DEFAULT_DB_SCHEMA = "public" ;
+
+const SCHEMA_CHANGE_CHANNEL = "velox_schema_change" ;
+
+const LISTEN_RETRY_DELAY = 5000 ;
+
+const LISTEN_RETRY_MAX_DELAY = 5*60*1000 ;
+
+const SLOW_QUERY_TABLE = "velox_slow_query" ;
+
+const DEFAULT_EXPLAIN_INTERVAL = 10*60*1000 ;
+
 function extendsSchema(schemaBase, schemaExtends){
     Object.keys(schemaExtends).forEach(function(table){
         if(schemaBase[table]){
@@ -37,6 +61,7 @@ function extendsSchema(schemaBase, schemaExtends){
 }
 
 var clientIdInc = 0;
+var savepointIdInc = 0;
 class VeloxDbPgClient {
 
     /**
@@ -45,11 +70,28 @@ class VeloxDbPgClient {
      * @param {object} connection The connection client from the pool
      * @param {function} closeCb the callback to give back the client to the pool
      * @param {VeloxLogger} logger logger
+     * @param {object} cache the cache shared by the clients of the backend
+     * @param {object} schema the schema extensions
+     * @param {function[]} customInit the custom client initialisations
+     * @param {object} [options] the client options
+     * @param {string[]} [options.searchPath] the database schemas to use, default ["public"]. The tables of the first one are not qualified
+     * @param {object} [options.slowQuery] the slow queries detection {threshold: ms}
+     * @param {function(object)} [options.explainSlowQuery] function called with the slow queries to capture their plan
+     * @param {number} [options.statementTimeout] the default statement timeout (ms)
+     * @param {function(number, function(Error))} [options.cancelQuery] function called with the backend process id to cancel its running query
      */
-    constructor(connection, closeCb, logger, cache, schema, customInit){
+    constructor(connection, closeCb, logger, cache, schema, customInit, options){
         this.connection = connection;
         this.closeCb = closeCb ;
         this.logger = logger ;
+        this.options = options || {} ;
+        this.searchPath = this.options.searchPath || [DEFAULT_DB_SCHEMA] ;
+        /**
+         * Statement timeout (ms) of this client, it overrides the table and the default statement timeouts. 0 means no timeout
+         */
+        this.statementTimeout = null ;
+        //in an object to be shared with the operation views of this client
+        this.running = {queries: 0} ;
 
         if(!cache._cachePk){
             cache._cachePk = {} ;
@@ -59,6 +101,11 @@ class VeloxDbPgClient {
         }
         this.cache = cache ;
         this.schema = schema ;
+        /**
+         * The checkout of the connection and its backend process id, the running query is cancelled only if they did not change
+         */
+        this.lease = connection ? connection.veloxLease : null ;
+        this.processID = connection ? connection.processID : null ;
         this.customInit = customInit ;
         for(let custo of customInit){
             custo(this);
@@ -73,9 +120,9 @@ class VeloxDbPgClient {
           this.connection.query(`SELECT EXISTS (
                     SELECT 1 
                     FROM   pg_tables
-                    WHERE  schemaname = 'public'
-                    AND    tablename = $1
-                    ) as exist`, [DB_VERSION_TABLE], (err, res) => {
+                    WHERE  schemaname = $1
+                    AND    tablename = $2
+                    ) as exist`, [this.searchPath[0], DB_VERSION_TABLE], (err, res) => {
                 if(err){ return callback(err); }
                 callback(null, res.rows[0].exist === true) ;
           });
@@ -89,14 +136,43 @@ class VeloxDbPgClient {
     createDbVersionTable(callback) {
           this.connection.query(`CREATE TABLE ${DB_VERSION_TABLE} (
                     version bigint,
-                    last_update timestamp without time zone
+                    last_update timestamp without time zone,
+                    checksums text
                     ) `, [], (err) => {
                         if(err){ return callback(err); }
                         this.connection.query(`INSERT INTO ${DB_VERSION_TABLE} (version, last_update) 
-                            VALUES ($1, now())`, [0], callback) ;
+                            VALUES ($1, ${this._sqlNow()})`, [0], callback) ;
                     });
     }
 
+    /**
+     * Create the slow query table if the plans of the slow queries are saved (see slowQuery option) and it does not exist yet
+     * 
+     * @param {function(err)} callback - called when finished
+     */
+    createSlowQueryTable(callback) {
+        if(!this.options.explainSlowQuery){ return callback() ; }
+        this._query(`SELECT EXISTS (
+                    SELECT 1 
+                    FROM   pg_tables
+                    WHERE  schemaname = $1
+                    AND    tablename = $2
+                    ) as exist`, [this.searchPath[0], SLOW_QUERY_TABLE], (err, res) => {
+            if(err){ return callback(err); }
+            if(res.rows[0].exist === true){ return callback() ; }
+            this._query(`CREATE TABLE ${SLOW_QUERY_TABLE} (
+                    id serial PRIMARY KEY,
+                    query_date timestamp without time zone DEFAULT now(),
+                    duration_ms integer,
+                    operation text,
+                    user_name text,
+                    sql text,
+                    params_count integer,
+                    plan text
+                    )`, [], callback) ;
+        });
+    }
+
     /**
      * Get database version number
      * 
@@ -109,7 +185,7 @@ class VeloxDbPgClient {
             if(results.rows.length === 0){
                 //nothing in the table, should not happen, assume 0
                 this.connection.query(`INSERT INTO ${DB_VERSION_TABLE} (version, last_update) 
-                            VALUES ($1, now())`, [0], (err)=>{
+                            VALUES ($1, ${this._sqlNow()})`, [0], (err)=>{
                     if(err){ return callback(err); }
                     callback(null, 0) ;
                 }) ;
@@ -119,6 +195,111 @@ class VeloxDbPgClient {
         });
     }
 
+    /**
+     * Get the checksums of the applied migration files
+     * 
+     * The version tables created by previous releases don't have the checksums column, no checksum is given back in this case
+     * 
+     * @param {function(err, object)} callback - called with the checksums by version {version: checksum}
+     */
+    getMigrationChecksums(callback) {
+        this._hasChecksumsColumn((err, hasColumn)=>{
+            if(err){ return callback(err); }
+            if(!hasColumn){ return callback(null, {}) ; }
+            this._query(`SELECT checksums FROM ${DB_VERSION_TABLE}`, [], (err, results)=>{
+                if(err){ return callback(err); }
+                let checksums = results.rows.length > 0 ? results.rows[0].checksums : null ;
+                callback(null, checksums ? JSON.parse(checksums) : {}) ;
+            }) ;
+        }) ;
+    }
+
+    /**
+     * Save the checksums of the applied migration files in the version table
+     * 
+     * The checksums column is added to the version tables created by previous releases
+     * 
+     * @param {object} checksums - the checksums by version {version: checksum}
+     * @param {function(err)} callback - called when finished
+     */
+    saveMigrationChecksums(checksums, callback) {
+        this._hasChecksumsColumn((err, hasColumn)=>{
+            if(err){ return callback(err); }
+            let job = new AsyncJob(AsyncJob.SERIES) ;
+            if(!hasColumn){
+                job.push((cb)=>{
+                    this._query(`ALTER TABLE ${DB_VERSION_TABLE} ADD COLUMN checksums text`, [], cb) ;
+                }) ;
+            }
+            job.push((cb)=>{
+                this._query(`UPDATE ${DB_VERSION_TABLE} SET checksums = $1`, [JSON.stringify(checksums)], cb) ;
+            }) ;
+            job.async(callback) ;
+        }) ;
+    }
+
+    /**
+     * Check if the version table has the checksums column
+     * 
+     * @private
+     * @param {function(err, boolean)} callback - called with true if the column exists
+     */
+    _hasChecksumsColumn(callback) {
+        this.getColumnsDefinition(DB_VERSION_TABLE, (err, columns)=>{
+            if(err){ return callback(err); }
+            callback(null, columns.some((c)=>{ return c.column_name === "checksums" ;})) ;
+        }) ;
+    }
+
+    /**
+     * Get the SQL expression of the current date for this backend
+     * 
+     * @return {string} the SQL expression
+     */
+    _sqlNow(){
+        return "now()" ;
+    }
+
+    /**
+     * Quote an identifier (table or column name) for this backend
+     * 
+     * @param {string} name the identifier to quote
+     * @return {string} the quoted identifier
+     */
+    _escapeId(name){
+        return "\""+name+"\"" ;
+    }
+
+    /**
+     * Create the LIMIT/OFFSET clause for this backend
+     * 
+     * @param {number} [limit] limit
+     * @param {number} [offset] offset
+     * @return {string} the SQL clause
+     */
+    _limitOffsetClause(limit, offset){
+        let clause = "" ;
+        if(limit) {
+            clause += ` LIMIT ${limit}` ;
+        }
+        if(offset) {
+            clause += ` OFFSET ${offset}` ;
+        }
+        return clause ;
+    }
+
+    /**
+     * Run a trivial query to check the connection
+     * 
+     * @param {function(err)} callback - called when finished
+     */
+    ping(callback){
+        this._query("SELECT 1", [], (err)=>{
+            if(err){ return callback(err); }
+            callback() ;
+        }) ;
+    }
+
     /**
      * Execute a query and give the result back
      * 
@@ -145,8 +326,8 @@ class VeloxDbPgClient {
         }
         this.logger.debug("Run SQL "+sql+", params "+JSON.stringify(params)) ;
         let lowerSql = sql.toLowerCase() ;
-        if(lowerSql.indexOf("create ") != -1 || lowerSql.indexOf("alter ") != -1 ){
-            delete this.cache.schema ;
+        if(lowerSql.indexOf("create ") != -1 || lowerSql.indexOf("alter ") != -1 || lowerSql.indexOf("drop ") != -1 ){
+            this.invalidateSchemaCache() ;
         }
         if(params){
             for(let i=0; i<params.length; i++){
@@ -155,15 +336,111 @@ class VeloxDbPgClient {
                 }
             }
         }
+        let timeoutSet = this._applyStatementTimeout() ;
+        let startTime = Date.now() ;
+        this.running.queries++ ;
         this.connection.query(sql, params, (err, results)=>{
+            this.running.queries-- ;
+            err = err || timeoutSet.error ;
             if(err){
                 this.logger.error("Error while running query "+sql+", params "+JSON.stringify(params)+" : "+JSON.stringify(err)) ;
                 return callback(err) ;
             }
+            this._checkSlowQuery(sql, params, Date.now() - startTime) ;
             callback(null, results) ;
         }) ;
     }
 
+    /**
+     * Set the statement timeout of the connection before running a query
+     * 
+     * The timeout is the one of this client if set, else the one of the table of the running operation, else the default one.
+     * The timeout in use is kept on the connection so it is set again only when it changes.
+     * 
+     * The SET query is sent without waiting for its result and the caller must send its query right after : 
+     * the connection runs the queries in order, so an operation running in parallel on the same client 
+     * can't set its own timeout in between
+     * 
+     * @private
+     * @return {object} the SET result {error}, the error is known when the next query of the connection ends
+     */
+    _applyStatementTimeout(){
+        let timeoutSet = {error: null} ;
+        let timeout = [this.statementTimeout, this.tableStatementTimeout, this.options.statementTimeout].find((t)=>{
+            return t !== undefined && t !== null ;
+        }) ;
+        if(timeout === this.connection.veloxStatementTimeout){ return timeoutSet ; }
+        let sql = this._statementTimeoutQuery(timeout) ;
+        if(!sql){ return timeoutSet ; }
+        this.connection.veloxStatementTimeout = timeout ;
+        this.connection.query(sql, [], (err)=>{
+            if(err){ 
+                this.logger.error("Can't set the statement timeout : "+err) ;
+                //unknown timeout, it will be set again on next query
+                this.connection.veloxStatementTimeout = null ;
+                timeoutSet.error = err ;
+            }
+        }) ;
+        return timeoutSet ;
+    }
+
+    /**
+     * Give the query that set the statement timeout of the connection
+     * 
+     * @private
+     * @param {number} [timeout] the timeout (ms), if not given the server default is restored
+     * @return {string} the SQL query
+     */
+    _statementTimeoutQuery(timeout){
+        return "SET statement_timeout TO "+(timeout === undefined ? "DEFAULT" : Number(timeout)) ;
+    }
+
+    /**
+     * Cancel the query running on this client if any
+     * 
+     * The running query fails with a cancel error. Nothing is done if the connection was given back to the pool
+     * (it may run the query of another client)
+     * 
+     * @param {function(Error)} [callback] called when the cancel is sent
+     */
+    cancel(callback){
+        if(!callback){ callback = function(){} ; }
+        if(this.running.queries === 0 || !this.options.cancelQuery){ return callback() ; }
+        if(!this.lease || this.connection.veloxLease !== this.lease || this.connection.processID !== this.processID){ 
+            return callback() ; 
+        }
+        this.logger.info("Cancel the running query of client "+this.id) ;
+        this.options.cancelQuery(this.processID, callback) ;
+    }
+
+    /**
+     * Log the query if it is slower than the slow query threshold
+     * 
+     * The log gives the calling operation (search, getByPk, interceptor...) and the user of the client context
+     * 
+     * @private
+     * @param {string} sql - the SQL query
+     * @param {Array} [params] - the query params
+     * @param {number} durationMs - the query duration
+     */
+    _checkSlowQuery(sql, params, durationMs){
+        let slowQuery = this.options.slowQuery ;
+        if(!slowQuery || durationMs < slowQuery.threshold){ return ; }
+        let user = this.context && this.context.req && this.context.req.user ;
+        let info = {
+            sql: sql,
+            params: params || [],
+            durationMs: durationMs,
+            operation: this.operation || null,
+            user: user ? (user.login || user.uid || null) : null
+        } ;
+        this.logger.warn("Slow query ("+durationMs+"ms, operation "+(info.operation || "unknown")+", user "+(info.user || "none")+
+            ", "+info.params.length+" params) : "+sql) ;
+        if(this.options.explainSlowQuery){
+            this.options.explainSlowQuery(info) ;
+        }
+    }
+
     /**
      * Execute a query and give the first result back
      * 
@@ -200,6 +477,17 @@ class VeloxDbPgClient {
         }) ;
     }
 
+    /**
+     * Clear the cached schema, primary keys and columns definitions. 
+     * 
+     * They are read again from the database on next use
+     */
+    invalidateSchemaCache(){
+        delete this.cache.schema ;
+        this.cache._cachePk = {} ;
+        this.cache._cacheColumns = {} ;
+    }
+
     /**
      * If you want to get a subquery instead of table, implement getTable_your_table_name function
      * 
@@ -217,6 +505,37 @@ class VeloxDbPgClient {
         return table;
     }
 
+    /**
+     * Give the table name used in the schema for a table of a database schema.
+     * 
+     * The tables of the default schema (the first of the search path) are not qualified, 
+     * the tables of the other schemas are named schema.table
+     * 
+     * @param {string} dbSchema the database schema of the table
+     * @param {string} table the table name in its database schema
+     * @return {string} the table name
+     */
+    qualifyTable(dbSchema, table){
+        if(!dbSchema || dbSchema === this.searchPath[0]){
+            return table ;
+        }
+        return dbSchema+"."+table ;
+    }
+
+    /**
+     * Split a table name in its database schema and its name in this schema
+     * 
+     * @param {string} table the table name (table or schema.table)
+     * @return {object} the database schema and the table name {dbSchema: "", table: ""}
+     */
+    splitTable(table){
+        let indexDot = table.indexOf(".") ;
+        if(indexDot !== -1 && this.searchPath.indexOf(table.substring(0, indexDot)) !== -1){
+            return {dbSchema: table.substring(0, indexDot), table: table.substring(indexDot+1)} ;
+        }
+        return {dbSchema: this.searchPath[0], table: table} ;
+    }
+
     /**
      * If you want to change the way data are inserted for a table
      * 
@@ -236,6 +555,38 @@ class VeloxDbPgClient {
         return "$"+paramNumber ;
     }
 
+    /**
+     * Find the columns linking 2 tables from the foreign keys. 
+     * 
+     * The FK of this table to the other table are used first, if there is none the FK of the other table to this table are used
+     * 
+     * @private
+     * @param {object} schema the schema
+     * @param {string} thisTable the starting table
+     * @param {string} otherTable the linked table
+     * @return {Array} the column pairs [{thisColumn: "", otherColumn: ""}], empty if the tables are not linked
+     */
+    _getFkPairs(schema, thisTable, otherTable){
+        let pairs = [] ;
+
+        //look in this table FK
+        for(let fk of schema[thisTable].fk){
+            if(fk.targetTable === otherTable){
+                pairs.push({thisColumn: fk.thisColumn, otherColumn: fk.targetColumn}) ;
+            }
+        }
+
+        if(pairs.length === 0){
+            //look in other table FK
+            for(let fk of schema[otherTable].fk){
+                if(fk.targetTable === thisTable){
+                    pairs.push({thisColumn: fk.targetColumn, otherColumn: fk.thisColumn}) ;
+                }
+            }
+        }
+        return pairs ;
+    }
+
     _createFromWithJoin(table, joinFetch, params, schema){
         let from = [`${this.getTable(table)} t`] ;
         let select = ["t.*"] ;
@@ -292,36 +643,19 @@ class VeloxDbPgClient {
         if(otherField && !thisField || !otherField && thisField){ throw ("You must set both otherField and thisField") ; }
 
         if(otherField && thisField){
-            j += " ON "+aliases[aliasId]+".\""+otherField+"\" = "+aliases[parentAliasId]+".\""+thisField+"\"" ;
+            j += " ON "+aliases[aliasId]+"."+this._escapeId(otherField)+" = "+aliases[parentAliasId]+"."+this._escapeId(thisField) ;
         }else{
             if(!otherField){
                 //assuming using FK
+                let pairs = this._getFkPairs(schema, thisTable, join.otherTable) ;
 
-                let pairs = {} ;
-
-                //look in this table FK
-                for(let fk of schema[thisTable].fk){
-                    if(fk.targetTable === join.otherTable){
-                        pairs[aliases[parentAliasId]+".\""+fk.thisColumn+"\""] = aliases[aliasId]+".\""+fk.targetColumn+"\"" ;
-                    }
-                }
-
-                if(Object.keys(pairs).length === 0){
-                    //look in other table FK
-                    for(let fk of schema[join.otherTable].fk){
-                        if(fk.targetTable === thisTable){
-                            pairs[aliases[aliasId]+".\""+fk.thisColumn+"\""] = aliases[parentAliasId]+".\""+fk.targetColumn+"\"" ;
-                        }
-                    }
-                }
-
-                if(Object.keys(pairs).length === 0){
+                if(pairs.length === 0){
                     throw ("No otherField/thisField given and can't find in FK in join "+JSON.stringify(join)) ;
                 }
 
-                for(let left of Object.keys(pairs)){
-                    j += " ON "+left+" = "+pairs[left] ;
-                }
+                j += " ON "+pairs.map((p)=>{
+                    return aliases[parentAliasId]+"."+this._escapeId(p.thisColumn)+" = "+aliases[aliasId]+"."+this._escapeId(p.otherColumn) ;
+                }).join(" AND ") ;
             }
         }
 
@@ -331,7 +665,7 @@ class VeloxDbPgClient {
         }
 
         for(let col of schema[join.otherTable].columns){
-            select.push(alias+".\""+col.name+"\" AS \""+alias+"_"+col.name+"\"") ;
+            select.push(alias+"."+this._escapeId(col.name)+" AS "+this._escapeId(alias+"_"+col.name)) ;
         }
 
         from.push(j) ;
@@ -412,6 +746,14 @@ class VeloxDbPgClient {
                             rec.record[col.name] = [rec.record[col.name]] ;
                         }
                     }
+                }else if(col.type === "json" || col.type === "jsonb"){
+                    //some databases (SQLite, MySQL) give back the JSON as string
+                    var jsonValue = rec.record[col.name];
+                    if(typeof(jsonValue) === "string" && (jsonValue[0] === "{" || jsonValue[0] === "[")){
+                        try{
+                            rec.record[col.name] = JSON.parse(jsonValue) ;
+                        }catch(e){}
+                    }
                 }
             }
         }
@@ -563,7 +905,13 @@ class VeloxDbPgClient {
             this._query(sql, params, (err, results)=>{
                 if(err){ return callback(err) ;}
                 if(results.rows.length === 0){ return callback(null, null); }
-                if(!joinFetch){ return callback(null, results.rows[0]); }
+                if(!joinFetch){ 
+                    try{
+                        return callback(null, this.constructResults(schema, table, aliases, [results.rows[0]], null)[0]); 
+                    }catch(e){
+                        return callback(e) ;
+                    }
+                }
 
                 //need some aggregate from joins
                 try{
@@ -700,7 +1048,7 @@ class VeloxDbPgClient {
                 callback(e) ;
             }
             
-            let sql = `DELETE FROM ${table} t WHERE ${where.join(" AND ")}` ;
+            let sql = `DELETE FROM ${table} AS t WHERE ${where.join(" AND ")}` ;
 
             this._query(sql, params, callback) ;
         }) ;
@@ -715,6 +1063,8 @@ class VeloxDbPgClient {
      * client.updateWhere("foo", {col: "newval"}, {"bar": 2}, (err)=>{...})
      * //delete by condition
      * client.removeWhere("foo", {col: "newval"}, {"bar": {ope : ">", value : 1}}, (err)=>{...})
+     * //merge keys in a JSON column
+     * client.updateWhere("foo", {data: {$merge: {status: "done"}}}, {"bar": 2}, (err)=>{...})
      * 
      * @param {string} table the table name
      * @param {object} values the new values
@@ -735,14 +1085,17 @@ class VeloxDbPgClient {
                 callback(e) ;
             }
 
-            for(let c of columns){
-                if(values[c.name] !== undefined){
-                    params.push(values[c.name]) ;
-                    sets.push("\""+c.name+"\" = "+this.getColumnWrite(table, c.name, params.length)) ;
+            try {
+                for(let c of columns){
+                    if(values[c.name] !== undefined){
+                        sets.push(this._escapeId(c.name)+" = "+this._columnWriteValue(table, c, values[c.name], params, "t."+this._escapeId(c.name))) ;
+                    }
                 }
+            }catch(e){
+                return callback(e) ;
             }
 
-            let sql = `UPDATE ${table} t SET ${sets.join(",")} WHERE ${where.join(" AND ")} RETURNING *` ;
+            let sql = `UPDATE ${table} AS t SET ${sets.join(",")} WHERE ${where.join(" AND ")} RETURNING *` ;
 
             this._queryFirst(sql, params, (err, row) => {
                 if(err){ return callback(err) ;}
@@ -768,50 +1121,19 @@ class VeloxDbPgClient {
         this.getSchema((err, schema)=>{
             if(err){ return callback(err); }
 
-            let cols = [];
-            let values = [];
             let params = [] ;
             if(!Array.isArray(records)){
                 records = [records] ;
             }
-            for(let c of schema[table].columns){
-                for(let r of records){
-                    if(r[c.name] !== undefined){
-                        cols.push(c.name) ;
-                        break;
-                    }
-                }
-            }
-            if(cols.length === 0){
-                return callback("Can't found any column to insert in "+table+" from record "+JSON.stringify(records)) ;
-            }
-
-            var sequences = {} ;
-            if(schema[table].sequenceCols){
-                for(let sc of schema[table].sequenceCols){
-                    if(cols.indexOf(sc.col) === -1){
-                        cols.push(sc.col) ;
-                    }
-                    sequences[sc.col] = sc.sequence;
-                }
-            }
-
-            for(let record of records){
-                var valuesCols = [] ;
-                for(let c of cols){
-                    if(sequences[c] && record[c] === undefined){
-                        //this column is a sequence and is not given
-                        valuesCols.push("nextval('"+sequences[c]+"')") ;
-                    }else{
-                        params.push(record[c]) ;
-                        valuesCols.push(this.getColumnWrite(table, c, params.length)) ;
-                    }
-                }
-                values.push(`(${valuesCols.join(",")})`);
+            let cols = null;
+            let values = null;
+            try{
+                ({cols, values} = this._prepareInsertValues(table, records, schema, params)) ;
+            }catch(e){
+                return callback(e) ;
             }
 
-
-            let sql = `INSERT INTO ${table}(${cols.map((c)=>{ return '"'+c+'"' ;}).join(",")}) VALUES ${values.join(",")} RETURNING *` ;
+            let sql = `INSERT INTO ${table}(${cols.map((c)=>{ return this._escapeId(c) ;}).join(",")}) VALUES ${values.join(",")} RETURNING *` ;
 
             this._queryFirst(sql, params, (err, rows) => {
                 if(err){ return callback(err) ;}
@@ -822,85 +1144,731 @@ class VeloxDbPgClient {
     }
 
     /**
-     * Update a record in the table. Give back the updated record (with potential generated values)
+     * Prepare the columns and the VALUES items of an insert
      * 
+     * @private
      * @param {string} table the table name
-     * @param {object} record the object to insert
-     * @param {function(Error, object)} callback called when insert is done. give back the updated result (with potential generated values)
+     * @param {Array} records the records to insert
+     * @param {object} schema the schema
+     * @param {Array} params the query params
+     * @return {object} the inserted columns and the values items {cols: [], values: ["($1,$2)"]}
      */
-    update(table, record, callback){
-        if(!record) { return callback("Try to update null record in table "+table) ; }
-        this.getSchema((err, schema)=>{
-            if(err){ return callback(err); }
-
-            let columns = schema[table].columns ;
-            let pkColumns = schema[table].pk ;
-
-            //check PK
-            if(Object.keys(record).length < pkColumns.length){
-                return callback("Error updating in table "+table+", the given record miss primary keys, expected : "+pkColumns.join(",")) ;
-            }
-            for(let k of pkColumns){
-                if(Object.keys(record).indexOf(k) === -1){
-                    return callback("Error updating in table "+table+", the given record miss primary key "+k+" property") ;
+    _prepareInsertValues(table, records, schema, params){
+        let cols = [];
+        let values = [];
+        for(let c of schema[table].columns){
+            for(let r of records){
+                if(r[c.name] !== undefined){
+                    cols.push(c.name) ;
+                    break;
                 }
             }
+        }
+        if(cols.length === 0){
+            throw "Can't found any column to insert in "+table+" from record "+JSON.stringify(records) ;
+        }
 
-            let sets = [];
-            let params = [] ;
-            for(let c of columns){
-                if(record[c.name] !== undefined && pkColumns.indexOf(c.name) === -1){
-                    params.push(record[c.name]) ;
-                    sets.push("\""+c.name+"\" = "+this.getColumnWrite(table, c.name, params.length)) ;
+        var sequences = {} ;
+        if(schema[table].sequenceCols){
+            for(let sc of schema[table].sequenceCols){
+                if(cols.indexOf(sc.col) === -1){
+                    cols.push(sc.col) ;
                 }
+                sequences[sc.col] = sc.sequence;
             }
-            let where = [] ;
-            for(let k of pkColumns){
-                params.push(record[k]) ;
-                where.push("\""+k+"\" = $"+params.length) ;
+        }
+
+        for(let record of records){
+            var valuesCols = [] ;
+            for(let c of cols){
+                if(sequences[c] && record[c] === undefined){
+                    //this column is a sequence and is not given
+                    valuesCols.push("nextval('"+sequences[c]+"')") ;
+                }else{
+                    params.push(record[c]) ;
+                    valuesCols.push(this.getColumnWrite(table, c, params.length)) ;
+                }
             }
+            values.push(`(${valuesCols.join(",")})`);
+        }
+        return {cols: cols, values: values} ;
+    }
 
-            if(sets.length === 0){
-                //nothing to update, select the record and return it
-                return this.getByPk(table, record, callback) ;
+    /**
+     * Insert a large amount of records in the table (data import...)
+     * 
+     * The records are read by batches and each batch is loaded with the COPY protocol. The inserted records are not given back, 
+     * the callback receive a report of the load : {inserted: 1000, failed: 0, errors: []}
+     * 
+     * The records can be given as an array or as a readable stream of objects (objectMode)
+     * 
+     * The options are : 
+     *  - mapping : the table columns to fill and how to get their value from the source records. The value is the source property
+     *    name or a function(sourceRecord) that give the value. The columns set by prepareRecord or by the insert interceptors are
+     *    also inserted. Without mapping, the table columns found in the records of each batch are inserted (a column given in some
+     *    records of a batch is set to null in the other records)
+     *  - batchSize : the number of records by batch (default 1000)
+     *  - continueOnError : if true, a failing batch is added to the report errors and the load continues with the next batch.
+     *    Otherwise the load stops on the first failing batch and the callback receive the error
+     *  - prepareRecord : function(record, callback) called on each (mapped) record before it is inserted
+     * 
+     * Note : each batch is a single statement. When the load is not done in a transaction, the batches loaded before an error stay
+     * in the table. In a transaction, a failing batch is rollbacked to a savepoint when continueOnError is set
+     * 
+     * When the table has a getColumnWrite_xxx override (encrypted columns...) or sequence columns, the batches are loaded with 
+     * multi-rows INSERT instead of COPY
+     * 
+     * @example
+     * client.bulkInsert("product", productsStream, {mapping: {code: "ref", price: (p)=>{ return Number(p.price) ;}}, continueOnError: true}, (err, report)=>{...})
+     * 
+     * @param {string} table the table name
+     * @param {Array|stream.Readable} recordsOrStream the records to insert or a readable stream of records
+     * @param {object} [options] options {mapping: {}, batchSize: 1000, continueOnError: false, prepareRecord: function(record, callback)}
+     * @param {function(Error, object)} callback called when the load is done. give back the report {inserted: 0, failed: 0, errors: [{batch: 0, firstRow: 0, rowCount: 0, error: ""}]}
+     */
+    bulkInsert(table, recordsOrStream, options, callback){
+        if(typeof(options) === "function"){
+            callback = options ;
+            options = null ;
+        }
+        options = options || {} ;
+        if(!recordsOrStream) { return callback("Try to bulk insert null records in table "+table) ; }
+        this.getSchema((err, schema)=>{
+            if(err){ return callback(err); }
+
+            if(!schema[table]){
+                return callback("Unkown table "+table) ;
             }
 
-            let sql = `UPDATE ${table} SET ${sets.join(",")} WHERE ${where.join(" AND ")} RETURNING *` ;
+            let colNames = schema[table].columns.map((c)=>{ return c.name ;}) ;
+            let mapping = options.mapping ;
+            if(mapping){
+                for(let c of Object.keys(mapping)){
+                    if(colNames.indexOf(c) === -1){
+                        return callback("Unknown mapped column "+table+"."+c) ;
+                    }
+                }
+            }
 
-            this._queryFirst(sql, params, (err, row) => {
+            let report = {inserted: 0, failed: 0, errors: []} ;
+            let batchIndex = 0 ;
+            let rowIndex = 0 ;
+            this._readBulkBatches(recordsOrStream, options.batchSize || 1000, (sourceRecords, cb)=>{
+                let batch = batchIndex++ ;
+                let firstRow = rowIndex ;
+                rowIndex += sourceRecords.length ;
+                let loadBatch = (cbLoad)=>{
+                    this._prepareBulkRecords(sourceRecords, mapping, options.prepareRecord, (err, records)=>{
+                        if(err){ return cbLoad(err) ;}
+                        //the mapped columns and the columns set by prepareRecord or the interceptors
+                        let cols = colNames.filter((c)=>{ 
+                            return (mapping && mapping[c] !== undefined) || records.some((r)=>{ return r[c] !== undefined ;}) ; 
+                        }) ;
+                        if(cols.length === 0){
+                            return cbLoad("Can't found any column to insert in "+table+" from record "+JSON.stringify(records[0])) ;
+                        }
+                        this._inSavepoint(options.continueOnError ? "velox_bulk_"+batch : null, (cbSavepoint)=>{
+                            this._bulkInsertBatch(table, cols, records, schema, cbSavepoint) ;
+                        }, cbLoad) ;
+                    }) ;
+                } ;
+                loadBatch((err)=>{
+                    if(err){
+                        let message = err.message || err ;
+                        report.failed += sourceRecords.length ;
+                        report.errors.push({batch: batch, firstRow: firstRow, rowCount: sourceRecords.length, error: message}) ;
+                        if(!options.continueOnError){
+                            return cb("Bulk insert in "+table+" failed at batch "+batch+" (rows "+firstRow+" to "+(rowIndex-1)+") : "+message) ;
+                        }
+                        return cb() ;
+                    }
+                    report.inserted += sourceRecords.length ;
+                    cb() ;
+                }) ;
+            }, (err)=>{
                 if(err){ return callback(err) ;}
-                if(!row){
-                    return callback(null, null) ;
-                }
-                var records = this.constructResults(schema, table,  null, [row], null) ;
-                callback(null, records[0]) ;
+                callback(null, report) ;
             }) ;
         }) ;
     }
 
     /**
-     * Helpers to do simple search in table
-     * 
-     * The search object can contains : 
-     * simple equals condition as {foo: "bar"}
-     * in condition as {foo: ["val1", "val2"]}
-     * ilike condition as {foo: "bar%"} (activated by presence of %)
-     * is null condition as {foo : null}
-     * more complex conditions must specify operand explicitely :
-     * {foo: {ope : ">", value : 1}}
-     * {foo: {ope : "<", value : 10}}
-     * {foo: {ope : "between", value : [from, to]}}
-     * {foo: {ope : "not in", value : ["", ""]}}
+     * Read the records of a bulk insert by batches. The stream is paused while a batch is loaded
      * 
-     * @param {string} table table name
-     * @param {object} search search object
-     * @param {VeloxDatabaseJoinFetch} [joinFetch] join fetch from other sub tables
-     * @param {string} [orderBy] order by clause
-     * @param {number} [offset] offset, default is 0
+     * @private
+     * @param {Array|stream.Readable} recordsOrStream the records or the readable stream of records
+     * @param {number} batchSize the number of records by batch
+     * @param {function(Array, function(Error))} onBatch called with the records of each batch
+     * @param {function(Error)} callback called when all batches are done
+     */
+    _readBulkBatches(recordsOrStream, batchSize, onBatch, callback){
+        if(Array.isArray(recordsOrStream)){
+            let job = new AsyncJob(AsyncJob.SERIES) ;
+            for(let i=0; i<recordsOrStream.length; i += batchSize){
+                let records = recordsOrStream.slice(i, i+batchSize) ;
+                job.push((cb)=>{
+                    onBatch(records, cb) ;
+                }) ;
+            }
+            return job.async((err)=>{ callback(err) ; }) ;
+        }
+
+        let stream = recordsOrStream ;
+        let pending = [] ;
+        let processing = false ;
+        let ended = false ;
+        let finished = false ;
+        let finish = (err)=>{
+            if(finished){ return ; }
+            finished = true ;
+            if(err && !ended){
+                stream.pause() ;
+            }
+            callback(err) ;
+        } ;
+        let next = ()=>{
+            if(finished || processing){ return ; }
+            if(pending.length >= batchSize || (ended && pending.length > 0)){
+                let records = pending.splice(0, batchSize) ;
+                processing = true ;
+                stream.pause() ;
+                onBatch(records, (err)=>{
+                    processing = false ;
+                    if(err){ return finish(err) ;}
+                    next() ;
+                }) ;
+            }else if(ended){
+                finish() ;
+            }else{
+                stream.resume() ;
+            }
+        } ;
+        stream.on("data", (record)=>{
+            pending.push(record) ;
+            next() ;
+        }) ;
+        stream.on("end", ()=>{
+            ended = true ;
+            next() ;
+        }) ;
+        stream.on("error", (err)=>{
+            finish(err) ;
+        }) ;
+    }
+
+    /**
+     * Apply the mapping and the prepareRecord function on the source records of a bulk insert
+     * 
+     * @private
+     * @param {Array} sourceRecords the source records
+     * @param {object} mapping the columns mapping {column: "sourceProperty" | function(sourceRecord)}
+     * @param {function(object, function(Error))} prepareRecord the function to call on each record
+     * @param {function(Error, Array)} callback called with the records to insert
+     */
+    _prepareBulkRecords(sourceRecords, mapping, prepareRecord, callback){
+        let records = sourceRecords ;
+        if(mapping){
+            try{
+                records = sourceRecords.map((sourceRecord)=>{
+                    let record = {} ;
+                    for(let c of Object.keys(mapping)){
+                        let value = typeof(mapping[c]) === "function" ? mapping[c](sourceRecord) : sourceRecord[mapping[c]] ;
+                        record[c] = value === undefined ? null : value ;
+                    }
+                    return record ;
+                }) ;
+            }catch(e){
+                return callback(e) ;
+            }
+        }
+        if(!prepareRecord){
+            return callback(null, records) ;
+        }
+        let job = new AsyncJob(AsyncJob.SERIES) ;
+        for(let record of records){
+            job.push((cb)=>{
+                prepareRecord(record, cb) ;
+            }) ;
+        }
+        job.async((err)=>{
+            if(err){ return callback(err) ;}
+            callback(null, records) ;
+        }) ;
+    }
+
+    /**
+     * Run the function in a savepoint if a name is given and the client is in a transaction, 
+     * on error the changes done by the function are rollbacked to the savepoint
+     * 
+     * @private
+     * @param {string} name the savepoint name
+     * @param {function(function(Error))} fn the function to run
+     * @param {function(Error)} callback called when done
+     */
+    _inSavepoint(name, fn, callback){
+        if(!name || !this.inTransaction){
+            return fn(callback) ;
+        }
+        let statementTimeout = this.connection.veloxStatementTimeout ;
+        this._query("SAVEPOINT "+name, [], (err)=>{
+            if(err){ return callback(err) ;}
+            fn((err)=>{
+                if(err){
+                    return this._query("ROLLBACK TO SAVEPOINT "+name, [], (errRollback)=>{
+                        if(errRollback){ return callback(errRollback) ;}
+                        //the statement timeout set after the savepoint is rollbacked too
+                        this.connection.veloxStatementTimeout = statementTimeout ;
+                        callback(err) ;
+                    }) ;
+                }
+                this._query("RELEASE SAVEPOINT "+name, [], callback) ;
+            }) ;
+        }) ;
+    }
+
+    /**
+     * Do some actions in a savepoint of the current transaction
+     * 
+     * If the actions fail, only the changes done since the savepoint are rollbacked and the error is given back,
+     * the transaction can continue. The savepoints can be nested
+     * 
+     * @example
+     * db.transaction((tx, done)=>{
+     *     tx.savepoint((sp, doneSp)=>{
+     *         sp.insert("product", batch, doneSp) ;
+     *     }, (err)=>{
+     *         if(err){ logger.warn("Batch rejected : "+err) ; }
+     *         //continue the transaction
+     *         tx.insert("import_log", {...}, done) ;
+     *     }) ;
+     * }, callback) ;
+     * 
+     * @param {function({VeloxDbPgClient}, {function(err, result)})} callbackDoSavepoint - function that do the actions, it should call done() on finish
+     * @param {function(err, result)} callbackDone - called when the savepoint is released or rollbacked
+     */
+    savepoint(callbackDoSavepoint, callbackDone){
+        if(!this.inTransaction){
+            return callbackDone("A savepoint can only be created in a transaction") ;
+        }
+        let result = undefined ;
+        this._inSavepoint("velox_sp_"+(savepointIdInc++), (cb)=>{
+            let finished = false ;
+            try{
+                callbackDoSavepoint(this, (err, data)=>{
+                    if(finished){ return ; }
+                    finished = true ;
+                    result = data ;
+                    cb(err) ;
+                }) ;
+            }catch(e){
+                if(finished){ return ; }
+                finished = true ;
+                cb(e) ;
+            }
+        }, (err)=>{
+            if(err){ return callbackDone(err) ; }
+            callbackDone(null, result) ;
+        }) ;
+    }
+
+    /**
+     * Load a batch of records with the COPY protocol
+     * 
+     * @private
+     * @param {string} table the table name
+     * @param {string[]} cols the columns to fill
+     * @param {Array} records the records to insert
+     * @param {object} schema the schema
+     * @param {function(Error)} callback called when done
+     */
+    _bulkInsertBatch(table, cols, records, schema, callback){
+        if(this["getColumnWrite_"+table] || schema[table].sequenceCols){
+            //the values are transformed by SQL, COPY can't be used
+            return this._insertBatch(table, records, schema, callback) ;
+        }
+        let sql = `COPY ${table}(${cols.map((c)=>{ return this._escapeId(c) ;}).join(",")}) FROM STDIN WITH (FORMAT csv)` ;
+        this.logger.debug("Run SQL "+sql+", "+records.length+" rows") ;
+        let finished = false ;
+        let done = (err)=>{
+            if(finished){ return ; }
+            finished = true ;
+            if(err){
+                this.logger.error("Error while running query "+sql+" : "+JSON.stringify(err)) ;
+            }
+            callback(err) ;
+        } ;
+        let copyStream = null ;
+        try{
+            //optional dependency, loaded only when the COPY is used (the sqlite and mysql backends extend this one)
+            const copyFrom = require('pg-copy-streams').from ;
+            copyStream = this.connection.query(copyFrom(sql)) ;
+        }catch(e){
+            return done(e) ;
+        }
+        copyStream.on("error", done) ;
+        copyStream.on("end", ()=>{ done() ; }) ;
+        copyStream.end(records.map((record)=>{
+            return cols.map((c)=>{ return this._csvValue(record[c]) ;}).join(",") ;
+        }).join("\n")+"\n") ;
+    }
+
+    /**
+     * Format a value for COPY in CSV format. The null values are unquoted empty values
+     * 
+     * @private
+     * @param {*} value the value
+     * @return {string} the CSV value
+     */
+    _csvValue(value){
+        if(value === null || value === undefined){
+            return "" ;
+        }
+        if(value instanceof Date){
+            value = value.toISOString() ;
+        }else if(typeof(value) === "object"){
+            value = JSON.stringify(value) ;
+        }
+        return '"'+String(value).replace(/"/g, '""')+'"' ;
+    }
+
+    /**
+     * Load a batch of records with multi-rows INSERT
+     * 
+     * @private
+     * @param {string} table the table name
+     * @param {Array} records the records to insert
+     * @param {object} schema the schema
+     * @param {function(Error)} callback called when done
+     */
+    _insertBatch(table, records, schema, callback){
+        let colsCount = schema[table].columns.length ;
+        let recordsByInsert = Math.max(1, Math.floor(MAX_INSERT_PARAMS / colsCount)) ;
+        let job = new AsyncJob(AsyncJob.SERIES) ;
+        for(let i=0; i<records.length; i += recordsByInsert){
+            let insertRecords = records.slice(i, i+recordsByInsert) ;
+            job.push((cb)=>{
+                let params = [] ;
+                let cols = null;
+                let values = null;
+                try{
+                    ({cols, values} = this._prepareInsertValues(table, insertRecords, schema, params)) ;
+                }catch(e){
+                    return cb(e) ;
+                }
+                let sql = `INSERT INTO ${table}(${cols.map((c)=>{ return this._escapeId(c) ;}).join(",")}) VALUES ${values.join(",")}` ;
+                this._query(sql, params, (err)=>{ cb(err) ; }) ;
+            }) ;
+        }
+        job.async((err)=>{ callback(err) ; }) ;
+    }
+
+    /**
+     * Insert records or update them if they already exist (INSERT ... ON CONFLICT DO UPDATE). 
+     * Give back the inserted/updated records
+     * 
+     * The conflict is checked on the primary key, or on the given columns (that must have a unique constraint) 
+     * or on a named unique constraint.
+     * 
+     * By default, all given columns except the conflict columns are updated when the record already exists
+     * 
+     * Note : the same record can't be given twice in the same call
+     * 
+     * @example
+     * client.upsert("product", [{code: "A1", label: "Foo"}, {code: "B2", label: "Bar"}], {conflictColumns: ["code"]}, (err, products)=>{...})
+     * client.upsert("product", {code: "A1", label: "Foo", stock: 2}, {constraint: "product_code_key", updateColumns: ["label"]}, (err, product)=>{...})
+     * 
+     * @param {string} table the table name
+     * @param {object|Array} records the record or the array of records to upsert
+     * @param {object} [options] options {conflictColumns: [], updateColumns: [], constraint: ""}
+     * @param {function(Error, object|Array)} callback called when done. give back the upserted record (or an array if an array is given)
+     */
+    upsert(table, records, options, callback){
+        if(typeof(options) === "function"){
+            callback = options ;
+            options = null ;
+        }
+        if(!records) { return callback("Try to upsert null record in table "+table) ; }
+        let single = !Array.isArray(records) ;
+        if(single){
+            records = [records] ;
+        }
+        if(records.length === 0){
+            return callback(null, []) ;
+        }
+        if(this._upsertByColumnsGroups(table, records, options, callback)){
+            return;
+        }
+        this.getSchema((err, schema)=>{
+            if(err){ return callback(err); }
+
+            if(!schema[table]){
+                return callback("Unkown table "+table) ;
+            }
+
+            let params = [] ;
+            let cols = null;
+            let values = null;
+            let onConflict = null ;
+            try{
+                ({cols, values} = this._prepareInsertValues(table, records, schema, params)) ;
+                let upsertColumns = this._prepareUpsertColumns(table, cols, options||{}, schema) ;
+                onConflict = this._onConflictClause(upsertColumns.conflictColumns, (options||{}).constraint, upsertColumns.updateColumns,
+                    upsertColumns.constraintColumns) ;
+            }catch(e){
+                return callback(e) ;
+            }
+
+            let sql = `INSERT INTO ${table}(${cols.map((c)=>{ return this._escapeId(c) ;}).join(",")}) VALUES ${values.join(",")} ${onConflict} RETURNING *` ;
+
+            this._query(sql, params, (err, result) => {
+                if(err){ return callback(err) ;}
+                let upserted = this.constructResults(schema, table,  null, result.rows, null) ;
+                callback(null, single ? upserted[0] : upserted) ;
+            }) ;
+        }) ;
+    }
+
+    /**
+     * When the records don't give the same columns, upsert separately each group of records having the same columns
+     * (in a single statement, the columns missing in a record would be updated to null)
+     * 
+     * @private
+     * @param {string} table the table name
+     * @param {Array} records the records to upsert
+     * @param {object} options the upsert options
+     * @param {function(Error, Array)} callback called with the upserted records, in the same order than the given records
+     * @return {boolean} false if all records have the same columns and nothing is done
+     */
+    _upsertByColumnsGroups(table, records, options, callback){
+        let groups = {} ;
+        records.forEach((record, index)=>{
+            let key = Object.keys(record).filter((k)=>{ return record[k] !== undefined ;}).sort().join(",") ;
+            if(!groups[key]){
+                groups[key] = {records: [], indexes: []} ;
+            }
+            groups[key].records.push(record) ;
+            groups[key].indexes.push(index) ;
+        }) ;
+        if(Object.keys(groups).length < 2){
+            return false ;
+        }
+        let upsert = this.constructor.prototype.upsert ;
+        let results = new Array(records.length) ;
+        let job = new AsyncJob(AsyncJob.SERIES) ;
+        for(let key of Object.keys(groups)){
+            let group = groups[key] ;
+            job.push((cb)=>{
+                upsert.call(this, table, group.records, options, (err, upserted)=>{
+                    if(err){ return cb(err) ;}
+                    group.indexes.forEach((index, i)=>{ results[index] = upserted[i] ; }) ;
+                    cb() ;
+                }) ;
+            }) ;
+        }
+        job.async((err)=>{
+            if(err){ return callback(err) ;}
+            callback(null, results) ;
+        }) ;
+        return true ;
+    }
+
+    /**
+     * Check and compute the conflict and updated columns of an upsert
+     * 
+     * @private
+     * @param {string} table the table name
+     * @param {string[]} cols the inserted columns
+     * @param {object} options the upsert options
+     * @param {object} schema the schema
+     * @return {object} the columns {conflictColumns: [], updateColumns: [], constraintColumns: []}
+     */
+    _prepareUpsertColumns(table, cols, options, schema){
+        let toArray = (value)=>{
+            if(typeof(value) === "string"){
+                return value.split(",").map((c)=>{ return c.trim() ;}) ;
+            }
+            return value ;
+        } ;
+        let colNames = schema[table].columns.map((c)=>{ return c.name ;}) ;
+        let conflictColumns = toArray(options.conflictColumns) ;
+        if(!conflictColumns){
+            if(!options.constraint && schema[table].pk.length === 0){
+                throw "No PK defined for table "+table+", give the conflict columns to upsert" ;
+            }
+            conflictColumns = options.constraint ? [] : schema[table].pk ;
+        }
+        for(let c of conflictColumns){
+            if(colNames.indexOf(c) === -1){
+                throw "Unknown conflict column "+table+"."+c ;
+            }
+        }
+        let updateColumns = toArray(options.updateColumns) ;
+        if(!updateColumns){
+            let notUpdated = options.constraint && !options.conflictColumns ? schema[table].pk : conflictColumns ;
+            updateColumns = cols.filter((c)=>{ return notUpdated.indexOf(c) === -1 ;}) ;
+        }
+        for(let c of updateColumns){
+            if(cols.indexOf(c) === -1){
+                throw "Upsert in "+table+" failed. The updated column "+c+" is not given in the records" ;
+            }
+        }
+        let constraintColumns = [] ;
+        if(options.constraint){
+            let unique = (schema[table].unique || []).find((u)=>{ return u.name === options.constraint ;}) ;
+            if(unique){
+                constraintColumns = unique.columns ;
+            }
+        }
+        return {conflictColumns: conflictColumns, updateColumns: updateColumns, constraintColumns: constraintColumns} ;
+    }
+
+    /**
+     * Create the ON CONFLICT clause of an upsert
+     * 
+     * When there is no column to update, the first conflict column (or the first column of the constraint) is set to itself 
+     * so the existing record is given back by the RETURNING clause and the results stay in the order of the records
+     * 
+     * @private
+     * @param {string[]} conflictColumns the conflict columns
+     * @param {string} [constraint] the unique constraint name (used if there is no conflict columns)
+     * @param {string[]} updateColumns the updated columns
+     * @param {string[]} [constraintColumns] the columns of the unique constraint
+     * @return {string} the ON CONFLICT clause
+     */
+    _onConflictClause(conflictColumns, constraint, updateColumns, constraintColumns){
+        let target = null ;
+        if(conflictColumns.length > 0){
+            target = "("+conflictColumns.map((c)=>{ return this._escapeId(c) ;}).join(",")+")" ;
+        }else{
+            target = "ON CONSTRAINT "+this._escapeId(constraint) ;
+        }
+        let keptColumns = conflictColumns.length > 0 ? conflictColumns : (constraintColumns || []) ;
+        let sets = (updateColumns.length > 0 ? updateColumns : keptColumns.slice(0, 1)).map((c)=>{
+            return this._escapeId(c)+" = EXCLUDED."+this._escapeId(c) ;
+        }) ;
+        if(sets.length === 0){
+            throw "Can't find the columns of the constraint "+constraint+", give the columns to update" ;
+        }
+        return "ON CONFLICT "+target+" DO UPDATE SET "+sets.join(", ") ;
+    }
+
+    /**
+     * Update a record in the table. Give back the updated record (with potential generated values)
+     * 
+     * On a JSON column, give {$merge: {...}} to merge the keys in the current value instead of replacing it
+     * 
+     * @example
+     * client.update("foo", {id: 1, data: {$merge: {status: "done"}}}, (err, fooRecord)=>{...})
+     * 
+     * @param {string} table the table name
+     * @param {object} record the object to insert
+     * @param {function(Error, object)} callback called when insert is done. give back the updated result (with potential generated values)
+     */
+    update(table, record, callback){
+        if(!record) { return callback("Try to update null record in table "+table) ; }
+        this.getSchema((err, schema)=>{
+            if(err){ return callback(err); }
+
+            let columns = schema[table].columns ;
+            let pkColumns = schema[table].pk ;
+
+            //check PK
+            if(Object.keys(record).length < pkColumns.length){
+                return callback("Error updating in table "+table+", the given record miss primary keys, expected : "+pkColumns.join(",")) ;
+            }
+            for(let k of pkColumns){
+                if(Object.keys(record).indexOf(k) === -1){
+                    return callback("Error updating in table "+table+", the given record miss primary key "+k+" property") ;
+                }
+            }
+
+            let sets = [];
+            let params = [] ;
+            try {
+                for(let c of columns){
+                    if(record[c.name] !== undefined && pkColumns.indexOf(c.name) === -1){
+                        sets.push(this._escapeId(c.name)+" = "+this._columnWriteValue(table, c, record[c.name], params)) ;
+                    }
+                }
+            }catch(e){
+                return callback(e) ;
+            }
+            let where = [] ;
+            for(let k of pkColumns){
+                params.push(record[k]) ;
+                where.push(this._escapeId(k)+" = $"+params.length) ;
+            }
+
+            if(sets.length === 0){
+                //nothing to update, select the record and return it
+                return this.getByPk(table, record, callback) ;
+            }
+
+            let sql = `UPDATE ${table} SET ${sets.join(",")} WHERE ${where.join(" AND ")} RETURNING *` ;
+
+            this._queryFirst(sql, params, (err, row) => {
+                if(err){ return callback(err) ;}
+                if(!row){
+                    return callback(null, null) ;
+                }
+                var records = this.constructResults(schema, table,  null, [row], null) ;
+                callback(null, records[0]) ;
+            }) ;
+        }) ;
+    }
+
+    /**
+     * Helpers to do simple search in table
+     * 
+     * The search object can contains : 
+     * simple equals condition as {foo: "bar"}
+     * in condition as {foo: ["val1", "val2"]}
+     * ilike condition as {foo: "bar%"} (activated by presence of %)
+     * is null condition as {foo : null}
+     * more complex conditions must specify operand explicitely :
+     * {foo: {ope : ">", value : 1}}
+     * {foo: {ope : "<", value : 10}}
+     * {foo: {ope : "between", value : [from, to]}}
+     * {foo: {ope : "not in", value : ["", ""]}}
+     * full text search condition : {foo: {ope : "fts", value : "words to search", lang: "french"}} (if lang is not given, it is the 
+     * lang of the full text index declared on the column, default is simple). Use $rank in order by to sort on relevance ("$rank desc")
+     * 
+     * On JSON columns : 
+     * condition on a value inside the JSON as {"data->address->city": "Paris"}, {"data->age": {ope: ">", value: 18}} (also usable in order by : "data->age desc")
+     * key existence as {data: {ope: "?", value: "status"}}, {data: {ope: "?|", value: ["a", "b"]}} (one of keys), {data: {ope: "?&", value: ["a", "b"]}} (all keys)
+     * containment as {data: {ope: "@>", value: {status: "active"}}}
+     * 
+     * On related tables (the link is found from the FK, as for join fetch) : 
+     * condition on a column of the related table as {"customer.country": "FR"} (or {"customer.country.code": "FR"} to go further)
+     * existence of related records as {order_line: {$exists: {product_id: 12}}}, {order_line: {$exists: true}} or {order_line: {$exists: false}}
+     * 
+     * Instead of an offset, you can give the option {after: cursor} to do a keyset pagination. In this case the result
+     * is {rows: [records], cursor: "..."}. Give the cursor in the next call to get the next page 
+     * (start with {after: null} to get the first page). The cursor is null when there is no more page.
+     * 
+     * To get the total count of records matching the search alongside the page, give the option 
+     * {withCount: true}. In this case the result is {rows: [records], total: 123}
+     * 
+     * @example
+     * client.search("foo", {bar: "a%"}, null, "name", 0, 20, {after: null}, (err, page)=>{
+     *     //page.rows contains the 20 first records
+     *     client.search("foo", {bar: "a%"}, null, "name", 0, 20, {after: page.cursor}, (err, nextPage)=>{ ... }) ;
+     * }) ;
+     * 
+     * client.search("foo", {bar: "a%"}, null, "name", 40, 20, {withCount: true}, (err, page)=>{
+     *     //page.rows contains the records 40 to 60, page.total the count of all records matching the search
+     * }) ;
+     * 
+     * @param {string} table table name
+     * @param {object} search search object
+     * @param {VeloxDatabaseJoinFetch} [joinFetch] join fetch from other sub tables
+     * @param {string} [orderBy] order by clause
+     * @param {number} [offset] offset, default is 0 (ignored with the after option)
      * @param {number} [limit] limit, default is no limit
+     * @param {object} [options] search options {after: cursor} for keyset pagination, {withCount: true} to get the total count
      * @param {function(Error, Array)} callback called on finished. give back the found records
      */
-    search(table, search, joinFetch,orderBy, offset, limit, callback){
+    search(table, search, joinFetch,orderBy, offset, limit, options, callback){
         if(typeof(joinFetch) === "function"){
             callback = joinFetch;
             joinFetch = null;
@@ -909,7 +1877,8 @@ class VeloxDbPgClient {
             limit = null ;
         } 
         if(typeof(joinFetch) === "string"){
-            callback = limit;
+            callback = options;
+            options = limit;
             limit = offset;
             offset = orderBy;
             orderBy = joinFetch;
@@ -920,16 +1889,23 @@ class VeloxDbPgClient {
             orderBy = null;
             offset = 0;
             limit = null ;
+            options = null ;
         } else if(typeof(offset) === "function"){
             callback = offset;
             offset = 0;
             limit = null ;
+            options = null ;
         } else if(typeof(limit) === "function"){
             callback = limit;
             limit = null ;
+            options = null ;
+        } else if(typeof(options) === "function"){
+            callback = options;
+            options = null ;
         }
+        options = options || {} ;
         
-        this._prepareSearchQuery(table, search, joinFetch, orderBy, offset, limit, (err, sql, params, aliases, joinFetch, schema)=>{
+        this._prepareSearchQuery(table, search, joinFetch, orderBy, offset, limit, options, (err, sql, params, aliases, joinFetch, schema, cursorSort)=>{
             if(err){ return callback(err); }
             this._query(sql, params, (err, result)=>{
                 if(err){ return callback(err); }
@@ -941,6 +1917,12 @@ class VeloxDbPgClient {
                 }catch(err){
                     return callback(err) ;
                 }
+                if(cursorSort){
+                    records = this._createCursorPage(cursorSort, records, limit) ;
+                }
+                if(options.withCount){
+                    return this._addSearchCount(table, search, records, callback) ;
+                }
                 callback(null, records) ;
 
                 
@@ -948,6 +1930,200 @@ class VeloxDbPgClient {
         }) ;
     }
 
+    /**
+     * Add the total count of records matching the search to the search result
+     * 
+     * @private
+     * @param {string} table table name
+     * @param {object} search search object
+     * @param {Array|object} records the found records or the keyset pagination page
+     * @param {function(Error, object)} callback called on finished. give back {rows: [records], total: 123}
+     */
+    _addSearchCount(table, search, records, callback){
+        this._searchCount(table, search, (err, total)=>{
+            if(err){ return callback(err); }
+            let page = records ;
+            if(Array.isArray(records)){
+                page = {rows: records} ;
+            }
+            page.total = total ;
+            callback(null, page) ;
+        }) ;
+    }
+
+    /**
+     * Count the records matching the search
+     * 
+     * The count is done on the table given by {@link getTable} so the restricted views apply to the count too
+     * 
+     * @private
+     * @param {string} table table name
+     * @param {object} search search object
+     * @param {function(Error, number)} callback called on finished. give back the count
+     */
+    _searchCount(table, search, callback){
+        this.getSchema((err, schema)=>{
+            if(err){ return callback(err); }
+            let params = [] ;
+            let where = null ;
+            try{
+                where = this._prepareWhereCondition(schema[table].columns, search, table, params).where ;
+            }catch(e){
+                return callback(e) ;
+            }
+            let sql = `SELECT COUNT(*) AS total FROM ${this.getTable(table)} t` ;
+            if(where.length > 0){
+                sql += ` WHERE ${where.join(" AND ")}` ;
+            }
+            this._query(sql, params, (err, result)=>{
+                if(err){ return callback(err); }
+                callback(null, Number(result.rows[0].total)) ;
+            }) ;
+        }) ;
+    }
+
+
+    /**
+     * Do a search in a table and give back the found records as a readable stream of objects
+     * 
+     * The records are read by batches with a server-side cursor so the whole result is never loaded in memory 
+     * (export of large tables...). The search and the order by are the same as in {@link search}, the tables given 
+     * by {@link getTable} are used so the restricted views apply to the stream too
+     * 
+     * The client must be kept open until the stream is finished. Destroying the stream closes the cursor
+     * 
+     * @example
+     * let stream = client.searchStream("invoice", {status: "paid"}, "date") ;
+     * stream.on("data", (invoice)=>{ ... }) ;
+     * stream.on("end", ()=>{ done() ; }) ;
+     * stream.on("error", (err)=>{ done(err) ; }) ;
+     * 
+     * @param {string} table table name
+     * @param {object} search search object
+     * @param {string} [orderBy] order by clause
+     * @param {object} [options] options {batchSize: 1000} batchSize is the number of records fetched at once
+     * @return {stream.Readable} the readable stream of records
+     */
+    searchStream(table, search, orderBy, options){
+        options = options || {} ;
+        let batchSize = options.batchSize || 1000 ;
+        let cursor = null ;
+        let reading = false ;
+        let readNext = ()=>{
+            if(reading){ return ; }
+            reading = true ;
+            cursor.read(batchSize, (err, records)=>{
+                reading = false ;
+                if(err){ return stream.destroy(err) ; }
+                if(records.length === 0){
+                    return stream.push(null) ;
+                }
+                for(let record of records){
+                    stream.push(record) ;
+                }
+            }) ;
+        } ;
+        let stream = new Readable({
+            objectMode: true,
+            read: ()=>{
+                if(cursor){ return readNext() ; }
+                if(reading){ return ; }
+                reading = true ;
+                this._openSearchCursor(table, search, orderBy, (err, openedCursor)=>{
+                    reading = false ;
+                    if(err){ return stream.destroy(err) ; }
+                    cursor = openedCursor ;
+                    if(stream.destroyed){
+                        return cursor.close(()=>{}) ;
+                    }
+                    readNext() ;
+                }) ;
+            },
+            destroy: (err, callback)=>{
+                if(!cursor){ return callback(err) ; }
+                cursor.close(()=>{ callback(err) ; }) ;
+            }
+        }) ;
+        stream.on("end", ()=>{
+            cursor.close(()=>{}) ;
+        }) ;
+        return stream ;
+    }
+
+    /**
+     * Open a cursor on the search query. The cursor gives back records (same format as {@link search})
+     * 
+     * @private
+     * @param {string} table table name
+     * @param {object} search search object
+     * @param {string} [orderBy] order by clause
+     * @param {function(Error, object)} callback called with the cursor {read: function(count, callback(err, records)), close: function(callback)}
+     */
+    _openSearchCursor(table, search, orderBy, callback){
+        this._prepareSearchQuery(table, search, null, orderBy, 0, null, null, (err, sql, params, aliases, joinFetch, schema)=>{
+            if(err){ return callback(err); }
+            for(let i=0; i<params.length; i++){
+                if(params[i] && typeof(params[i]) === "object"){
+                    params[i] = JSON.stringify(params[i]) ;
+                }
+            }
+            this._openCursor(sql, params, (err, cursor)=>{
+                if(err){ return callback(err); }
+                callback(null, {
+                    read: (count, cb)=>{
+                        cursor.read(count, (err, rows)=>{
+                            if(err){ return cb(err) ; }
+                            let records = null ;
+                            try{
+                                records = this.constructResults(schema, table, aliases, rows, null) ;
+                            }catch(e){
+                                return cb(e) ;
+                            }
+                            cb(null, records) ;
+                        }) ;
+                    },
+                    close: (cb)=>{ cursor.close(cb) ; }
+                }) ;
+            }) ;
+        }) ;
+    }
+
+    /**
+     * Open a server-side cursor on a query
+     * 
+     * @private
+     * @param {string} sql - SQL to execute
+     * @param {Array} [params] - Params
+     * @param {function(Error, object)} callback called with the cursor {read: function(count, callback(err, rows)), close: function(callback)}
+     */
+    _openCursor(sql, params, callback){
+        this.logger.debug("Open cursor on SQL "+sql+", params "+JSON.stringify(params)) ;
+        let cursor = null ;
+        let timeoutSet = null ;
+        try{
+            //optional dependency, loaded only when a cursor is used
+            const Cursor = require('pg-cursor') ;
+            timeoutSet = this._applyStatementTimeout() ;
+            cursor = this.connection.query(new Cursor(sql, params)) ;
+        }catch(e){
+            return callback(e) ;
+        }
+        let closed = false ;
+        callback(null, {
+            read: (count, cb)=>{ 
+                this.running.queries++ ;
+                cursor.read(count, (err, rows)=>{
+                    this.running.queries-- ;
+                    cb(err || timeoutSet.error, rows) ;
+                }) ; 
+            },
+            close: (cb)=>{
+                if(closed){ return cb() ; }
+                closed = true ;
+                cursor.close(()=>{ cb() ; }) ;
+            }
+        }) ;
+    }
     
     /**
      * Helpers to do simple search in table and return first found record
@@ -994,7 +2170,201 @@ class VeloxDbPgClient {
         }) ;
     }
 
-    _prepareWhereCondition(columns, search, table, params, alias){
+    /**
+     * Do an aggregation on the records of a table
+     * 
+     * The search object is the same as in {@link search}
+     * 
+     * The options are : 
+     * groupBy : the columns to group on, as an array or a comma separated string
+     * measures : the computed values {alias: {fn: "count|sum|avg|min|max", column: "col", distinct: false}}, 
+     *            default is {count: {fn: "count"}}
+     * orderBy : order by clause on group by columns and measures aliases, default is the group by columns
+     * 
+     * The count, sum and avg results are given back as numbers
+     * 
+     * @example
+     * client.aggregate("invoice", {status: "paid"}, {
+     *     groupBy: ["customer_id"],
+     *     measures: { nb: {fn: "count"}, total: {fn: "sum", column: "amount"} },
+     *     orderBy: "total desc"
+     * }, (err, rows)=>{
+     *     //rows : [{customer_id: 1, nb: 3, total: 1500}, ...]
+     * }) ;
+     * 
+     * @param {string} table table name
+     * @param {object} search search object
+     * @param {object} [options] aggregation options {groupBy, measures, orderBy}
+     * @param {function(Error, Array)} callback called on finished. give back one row by group
+     */
+    aggregate(table, search, options, callback){
+        if(typeof(options) === "function"){
+            callback = options ;
+            options = null ;
+        }
+        if(!search) { return callback("Try to aggregate with null search in table "+table) ; }
+
+        this.getSchema((err, schema)=>{
+            if(err){ return callback(err); }
+
+            if(!schema[table]){
+                return callback("Unkown table "+table) ;
+            }
+
+            let aggregation = null ;
+            let params = [] ;
+            let where = null ;
+            try{
+                aggregation = this._prepareAggregation(table, options, schema) ;
+                where = this._prepareWhereCondition(schema[table].columns, search, table, params).where ;
+            }catch(e){
+                return callback(e) ;
+            }
+
+            let select = aggregation.groupBy.map((col)=>{ return "t."+this._escapeId(col) ;}) ;
+            for(let measure of aggregation.measures){
+                let expression = "*" ;
+                if(measure.column){
+                    expression = (measure.distinct?"DISTINCT ":"")+"t."+this._escapeId(measure.column) ;
+                }
+                select.push(measure.fn.toUpperCase()+"("+expression+") AS "+this._escapeId(measure.alias)) ;
+            }
+
+            let sql = `SELECT ${select.join(", ")} FROM ${this.getTable(table)} t` ;
+            if(where.length > 0){
+                sql += ` WHERE ${where.join(" AND ")}` ;
+            }
+            if(aggregation.groupBy.length > 0){
+                sql += ` GROUP BY ${aggregation.groupBy.map((col)=>{ return "t."+this._escapeId(col) ;}).join(", ")}` ;
+            }
+            if(aggregation.orderBy.length > 0){
+                sql += ` ORDER BY ${aggregation.orderBy.map((ob)=>{ 
+                    return (ob.measure?"":"t.")+this._escapeId(ob.name)+(ob.desc?" DESC":"") ;
+                }).join(", ")}` ;
+            }
+
+            this._query(sql, params, (err, result)=>{
+                if(err){ return callback(err); }
+                callback(null, result.rows.map((row)=>{ return this._formatAggregateRow(aggregation, row) ;})) ;
+            }) ;
+        }) ;
+    }
+
+    /**
+     * Check and normalize the aggregation options
+     * 
+     * @private
+     * @param {string} table table name
+     * @param {object} [options] aggregation options {groupBy, measures, orderBy}
+     * @param {object} schema the schema
+     * @return {object} the aggregation {groupBy: ["col"], measures: [{alias, fn, column, distinct}], orderBy: [{name, desc, measure}]}
+     */
+    _prepareAggregation(table, options, schema){
+        if(!options){
+            options = {} ;
+        }
+        let colNames = schema[table].columns.map((c)=>{ return c.name ;}) ;
+
+        let groupBy = options.groupBy || [] ;
+        if(typeof(groupBy) === "string"){
+            groupBy = groupBy.split(",").map((col)=>{ return col.trim() ;}) ;
+        }
+        for(let col of groupBy){
+            if(colNames.indexOf(col) === -1){
+                throw "Invalid group by column "+col+" in table "+table ;
+            }
+        }
+
+        let measuresDef = options.measures || {count: {fn: "count"}} ;
+        let measures = [] ;
+        for(let alias of Object.keys(measuresDef)){
+            let def = measuresDef[alias] ;
+            if(!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(alias)){
+                throw "Invalid measure name "+alias ;
+            }
+            if(groupBy.indexOf(alias) !== -1){
+                throw "Measure "+alias+" has the same name as a group by column" ;
+            }
+            if(!def || AGGREGATE_FUNCTIONS.indexOf(String(def.fn).toLowerCase()) === -1){
+                throw "Invalid function for measure "+alias+", expected one of "+AGGREGATE_FUNCTIONS.join(", ") ;
+            }
+            let fn = def.fn.toLowerCase() ;
+            if(def.column && colNames.indexOf(def.column) === -1){
+                throw "Invalid column "+def.column+" for measure "+alias+" in table "+table ;
+            }
+            if(!def.column && fn !== "count"){
+                throw "Missing column for measure "+alias ;
+            }
+            measures.push({alias: alias, fn: fn, column: def.column || null, distinct: !!def.distinct}) ;
+        }
+
+        let orderBy = [] ;
+        if(options.orderBy){
+            let measureAliases = measures.map((m)=>{ return m.alias ;}) ;
+            for(let ob of options.orderBy.split(",")){
+                let parts = ob.trim().split(/\s+/) ;
+                let isMeasure = measureAliases.indexOf(parts[0]) !== -1 ;
+                if((!isMeasure && groupBy.indexOf(parts[0]) === -1) || parts.length > 2 || 
+                    (parts[1] && ["ASC", "DESC"].indexOf(parts[1].toUpperCase()) === -1)){
+                    throw "Invalid order by clause "+options.orderBy ;
+                }
+                orderBy.push({name: parts[0], desc: !!parts[1] && parts[1].toUpperCase() === "DESC", measure: isMeasure}) ;
+            }
+        }else{
+            orderBy = groupBy.map((col)=>{ return {name: col, desc: false, measure: false} ;}) ;
+        }
+
+        return {groupBy: groupBy, measures: measures, orderBy: orderBy} ;
+    }
+
+    /**
+     * Format an aggregation result row. The count, sum and avg measures are converted to numbers 
+     * (the database driver may give them as string)
+     * 
+     * @private
+     * @param {object} aggregation the aggregation created by {@link _prepareAggregation}
+     * @param {object} row the result row
+     * @return {object} the formated row
+     */
+    _formatAggregateRow(aggregation, row){
+        let formated = {} ;
+        for(let col of aggregation.groupBy){
+            formated[col] = row[col] ;
+        }
+        for(let measure of aggregation.measures){
+            let value = row[measure.alias] ;
+            if(value !== null && value !== undefined && ["count", "sum", "avg"].indexOf(measure.fn) !== -1){
+                value = Number(value) ;
+            }
+            if(value === undefined){
+                value = null ;
+            }
+            formated[measure.alias] = value ;
+        }
+        return formated ;
+    }
+
+    /**
+     * Prepare the where condition of a search object
+     * 
+     * The full text search conditions ({ope: "fts"}) give a rank expression that is added 
+     * to the ranks array (used to order by $rank)
+     * 
+     * The keys written as column->path->in->json search on a value inside a JSON column
+     * 
+     * The keys written as otherTable.column search on a column of a related table (linked by FK) and 
+     * the {otherTable: {$exists: {...}}} conditions check that a related record match the sub search
+     * 
+     * @private
+     * @param {Array} columns the table columns
+     * @param {object} search the search object
+     * @param {string} table the table name
+     * @param {Array} [params] the query params
+     * @param {string} [alias] the table alias, default is t
+     * @param {Array} [ranks] the full text rank expressions
+     * @return {object} the where conditions and params {where: [], params: [], ranks: []}
+     */
+    _prepareWhereCondition(columns, search, table, params, alias, ranks){
         let where = [];
         if(!params){
             params = [] ;
@@ -1002,51 +2372,92 @@ class VeloxDbPgClient {
         if(!alias){
             alias = "t" ;
         }
+        if(!ranks){
+            ranks = [] ;
+        }
+        let conditions = [] ;
         for(let c of columns){
-            if(search[c.name] !== undefined){
-                let value = search[c.name] ;
-                let ope = "=" ;
-                if(typeof(value) === "object" && !Array.isArray(value)){
-                    ope = value.ope ;
-                    value = value.value ;
-                    if(!ope){
-                        throw ("Search with special condition wrong syntax. Expected {ope: ..., value: ...}. received "+JSON.stringify(search)) ;
-                    }
-                }else{
-                    if(Array.isArray(value)){
-                        ope = "IN" ;
-                    }else if(typeof(value) === "string" && value.indexOf("%") !== -1){
-                        ope = "ILIKE" ;
-                    }                        
+            if(search[c.name] !== undefined && !this._isExistsCondition(search[c.name])){
+                conditions.push({column: c, value: search[c.name]}) ;
+            }
+        }
+        for(let key of Object.keys(search)){
+            let relation = this._parseRelationCondition(key, search[key]) ;
+            if(relation){
+                where.push(this._existsCondition(table, alias, relation, params)) ;
+                continue;
+            }
+            let jsonPath = this._parseJsonPath(key, columns) ;
+            if(jsonPath){
+                conditions.push({column: jsonPath.column, path: jsonPath.path, value: search[key]}) ;
+            }
+        }
+        for(let condition of conditions){
+            let c = condition.column ;
+            let value = condition.value ;
+            let ope = "=" ;
+            let lang = null ;
+            if(typeof(value) === "object" && value !== null && !Array.isArray(value)){
+                ope = value.ope ;
+                lang = value.lang ;
+                value = value.value ;
+                if(!ope){
+                    throw ("Search with special condition wrong syntax. Expected {ope: ..., value: ...}. received "+JSON.stringify(search)) ;
                 }
+            }else{
+                if(Array.isArray(value)){
+                    ope = "IN" ;
+                }else if(typeof(value) === "string" && value.indexOf("%") !== -1){
+                    ope = "ILIKE" ;
+                }                        
+            }
 
-                if(ope.toUpperCase() === "IN" || ope.toUpperCase() === "NOT IN"){
-                    if(!Array.isArray(value) || value.length === 0){
-                        throw ("Search in table "+table+" failed. Search operand IN provided with no value. Expected an array with at least one value") ;
-                    }
-                    let wVals = [] ;
-                    for(let v of value){
-                        params.push(v) ;
-                        wVals.push("$"+params.length) ;
-                    }
-                    where.push(alias+".\""+c.name+"\" "+ope+" ("+wVals.join(",")+")") ;
-                } else if (ope.toUpperCase() === "BETWEEN"){
-                    if(!Array.isArray(value) || value.length !== 2){
-                        throw ("Search in table "+table+" failed. Search operand BETWEEN provided with wrong value. Expected an array with 2 values") ;
-                    }
-                    params.push(value[0]) ;
-                    params.push(value[1]) ;
-                    where.push(alias+".\""+c.name+"\" BETWEEN $"+(params.length-1)+" AND $"+params.length) ;
-                } else {
-                    //simple value ope
-                    if(ope === "=" && value === null){
-                        where.push(alias+".\""+c.name+"\" IS NULL") ;
-                    }else if(ope === "<>" && value === null){
-                        where.push(alias+".\""+c.name+"\" IS NOT NULL") ;
-                    }else{
-                        params.push(value) ;
-                        where.push(alias+".\""+c.name+"\" "+ope+" $"+params.length) ;
-                    }
+            let colSql = alias+"."+this._escapeId(c.name) ;
+            if(condition.path){
+                if(ope.toUpperCase() === "FTS" || JSON_OPERATORS.indexOf(ope) !== -1){
+                    throw ("Search in table "+table+" failed. Search operand "+ope+" is not available on JSON path") ;
+                }
+                colSql = this._jsonPathValue(colSql, condition.path, Array.isArray(value) ? value[0] : value) ;
+            }
+
+            if(ope.toUpperCase() === "IN" || ope.toUpperCase() === "NOT IN"){
+                if(!Array.isArray(value) || value.length === 0){
+                    throw ("Search in table "+table+" failed. Search operand IN provided with no value. Expected an array with at least one value") ;
+                }
+                let wVals = [] ;
+                for(let v of value){
+                    params.push(v) ;
+                    wVals.push("$"+params.length) ;
+                }
+                where.push(colSql+" "+ope+" ("+wVals.join(",")+")") ;
+            } else if (ope.toUpperCase() === "BETWEEN"){
+                if(!Array.isArray(value) || value.length !== 2){
+                    throw ("Search in table "+table+" failed. Search operand BETWEEN provided with wrong value. Expected an array with 2 values") ;
+                }
+                params.push(value[0]) ;
+                params.push(value[1]) ;
+                where.push(colSql+" BETWEEN $"+(params.length-1)+" AND $"+params.length) ;
+            } else if (ope.toUpperCase() === "FTS"){
+                if(typeof(value) !== "string"){
+                    throw ("Search in table "+table+" failed. Search operand FTS provided with wrong value. Expected a string") ;
+                }
+                let fts = this._ftsCondition(table, alias, c.name, value, lang, params) ;
+                where.push(fts.condition) ;
+                ranks.push(fts.rank) ;
+            } else if (JSON_OPERATORS.indexOf(ope) !== -1){
+                if((ope === "?|" || ope === "?&") && (!Array.isArray(value) || value.length === 0)){
+                    throw ("Search in table "+table+" failed. Search operand "+ope+" provided with wrong value. Expected an array with at least one key") ;
+                }
+                where.push(this._jsonCondition(colSql, ope, value, params)) ;
+            } else {
+                //simple value ope
+                if(ope === "=" && value === null){
+                    where.push(colSql+" IS NULL") ;
+                }else if(ope === "<>" && value === null){
+                    where.push(colSql+" IS NOT NULL") ;
+                }else{
+                    params.push(value) ;
+                    where.push(colSql+" "+ope+" $"+params.length) ;
                 }
             }
         }
@@ -1056,7 +2467,7 @@ class VeloxDbPgClient {
             }
             var subWheres = [] ;
             for(let orPart of search.$or){
-                var subConditions = this._prepareWhereCondition(columns, orPart, table, params, alias) ;
+                var subConditions = this._prepareWhereCondition(columns, orPart, table, params, alias, ranks) ;
                 subWheres.push(subConditions.where.join(" AND ")) ;
             }
             where.push("("+subWheres.map((w)=>{ return "("+w+")" ;}).join(" OR ")+")") ;
@@ -1067,12 +2478,398 @@ class VeloxDbPgClient {
             }
             var subWheres = [] ;
             for(let andPart of search.$and){
-                var subConditions = this._prepareWhereCondition(columns, andPart, table, params, alias) ;
+                var subConditions = this._prepareWhereCondition(columns, andPart, table, params, alias, ranks) ;
                 subWheres.push(subConditions.where.join(" AND ")) ;
             }
             where.push("("+subWheres.map((w)=>{ return "("+w+")" ;}).join(" AND ")+")") ;
         }
-        return {where: where, params: params};
+        return {where: where, params: params, ranks: ranks};
+    }
+
+    /**
+     * Create the full text search condition on a column
+     * 
+     * The language is the one given in the condition, or the one of the full text index declared on 
+     * the column (see {@link createFullTextIndexes}), default is simple
+     * 
+     * @private
+     * @param {string} table the table name
+     * @param {string} alias the table alias
+     * @param {string} column the column name
+     * @param {string} value the searched text
+     * @param {string} [lang] the text search language (french, english...)
+     * @param {Array} params the query params
+     * @return {object} the condition and the rank expression {condition: "", rank: ""}
+     */
+    _ftsCondition(table, alias, column, value, lang, params){
+        lang = this._getFullTextLang(table, column, lang) ;
+        params.push(value) ;
+        let vector = `to_tsvector('${lang}', ${alias}.${this._escapeId(column)})` ;
+        let query = `plainto_tsquery('${lang}', $${params.length})` ;
+        return {condition: `${vector} @@ ${query}`, rank: `ts_rank(${vector}, ${query})`} ;
+    }
+
+    /**
+     * Create a full text search condition for databases that don't have full text search : 
+     * each word of the searched text must be found in the column
+     * 
+     * There is no rank, ordering by $rank does not change the order
+     * 
+     * @private
+     * @param {string} table the table name
+     * @param {string} alias the table alias
+     * @param {string} column the column name
+     * @param {string} value the searched text
+     * @param {Array} params the query params
+     * @return {object} the condition and the rank expression {condition: "", rank: ""}
+     */
+    _ftsTokenCondition(table, alias, column, value, params){
+        let tokens = this._tokenizeFullText(value) ;
+        if(tokens.length === 0){
+            //nothing to search, nothing found
+            return {condition: "1 = 0", rank: "NULL"} ;
+        }
+        let conditions = tokens.map((token)=>{
+            params.push("%"+token+"%") ;
+            return `LOWER(${alias}.${this._escapeId(column)}) LIKE $${params.length}` ;
+        }) ;
+        return {condition: "("+conditions.join(" AND ")+")", rank: "NULL"} ;
+    }
+
+    /**
+     * Split a text in lower case words
+     * 
+     * @private
+     * @param {string} text the text
+     * @return {string[]} the words
+     */
+    _tokenizeFullText(text){
+        return String(text).toLowerCase().split(FTS_WORD_SEPARATOR).filter((token)=>{ return !!token ;}) ;
+    }
+
+    /**
+     * Get the full text search language of a column
+     * 
+     * @private
+     * @param {string} table the table name
+     * @param {string} column the column name
+     * @param {string} [lang] the language asked in the search
+     * @return {string} the language
+     */
+    _getFullTextLang(table, column, lang){
+        if(!lang){
+            let indexes = (this.schema && this.schema[table] && this.schema[table].fullTextIndexes) || [] ;
+            let index = indexes.find((i)=>{ return i.column === column ;}) ;
+            lang = (index && index.lang) || DEFAULT_FTS_LANG ;
+        }
+        if(!/^[a-zA-Z_]+$/.test(lang)){
+            throw "Invalid full text search language "+lang ;
+        }
+        return lang ;
+    }
+
+    /**
+     * Create the full text indexes declared in the schema option
+     * 
+     * @example
+     * schema : {
+     *     product: {
+     *         fullTextIndexes: [ {column: "description", lang: "french"} ]
+     *     }
+     * }
+     * 
+     * @param {function(Error)} callback called when the indexes are created
+     */
+    createFullTextIndexes(callback){
+        let job = new AsyncJob(AsyncJob.SERIES) ;
+        for(let table of Object.keys(this.schema || {})){
+            for(let index of (this.schema[table].fullTextIndexes || [])){
+                job.push((cb)=>{
+                    let lang = null ;
+                    try{
+                        lang = this._getFullTextLang(table, index.column, index.lang) ;
+                    }catch(e){
+                        return cb(e) ;
+                    }
+                    let splitted = this.splitTable(table) ;
+                    let indexName = this._escapeId("velox_fts_"+splitted.table+"_"+index.column+"_"+lang) ;
+                    this._query(`CREATE INDEX IF NOT EXISTS ${indexName} ON ${this._escapeId(splitted.dbSchema)}.${this._escapeId(splitted.table)} 
+                        USING GIN (to_tsvector('${lang}', ${this._escapeId(index.column)}))`, [], cb) ;
+                }) ;
+            }
+        }
+        job.async(callback) ;
+    }
+
+    /**
+     * Check if a search value is an $exists condition on a related table
+     * 
+     * @private
+     * @param {*} value the search value
+     * @return {boolean} true if it is an $exists condition
+     */
+    _isExistsCondition(value){
+        return !!value && typeof(value) === "object" && !Array.isArray(value) && value.$exists !== undefined ;
+    }
+
+    /**
+     * Read a condition on a related table. It can be : 
+     *  - a condition on a column of the related table : {"otherTable.column": value}, the related table can be qualified {"schema.otherTable.column": value}
+     *  - an $exists condition : {otherTable: {$exists: {column: value}}}, {otherTable: {$exists: true}} or {otherTable: {$exists: false}}
+     * 
+     * @private
+     * @param {string} key the search key
+     * @param {*} value the search value
+     * @return {object} the related table and the sub search {otherTable: "", search: {}, not: false} or null if it is not a related table condition
+     */
+    _parseRelationCondition(key, value){
+        if(this._isExistsCondition(value)){
+            let exists = value.$exists ;
+            if(typeof(exists) !== "boolean" && (!exists || typeof(exists) !== "object" || Array.isArray(exists))){
+                throw "$exists on "+key+" expects true, false or a search object" ;
+            }
+            return {otherTable: key, search: typeof(exists) === "object" ? exists : {}, not: exists === false} ;
+        }
+        let indexDot = key.indexOf(".") ;
+        let indexJson = key.indexOf("->") ;
+        if(indexDot === -1 || (indexJson !== -1 && indexJson < indexDot)){
+            return null ;
+        }
+        let otherTable = this._findTablePrefix(key, indexJson === -1 ? key : key.substring(0, indexJson)) ;
+        let search = {} ;
+        search[key.substring(otherTable.length+1)] = value ;
+        return {otherTable: otherTable, search: search, not: false} ;
+    }
+
+    /**
+     * Find the table at the start of a dotted search key. 
+     * 
+     * The longest table name of the schema is used so a qualified table (schema.table.column) is preferred 
+     * to a table having the name of the database schema. If no table match, the part before the first dot is given
+     * 
+     * @private
+     * @param {string} key the search key
+     * @param {string} dottedPart the part of the key that can contains the table (before any JSON path)
+     * @return {string} the table name
+     */
+    _findTablePrefix(key, dottedPart){
+        let found = null ;
+        for(let table of Object.keys(this.cache.schema || {})){
+            if(dottedPart.indexOf(table+".") === 0 && (!found || table.length > found.length)){
+                found = table ;
+            }
+        }
+        return found || key.substring(0, key.indexOf(".")) ;
+    }
+
+    /**
+     * Create the EXISTS condition on a related table. The tables are linked using the FK (see {@link _getFkPairs})
+     * 
+     * @private
+     * @param {string} table the table name
+     * @param {string} alias the table alias
+     * @param {object} relation the related table condition (see {@link _parseRelationCondition})
+     * @param {Array} params the query params
+     * @return {string} the condition
+     */
+    _existsCondition(table, alias, relation, params){
+        let schema = this.cache.schema ;
+        let otherTable = relation.otherTable ;
+        if(!schema || !schema[otherTable]){
+            throw "Search in table "+table+" failed. Unknown table "+otherTable ;
+        }
+        let pairs = this._getFkPairs(schema, table, otherTable) ;
+        if(pairs.length === 0){
+            throw "Search in table "+table+" failed. Can't find FK between "+table+" and "+otherTable ;
+        }
+        let otherAlias = alias+"e" ;
+        let conditions = pairs.map((p)=>{
+            return otherAlias+"."+this._escapeId(p.otherColumn)+" = "+alias+"."+this._escapeId(p.thisColumn) ;
+        }) ;
+        let subConditions = this._prepareWhereCondition(schema[otherTable].columns, relation.search, otherTable, params, otherAlias) ;
+        conditions = conditions.concat(subConditions.where) ;
+        return `${relation.not?"NOT ":""}EXISTS (SELECT 1 FROM ${this.getTable(otherTable)} ${otherAlias} WHERE ${conditions.join(" AND ")})` ;
+    }
+
+    /**
+     * Read a JSON path search key (column->path->in->json)
+     * 
+     * @private
+     * @param {string} key the search key
+     * @param {Array} columns the table columns
+     * @return {object} the column and the path {column: {}, path: []} or null if the key is not a JSON path
+     */
+    _parseJsonPath(key, columns){
+        if(key.indexOf("->") === -1){
+            return null ;
+        }
+        let parts = key.split("->").map((p)=>{ return p.trim() ;}) ;
+        let column = columns.find((c)=>{ return c.name === parts[0] ;}) ;
+        if(!column){
+            throw "Unknown column "+parts[0]+" in JSON path "+key ;
+        }
+        let path = parts.slice(1) ;
+        if(path.length === 0 || !path.every((p)=>{ return /^[a-zA-Z0-9_]+$/.test(p) ;})){
+            throw "Invalid JSON path "+key ;
+        }
+        return {column: column, path: path} ;
+    }
+
+    /**
+     * Create the expression that read a value inside a JSON column
+     * 
+     * The value is read as text, it is cast to numeric or boolean when it is compared to a number or a boolean
+     * 
+     * @private
+     * @param {string} colSql the column expression
+     * @param {string[]} path the path inside the JSON
+     * @param {*} [compareValue] the value compared to the JSON value
+     * @return {string} the SQL expression
+     */
+    _jsonPathValue(colSql, path, compareValue){
+        let expression = `(${colSql} #>> '{${path.join(",")}}')` ;
+        if(typeof(compareValue) === "number"){
+            expression += "::numeric" ;
+        }else if(typeof(compareValue) === "boolean"){
+            expression += "::boolean" ;
+        }
+        return expression ;
+    }
+
+    /**
+     * Create the expression used to sort on a value inside a JSON column
+     * 
+     * The value is kept as jsonb to sort numbers as numbers
+     * 
+     * @private
+     * @param {string} colSql the column expression
+     * @param {string[]} path the path inside the JSON
+     * @return {string} the SQL expression
+     */
+    _jsonPathOrderValue(colSql, path){
+        return `(${colSql}::jsonb #> '{${path.join(",")}}')` ;
+    }
+
+    /**
+     * Create a condition with a JSON operator
+     * 
+     * ? : the JSON has the key, 
+     * ?| : the JSON has one of the keys, 
+     * ?& : the JSON has all the keys, 
+     * @> : the JSON contains the given JSON
+     * 
+     * @private
+     * @param {string} colSql the column expression
+     * @param {string} ope the operator
+     * @param {*} value the key(s) or the contained JSON
+     * @param {Array} params the query params
+     * @return {string} the condition
+     */
+    _jsonCondition(colSql, ope, value, params){
+        if(ope === "?"){
+            params.push(value) ;
+            return `${colSql}::jsonb ? $${params.length}` ;
+        }
+        if(ope === "?|" || ope === "?&"){
+            let keys = value.map((v)=>{
+                params.push(v) ;
+                return "$"+params.length ;
+            }) ;
+            return `${colSql}::jsonb ${ope} ARRAY[${keys.join(",")}]::text[]` ;
+        }
+        params.push(typeof(value) === "string" ? value : JSON.stringify(value)) ;
+        return `${colSql}::jsonb @> $${params.length}::jsonb` ;
+    }
+
+    /**
+     * Create the SQL value of a column write
+     * 
+     * A {$merge: {...}} value on a JSON column is merged in the current JSON value instead of replacing it
+     * 
+     * @private
+     * @param {string} table the table name
+     * @param {object} column the column definition
+     * @param {*} value the written value
+     * @param {Array} params the query params
+     * @param {string} [colSql] the column expression for reading the current value
+     * @return {string} the SQL value expression
+     */
+    _columnWriteValue(table, column, value, params, colSql){
+        if(value && typeof(value) === "object" && !Array.isArray(value) && value.$merge !== undefined){
+            if(typeof(value.$merge) !== "object" || value.$merge === null || Array.isArray(value.$merge)){
+                throw "Update of "+table+"."+column.name+" failed. $merge expects an object" ;
+            }
+            params.push(JSON.stringify(value.$merge)) ;
+            return this._jsonMergeValue(colSql || this._escapeId(column.name), "$"+params.length, column.type) ;
+        }
+        params.push(value) ;
+        return this.getColumnWrite(table, column.name, params.length) ;
+    }
+
+    /**
+     * Create the expression that merge a JSON in the current value of a JSON column
+     * 
+     * @private
+     * @param {string} colSql the column expression
+     * @param {string} paramSql the param containing the JSON to merge
+     * @param {string} type the column type
+     * @return {string} the SQL expression
+     */
+    _jsonMergeValue(colSql, paramSql, type){
+        let expression = `(COALESCE(${colSql}::jsonb, '{}'::jsonb) || ${paramSql}::jsonb)` ;
+        if(type === "json"){
+            expression += "::json" ;
+        }
+        return expression ;
+    }
+
+    /**
+     * Check if an order by item is the full text rank order ($rank or $rank desc)
+     * 
+     * @private
+     * @param {string} orderByItem the order by item
+     * @return {boolean} true if it is the rank order
+     */
+    _isRankOrderBy(orderByItem){
+        return /^\$rank(\s+(asc|desc))?$/i.test(orderByItem.trim()) ;
+    }
+
+    /**
+     * Check if an order by item is on a value inside a JSON column (column->path desc)
+     * 
+     * @private
+     * @param {string} orderByItem the order by item
+     * @return {boolean} true if it is a JSON path order
+     */
+    _isJsonPathOrderBy(orderByItem){
+        return orderByItem.indexOf("->") !== -1 ;
+    }
+
+    /**
+     * Replace the $rank and JSON path items of the order by clause by their SQL expressions
+     * 
+     * @private
+     * @param {string} orderBy the order by clause
+     * @param {Array} ranks the full text rank expressions of the search
+     * @param {Array} columns the table columns
+     * @return {string} the order by clause
+     */
+    _translateOrderBy(orderBy, ranks, columns){
+        return orderBy.split(",").map((ob)=>{
+            if(this._isJsonPathOrderBy(ob)){
+                let [key, direction] = ob.trim().split(/\s+/) ;
+                if(direction && !/^(asc|desc)$/i.test(direction)){
+                    throw "Invalid order by clause "+orderBy ;
+                }
+                let jsonPath = this._parseJsonPath(key, columns) ;
+                return this._jsonPathOrderValue("t."+this._escapeId(jsonPath.column.name), jsonPath.path)+(direction?" "+direction:"") ;
+            }
+            if(!this._isRankOrderBy(ob)){ return ob ; }
+            if(ranks.length === 0){
+                throw "Order by $rank needs a full text search condition" ;
+            }
+            return ob.trim().replace(/^\$rank/i, "("+ranks.join(" + ")+")") ;
+        }).join(",") ;
     }
 
     _checkOrderByClause(orderBy, columns){
@@ -1095,9 +2892,10 @@ class VeloxDbPgClient {
      * @param {string} [orderBy] order by clause
      * @param {number} [offset] offset
      * @param {number} [limit] limit
+     * @param {object} [options] search options {after: cursor} for keyset pagination
      * @param {function(Error, Array)} callback called on finished. give back the created sql and params
      */
-    _prepareSearchQuery(table, search, joinFetch, orderBy, offset, limit, callback){
+    _prepareSearchQuery(table, search, joinFetch, orderBy, offset, limit, options, callback){
         if(!search) { return callback("Try to search with null search in table "+table) ; }
 
         if(typeof(joinFetch) === "function"){
@@ -1108,7 +2906,8 @@ class VeloxDbPgClient {
             limit = null ;
         } 
         if(typeof(joinFetch) === "string"){
-            callback = limit;
+            callback = options;
+            options = limit;
             limit = offset;
             offset = orderBy;
             orderBy = joinFetch;
@@ -1119,13 +2918,26 @@ class VeloxDbPgClient {
             orderBy = null;
             offset = 0;
             limit = null ;
+            options = null ;
         } else if(typeof(offset) === "function"){
             callback = offset;
             offset = 0;
             limit = null ;
+            options = null ;
         } else if(typeof(limit) === "function"){
             callback = limit;
             limit = null ;
+            options = null ;
+        } else if(typeof(options) === "function"){
+            callback = options;
+            options = null ;
+        }
+        options = options || {} ;
+
+        let cursorMode = options.after !== undefined ;
+        let after = cursorMode ? options.after : null ;
+        if(cursorMode){
+            offset = 0 ;
         }
 
         this.getSchema((err, schema)=>{
@@ -1147,17 +2959,43 @@ class VeloxDbPgClient {
             let from = selectFrom.from ;
             let aliases = selectFrom.aliases;
             try {
-                var {where, _} = this._prepareWhereCondition(columns, search, table, params) ;
+                var {where, ranks} = this._prepareWhereCondition(columns, search, table, params) ;
             }catch(e){
-                callback(e) ;
+                return callback(e) ;
             }
 
             var orderByItems = [] ;
             if(orderBy){
-                if(!this._checkOrderByClause(orderBy, columns)){
+                let columnsOrderBy = orderBy.split(",").filter((ob)=>{ 
+                    return !this._isRankOrderBy(ob) && !this._isJsonPathOrderBy(ob) ;
+                }).join(",") ;
+                if(columnsOrderBy && !this._checkOrderByClause(columnsOrderBy, columns)){
                     return callback("Invalid order by clause "+orderBy) ;
                 }
-                orderByItems.push(orderBy) ;
+                if(cursorMode && columnsOrderBy !== orderBy){
+                    return callback("Keyset pagination can't be ordered by $rank or JSON path") ;
+                }
+            }
+
+            let cursorSort = null ;
+            if(cursorMode){
+                //keyset pagination, the records are sorted on order by columns and primary key
+                cursorSort = this._getCursorSort(table, orderBy, schema) ;
+                if(after){
+                    try{
+                        let values = this._readCursor(cursorSort, after) ;
+                        where.push(this._prepareCursorCondition(cursorSort, values, params, "t")) ;
+                    }catch(e){
+                        return callback(e) ;
+                    }
+                }
+                orderByItems.push(this._cursorOrderBy(cursorSort)) ;
+            }else if(orderBy){
+                try{
+                    orderByItems.push(this._translateOrderBy(orderBy, ranks, columns)) ;
+                }catch(e){
+                    return callback(e) ;
+                }
             }
 
 
@@ -1167,7 +3005,7 @@ class VeloxDbPgClient {
                 }
             }
 
-            if(orderByItems.length > 0){
+            if(orderByItems.length > 0 && !cursorSort){
                 //there is order by clause in join fetch, force add the pk in order by
                 let pkNames = schema[table].pk.map((p)=>{ return "t."+p ;}).join(", ") ; 
                 if(!pkNames){ callback("No PK defined for table "+table) ;}
@@ -1180,6 +3018,10 @@ class VeloxDbPgClient {
                     //we must do some windowing
                     let pkNames = schema[table].pk.map((p)=>{ return "t."+p ;}).join(", ") ; 
                     if(!pkNames){ callback("No PK defined for table "+table) ;}
+                    if(cursorSort){
+                        //the window must follow the keyset order
+                        pkNames = this._cursorOrderBy(cursorSort) ;
+                    }
                     select.push(`DENSE_RANK() OVER (ORDER BY ${pkNames}) AS velox_window_rownum`) ;
                 }else{
                     //classical offset/limit
@@ -1207,12 +3049,7 @@ class VeloxDbPgClient {
             }
             if(!joinFetch && (limit || offset)){
                 //normal offset
-                if(limit) {
-                    sql += ` LIMIT ${limit}` ;
-                }
-                if(offset) {
-                    sql += ` OFFSET ${offset}` ;
-                }
+                sql += this._limitOffsetClause(limit, offset) ;
             }else if(joinFetch && (limit || offset)){
                 //must do windowing
                 let windowWhere = [] ;
@@ -1225,24 +3062,173 @@ class VeloxDbPgClient {
                 sql = `SELECT * FROM (${sql}) sub WHERE ${windowWhere.join(" AND ")}` ;
             }
             
-            callback(null, sql, params, aliases, joinFetch, schema) ;
+            callback(null, sql, params, aliases, joinFetch, schema, cursorSort) ;
         });
     }
 
+    /**
+     * Get the sort of the keyset pagination : the order by columns followed by the primary key columns
+     * 
+     * @private
+     * @param {string} table table name
+     * @param {string} [orderBy] order by clause
+     * @param {object} schema the schema
+     * @return {Array} the sort columns [{column: "name", desc: false}]
+     */
+    _getCursorSort(table, orderBy, schema){
+        let sort = [] ;
+        if(orderBy){
+            sort = orderBy.split(",").map((ob)=>{
+                let parts = ob.trim().split(/\s+/) ;
+                return {column: parts[0], desc: !!parts[1] && parts[1].toUpperCase() === "DESC"} ;
+            }) ;
+        }
+        for(let pk of schema[table].pk){
+            if(!sort.some((s)=>{ return s.column === pk ;})){
+                sort.push({column: pk, desc: false}) ;
+            }
+        }
+        return sort ;
+    }
+
+    /**
+     * Create the order by clause of the keyset pagination
+     * 
+     * @private
+     * @param {Array} sort the sort columns
+     * @return {string} the order by clause
+     */
+    _cursorOrderBy(sort){
+        return sort.map((s)=>{ return "t."+this._escapeId(s.column)+(s.desc?" DESC":"") ;}).join(", ") ;
+    }
+
+    /**
+     * Tell if the NULL values are sorted after the other values
+     * 
+     * PostgreSQL consider NULL bigger than any value (NULLS LAST in ascending order, NULLS FIRST in descending order)
+     * 
+     * @param {boolean} desc true for descending order
+     * @return {boolean} true if NULL values come last
+     */
+    _nullsLast(desc){
+        return !desc ;
+    }
+
+    /**
+     * Create the page of a keyset pagination from the found records
+     * 
+     * @private
+     * @param {Array} sort the sort columns
+     * @param {Array} records the found records
+     * @param {number} [limit] the limit
+     * @return {object} the page {rows: [], cursor: ""}
+     */
+    _createCursorPage(sort, records, limit){
+        let cursor = null ;
+        if(limit && records.length >= parseInt(limit, 10)){
+            //the page is full, there may be other records after
+            let last = records[records.length-1] ;
+            cursor = Buffer.from(JSON.stringify({
+                c: sort.map((s)=>{ return s.column+(s.desc?" desc":"") ;}),
+                v: sort.map((s)=>{ return last[s.column] ;})
+            })).toString("base64") ;
+        }
+        return {rows: records, cursor: cursor} ;
+    }
+
+    /**
+     * Read the values of the last record from the cursor
+     * 
+     * @private
+     * @param {Array} sort the sort columns
+     * @param {string} cursor the cursor
+     * @return {Array} the values of the sort columns
+     */
+    _readCursor(sort, cursor){
+        let content = null ;
+        try{
+            content = JSON.parse(Buffer.from(cursor, "base64").toString()) ;
+        }catch(e){
+            throw "Invalid cursor "+cursor ;
+        }
+        let columns = sort.map((s)=>{ return s.column+(s.desc?" desc":"") ;}) ;
+        if(!content || !Array.isArray(content.v) || JSON.stringify(content.c) !== JSON.stringify(columns)){
+            throw "The cursor "+cursor+" does not match the order by "+columns.join(", ") ;
+        }
+        return content.v ;
+    }
+
+    /**
+     * Create the condition to get the records after the cursor values
+     * 
+     * (c1 > v1) OR (c1 = v1 AND c2 > v2) OR ...
+     * 
+     * @private
+     * @param {Array} sort the sort columns
+     * @param {Array} values the values of the last record
+     * @param {Array} params the query params
+     * @param {string} alias the table alias
+     * @return {string} the SQL condition
+     */
+    _prepareCursorCondition(sort, values, params, alias){
+        let ors = [] ;
+        for(let i=0; i<sort.length; i++){
+            let ands = [] ;
+            for(let j=0; j<i; j++){
+                let col = alias+"."+this._escapeId(sort[j].column) ;
+                if(values[j] === null || values[j] === undefined){
+                    ands.push(col+" IS NULL") ;
+                }else{
+                    params.push(values[j]) ;
+                    ands.push(col+" = $"+params.length) ;
+                }
+            }
+            let col = alias+"."+this._escapeId(sort[i].column) ;
+            let nullsLast = this._nullsLast(sort[i].desc) ;
+            if(values[i] === null || values[i] === undefined){
+                if(nullsLast){
+                    //nothing after NULL
+                    continue;
+                }
+                ands.push(col+" IS NOT NULL") ;
+            }else{
+                params.push(values[i]) ;
+                let after = col+" "+(sort[i].desc?"<":">")+" $"+params.length ;
+                if(nullsLast){
+                    after = "("+after+" OR "+col+" IS NULL)" ;
+                }
+                ands.push(after) ;
+            }
+            ors.push("("+ands.join(" AND ")+")") ;
+        }
+        if(ors.length === 0){
+            return "1 = 0" ;
+        }
+        return "("+ors.join(" OR ")+")" ;
+    }
+
 
     /**
      * Get the schema of the database. Result format is : 
      * {
      *      table1 : {
      *          columns : [
-     *              {name : "", type: "", size: 123}
+     *              {name : "", type: "", size: 123, nullable: true, defaultValue: "SQL default expression", values: ["enum values"]}
      *          ],
-     *          pk: ["field1", field2]
+     *          pk: ["field1", field2],
+     *          fk: [{targetTable: "", thisColumn: "", targetColumn: ""}],
+     *          unique: [{name: "constraint name", columns: ["field1"]}],
+     *          indexes: [{name: "index name", columns: ["field1"], unique: false}],
+     *          checks: [{name: "constraint name", definition: "CHECK (...)"}]
      *      },
      *      table2 : {...s}
      * }
      * 
-     * Note : result is cached so in the case you modify the table while application is running you should restart to see the modifications
+     * defaultValue is null when the column has no default. values is only set on enum columns. 
+     * The indexes don't contain the primary key index. The indexes on expressions have expression: true, their columns
+     * only contain the plain columns of the index
+     * 
+     * Note : result is cached, the cache is cleared on schema update, on DDL queries and on schema change notified by other nodes
      * 
      * @param {function(Error,object)} callback 
      */
@@ -1250,149 +3236,300 @@ class VeloxDbPgClient {
         if(this.cache.schema){
             return callback(null, this.cache.schema) ;
         }
+        this._readSchema((err, schema)=>{
+            if(err){ return callback(err); }
+            this._readSchemaConstraints(schema, (err)=>{
+                if(err){ return callback(err); }
+                Object.keys(schema).forEach(function(table){
+                    var tableDef = schema[table] ;
+                    tableDef.columns.forEach(function(colDef){
+                        if(!colDef.values && tableDef.fk){
+                            tableDef.fk.some(function(fk){
+                                if(fk.thisColumn === colDef.name){
+                                    colDef.type = "select" ;
+                                    colDef.values = "2one" ;
+                                }
+                            });
+                        }
+                    }) ;
+                }) ;
+
+                extendsSchema(schema, this.schema) ;
+
+                for(let tableName of Object.keys(schema)){
+                    if(schema[tableName].pk.length === 0){
+                        schema[tableName].pk = schema[tableName].columns.map((c)=>{return c.name ;}) ;
+                    }
+                }
+
+                this._readSchemaVersion(schema, (err, version)=>{
+                    if(err){ return callback(err); }
+                    schema.__version = version ;
+                    this.cache.schema = schema ;
+                    callback(null, schema) ;
+                }) ;
+            }) ;
+        }) ;
+    }
+
+    /**
+     * Read the tables, columns, primary keys and foreign keys from the database
+     * 
+     * @private
+     * @param {function(Error, object)} callback called with the raw schema
+     */
+    _readSchema(callback){
         this._query(`
-                SELECT t.table_name, column_name, udt_name, character_maximum_length, numeric_precision, datetime_precision
+                SELECT t.table_schema, t.table_name, column_name, udt_name, character_maximum_length, numeric_precision, datetime_precision,
+                    is_nullable, column_default
                     FROM information_schema.columns t
-                JOIN information_schema.tables t1 on t.table_name = t1.table_name
-                    WHERE t.table_schema='public'
+                JOIN information_schema.tables t1 on t.table_name = t1.table_name and t.table_schema = t1.table_schema
+                    WHERE t.table_schema = ANY($1)
                     AND t1.table_type IN ('BASE TABLE', 'VIEW')
-                    order by t.table_name, ordinal_position
-        `, [], (err, results)=>{
+                    order by t.table_schema, t.table_name, ordinal_position
+        `, [this.searchPath], (err, results)=>{
             if(err){ return callback(err); }
 
             let schema = {} ;
             for(let r of results.rows){
                 
-                let table = schema[r.table_name] ;
+                let tableName = this.qualifyTable(r.table_schema, r.table_name) ;
+                let table = schema[tableName] ;
 
                 if(!table){
                     table = {
                         columns: [],
                         pk: [],
-                        fk: []
+                        fk: [],
+                        unique: [],
+                        indexes: [],
+                        checks: []
                     } ;
-                    schema[r.table_name] = table;
+                    schema[tableName] = table;
                 }
                 
                 delete r.table_name ;
                 table.columns.push({
                     name: r.column_name,
                     type: this._sanitizeType(r.udt_name),
-                    size : r.character_maximum_length || r.numeric_precision || r.datetime_precision
+                    size : r.character_maximum_length || r.numeric_precision || r.datetime_precision,
+                    nullable: r.is_nullable === "YES",
+                    defaultValue: r.column_default === undefined ? null : r.column_default
                 }) ;
             }
 
             this._query( `
-                    select kc.column_name , t.table_name
+                    select kc.column_name , tc.table_schema, tc.table_name
                     from  
                         information_schema.table_constraints tc
                         JOIN information_schema.key_column_usage kc ON kc.table_name = tc.table_name and kc.table_schema = tc.table_schema
                         and kc.constraint_name = tc.constraint_name
-                        JOIN information_schema.tables t on tc.table_name = t.table_name
                     where 
-                        tc.constraint_type = 'PRIMARY KEY' 
-                    order by t.table_name, ordinal_position
-            `, [], (err, results)=>{
+                        tc.constraint_type = 'PRIMARY KEY' AND tc.table_schema = ANY($1)
+                    order by tc.table_schema, tc.table_name, ordinal_position
+            `, [this.searchPath], (err, results)=>{
                     if(err){ return callback(err); }
                     for(let r of results.rows){
-                        let table = schema[r.table_name] ;
+                        let table = schema[this.qualifyTable(r.table_schema, r.table_name)] ;
                         if(table){
                             table.pk.push(r.column_name) ;
                         }
                     }
 
                     this._query( `
-                            select kc.column_name , tc.table_name, ccu.table_name AS foreign_table_name,
-                                ccu.column_name AS foreign_column_name 
+                            select kc.column_name , tc.table_schema, tc.table_name, ccu.table_schema AS foreign_table_schema,
+                                ccu.table_name AS foreign_table_name, ccu.column_name AS foreign_column_name 
                             from  
                                 information_schema.table_constraints tc
                                 JOIN information_schema.key_column_usage kc ON kc.table_name = tc.table_name and kc.table_schema = tc.table_schema
                                 and kc.constraint_name = tc.constraint_name
                                 JOIN information_schema.constraint_column_usage AS ccu
-                                ON ccu.constraint_name = tc.constraint_name
+                                ON ccu.constraint_name = tc.constraint_name and ccu.constraint_schema = tc.constraint_schema
                             where 
-                                tc.constraint_type = 'FOREIGN KEY' 
-                            order by tc.table_name, ordinal_position
-                    `, [], (err, results)=>{
+                                tc.constraint_type = 'FOREIGN KEY' AND tc.table_schema = ANY($1)
+                            order by tc.table_schema, tc.table_name, ordinal_position
+                    `, [this.searchPath], (err, results)=>{
                             if(err){ return callback(err); }
                             for(let r of results.rows){
-                                let table = schema[r.table_name] ;
+                                let table = schema[this.qualifyTable(r.table_schema, r.table_name)] ;
                                 if(table){
                                     table.fk.push({
-                                        targetTable: r.foreign_table_name,
+                                        targetTable: this.qualifyTable(r.foreign_table_schema, r.foreign_table_name),
                                         thisColumn: r.column_name,
                                         targetColumn: r.foreign_column_name,
                                     }) ;
                                 }
                             }
+                            callback(null, schema) ;
+                    }) ;
+            }) ;
+        }) ;
+    }
 
-                            Object.keys(schema).forEach(function(table){
-                                var tableDef = schema[table] ;
-                                tableDef.columns.forEach(function(colDef){
-                                    if(!colDef.values && tableDef.fk){
-                                        tableDef.fk.some(function(fk){
-                                            if(fk.thisColumn === colDef.name){
-                                                colDef.type = "select" ;
-                                                colDef.values = "2one" ;
-                                            }
-                                        });
-                                    }
-                                }) ;
-                            }) ;
-
-                            extendsSchema(schema, this.schema) ;
-
-                            for(let tableName of Object.keys(schema)){
-                                if(schema[tableName].pk.length === 0){
-                                    schema[tableName].pk = schema[tableName].columns.map((c)=>{return c.name ;}) ;
-                                }
-                            }
-
+    /**
+     * Read the unique constraints, indexes, check constraints and enum values and add them to the schema
+     * 
+     * @private
+     * @param {object} schema the schema read by {@link _readSchema}
+     * @param {function(Error)} callback called when done
+     */
+    _readSchemaConstraints(schema, callback){
+        let job = new AsyncJob(AsyncJob.SERIES) ;
+        job.push((cb)=>{
+            this._query(`
+                    SELECT t.typname AS type_name, e.enumlabel AS value
+                        FROM pg_type t
+                        JOIN pg_enum e ON e.enumtypid = t.oid
+                        JOIN pg_namespace n ON n.oid = t.typnamespace
+                        WHERE n.nspname = ANY($1)
+                        ORDER BY t.typname, e.enumsortorder
+            `, [this.searchPath], (err, results)=>{
+                if(err){ return cb(err); }
+                let enums = {} ;
+                for(let r of results.rows){
+                    if(!enums[r.type_name]){
+                        enums[r.type_name] = [] ;
+                    }
+                    enums[r.type_name].push(r.value) ;
+                }
+                for(let table of Object.keys(schema)){
+                    for(let col of schema[table].columns){
+                        if(enums[col.type]){
+                            col.values = enums[col.type].slice() ;
+                        }
+                    }
+                }
+                cb() ;
+            }) ;
+        }) ;
+        job.push((cb)=>{
+            this._query(`
+                    SELECT tc.table_schema, tc.table_name, tc.constraint_name, kc.column_name
+                        FROM information_schema.table_constraints tc
+                        JOIN information_schema.key_column_usage kc ON kc.table_name = tc.table_name and kc.table_schema = tc.table_schema
+                        and kc.constraint_name = tc.constraint_name
+                        WHERE tc.constraint_type = 'UNIQUE' AND tc.table_schema = ANY($1)
+                        ORDER BY tc.table_schema, tc.table_name, tc.constraint_name, kc.ordinal_position
+            `, [this.searchPath], (err, results)=>{
+                if(err){ return cb(err); }
+                this._addSchemaColumnsGroups(schema, "unique", results.rows.map((r)=>{
+                    return {table: this.qualifyTable(r.table_schema, r.table_name), name: r.constraint_name, column: r.column_name} ;
+                })) ;
+                cb() ;
+            }) ;
+        }) ;
+        job.push((cb)=>{
+            this._query(`
+                    SELECT n.nspname AS table_schema, t.relname AS table_name, i.relname AS index_name, ix.indisunique AS is_unique, a.attname AS column_name
+                        FROM pg_index ix
+                        JOIN pg_class t ON t.oid = ix.indrelid
+                        JOIN pg_class i ON i.oid = ix.indexrelid
+                        JOIN pg_namespace n ON n.oid = t.relnamespace
+                        CROSS JOIN LATERAL unnest(ix.indkey) WITH ORDINALITY AS k(attnum, position)
+                        LEFT JOIN pg_attribute a ON a.attrelid = t.oid AND a.attnum = k.attnum
+                        WHERE n.nspname = ANY($1) AND NOT ix.indisprimary
+                        ORDER BY n.nspname, t.relname, i.relname, k.position
+            `, [this.searchPath], (err, results)=>{
+                if(err){ return cb(err); }
+                this._addSchemaColumnsGroups(schema, "indexes", results.rows.map((r)=>{
+                    return {table: this.qualifyTable(r.table_schema, r.table_name), name: r.index_name, column: r.column_name, unique: r.is_unique} ;
+                })) ;
+                cb() ;
+            }) ;
+        }) ;
+        job.push((cb)=>{
+            this._query(`
+                    SELECT n.nspname AS table_schema, t.relname AS table_name, c.conname AS constraint_name, pg_get_constraintdef(c.oid) AS definition
+                        FROM pg_constraint c
+                        JOIN pg_class t ON t.oid = c.conrelid
+                        JOIN pg_namespace n ON n.oid = t.relnamespace
+                        WHERE c.contype = 'c' AND n.nspname = ANY($1)
+                        ORDER BY n.nspname, t.relname, c.conname
+            `, [this.searchPath], (err, results)=>{
+                if(err){ return cb(err); }
+                for(let r of results.rows){
+                    let table = schema[this.qualifyTable(r.table_schema, r.table_name)] ;
+                    if(table){
+                        table.checks.push({name: r.constraint_name, definition: r.definition}) ;
+                    }
+                }
+                cb() ;
+            }) ;
+        }) ;
+        job.async((err)=>{ callback(err) ; }) ;
+    }
 
-                            if(schema.velox_db_version){
-                                this._query("select * from velox_db_version", [], (err, results)=>{
-                                    if(err){ return callback(err); }
-                                    schema.__version = results.rows.length>0?results.rows[0]:{version: 0};
-
-                                    if(schema.__version.version == 0){
-                                        //we don't manage schema change, so we just compute a fake version number from columns and table count
-                                        //this assume that you always add more table and columns to the database !
-                                        this._query(`
-                                        select t.table_count + c.col_count as version, NULL as last_update from 
-                                            (select count(*) col_count from information_schema.columns) c,
-                                            (select count(*) table_count from information_schema.tables) t
-                                        `, [], (err, results) => {
-                                            if(err){ return callback(err); }
-                                            schema.__version = results.rows.length>0?results.rows[0]:{version: 0};
-
-                                            this.cache.schema = schema ;
-                                            callback(null, schema) ;
-                                        }) ;
-                                    }else{
-                                        this.cache.schema = schema ;
-            
-                                        callback(null, schema) ;
-                                    }
+    /**
+     * Add the unique constraints or the indexes to the schema tables from rows giving one column by row
+     * 
+     * The columns of an expression index are not given (null column), the index is marked with expression: true
+     * 
+     * @private
+     * @param {object} schema the schema
+     * @param {string} key the table key to fill : unique or indexes
+     * @param {Array} rows the rows [{table: "", name: "", column: "", unique: true}] ordered by table, name and column position
+     */
+    _addSchemaColumnsGroups(schema, key, rows){
+        let current = null ;
+        for(let r of rows){
+            let table = schema[r.table] ;
+            if(!table){ continue ; }
+            if(!table[key]){
+                table[key] = [] ;
+            }
+            if(!current || current.table !== r.table || current.def.name !== r.name){
+                current = {table: r.table, def: {name: r.name, columns: []}} ;
+                if(r.unique !== undefined){
+                    current.def.unique = !!r.unique ;
+                }
+                table[key].push(current.def) ;
+            }
+            if(r.column){
+                current.def.columns.push(r.column) ;
+            }else{
+                current.def.expression = true ;
+            }
+        }
+    }
 
-                                }) ;
-                            }else{
-                                //we don't manage schema change, so we just compute a fake version number from columns and table count
-                                //this assume that you always add more table and columns to the database !
-                                this._query(`
-                                select t.table_count + c.col_count as version, NULL as last_update from 
-                                    (select count(*) col_count from information_schema.columns) c,
-                                    (select count(*) table_count from information_schema.tables) t
-                                `, [], (err, results) => {
-                                    if(err){ return callback(err); }
-                                    schema.__version = results.rows.length>0?results.rows[0]:{version: 0};
-
-                                    this.cache.schema = schema ;
-                                    callback(null, schema) ;
-                                }) ;
-                            }
+    /**
+     * Read the schema version from the version table
+     * 
+     * If the schema changes are not managed, a fake version number is computed from columns and table count
+     * 
+     * @private
+     * @param {object} schema the schema
+     * @param {function(Error, object)} callback called with the version record {version, last_update}
+     */
+    _readSchemaVersion(schema, callback){
+        if(!schema[DB_VERSION_TABLE]){
+            return this._computeFakeSchemaVersion(callback) ;
+        }
+        this._query(`select version, last_update from ${DB_VERSION_TABLE}`, [], (err, results)=>{
+            if(err){ return callback(err); }
+            let version = results.rows.length>0?results.rows[0]:{version: 0};
+            if(version.version == 0){
+                return this._computeFakeSchemaVersion(callback) ;
+            }
+            callback(null, version) ;
+        }) ;
+    }
 
-                    }) ;
-            }) ;
+    /**
+     * We don't manage schema change, so we just compute a fake version number from columns and table count
+     * this assume that you always add more table and columns to the database !
+     * 
+     * @private
+     * @param {function(Error, object)} callback called with the version record {version, last_update}
+     */
+    _computeFakeSchemaVersion(callback){
+        this._query(`
+        select t.table_count + c.col_count as version, NULL as last_update from 
+            (select count(*) col_count from information_schema.columns) c,
+            (select count(*) table_count from information_schema.tables) t
+        `, [], (err, results) => {
+            if(err){ return callback(err); }
+            callback(null, results.rows.length>0?results.rows[0]:{version: 0}) ;
         }) ;
     }
 
@@ -1406,7 +3543,7 @@ class VeloxDbPgClient {
     /**
      * Get the columns of a table. Give back an array of columns definition
      * 
-     * Note : result is cached so in the case you modify the table while application is running you should restart to see the modifications
+     * Note : result is cached, the cache is cleared on schema update, on DDL queries and on schema change notified by other nodes
      * 
      * @param {string} table the table name
      * @param {function(Error, Array)} callback called when found primary key, return array of column definitions
@@ -1415,13 +3552,14 @@ class VeloxDbPgClient {
         if(this.cache._cacheColumns[table]){
             return callback(null, this.cache._cacheColumns[table]) ;
         }
+        let splitted = this.splitTable(table) ;
         this._query(`SELECT column_name, udt_name, character_maximum_length, numeric_precision, datetime_precision
                     FROM information_schema.columns t
-                JOIN information_schema.tables t1 on t.table_name = t1.table_name
-                    WHERE t.table_schema='public'
-                    AND t1.table_type = 'BASE TABLE' AND t.table_name = $1
+                JOIN information_schema.tables t1 on t.table_name = t1.table_name and t.table_schema = t1.table_schema
+                    WHERE t.table_schema = $1
+                    AND t1.table_type = 'BASE TABLE' AND t.table_name = $2
                     order by t.table_name, ordinal_position
-                    `, [table], (err, result)=>{
+                    `, [splitted.dbSchema, splitted.table], (err, result)=>{
             if(err){ return callback(err); }
 
             this.cache._cacheColumns[table] = result.rows ;
@@ -1432,7 +3570,7 @@ class VeloxDbPgClient {
     /**
      * Get the primary key of a table. Give back an array of column composing the primary key
      * 
-     * Note : result is cached so in the case you modify the table while application is running you should restart to see the modifications
+     * Note : result is cached, the cache is cleared on schema update, on DDL queries and on schema change notified by other nodes
      * 
      * @param {string} table the table name
      * @param {function(Error, Array)} callback called when found primary key, return array of column names composing primary key
@@ -1441,15 +3579,16 @@ class VeloxDbPgClient {
         if(this.cache._cachePk[table]){
             return callback(null, this.cache._cachePk[table]) ;
         }
+        let splitted = this.splitTable(table) ;
         this._query(`select kc.column_name 
                     from  
                         information_schema.table_constraints tc
                         JOIN information_schema.key_column_usage kc ON kc.table_name = tc.table_name and kc.table_schema = tc.table_schema
                         and kc.constraint_name = tc.constraint_name
-                        JOIN information_schema.tables t on tc.table_name = t.table_name
                     where 
-                        tc.constraint_type = 'PRIMARY KEY' AND tc.table_name = $1
-                    `, [table], (err, result)=>{
+                        tc.constraint_type = 'PRIMARY KEY' AND tc.table_schema = $1 AND tc.table_name = $2
+                    order by kc.ordinal_position
+                    `, [splitted.dbSchema, splitted.table], (err, result)=>{
             if(err){ return callback(err); }
 
             this.cache._cachePk[table] = result.rows.map((r)=>{
@@ -1482,13 +3621,16 @@ class VeloxDbPgClient {
             }
         }
         job.push((cb)=>{
-            this._query(`UPDATE ${DB_VERSION_TABLE} SET version = $1, last_update = now()`, [newVersion], cb) ;
+            this._query(`UPDATE ${DB_VERSION_TABLE} SET version = $1, last_update = ${this._sqlNow()}`, [newVersion], cb) ;
         }) ;
         job.async(callback) ;
     }
 
     clone(){
-        return new VeloxDbPgClient(this.connection, function(){}, this.logger, this.cache, this.schema, this.customInit) ;
+        let client = new this.constructor(this.connection, function(){}, this.logger, this.cache, this.schema, this.customInit, this.options) ;
+        client.id = this.id ;
+        client.statementTimeout = this.statementTimeout ;
+        return client ;
     }
 
 
@@ -1528,7 +3670,17 @@ class VeloxDbPgClient {
         if(timeout === undefined){ timeout = 120; }
 			
         var tx = this.clone() ;
-        tx.transaction = function(){ throw "You should not start a transaction in a transaction !"; } ;
+        //a transaction started in the transaction is a savepoint
+        tx.transaction = function(callbackDoNested, callbackDoneNested){ return tx.savepoint(callbackDoNested, callbackDoneNested) ; } ;
+        tx.inTransaction = true ;
+        //the statement timeout set in the transaction is restored by a rollback
+        let statementTimeout = this.connection.veloxStatementTimeout ;
+        let rollback = (cb)=>{
+            this.connection.query("ROLLBACK", (err)=>{
+                this.connection.veloxStatementTimeout = statementTimeout ;
+                cb(err) ;
+            }) ;
+        } ;
             
 		this.connection.query("BEGIN", (err) => {
             if(err){
@@ -1540,14 +3692,17 @@ class VeloxDbPgClient {
             if(timeout > 0){
                 timeoutId = setTimeout(()=>{
                     if(!finished){
-                        //if the transaction is not closed, do rollback
-                        this.connection.query("ROLLBACK", (err)=>{
-                            finished = true;
-                            if(err) {
-                                return callbackDone("Transaction timeout after "+timeout+" seconds. Rollback failed : "+err);
-                            }
-                            callbackDone("Transaction timeout after "+timeout+" seconds. Rollback done");
-                        });  
+                        //if the transaction is not closed, cancel the running query and do rollback
+                        finished = true;
+                        let runningClient = tx.running.queries > 0 ? tx : this ;
+                        runningClient.cancel(()=>{
+                            rollback((err)=>{
+                                if(err) {
+                                    return callbackDone("Transaction timeout after "+timeout+" seconds. Rollback failed : "+err);
+                                }
+                                callbackDone("Transaction timeout after "+timeout+" seconds. Rollback done");
+                            });  
+                        }) ;
                     }
                 }, timeout*1000);
             }
@@ -1562,7 +3717,7 @@ class VeloxDbPgClient {
                         if(err){
                             if(!finished){
                                 //if the transaction is not closed, do rollback
-                                this.connection.query("ROLLBACK", (errRollback)=>{
+                                rollback((errRollback)=>{
                                     if(timeoutId){ clearTimeout(timeoutId) ;}
                                     finished = true;
                                     if(errRollback) {
@@ -1588,7 +3743,7 @@ class VeloxDbPgClient {
             }catch(e){
                 if(!finished){
                     //if the transaction is not closed, do rollback
-                    this.connection.query("ROLLBACK",(errRollback)=>{
+                    rollback((errRollback)=>{
                         if(timeoutId){ clearTimeout(timeoutId) ;}
                         finished = true;
                         if(errRollback) {
@@ -1625,6 +3780,14 @@ class VeloxDbPgBackend {
      * @property {string} database database name
      * @property {string} password database password
      * @property {VeloxLogger} logger logger
+     * @property {string[]} [searchPath] the database schemas to use (default ["public"]). 
+     * The first one is the default schema, its tables are named without schema. The tables of the other schemas are named schema.table
+     * The connections search_path is set to these schemas so extensions (like pgcrypto) must be installed in one of them
+     * @property {object} [slowQuery] the slow queries detection {threshold: ms, explain: false, analyze: false, explainInterval: ms}. The queries slower than the threshold are logged.
+     * If explain is true, the EXPLAIN of the slow queries is saved in the velox_slow_query table (created by the schema update).
+     * With analyze, the plan is computed with EXPLAIN (ANALYZE, BUFFERS) : the query is run again in a rollbacked transaction.
+     * A query is explained once by explainInterval (default 10min) and only one query is explained at a time
+     * @property {number} [statementTimeout] the default statement timeout (ms) of the queries
      */
 
     /**
@@ -1647,8 +3810,24 @@ class VeloxDbPgBackend {
             port: options.port || 3211
         }) ;
 
+        if(options.searchPath){
+            if(!Array.isArray(options.searchPath) || options.searchPath.length === 0){
+                throw "VeloxDbPgBackend : searchPath option must be a non empty array of schemas" ;
+            }
+            let searchPath = options.searchPath.map((s)=>{ return "\""+s.replace(/"/g, "\"\"")+"\"" ;}).join(", ") ;
+            this.pool.on("connect", (client)=>{
+                client.query("SET search_path TO "+searchPath, (err)=>{
+                    if(err){ this.logger.error("Can't set search path "+searchPath+" : "+err) ; }
+                }) ;
+            }) ;
+        }
+
         this.logger = new VeloxLogger("VeloxDbPgBackend", options.logger) ;
         this.cache = {} ;
+        this.nodeId = process.pid+"_"+Date.now()+"_"+Math.round(Math.random()*1000000) ;
+        this.acquireStats = {count: 0, totalMs: 0, maxMs: 0, lastMs: 0} ;
+        this.lastExplains = {} ;
+        this.explainRunning = false ;
         this.schema = options.schema || {} ;
         this.customClientInit = options.customClientInit || [] ;
     }
@@ -1660,15 +3839,247 @@ class VeloxDbPgBackend {
      */
     open(callback){
         var idConnect = clientIdInc++ ;
+        let startAcquire = Date.now() ;
         this.pool.connect((err, client, done) => {
             if(err){ return callback(err); }
 
-            let dbClient = new VeloxDbPgClient(client, done, this.logger, this.cache, this.schema, this.customClientInit) ;
+            let acquireMs = Date.now() - startAcquire ;
+            this.acquireStats.count++ ;
+            this.acquireStats.totalMs += acquireMs ;
+            this.acquireStats.lastMs = acquireMs ;
+            this.acquireStats.maxMs = Math.max(this.acquireStats.maxMs, acquireMs) ;
+
+            //mark the connection as checked out by this client until it is given back to the pool
+            let lease = {id: idConnect} ;
+            client.veloxLease = lease ;
+            let release = ()=>{
+                if(client.veloxLease === lease){ client.veloxLease = null ; }
+                done() ;
+            } ;
+            let dbClient = new VeloxDbPgClient(client, release, this.logger, this.cache, this.schema, this.customClientInit, {
+                searchPath: this.options.searchPath,
+                slowQuery: this.options.slowQuery,
+                explainSlowQuery: this.options.slowQuery && this.options.slowQuery.explain ? this._explainSlowQuery.bind(this) : null,
+                statementTimeout: this.options.statementTimeout,
+                cancelQuery: this._cancelQuery.bind(this)
+            }) ;
             dbClient.id = idConnect ;
             callback(null, dbClient) ;
         });
     }
 
+    /**
+     * Cancel the query running on a connection with pg_cancel_backend
+     * 
+     * The cancel is sent from another connection of the pool as the connection is busy with the query
+     * 
+     * @private
+     * @param {number} processID the backend process id of the connection
+     * @param {function(Error)} callback called when the cancel is sent
+     */
+    _cancelQuery(processID, callback){
+        this.pool.query("SELECT pg_cancel_backend($1)", [processID], (err)=>{
+            if(err){ 
+                this.logger.error("Can't cancel the query of process "+processID+" : "+err) ;
+                return callback(err); 
+            }
+            callback() ;
+        }) ;
+    }
+
+    /**
+     * Save the plan of a slow query in the slow query table
+     * 
+     * The plan is computed with EXPLAIN, the query is not executed again. With the analyze option, the plan is computed with
+     * EXPLAIN (ANALYZE, BUFFERS) : the query is executed again in a transaction that is rollbacked (so the writes are not kept).
+     * It is done on another connection of the pool so it does not delay the client that ran the query
+     * 
+     * To not add load to a slow database, only one plan is computed at a time and the same query is explained 
+     * once by explainInterval (default 10min). The slow queries that are not explained are still logged
+     * 
+     * @private
+     * @param {object} info - the slow query {sql, params, durationMs, operation, user}
+     */
+    _explainSlowQuery(info){
+        if(!/^\s*(select|insert|update|delete|with)\s/i.test(info.sql)){ return ; }
+        let slowQuery = this.options.slowQuery ;
+        let now = Date.now() ;
+        let explainInterval = slowQuery.explainInterval === undefined ? DEFAULT_EXPLAIN_INTERVAL : slowQuery.explainInterval ;
+        for(let sql of Object.keys(this.lastExplains)){
+            if(now - this.lastExplains[sql] >= explainInterval){ delete this.lastExplains[sql] ; }
+        }
+        if(this.explainRunning || this.lastExplains[info.sql]){ return ; }
+        this.explainRunning = true ;
+        this.lastExplains[info.sql] = now ;
+        let explain = slowQuery.analyze ? this._explainAnalyze.bind(this) : (sql, params, callback)=>{
+            this.pool.query("EXPLAIN "+sql, params, callback) ;
+        } ;
+        explain(info.sql, info.params, (err, result)=>{
+            this.explainRunning = false ;
+            if(err){ return this.logger.error("Can't explain the slow query : "+err) ; }
+            let plan = result.rows.map((r)=>{ return r["QUERY PLAN"] ;}).join("\n") ;
+            this.pool.query(`INSERT INTO ${SLOW_QUERY_TABLE} (duration_ms, operation, user_name, sql, params_count, plan) 
+                VALUES ($1, $2, $3, $4, $5, $6)`, 
+                [info.durationMs, info.operation, info.user, info.sql, info.params.length, plan], (err)=>{
+                if(err){ this.logger.error("Can't save the slow query plan : "+err) ; }
+            }) ;
+        }) ;
+    }
+
+    /**
+     * Run EXPLAIN (ANALYZE, BUFFERS) on a query in a transaction that is always rollbacked
+     * 
+     * @private
+     * @param {string} sql - the SQL query
+     * @param {Array} params - the query params
+     * @param {function(Error, object)} callback - called with the EXPLAIN result
+     */
+    _explainAnalyze(sql, params, callback){
+        this.pool.connect((err, client, done)=>{
+            if(err){ return callback(err); }
+            client.query("BEGIN", (err)=>{
+                if(err){ 
+                    done(err) ;
+                    return callback(err); 
+                }
+                client.query("EXPLAIN (ANALYZE, BUFFERS) "+sql, params, (errExplain, result)=>{
+                    client.query("ROLLBACK", (errRollback)=>{
+                        //a connection that failed to rollback is not given back to the pool
+                        done(errRollback) ;
+                        if(errExplain){ return callback(errExplain); }
+                        if(errRollback){ return callback(errRollback); }
+                        callback(null, result) ;
+                    }) ;
+                }) ;
+            }) ;
+        }) ;
+    }
+
+    /**
+     * Get the connection pool statistics
+     * 
+     * @return {object} the statistics {total, idle, waiting, acquire: {count, avgMs, maxMs, lastMs}}
+     */
+    getPoolStats(){
+        return {
+            total: this.pool.totalCount,
+            idle: this.pool.idleCount,
+            waiting: this.pool.waitingCount,
+            acquire: {
+                count: this.acquireStats.count,
+                avgMs: this.acquireStats.count > 0 ? Math.round(this.acquireStats.totalMs / this.acquireStats.count) : 0,
+                maxMs: this.acquireStats.maxMs,
+                lastMs: this.acquireStats.lastMs
+            }
+        } ;
+    }
+
+    /**
+     * Signal a schema change to the other nodes listening the schema changes (see {@link listenSchemaChanges})
+     * 
+     * @param {number} version the new schema version
+     * @param {function(Error)} callback called when the notification is sent
+     */
+    notifySchemaChange(version, callback){
+        this.pool.query("SELECT pg_notify($1, $2)", [SCHEMA_CHANGE_CHANNEL, JSON.stringify({version: version, node: this.nodeId})], (err)=>{
+            if(err){ return callback(err); }
+            callback() ;
+        }) ;
+    }
+
+    /**
+     * Listen the schema changes signaled by the other nodes on the velox_schema_change channel.
+     * 
+     * The schema cache is cleared and the listener is called on each notification. 
+     * The notifications sent by this node are ignored.
+     * 
+     * A DDL change done outside of the schema update can be signaled with : NOTIFY velox_schema_change
+     * 
+     * A connection of the pool is kept for the listening, if it is lost or if the LISTEN fails a new one is opened
+     * after a delay that doubles on each failure (from 5s up to 5min). As notifications may have been missed in the 
+     * meantime, the schema cache is cleared and the listener is called with {} when the listening is started again
+     * 
+     * @param {function(object)} listener called on schema change with the notification payload ({version: 123} or {})
+     * @param {function(Error)} [callback] called when the listening is started
+     */
+    listenSchemaChanges(listener, callback){
+        if(!callback){ callback = function(){} ; }
+        this.pool.connect((err, client, done) => {
+            if(err){ 
+                this.logger.error("Can't open connection to listen schema changes : "+err) ;
+                this._retryListenSchemaChanges(listener) ;
+                return callback(err); 
+            }
+            let released = false ;
+            client.on("notification", (msg)=>{
+                if(msg.channel !== SCHEMA_CHANGE_CHANNEL){ return ; }
+                let payload = {} ;
+                if(msg.payload){
+                    try{
+                        payload = JSON.parse(msg.payload) ;
+                    }catch(e){
+                        this.logger.warn("Unexpected schema change notification payload "+msg.payload) ;
+                    }
+                }
+                if(payload.node === this.nodeId){ return ; }
+                this.logger.info("Schema change notified, clear schema cache") ;
+                this._clearSchemaCacheAndNotify(listener, payload) ;
+            }) ;
+            client.on("error", (err)=>{
+                this.logger.error("Schema changes listening connection lost : "+err) ;
+                if(!released){
+                    released = true ;
+                    done(err) ;
+                    this._retryListenSchemaChanges(listener) ;
+                }
+            }) ;
+            client.query("LISTEN "+SCHEMA_CHANGE_CHANNEL, (err)=>{
+                if(err){
+                    released = true ;
+                    done(err) ;
+                    this.logger.error("Can't listen schema changes : "+err) ;
+                    this._retryListenSchemaChanges(listener) ;
+                    return callback(err) ;
+                }
+                if(this.listenRetryDelay){
+                    //listening again after a failure, some notifications may have been missed
+                    this.listenRetryDelay = 0 ;
+                    this._clearSchemaCacheAndNotify(listener, {}) ;
+                }
+                callback() ;
+            }) ;
+        });
+    }
+
+    /**
+     * Clear the schema cache and call the schema change listener
+     * 
+     * @private
+     * @param {function(object)} listener the schema change listener
+     * @param {object} payload the notification payload
+     */
+    _clearSchemaCacheAndNotify(listener, payload){
+        delete this.cache.schema ;
+        this.cache._cachePk = {} ;
+        this.cache._cacheColumns = {} ;
+        listener(payload) ;
+    }
+
+    /**
+     * Start again the schema changes listening after a delay. The delay doubles on each consecutive failure
+     * and is reset when the listening succeeds
+     * 
+     * @private
+     * @param {function(object)} listener the schema change listener
+     */
+    _retryListenSchemaChanges(listener){
+        this.listenRetryDelay = this.listenRetryDelay ? Math.min(this.listenRetryDelay*2, LISTEN_RETRY_MAX_DELAY) : LISTEN_RETRY_DELAY ;
+        this.logger.info("Retry to listen schema changes in "+this.listenRetryDelay+"ms") ;
+        setTimeout(()=>{ 
+            this.listenSchemaChanges(listener) ;
+        }, this.listenRetryDelay).unref() ;
+    }
+
     /**
      * Create the database if not exists
      * 
@@ -1720,4 +4131,9 @@ class VeloxDbPgBackend {
 
 }
 
+/**
+ * The client class is exposed to let other SQL backends extend it
+ */
+VeloxDbPgBackend.VeloxDbPgClient = VeloxDbPgClient ;
+
 module.exports = VeloxDbPgBackend ;
\ No newline at end of file
@@ -0,0 +1,719 @@
+const sqlite3 = require("sqlite3") ;
+const VeloxLogger = require("velox-commons/VeloxLogger") ;
+const VeloxDbPgClient = require("../pg/VeloxDbPgBackend").VeloxDbPgClient ;
+
+const DB_VERSION_TABLE = "velox_db_version" ;
+
+/**
+ * Query that give back rows (others queries are run without fetching results)
+ */
+const READ_QUERY_REGEXP = /^\s*(select|with|pragma|values)\b|\breturning\b/i ;
+
+var clientIdInc = 0;
+
+/**
+ * Wrap the SQLite database connection to give it the same query API than the pg connection
+ *
+ * As SQLite has only one connection to the database file, each client has its own wrapper on the shared database.
+ * While a client is in a transaction, the statements of the other clients (and their transactions) are queued and 
+ * run when the transaction is finished, so they don't see its uncommited changes and are not rollbacked with it
+ */
+class VeloxDbSqliteConnection {
+
+    /**
+     * Create the connection wrapper
+     *
+     * @param {object} db the sqlite3 database
+     * @param {object} [lock] the transaction lock shared by the wrappers of the database {owner: wrapper, queue: []}
+     */
+    constructor(db, lock){
+        this.db = db ;
+        this.lock = lock || {owner: null, queue: []} ;
+    }
+
+    /**
+     * Run the function now if no other wrapper is in a transaction, otherwise when the transaction is finished
+     *
+     * @private
+     * @param {function} fn the function to run
+     */
+    _whenAvailable(fn){
+        if(!this.lock.owner || this.lock.owner === this){
+            return fn() ;
+        }
+        this.lock.queue.push({connection: this, run: fn}) ;
+    }
+
+    /**
+     * Execute a query and give back the result in the same format than pg : {rows: [], rowCount: 0}
+     *
+     * The $1, $2... parameters of the query are transformed to SQLite numbered parameters ?1, ?2...
+     *
+     * @param {string} sql - SQL to execute
+     * @param {Array} [params] - Params
+     * @param {function(err, results)} callback - called when finished
+     */
+    query(sql, params, callback){
+        if(!callback && typeof(params) === "function"){
+            callback = params;
+            params = [];
+        }
+        if(!params){
+            params = [] ;
+        }
+        this._whenAvailable(()=>{
+            this._run(sql, params, callback) ;
+        }) ;
+    }
+
+    /**
+     * Execute a query on the database
+     *
+     * @private
+     * @param {string} sql - SQL to execute
+     * @param {Array} params - Params
+     * @param {function(err, results)} callback - called when finished
+     */
+    _run(sql, params, callback){
+        sql = sql.replace(/\$(\d+)/g, "?$1") ;
+        if(READ_QUERY_REGEXP.test(sql)){
+            this.db.all(sql, params, (err, rows)=>{
+                if(err){ return callback(err) ;}
+                callback(null, {rows: rows, rowCount: rows.length}) ;
+            }) ;
+        } else if(params.length > 0){
+            this.db.run(sql, params, function(err){
+                if(err){ return callback(err) ;}
+                callback(null, {rows: [], rowCount: this.changes}) ;
+            }) ;
+        } else {
+            //exec allow many statements in the same query (like pg does when no params is given)
+            this.db.exec(sql, (err)=>{
+                if(err){ return callback(err) ;}
+                callback(null, {rows: [], rowCount: 0}) ;
+            }) ;
+        }
+    }
+
+    /**
+     * Open a cursor on a query, the rows are fetched one by one from a prepared statement
+     *
+     * @param {string} sql - SQL to execute
+     * @param {Array} [params] - Params
+     * @param {function(err, cursor)} callback - called with the cursor {read: function(count, callback(err, rows)), close: function(callback)}
+     */
+    cursor(sql, params, callback){
+        this._whenAvailable(()=>{
+            this._openCursor(sql, params, callback) ;
+        }) ;
+    }
+
+    /**
+     * Open a cursor on the database
+     *
+     * @private
+     * @param {string} sql - SQL to execute
+     * @param {Array} [params] - Params
+     * @param {function(err, cursor)} callback - called with the cursor
+     */
+    _openCursor(sql, params, callback){
+        let statement = this.db.prepare(sql.replace(/\$(\d+)/g, "?$1"), params || [], (err)=>{
+            if(err){ return callback(err) ;}
+            let done = false ;
+            let closed = false ;
+            callback(null, {
+                read: (count, cb)=>{
+                    let rows = [] ;
+                    let next = ()=>{
+                        if(done || rows.length >= count){
+                            return cb(null, rows) ;
+                        }
+                        statement.get((err, row)=>{
+                            if(err){ return cb(err) ;}
+                            if(!row){
+                                done = true ;
+                            }else{
+                                rows.push(row) ;
+                            }
+                            next() ;
+                        }) ;
+                    } ;
+                    this._whenAvailable(next) ;
+                },
+                close: (cb)=>{
+                    if(closed){ return cb() ; }
+                    closed = true ;
+                    statement.finalize(()=>{ cb() ; }) ;
+                }
+            }) ;
+        }) ;
+    }
+
+    /**
+     * Wait for the running transaction to finish before starting a new one
+     *
+     * @param {function} callback called when the transaction can start
+     */
+    acquireTransaction(callback){
+        if(this.lock.owner){
+            return this.lock.queue.push({connection: this, transaction: true, run: callback}) ;
+        }
+        this.lock.owner = this ;
+        callback() ;
+    }
+
+    /**
+     * Release the transaction and run the waiting statements until the next waiting transaction
+     */
+    releaseTransaction(){
+        this.lock.owner = null ;
+        while(this.lock.queue.length > 0){
+            let next = this.lock.queue[0] ;
+            if(this.lock.owner && this.lock.owner !== next.connection){
+                break ;
+            }
+            this.lock.queue.shift() ;
+            if(next.transaction){
+                this.lock.owner = next.connection ;
+            }
+            next.run() ;
+        }
+    }
+}
+
+/**
+ * SQLite database client
+ *
+ * It reuse the SQL generation of the PostgreSQL client and only override what is specific to SQLite
+ */
+class VeloxDbSqliteClient extends VeloxDbPgClient {
+
+    /**
+     * Check if the db version table exists
+     * @param {function(err, exists)} callback - Called when check is done
+     */
+    dbVersionTableExists(callback) {
+        this.connection.query(`SELECT count(*) AS nb FROM sqlite_master WHERE type = 'table' AND name = $1`,
+            [DB_VERSION_TABLE], (err, res) => {
+                if(err){ return callback(err); }
+                callback(null, res.rows[0].nb > 0) ;
+        });
+    }
+
+    /**
+     * Get the SQL expression of the current date for this backend
+     *
+     * @return {string} the SQL expression
+     */
+    _sqlNow(){
+        return "CURRENT_TIMESTAMP" ;
+    }
+
+    /**
+     * SQLite has no statement timeout
+     *
+     * @private
+     * @return {string} null, nothing to run
+     */
+    _statementTimeoutQuery(){
+        return null ;
+    }
+
+    /**
+     * SQLite consider NULL smaller than any value (NULLS FIRST in ascending order)
+     *
+     * @param {boolean} desc true for descending order
+     * @return {boolean} true if NULL values come last
+     */
+    _nullsLast(desc){
+        return desc ;
+    }
+
+    /**
+     * SQLite has no text search vectors, the full text search is done by searching each word with LIKE
+     *
+     * @private
+     * @see VeloxDbPgClient#_ftsTokenCondition
+     */
+    _ftsCondition(table, alias, column, value, lang, params){
+        return this._ftsTokenCondition(table, alias, column, value, params) ;
+    }
+
+    /**
+     * No full text index with SQLite, the full text search is done with LIKE conditions
+     *
+     * @param {function(Error)} callback called when done
+     */
+    createFullTextIndexes(callback){
+        callback() ;
+    }
+
+    /**
+     * SQLite does not have ILIKE operator but LIKE is already case insensitive
+     */
+    _prepareWhereCondition(columns, search, table, params, alias, ranks){
+        let conditions = super._prepareWhereCondition(columns, search, table, params, alias, ranks) ;
+        conditions.where = conditions.where.map((w)=>{ return w.replace(/ ILIKE /gi, " LIKE ") ;}) ;
+        return conditions ;
+    }
+
+    /**
+     * Read a value inside a JSON column with json_extract (give back number and boolean as is, no cast needed)
+     *
+     * @private
+     * @see VeloxDbPgClient#_jsonPathValue
+     */
+    _jsonPathValue(colSql, path){
+        return `json_extract(${colSql}, '${this._jsonPathString(path)}')` ;
+    }
+
+    /**
+     * json_extract already give back numbers as numbers
+     *
+     * @private
+     * @see VeloxDbPgClient#_jsonPathOrderValue
+     */
+    _jsonPathOrderValue(colSql, path){
+        return this._jsonPathValue(colSql, path) ;
+    }
+
+    /**
+     * Create the JSON path string (ex : $.address.city, $.items[0])
+     *
+     * @private
+     * @param {string[]} path the path inside the JSON
+     * @return {string} the JSON path string
+     */
+    _jsonPathString(path){
+        return "$"+path.map((p)=>{ return /^[0-9]+$/.test(p) ? "["+p+"]" : "."+p ;}).join("") ;
+    }
+
+    /**
+     * SQLite only support the key existence operators (?, ?| and ?&), the containment (@>) is not available
+     *
+     * @private
+     * @see VeloxDbPgClient#_jsonCondition
+     */
+    _jsonCondition(colSql, ope, value, params){
+        if(ope === "@>"){
+            throw "Search operand @> is not supported with SQLite" ;
+        }
+        let keys = Array.isArray(value) ? value : [value] ;
+        let conditions = keys.map((k)=>{
+            params.push("$."+JSON.stringify(String(k))) ;
+            return `json_type(${colSql}, $${params.length}) IS NOT NULL` ;
+        }) ;
+        return "("+conditions.join(ope === "?&" ? " AND " : " OR ")+")" ;
+    }
+
+    /**
+     * Merge JSON with json_patch
+     *
+     * @private
+     * @see VeloxDbPgClient#_jsonMergeValue
+     */
+    _jsonMergeValue(colSql, paramSql){
+        return `json_patch(COALESCE(${colSql}, '{}'), ${paramSql})` ;
+    }
+
+    /**
+     * SQLite can't target a constraint by its name, the conflict columns must be given
+     *
+     * @private
+     * @see VeloxDbPgClient#_onConflictClause
+     */
+    _onConflictClause(conflictColumns, constraint, updateColumns){
+        if(conflictColumns.length === 0){
+            throw "SQLite can't upsert on constraint "+constraint+", give the conflict columns" ;
+        }
+        return super._onConflictClause(conflictColumns, constraint, updateColumns) ;
+    }
+
+    /**
+     * Open a cursor on a query with a SQLite prepared statement
+     *
+     * @private
+     * @see VeloxDbPgClient#_openCursor
+     */
+    _openCursor(sql, params, callback){
+        this.logger.debug("Open cursor on SQL "+sql+", params "+JSON.stringify(params)) ;
+        this.connection.cursor(sql, params, callback) ;
+    }
+
+    /**
+     * SQLite has no COPY, the batches of a bulk insert are loaded with multi-rows INSERT
+     *
+     * @private
+     * @see VeloxDbPgClient#_bulkInsertBatch
+     */
+    _bulkInsertBatch(table, cols, records, schema, callback){
+        this._insertBatch(table, records, schema, callback) ;
+    }
+
+    /**
+     * Read the tables, columns, primary keys and foreign keys from the database
+     *
+     * @private
+     * @param {function(Error, object)} callback called with the raw schema
+     */
+    _readSchema(callback){
+        this._query(`
+            SELECT m.name AS table_name, p.name AS column_name, p.type, p.pk, p."notnull" AS not_null, p.dflt_value
+                FROM sqlite_master m JOIN pragma_table_info(m.name) p
+                WHERE m.type IN ('table', 'view') AND m.name NOT LIKE 'sqlite_%'
+                ORDER BY m.name, p.cid
+        `, [], (err, results)=>{
+            if(err){ return callback(err); }
+
+            let schema = {} ;
+            let pkPositions = {} ;
+            for(let r of results.rows){
+                let table = schema[r.table_name] ;
+                if(!table){
+                    table = {
+                        columns: [],
+                        pk: [],
+                        fk: [],
+                        unique: [],
+                        indexes: [],
+                        checks: []
+                    } ;
+                    schema[r.table_name] = table;
+                    pkPositions[r.table_name] = [] ;
+                }
+                let type = this._parseColumnType(r.type) ;
+                table.columns.push({
+                    name: r.column_name,
+                    type: type.type,
+                    size : type.size,
+                    nullable: !r.not_null && !(r.pk > 0),
+                    defaultValue: r.dflt_value === undefined ? null : r.dflt_value
+                }) ;
+                if(r.pk > 0){
+                    pkPositions[r.table_name].push({name: r.column_name, position: r.pk}) ;
+                }
+            }
+
+            for(let tableName of Object.keys(pkPositions)){
+                schema[tableName].pk = pkPositions[tableName].sort((p1, p2)=>{
+                    return p1.position - p2.position ;
+                }).map((p)=>{ return p.name ;}) ;
+            }
+
+            this._query(`
+                SELECT m.name AS table_name, f."from" AS column_name, f."table" AS foreign_table_name, f."to" AS foreign_column_name
+                    FROM sqlite_master m JOIN pragma_foreign_key_list(m.name) f
+                    WHERE m.type = 'table'
+                    ORDER BY m.name, f.id, f.seq
+            `, [], (err, results)=>{
+                if(err){ return callback(err); }
+                for(let r of results.rows){
+                    let table = schema[r.table_name] ;
+                    if(table){
+                        let targetColumn = r.foreign_column_name ;
+                        if(!targetColumn && schema[r.foreign_table_name]){
+                            //no target column, the FK reference the primary key of the target table
+                            targetColumn = schema[r.foreign_table_name].pk[0] ;
+                        }
+                        table.fk.push({
+                            targetTable: r.foreign_table_name,
+                            thisColumn: r.column_name,
+                            targetColumn: targetColumn,
+                        }) ;
+                    }
+                }
+                callback(null, schema) ;
+            }) ;
+        }) ;
+    }
+
+    /**
+     * Read the unique constraints, indexes and check constraints and add them to the schema
+     *
+     * The check constraints are read from the CREATE TABLE statements. SQLite has no enum type
+     *
+     * @private
+     * @see VeloxDbPgClient#_readSchemaConstraints
+     */
+    _readSchemaConstraints(schema, callback){
+        this._query(`
+            SELECT m.name AS table_name, il.name AS index_name, il."unique" AS is_unique, il.origin, ii.name AS column_name
+                FROM sqlite_master m JOIN pragma_index_list(m.name) il JOIN pragma_index_info(il.name) ii
+                WHERE m.type = 'table' AND il.origin <> 'pk'
+                ORDER BY m.name, il.name, ii.seqno
+        `, [], (err, results)=>{
+            if(err){ return callback(err); }
+            let indexes = results.rows.map((r)=>{
+                return {table: r.table_name, name: r.index_name, column: r.column_name, unique: r.is_unique} ;
+            }) ;
+            this._addSchemaColumnsGroups(schema, "unique", results.rows.filter((r)=>{ return r.origin === "u" ;}).map((r)=>{
+                return {table: r.table_name, name: r.index_name, column: r.column_name} ;
+            })) ;
+            this._addSchemaColumnsGroups(schema, "indexes", indexes) ;
+
+            this._query(`SELECT name AS table_name, sql FROM sqlite_master WHERE type = 'table' AND sql IS NOT NULL`, [], (err, results)=>{
+                if(err){ return callback(err); }
+                for(let r of results.rows){
+                    if(schema[r.table_name]){
+                        schema[r.table_name].checks = this._parseCheckConstraints(r.sql) ;
+                    }
+                }
+                callback() ;
+            }) ;
+        }) ;
+    }
+
+    /**
+     * Extract the check constraints from a CREATE TABLE statement
+     *
+     * @private
+     * @param {string} sql the CREATE TABLE statement
+     * @return {Array} the check constraints [{name: "", definition: "CHECK (...)"}]
+     */
+    _parseCheckConstraints(sql){
+        let checks = [] ;
+        let regexp = /(?:\bCONSTRAINT\s+("[^"]+"|`[^`]+`|\[[^\]]+\]|\w+)\s+)?\bCHECK\s*\(/gi ;
+        let match ;
+        while((match = regexp.exec(sql)) !== null){
+            let depth = 1 ;
+            let index = regexp.lastIndex ;
+            let quote = null ;
+            while(index < sql.length && depth > 0){
+                let c = sql[index] ;
+                if(quote){
+                    if(c === quote){ quote = null ; }
+                }else if(c === "'" || c === '"'){
+                    quote = c ;
+                }else if(c === "("){
+                    depth++ ;
+                }else if(c === ")"){
+                    depth-- ;
+                }
+                index++ ;
+            }
+            let name = match[1] ? match[1].replace(/^["`\[]|["`\]]$/g, "") : null ;
+            checks.push({name: name, definition: "CHECK ("+sql.substring(regexp.lastIndex, index-1).trim()+")"}) ;
+            regexp.lastIndex = index ;
+        }
+        return checks ;
+    }
+
+    /**
+     * Compute a fake version number from columns and table count
+     *
+     * @private
+     * @param {function(Error, object)} callback called with the version record {version, last_update}
+     */
+    _computeFakeSchemaVersion(callback){
+        this._query(`
+            SELECT (SELECT count(*) FROM sqlite_master WHERE type IN ('table', 'view')) +
+                (SELECT count(*) FROM sqlite_master m JOIN pragma_table_info(m.name) p WHERE m.type IN ('table', 'view')) AS version,
+                NULL AS last_update
+        `, [], (err, results) => {
+            if(err){ return callback(err); }
+            callback(null, results.rows.length>0?results.rows[0]:{version: 0}) ;
+        }) ;
+    }
+
+    /**
+     * Parse the declared type of a SQLite column (ex : VARCHAR(128)) to get the same type names than PostgreSQL
+     *
+     * @private
+     * @param {string} declaredType the declared type of the column
+     * @return {object} the type and the size {type: "varchar", size: 128}
+     */
+    _parseColumnType(declaredType){
+        let type = (declaredType || "").toLowerCase().trim() ;
+        let size = null ;
+        let indexSize = type.indexOf("(") ;
+        if(indexSize !== -1){
+            size = parseInt(type.substring(indexSize+1), 10) || null ;
+            type = type.substring(0, indexSize).trim() ;
+        }
+        if(type === "integer" || type === "int"){
+            type = "int" ;
+        }else if(type === "bigint"){
+            type = "int8" ;
+        }else if(type === "boolean"){
+            type = "bool" ;
+        }else if(type === "datetime" || type.indexOf("timestamp") === 0){
+            type = "timestamp" ;
+        }else if(type === "character varying"){
+            type = "varchar" ;
+        }
+        return {type: type, size: size} ;
+    }
+
+    /**
+     * Get the columns of a table. Give back an array of columns definition
+     *
+     * Note : result is cached so in the case you modify the table while application is running you should restart to see the modifications
+     *
+     * @param {string} table the table name
+     * @param {function(Error, Array)} callback called when found primary key, return array of column definitions
+     */
+    getColumnsDefinition(table, callback){
+        if(this.cache._cacheColumns[table]){
+            return callback(null, this.cache._cacheColumns[table]) ;
+        }
+        this._query(`SELECT name AS column_name, type FROM pragma_table_info($1) ORDER BY cid`, [table], (err, result)=>{
+            if(err){ return callback(err); }
+
+            this.cache._cacheColumns[table] = result.rows.map((r)=>{
+                let type = this._parseColumnType(r.type) ;
+                return {
+                    column_name: r.column_name,
+                    udt_name: type.type,
+                    character_maximum_length: type.size
+                } ;
+            }) ;
+            callback(null, this.cache._cacheColumns[table]) ;
+        });
+    }
+
+    /**
+     * Get the primary key of a table. Give back an array of column composing the primary key
+     *
+     * Note : result is cached so in the case you modify the table while application is running you should restart to see the modifications
+     *
+     * @param {string} table the table name
+     * @param {function(Error, Array)} callback called when found primary key, return array of column names composing primary key
+     */
+    getPrimaryKey(table, callback){
+        if(this.cache._cachePk[table]){
+            return callback(null, this.cache._cachePk[table]) ;
+        }
+        this._query(`SELECT name AS column_name FROM pragma_table_info($1) WHERE pk > 0 ORDER BY pk`, [table], (err, result)=>{
+            if(err){ return callback(err); }
+
+            this.cache._cachePk[table] = result.rows.map((r)=>{
+                return r.column_name ;
+            }) ;
+            callback(null, this.cache._cachePk[table]) ;
+        });
+    }
+
+    /**
+     * Do some actions in a database inside an unique transaction
+     *
+     * As SQLite use a single connection, the transaction wait for the running one to finish before starting
+     *
+     * @see VeloxDbPgClient#transaction
+     *
+     * @param {function({VeloxDbSqliteClient}, {function(err, result)})} callbackDoTransaction - function that do the content of the transaction receive tx should call done() on finish
+     * @param {function(err)} [callbackDone] - called when the transaction is finished
+     * @param {number} timeout - if this timeout (seconds) is expired, the transaction is automatically rollbacked.
+     */
+    transaction(callbackDoTransaction, callbackDone, timeout){
+        if(!callbackDone){ callbackDone = function(){} ;}
+        this.connection.acquireTransaction(()=>{
+            super.transaction(callbackDoTransaction, function(){
+                this.connection.releaseTransaction() ;
+                callbackDone.apply(null, arguments) ;
+            }.bind(this), timeout) ;
+        }) ;
+    }
+}
+
+/**
+ * VeloxDatabase SQLite backend
+ *
+ * Useful for single user desktop deployment or for local tests
+ *
+ * Note : it needs SQLite 3.35+ (bundled with sqlite3 5.1+) for INSERT/UPDATE ... RETURNING support
+ */
+class VeloxDbSqliteBackend {
+
+   /**
+     * @typedef VeloxDbSqliteBackendOptions
+     * @type {object}
+     * @property {string} database path of the database file (":memory:" for an in memory database)
+     * @property {VeloxLogger} logger logger
+     */
+
+    /**
+     * Create a VeloxDbSqliteBackend
+     *
+     * @param {VeloxDbSqliteBackendOptions} options
+     */
+    constructor(options){
+        this.options = options ;
+
+        for( let k of ["database"]){
+            if(options[k] === undefined) { throw "VeloxDbSqliteBackend : missing option "+k ; }
+        }
+
+        this.logger = new VeloxLogger("VeloxDbSqliteBackend", options.logger) ;
+        this.cache = {} ;
+        this.schema = options.schema || {} ;
+        this.customClientInit = options.customClientInit || [] ;
+        this.connection = null ;
+        this.waitingConnection = null ;
+    }
+
+    /**
+     * Open the database file (only once, all clients share the same database and transaction lock)
+     *
+     * @private
+     * @param {function(Error, VeloxDbSqliteConnection)} callback called with the connection
+     */
+    _getConnection(callback){
+        if(this.connection){
+            return callback(null, this.connection) ;
+        }
+        if(this.waitingConnection){
+            return this.waitingConnection.push(callback) ;
+        }
+        this.waitingConnection = [callback] ;
+        let db = new sqlite3.Database(this.options.database, (err)=>{
+            let finish = (err)=>{
+                let waiting = this.waitingConnection ;
+                this.waitingConnection = null ;
+                if(!err){
+                    this.connection = new VeloxDbSqliteConnection(db) ;
+                }
+                for(let cb of waiting){
+                    cb(err, this.connection) ;
+                }
+            } ;
+            if(err){
+                this.logger.error("Can't open database "+this.options.database) ;
+                return finish(err) ;
+            }
+            db.exec("PRAGMA foreign_keys = ON", finish) ;
+        }) ;
+    }
+
+    /**
+     * Get a database client
+     *
+     * @param {function(Error, VeloxDbSqliteClient)} callback - Callback with VeloxDbSqliteClient instance
+     */
+    open(callback){
+        var idConnect = clientIdInc++ ;
+        this._getConnection((err, connection)=>{
+            if(err){ return callback(err); }
+
+            let dbClient = new VeloxDbSqliteClient(new VeloxDbSqliteConnection(connection.db, connection.lock), function(){}, this.logger, this.cache, this.schema, this.customClientInit, 
+                {slowQuery: this.options.slowQuery}) ;
+            dbClient.id = idConnect ;
+            callback(null, dbClient) ;
+        }) ;
+    }
+
+    /**
+     * Create the database if not exists
+     *
+     * SQLite create the database file when it is opened
+     *
+     * @param {function(err)} callback
+     */
+    createIfNotExist(callback){
+        this._getConnection((err)=>{
+            if(err){ return callback(err); }
+            callback() ;
+        }) ;
+    }
+}
+
+module.exports = VeloxDbSqliteBackend ;
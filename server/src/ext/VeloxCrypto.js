@@ -11,6 +11,47 @@ function getJoinTables(tables, joins){
     }
 }
 
+/**
+ * Add the tables used in the related tables conditions of a search ("customer.country" or {order_line: {$exists: {...}}})
+ * 
+ * @param {string[]} tables the tables list to complete
+ * @param {object} search the search object
+ * @param {string[]} knownTables the tables that may be qualified by a database schema ("ref.country.name")
+ */
+function getSearchTables(tables, search, knownTables){
+    if(!search || typeof(search) !== "object"){ return ; }
+    Object.keys(search).forEach(function(key){
+        let value = search[key] ;
+        if(key === "$or" || key === "$and"){
+            if(Array.isArray(value)){
+                value.forEach(function(subSearch){ getSearchTables(tables, subSearch, knownTables) ; }) ;
+            }
+            return;
+        }
+        let indexDot = key.indexOf(".") ;
+        let indexJson = key.indexOf("->") ;
+        if(indexDot !== -1 && (indexJson === -1 || indexDot < indexJson)){
+            let table = key.substring(0, indexDot) ;
+            knownTables.forEach(function(t){
+                if(key.indexOf(t+".") === 0 && t.length > table.length){
+                    table = t ;
+                }
+            }) ;
+            let subSearch = {} ;
+            subSearch[key.substring(table.length+1)] = value ;
+            if(tables.indexOf(table) === -1){
+                tables.push(table) ;
+            }
+            getSearchTables(tables, subSearch, knownTables) ;
+        }else if(value && typeof(value) === "object" && value.$exists !== undefined){
+            if(tables.indexOf(key) === -1){
+                tables.push(key) ;
+            }
+            getSearchTables(tables, value.$exists, knownTables) ;
+        }
+    }) ;
+}
+
 /**
  * This extension handle encrypt of columns
  * 
@@ -70,7 +111,7 @@ class VeloxCryto{
         let beforeSearchHook = function(table, search, joinFetch, callback){
             let client = this;
             //let callback = arguments[arguments.length-1] ;
-            self.beforeSearchHook(client, table, joinFetch, callback) ;
+            self.beforeSearchHook(client, table, joinFetch, callback, search) ;
         } ;
 
         this.cryptedTables = {} ;
@@ -95,17 +136,19 @@ class VeloxCryto{
             this.interceptClientQueries.push({name : "getByPk", table: table.name, before : beforeSearchHook });
             this.interceptClientQueries.push({name : "searchFirst", table: table.name, before : beforeSearchHook });
             this.interceptClientQueries.push({name : "search", table: table.name, before : beforeSearchHook });
+            this.interceptClientQueries.push({name : "aggregate", table: table.name, before : beforeSearchHook });
         }
     }
 
     /**
-     * For each table concerned by a read (ie the table and the join tables), change the table columns to add
+     * For each table concerned by a read (ie the table, the join tables and the tables of related conditions), change the table columns to add
      * the decrypt on the fly
      */
-    beforeSearchHook(client, tableP, joinFetch, callback){
+    beforeSearchHook(client, tableP, joinFetch, callback, search){
         var tables = [] ;
         tables.push(tableP) ;
         getJoinTables(tables, joinFetch) ;
+        getSearchTables(tables, search, Object.keys(this.cryptedTables)) ;
         if(tables.every((table)=>{ return !this.cryptedTables[table] || !!client["initCrypto"+table] ; })){ return callback() ; }
         client.getSchema((err, schema)=>{
             if(err){ return callback(err) ;}
@@ -163,8 +206,9 @@ class VeloxCryto{
             for(let col of table.columns){
                 changes.push({
                     run: (tx, cb)=>{
-                        tx._query(`SELECT data_type FROM information_schema.columns WHERE table_name = $1
-                          AND column_name = $2`,[table.name, col.name], (err, result)=>{
+                        let splitted = tx.splitTable(table.name) ;
+                        tx._query(`SELECT data_type FROM information_schema.columns WHERE table_schema = $1 AND table_name = $2
+                          AND column_name = $3`,[splitted.dbSchema, splitted.table, col.name], (err, result)=>{
                             if(err){ return cb(err); }
                             if(result.rows.length === 0){
                                 return cb("Column "+col.name+" does not exists in table "+table.name) ;
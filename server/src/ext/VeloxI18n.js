@@ -107,6 +107,7 @@ class VeloxI18n{
             this.interceptClientQueries.push({name : "getByPk", table: table.name, before : beforeSearchHook, after : this.translateOne });
             this.interceptClientQueries.push({name : "searchFirst", table: table.name, before : beforeSearchHook, after : this.translateOne });
             this.interceptClientQueries.push({name : "search", table: table.name, before : beforeSearchHook, after : this.translateMany });
+            this.interceptClientQueries.push({name : "aggregate", table: table.name, before : beforeSearchHook });
             this.interceptClientQueries.push({name : "insert", table: table.name, after : this.translateSaveHook });
             this.interceptClientQueries.push({name : "update", table: table.name, after : this.translateSaveHook });
         }
@@ -328,7 +329,8 @@ class VeloxI18n{
     translateMany(table, records, callback){
         var lang = this.getLang() ;
         if(lang !== "base"){
-            this.translateRecords(lang, table, records, (err)=>{
+            //records can be a search result page {rows: [], total: 0}
+            this.translateRecords(lang, table, Array.isArray(records)?records:records.rows, (err)=>{
                 if(err){
                     return callback(err) ;
                 }
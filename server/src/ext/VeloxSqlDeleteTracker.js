@@ -94,7 +94,7 @@ class VeloxSqlDeleteTracker{
      * @param {string} backend 
      */
     addSchemaChanges(backend){
-        if(["pg"].indexOf(backend) === -1){
+        if(["pg", "sqlite", "mysql"].indexOf(backend) === -1){
             throw "Backend "+backend+" not handled by this extension" ;
         }
 
@@ -125,7 +125,7 @@ class VeloxSqlDeleteTracker{
      * @param {function(Error)} callback 
      */
     createTriggerForTables(backend, tx, triggerCreateFunc, callback){
-         tx._query(this.getAllTables(backend), (err, result)=>{
+         tx._query(this.getAllTables(backend), backend === "pg" ? [tx.searchPath[0]] : [], (err, result)=>{
             if(err){ return callback(err); }
              
             let alertJob = new AsyncJob(AsyncJob.SERIES) ;
@@ -154,6 +154,24 @@ class VeloxSqlDeleteTracker{
             )
             ` ;
         }
+        if(backend === "sqlite"){
+            return `
+            CREATE TABLE IF NOT EXISTS velox_modif_table_version (
+                table_name VARCHAR(128) PRIMARY KEY,
+                version_table integer,
+                version_date timestamp
+            )
+            ` ;
+        }
+        if(backend === "mysql"){
+            return `
+            CREATE TABLE IF NOT EXISTS velox_modif_table_version (
+                table_name VARCHAR(128) PRIMARY KEY,
+                version_table bigint,
+                version_date datetime
+            )
+            ` ;
+        }
         throw "not implemented for backend "+backend ;
     }
 
@@ -172,6 +190,26 @@ class VeloxSqlDeleteTracker{
             )
             ` ;
         }
+        if(backend === "sqlite"){
+            return `
+            CREATE TABLE IF NOT EXISTS velox_delete_track (
+                version_table integer,
+                delete_date timestamp,
+                table_name varchar(128),
+                table_uid varchar(128)
+            )
+            ` ;
+        }
+        if(backend === "mysql"){
+            return `
+            CREATE TABLE IF NOT EXISTS velox_delete_track (
+                version_table bigint,
+                delete_date datetime,
+                table_name varchar(128),
+                table_uid varchar(128)
+            )
+            ` ;
+        }
         throw "not implemented for backend "+backend ;
     }
 
@@ -214,7 +252,7 @@ class VeloxSqlDeleteTracker{
                 this.createSequenceIfNotExists(backend, tx, `velox_modiftrack_table_version_${table}`, (err)=>{
                     if(err){ return callback(err); }
 
-                    tx._query("select column_name from information_schema.columns where table_name=$1", [table], (err, result)=>{
+                    tx._query("select column_name from information_schema.columns where table_name=$1 and table_schema=$2", [table, tx.searchPath[0]], (err, result)=>{
                         if(err){ return callback(err); }
 
                         let columns = result.rows.map((r)=>{return r.column_name;}).filter((c)=>{
@@ -228,8 +266,8 @@ class VeloxSqlDeleteTracker{
                                 and kc.constraint_name = tc.constraint_name
                                 JOIN information_schema.tables t on tc.table_name = t.table_name
                             where 
-                                tc.constraint_type = 'PRIMARY KEY' AND tc.table_name = $1
-                            `, [table], (err, result)=>{
+                                tc.constraint_type = 'PRIMARY KEY' AND tc.table_name = $1 AND tc.table_schema = $2
+                            `, [table, tx.searchPath[0]], (err, result)=>{
                             if(err){ return callback(err); }
 
                             if(result.rows.length === 0){
@@ -282,6 +320,77 @@ class VeloxSqlDeleteTracker{
                     }) ;
                 }) ;
             }) ;
+        }else if(backend === "sqlite"){
+            tx._query(`DROP TRIGGER IF EXISTS trig_velox_modiftrack_${table}_ondelete`, (err)=>{
+                if(err){ return callback(err); }
+
+                tx._query("SELECT name, pk FROM pragma_table_info($1) ORDER BY cid", [table], (err, result)=>{
+                    if(err){ return callback(err); }
+
+                    let pkColumns = result.rows.filter((r)=>{ return r.pk > 0 ;}).sort((r1, r2)=>{
+                        return r1.pk - r2.pk ;
+                    }).map((r)=>{ return r.name ;}) ;
+                    if(pkColumns.length === 0){
+                        //no primary key, assume the primary key is composed of all columns
+                        pkColumns = result.rows.map((r)=>{return r.name;}).filter((c)=>{
+                            return c.indexOf("velox_") !== 0 ;
+                        }) ;
+                    }
+
+                    let pkInOld = pkColumns.map(function(pk){
+                        return "OLD.\""+pk+"\"" ;
+                    }).join(" || '$_$' || ") ;
+
+                    //SQLite does not have sequences, the version is directly incremented in velox_modif_table_version
+                    tx._query(`CREATE TRIGGER trig_velox_modiftrack_${table}_ondelete BEFORE DELETE ON ${table} 
+                    FOR EACH ROW
+                    BEGIN
+                        INSERT OR IGNORE INTO velox_modif_table_version(table_name, version_table, version_date) VALUES 
+                        ('${table}', 0, CURRENT_TIMESTAMP) ;
+                        UPDATE velox_modif_table_version SET version_table = version_table + 1, version_date = CURRENT_TIMESTAMP 
+                        WHERE table_name = '${table}' ;
+
+                        INSERT INTO velox_delete_track (version_table, delete_date, table_name, table_uid) VALUES 
+                        ((SELECT version_table FROM velox_modif_table_version WHERE table_name = '${table}'), CURRENT_TIMESTAMP, '${table}', ${pkInOld}) ;
+                    END`, callback) ;
+                }) ;
+            }) ;
+        }else if(backend === "mysql"){
+            tx._query(`DROP TRIGGER IF EXISTS trig_velox_modiftrack_${table}_ondelete`, (err)=>{
+                if(err){ return callback(err); }
+
+                tx._query(`SELECT column_name AS column_name, column_key AS column_key FROM information_schema.columns 
+                    WHERE table_schema = DATABASE() AND table_name = $1 ORDER BY ordinal_position`, [table], (err, result)=>{
+                    if(err){ return callback(err); }
+
+                    let pkColumns = result.rows.filter((r)=>{ return r.column_key === "PRI" ;}).map((r)=>{ return r.column_name ;}) ;
+                    if(pkColumns.length === 0){
+                        //no primary key, assume the primary key is composed of all columns
+                        pkColumns = result.rows.map((r)=>{return r.column_name;}).filter((c)=>{
+                            return c.indexOf("velox_") !== 0 ;
+                        }) ;
+                    }
+
+                    let pkInOld = "CONCAT_WS('$_$', "+pkColumns.map(function(pk){
+                        return "OLD.`"+pk+"`" ;
+                    }).join(", ")+")" ;
+
+                    //MySQL does not have sequences, the version is directly incremented in velox_modif_table_version
+                    tx._query(`CREATE TRIGGER trig_velox_modiftrack_${table}_ondelete BEFORE DELETE ON ${table} 
+                    FOR EACH ROW
+                    BEGIN
+                        DECLARE table_version BIGINT;
+
+                        INSERT INTO velox_modif_table_version(table_name, version_table, version_date) VALUES 
+                        ('${table}', 1, now())
+                        ON DUPLICATE KEY UPDATE version_table = COALESCE(version_table, 0) + 1, version_date = now() ;
+                        SELECT version_table INTO table_version FROM velox_modif_table_version WHERE table_name = '${table}' ;
+
+                        INSERT INTO velox_delete_track (version_table, delete_date, table_name, table_uid) VALUES 
+                        (table_version, now(), '${table}', ${pkInOld}) ;
+                    END`, callback) ;
+                }) ;
+            }) ;
         }else{
             throw callback("not implemented for backend "+backend) ;
         }
@@ -291,13 +400,27 @@ class VeloxSqlDeleteTracker{
      * Get all tables
      * 
      * @param {string} backend 
+     * @return {string} the query, the pg query takes the database schema of the tracked tables as parameter $1
      */
     getAllTables(backend){
         if(backend === "pg"){
             return `
                 SELECT table_name FROM information_schema.tables 
                 WHERE table_type = 'BASE TABLE' 
-                AND table_schema='public'
+                AND table_schema=$1
+            ` ;
+        }
+        if(backend === "sqlite"){
+            return `
+                SELECT name AS table_name FROM sqlite_master 
+                WHERE type = 'table' AND name NOT LIKE 'sqlite_%'
+            ` ;
+        }
+        if(backend === "mysql"){
+            return `
+                SELECT table_name AS table_name FROM information_schema.tables 
+                WHERE table_type = 'BASE TABLE' 
+                AND table_schema = DATABASE()
             ` ;
         }
         throw "not implemented for backend "+backend ;
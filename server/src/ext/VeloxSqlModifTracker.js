@@ -120,7 +120,7 @@ class VeloxSqlModifTracker{
      * @param {string} backend 
      */
     addSchemaChanges(backend){
-        if(["pg"].indexOf(backend) === -1){
+        if(["pg", "sqlite", "mysql"].indexOf(backend) === -1){
             throw "Backend "+backend+" not handled by this extension" ;
         }
 
@@ -201,7 +201,7 @@ class VeloxSqlModifTracker{
      * @param {function(err)} callback 
      */
     addColumnToTables(backend, tx, columnName, columnDef, callback){
-         tx._query(this.getTablesMissingColumn(backend, columnName), (err, result)=>{
+         tx._query(this.getTablesMissingColumn(backend, columnName), backend === "pg" ? [tx.searchPath[0]] : [], (err, result)=>{
             if(err){ return callback(err); }
              
             let alertJob = new AsyncJob(AsyncJob.SERIES) ;
@@ -225,7 +225,7 @@ class VeloxSqlModifTracker{
      * @param {function(Error)} callback 
      */
     createTriggerForTables(backend, tx, triggerCreateFunc, callback){
-         tx._query(this.getAllTables(backend), (err, result)=>{
+         tx._query(this.getAllTables(backend), backend === "pg" ? [tx.searchPath[0]] : [], (err, result)=>{
             if(err){ return callback(err); }
              
             let alertJob = new AsyncJob(AsyncJob.SERIES) ;
@@ -248,6 +248,12 @@ class VeloxSqlModifTracker{
         if(backend === "pg"){
             return "bigint not null default 0";
         }
+        if(backend === "sqlite"){
+            return "integer not null default 0";
+        }
+        if(backend === "mysql"){
+            return "bigint not null default 0";
+        }
         throw "not implemented for backend "+backend ;
     }
 
@@ -256,7 +262,7 @@ class VeloxSqlModifTracker{
      * @param {string} backend 
      */
     getTypeVarchar(backend, size){
-        if(backend === "pg"){
+        if(backend === "pg" || backend === "sqlite" || backend === "mysql"){
             return "varchar("+size+")";
         }
         throw "not implemented for backend "+backend ;
@@ -270,6 +276,13 @@ class VeloxSqlModifTracker{
         if(backend === "pg"){
             return "timestamp without time zone default now()";
         }
+        if(backend === "sqlite"){
+            //SQLite can't add a column with a non constant default, the value is set by the insert trigger
+            return "timestamp";
+        }
+        if(backend === "mysql"){
+            return "datetime default CURRENT_TIMESTAMP";
+        }
         throw "not implemented for backend "+backend ;
     }
 
@@ -288,6 +301,26 @@ class VeloxSqlModifTracker{
             )
             ` ;
         }
+        if(backend === "sqlite"){
+            return `
+            CREATE TABLE IF NOT EXISTS velox_modif_table_version (
+                table_name VARCHAR(128) PRIMARY KEY,
+                version_table integer,
+                force_refresh integer,
+                version_date timestamp
+            )
+            ` ;
+        }
+        if(backend === "mysql"){
+            return `
+            CREATE TABLE IF NOT EXISTS velox_modif_table_version (
+                table_name VARCHAR(128) PRIMARY KEY,
+                version_table bigint,
+                force_refresh bigint,
+                version_date datetime
+            )
+            ` ;
+        }
         throw "not implemented for backend "+backend ;
     }
 
@@ -314,6 +347,42 @@ class VeloxSqlModifTracker{
             )
             ` ;
         }
+        if(backend === "sqlite"){
+            return `
+            CREATE TABLE IF NOT EXISTS velox_modif_track (
+                version_record integer,
+                version_table integer,
+                version_date timestamp,
+                version_user varchar(128),
+                table_name varchar(128),
+                table_uid varchar(255),
+                column_name varchar(128),
+                column_before TEXT,
+                column_after TEXT,
+                realm_code varchar(30),
+                user_uid varchar(40),
+                PRIMARY KEY (table_name, table_uid, version_table, version_record, version_date, column_name)
+            )
+            ` ;
+        }
+        if(backend === "mysql"){
+            return `
+            CREATE TABLE IF NOT EXISTS velox_modif_track (
+                version_record bigint,
+                version_table bigint,
+                version_date datetime,
+                version_user varchar(128),
+                table_name varchar(128),
+                table_uid varchar(255),
+                column_name varchar(128),
+                column_before TEXT,
+                column_after TEXT,
+                realm_code varchar(30),
+                user_uid varchar(40),
+                PRIMARY KEY (table_name, table_uid, version_table, version_record, version_date, column_name)
+            )
+            ` ;
+        }
         throw "not implemented for backend "+backend ;
     }
 
@@ -340,6 +409,177 @@ class VeloxSqlModifTracker{
         }
     }
 
+    /**
+     * Get the SQLite statements that increment the table version in velox_modif_table_version
+     * 
+     * SQLite does not have sequences, the version is directly incremented in velox_modif_table_version
+     * 
+     * @param {string} table table name
+     */
+    getSqliteIncrementTableVersion(table){
+        return `
+            INSERT OR IGNORE INTO velox_modif_table_version(table_name, version_table, version_date) VALUES 
+            ('${table}', 0, CURRENT_TIMESTAMP) ;
+            UPDATE velox_modif_table_version SET version_table = version_table + 1, version_date = CURRENT_TIMESTAMP 
+            WHERE table_name = '${table}' ;
+        ` ;
+    }
+
+    /**
+     * Get the SQLite expression of the current table version
+     * 
+     * @param {string} table table name
+     */
+    getSqliteTableVersion(table){
+        return `(SELECT version_table FROM velox_modif_table_version WHERE table_name = '${table}')` ;
+    }
+
+    /**
+     * Create the trigger on update on tracked table for SQLite
+     * 
+     * SQLite triggers can't modify the NEW record, the version columns are updated by an AFTER UPDATE trigger.
+     * The trigger is not run when velox_version_table is modified to avoid running it on its own update and
+     * on the update done by the insert trigger
+     * 
+     * @param {object} tx 
+     * @param {string} table table name
+     * @param {function(Error)} callback 
+     */
+    createSqliteTriggerUpdate(tx, table, callback){
+        tx._query(`DROP TRIGGER IF EXISTS trig_velox_modiftrack_${table}_onupdate`, (err)=>{
+            if(err){ return callback(err); }
+
+            tx._query("SELECT name, pk FROM pragma_table_info($1) ORDER BY cid", [table], (err, result)=>{
+                if(err){ return callback(err); }
+
+                let columns = result.rows.map((r)=>{return r.name;}).filter((c)=>{
+                    return c.indexOf("velox_") !== 0 ;
+                }) ;
+
+                let pkColumns = result.rows.filter((r)=>{ return r.pk > 0 ;}).sort((r1, r2)=>{
+                    return r1.pk - r2.pk ;
+                }).map((r)=>{ return r.name ;}) ;
+                if(pkColumns.length === 0){
+                    //no primary key, assume the primary key is composed of all columns
+                    pkColumns = columns ;
+                }
+
+                let pkInOld = pkColumns.map(function(pk){
+                    return "OLD.\""+pk+"\"" ;
+                }).join(" || '$_$' || ") ;
+
+                let recordVersion = "CASE WHEN OLD.velox_version_record IS NULL THEN 1 ELSE OLD.velox_version_record + 1 END" ;
+
+                let trig = `CREATE TRIGGER trig_velox_modiftrack_${table}_onupdate AFTER UPDATE ON ${table} 
+                FOR EACH ROW WHEN NEW.velox_version_table IS OLD.velox_version_table
+                BEGIN
+                    -- increment global table version
+                    ${this.getSqliteIncrementTableVersion(table)}
+
+                    -- increment record version and keep global table version on record
+                    UPDATE ${table} SET velox_version_record = ${recordVersion},
+                        velox_version_table = ${this.getSqliteTableVersion(table)},
+                        velox_version_date = CASE WHEN OLD.velox_version_date IS NEW.velox_version_date THEN CURRENT_TIMESTAMP ELSE NEW.velox_version_date END
+                    WHERE rowid = NEW.rowid ;
+                    ` ;
+                for(let c of columns){
+                    trig += `
+                    -- save all modifications in tracking table
+                    INSERT INTO velox_modif_track (version_record, version_table, version_date, version_user, table_name, table_uid, column_name, column_before, column_after)
+                    SELECT ${recordVersion}, ${this.getSqliteTableVersion(table)}, CURRENT_TIMESTAMP, NEW.velox_version_user, '${table}', ${pkInOld}, '${c}', OLD."${c}", NEW."${c}"
+                    WHERE OLD."${c}" <> NEW."${c}" ;
+                    ` ;
+                }
+                trig += `
+                END` ;
+
+                tx._query(trig, callback) ;
+            }) ;
+        }) ;
+    }
+
+    /**
+     * Get the MySQL statements that increment the table version in velox_modif_table_version
+     * and put it in the table_version variable of the trigger
+     * 
+     * MySQL does not have sequences, the version is directly incremented in velox_modif_table_version
+     * 
+     * @param {string} table table name
+     */
+    getMysqlIncrementTableVersion(table){
+        return `
+            INSERT INTO velox_modif_table_version(table_name, version_table, version_date) VALUES 
+            ('${table}', 1, now())
+            ON DUPLICATE KEY UPDATE version_table = COALESCE(version_table, 0) + 1, version_date = now() ;
+            SELECT version_table INTO table_version FROM velox_modif_table_version WHERE table_name = '${table}' ;
+        ` ;
+    }
+
+    /**
+     * Create the trigger on update on tracked table for MySQL
+     * 
+     * @param {object} tx 
+     * @param {string} table table name
+     * @param {function(Error)} callback 
+     */
+    createMysqlTriggerUpdate(tx, table, callback){
+        tx._query(`DROP TRIGGER IF EXISTS trig_velox_modiftrack_${table}_onupdate`, (err)=>{
+            if(err){ return callback(err); }
+
+            tx._query(`SELECT column_name AS column_name, column_key AS column_key FROM information_schema.columns 
+                WHERE table_schema = DATABASE() AND table_name = $1 ORDER BY ordinal_position`, [table], (err, result)=>{
+                if(err){ return callback(err); }
+
+                let columns = result.rows.map((r)=>{return r.column_name;}).filter((c)=>{
+                    return c.indexOf("velox_") !== 0 ;
+                }) ;
+
+                let pkColumns = result.rows.filter((r)=>{ return r.column_key === "PRI" ;}).map((r)=>{ return r.column_name ;}) ;
+                if(pkColumns.length === 0){
+                    //no primary key, assume the primary key is composed of all columns
+                    pkColumns = columns ;
+                }
+
+                let pkInOld = "CONCAT_WS('$_$', "+pkColumns.map(function(pk){
+                    return "OLD.`"+pk+"`" ;
+                }).join(", ")+")" ;
+
+                let trig = `CREATE TRIGGER trig_velox_modiftrack_${table}_onupdate BEFORE UPDATE ON ${table} 
+                FOR EACH ROW
+                BEGIN
+                    DECLARE table_version BIGINT;
+
+                    -- always increment record version 
+                    SET NEW.velox_version_record = COALESCE(OLD.velox_version_record, 0) + 1 ;
+
+                    -- increment global table version
+                    ${this.getMysqlIncrementTableVersion(table)}
+
+                    -- keep global table version on record
+                    SET NEW.velox_version_table = table_version ;
+
+                    IF OLD.velox_version_date <=> NEW.velox_version_date THEN
+                        -- the version date has not been manually modified, set it to now
+                        SET NEW.velox_version_date = now() ;
+                    END IF ;
+                    ` ;
+                for(let c of columns){
+                    trig += `
+                    -- save all modifications in tracking table
+                    IF OLD.\`${c}\` <> NEW.\`${c}\` THEN
+                        INSERT INTO velox_modif_track (version_record, version_table, version_date, version_user, table_name, table_uid, column_name, column_before, column_after)
+                        VALUES (NEW.velox_version_record, table_version, NEW.velox_version_date, NEW.velox_version_user, '${table}', ${pkInOld}, '${c}', OLD.\`${c}\`, NEW.\`${c}\`) ;
+                    END IF ;
+                    ` ;
+                }
+                trig += `
+                END` ;
+
+                tx._query(trig, callback) ;
+            }) ;
+        }) ;
+    }
+
     /**
      * Create the trigger on before update on all tracked tables
      * 
@@ -356,7 +596,7 @@ class VeloxSqlModifTracker{
                 this.createSequenceIfNotExists(backend, tx, `velox_modiftrack_table_version_${table}`, (err)=>{
                     if(err){ return callback(err); }
 
-                    tx._query("select column_name from information_schema.columns where table_name=$1", [table], (err, result)=>{
+                    tx._query("select column_name from information_schema.columns where table_name=$1 and table_schema=$2", [table, tx.searchPath[0]], (err, result)=>{
                         if(err){ return callback(err); }
 
                         let columns = result.rows.map((r)=>{return r.column_name;}).filter((c)=>{
@@ -370,8 +610,8 @@ class VeloxSqlModifTracker{
                                 and kc.constraint_name = tc.constraint_name
                                 JOIN information_schema.tables t on tc.table_name = t.table_name
                             where 
-                                tc.constraint_type = 'PRIMARY KEY' AND tc.table_name = $1
-                            `, [table], (err, result)=>{
+                                tc.constraint_type = 'PRIMARY KEY' AND tc.table_name = $1 AND tc.table_schema = $2
+                            `, [table, tx.searchPath[0]], (err, result)=>{
                             if(err){ return callback(err); }
 
                             if(result.rows.length === 0){
@@ -444,6 +684,10 @@ class VeloxSqlModifTracker{
                     }) ;
                 }) ;
             }) ;
+        }else if(backend === "sqlite"){
+            this.createSqliteTriggerUpdate(tx, table, callback) ;
+        }else if(backend === "mysql"){
+            this.createMysqlTriggerUpdate(tx, table, callback) ;
         }else{
             throw callback("not implemented for backend "+backend) ;
         }
@@ -503,6 +747,45 @@ class VeloxSqlModifTracker{
                     }) ;
                 }) ;
             }) ;
+        }else if(backend === "sqlite"){
+            tx._query(`DROP TRIGGER IF EXISTS trig_velox_modiftrack_${table}_oninsert`, (err)=>{
+                if(err){ return callback(err); }
+                tx._query(`CREATE TRIGGER trig_velox_modiftrack_${table}_oninsert AFTER INSERT ON ${table} 
+                FOR EACH ROW
+                BEGIN
+                    -- increment global table version
+                    ${this.getSqliteIncrementTableVersion(table)}
+
+                    -- init record version and keep global table version on record
+                    UPDATE ${table} SET velox_version_record = 0,
+                        velox_version_table = ${this.getSqliteTableVersion(table)},
+                        velox_version_date = COALESCE(NEW.velox_version_date, CURRENT_TIMESTAMP)
+                    WHERE rowid = NEW.rowid ;
+                END`, callback) ;
+            }) ;
+        }else if(backend === "mysql"){
+            tx._query(`DROP TRIGGER IF EXISTS trig_velox_modiftrack_${table}_oninsert`, (err)=>{
+                if(err){ return callback(err); }
+                tx._query(`CREATE TRIGGER trig_velox_modiftrack_${table}_oninsert BEFORE INSERT ON ${table} 
+                FOR EACH ROW
+                BEGIN
+                    DECLARE table_version BIGINT;
+
+                    -- always increment record version
+                    SET NEW.velox_version_record = 0 ;
+
+                    -- increment global table version
+                    ${this.getMysqlIncrementTableVersion(table)}
+
+                    -- keep global table version on record
+                    SET NEW.velox_version_table = table_version ;
+
+                    IF NEW.velox_version_date IS NULL THEN
+                        -- the version date has not been manually modified, set it to now
+                        SET NEW.velox_version_date = now() ;
+                    END IF ;
+                END`, callback) ;
+            }) ;
         }else{
             throw callback("not implemented for backend "+backend) ;
         }
@@ -551,6 +834,28 @@ class VeloxSqlModifTracker{
                     }) ;
                 }) ;
             }) ;
+        }else if(backend === "sqlite"){
+            tx._query(`DROP TRIGGER IF EXISTS trig_velox_modiftrack_${table}_ondeleteversion`, (err)=>{
+                if(err){ return callback(err); }
+                tx._query(`CREATE TRIGGER trig_velox_modiftrack_${table}_ondeleteversion AFTER DELETE ON ${table} 
+                FOR EACH ROW
+                BEGIN
+                    -- increment global table version
+                    ${this.getSqliteIncrementTableVersion(table)}
+                END`, callback) ;
+            }) ;
+        }else if(backend === "mysql"){
+            tx._query(`DROP TRIGGER IF EXISTS trig_velox_modiftrack_${table}_ondeleteversion`, (err)=>{
+                if(err){ return callback(err); }
+                tx._query(`CREATE TRIGGER trig_velox_modiftrack_${table}_ondeleteversion AFTER DELETE ON ${table} 
+                FOR EACH ROW
+                BEGIN
+                    DECLARE table_version BIGINT;
+
+                    -- increment global table version
+                    ${this.getMysqlIncrementTableVersion(table)}
+                END`, callback) ;
+            }) ;
         }else{
             throw callback("not implemented for backend "+backend) ;
         }
@@ -562,6 +867,7 @@ class VeloxSqlModifTracker{
      * 
      * @param {string} backend 
      * @param {string} columnName 
+     * @return {string} the query, the pg query takes the database schema of the tracked tables as parameter $1
      */
     getTablesMissingColumn(backend, columnName){
         if(backend === "pg"){
@@ -570,11 +876,26 @@ class VeloxSqlModifTracker{
                 (
                     SELECT distinct t.table_name
                     FROM information_schema.columns t
-                JOIN information_schema.tables t1 on t.table_name = t1.table_name
-                    WHERE t.table_schema='public'
+                JOIN information_schema.tables t1 on t.table_name = t1.table_name and t.table_schema = t1.table_schema
+                    WHERE t.table_schema=$1
                     AND column_name = '${columnName}'
                     AND t1.table_type = 'BASE TABLE'
-                ) AND table_type = 'BASE TABLE' AND table_schema='public'
+                ) AND table_type = 'BASE TABLE' AND table_schema=$1
+            ` ;
+        }
+        if(backend === "sqlite"){
+            return `
+                SELECT m.name AS table_name FROM sqlite_master m 
+                WHERE m.type = 'table' AND m.name NOT LIKE 'sqlite_%'
+                AND NOT EXISTS (SELECT 1 FROM pragma_table_info(m.name) p WHERE p.name = '${columnName}')
+            ` ;
+        }
+        if(backend === "mysql"){
+            return `
+                SELECT t.table_name AS table_name FROM information_schema.tables t 
+                WHERE t.table_type = 'BASE TABLE' AND t.table_schema = DATABASE()
+                AND NOT EXISTS (SELECT 1 FROM information_schema.columns c WHERE c.table_schema = t.table_schema
+                    AND c.table_name = t.table_name AND c.column_name = '${columnName}')
             ` ;
         }
         throw "not implemented for backend "+backend ;
@@ -584,13 +905,27 @@ class VeloxSqlModifTracker{
      * Get all tables
      * 
      * @param {string} backend 
+     * @return {string} the query, the pg query takes the database schema of the tracked tables as parameter $1
      */
     getAllTables(backend){
         if(backend === "pg"){
             return `
                 SELECT table_name FROM information_schema.tables 
                 WHERE table_type = 'BASE TABLE' 
-                AND table_schema='public'
+                AND table_schema=$1
+            ` ;
+        }
+        if(backend === "sqlite"){
+            return `
+                SELECT name AS table_name FROM sqlite_master 
+                WHERE type = 'table' AND name NOT LIKE 'sqlite_%'
+            ` ;
+        }
+        if(backend === "mysql"){
+            return `
+                SELECT table_name AS table_name FROM information_schema.tables 
+                WHERE table_type = 'BASE TABLE' 
+                AND table_schema = DATABASE()
             ` ;
         }
         throw "not implemented for backend "+backend ;
@@ -605,7 +940,7 @@ class VeloxSqlModifTracker{
      * @param {string} columnDef 
      */
     getAlterAddColumn(backend, table, columnName, columnDef){
-        if(backend === "pg"){
+        if(backend === "pg" || backend === "sqlite" || backend === "mysql"){
             return `
                 ALTER TABLE ${table} ADD COLUMN ${columnName} ${columnDef}
             ` ;
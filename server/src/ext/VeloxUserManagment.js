@@ -1227,6 +1227,10 @@ class VeloxUserManagment{
      */
     removePassword(table, records){
         if(!records){ return; }
+        if(Array.isArray(records.rows)){
+            //search result page {rows: [], total: 0}
+            records = records.rows ;
+        }
         if(!Array.isArray(records)){
             records = [records] ;
         }
@@ -0,0 +1,67 @@
+const test = require("node:test") ;
+const assert = require("assert") ;
+const VeloxDatabase = require("../server/src/VeloxDatabase") ;
+
+const silentLogger = { debug: function(){}, info: function(){}, warn: function(){}, error: function(){} } ;
+
+const SCHEMA = {
+    invoice : {
+        columns: [{name: "id", type: "int"}, {name: "customer_id", type: "int"}, {name: "status", type: "varchar", size: 10}, {name: "amount", type: "int"}],
+        pk: ["id"]
+    }
+} ;
+
+const DATA = {
+    invoice: [
+        {id: 1, customer_id: 1, status: "paid", amount: 100},
+        {id: 2, customer_id: 1, status: "paid", amount: 300},
+        {id: 3, customer_id: 2, status: "paid", amount: 50},
+        {id: 4, customer_id: 2, status: "draft", amount: 1000},
+        {id: 5, customer_id: 3, status: "paid", amount: null}
+    ]
+} ;
+
+test.describe("aggregate", ()=>{
+    const db = new VeloxDatabase({backend: "memory", schema: SCHEMA, data: DATA, logger: silentLogger}) ;
+
+    test.it("counts the records by default", async ()=>{
+        let rows = await db.inDatabase(async (client)=>{
+            return await client.aggregate("invoice", {status: "paid"}) ;
+        }) ;
+        assert.deepStrictEqual(rows, [{count: 4}]) ;
+    }) ;
+
+    test.it("computes the measures by group", async ()=>{
+        let rows = await db.inDatabase(async (client)=>{
+            return await client.aggregate("invoice", {status: "paid"}, {
+                groupBy: "customer_id",
+                measures: {
+                    nb: {fn: "count"},
+                    total: {fn: "sum", column: "amount"},
+                    average: {fn: "avg", column: "amount"},
+                    biggest: {fn: "max", column: "amount"}
+                },
+                orderBy: "total desc"
+            }) ;
+        }) ;
+        //as in PostgreSQL, the null values come first in descending order
+        assert.deepStrictEqual(rows, [
+            {customer_id: 3, nb: 1, total: null, average: null, biggest: null},
+            {customer_id: 1, nb: 2, total: 400, average: 200, biggest: 300},
+            {customer_id: 2, nb: 1, total: 50, average: 50, biggest: 50}
+        ]) ;
+    }) ;
+
+    test.it("refuses an unknown measure function", async ()=>{
+        await assert.rejects(db.inDatabase(async (client)=>{
+            return await client.aggregate("invoice", {}, {measures: {x: {fn: "median", column: "amount"}}}) ;
+        })) ;
+    }) ;
+
+    test.it("runs the aggregations of multiread", async ()=>{
+        let results = await db.multiread({
+            byStatus: {table: "invoice", aggregate: {}, groupBy: ["status"], measures: {nb: {fn: "count"}}}
+        }) ;
+        assert.deepStrictEqual(results.byStatus, [{status: "draft", nb: 1}, {status: "paid", nb: 4}]) ;
+    }) ;
+}) ;
@@ -0,0 +1,65 @@
+const test = require("node:test") ;
+const assert = require("assert") ;
+const stream = require("stream") ;
+const VeloxDatabase = require("../server/src/VeloxDatabase") ;
+
+const silentLogger = { debug: function(){}, info: function(){}, warn: function(){}, error: function(){} } ;
+
+const SCHEMA = {
+    customer : {
+        columns: [{name: "id", type: "int"}, {name: "name", type: "varchar", size: 128}],
+        pk: ["id"]
+    }
+} ;
+
+const DATA = {
+    customer: [{id: 1, name: "Alice"}]
+} ;
+
+test.describe("bulk insert", ()=>{
+    const db = new VeloxDatabase({backend: "memory", schema: SCHEMA, data: DATA, logger: silentLogger}) ;
+
+    test.beforeEach(()=>{
+        db.backend.loadData(DATA) ;
+    }) ;
+
+    test.it("inserts the mapped records by batches", async ()=>{
+        let report = await db.transaction(async (tx)=>{
+            return await tx.bulkInsert("customer", [{ref: 10, label: "frank"}, {ref: 11, label: "grace"}], {
+                mapping: {id: "ref", name: (r)=>{ return r.label.toUpperCase() ; }},
+                batchSize: 1
+            }) ;
+        }) ;
+        assert.deepStrictEqual(report, {inserted: 2, failed: 0, errors: []}) ;
+        let customers = await db.search("customer", {id: [10, 11]}, "id") ;
+        assert.deepStrictEqual(customers.map((c)=>{ return c.name ; }), ["FRANK", "GRACE"]) ;
+    }) ;
+
+    test.it("reads the records from a stream", async ()=>{
+        let report = await db.transaction(async (tx)=>{
+            return await tx.bulkInsert("customer", stream.Readable.from([{id: 20, name: "a"}, {id: 21, name: "b"}, {id: 22, name: "c"}]), {batchSize: 2}) ;
+        }) ;
+        assert.strictEqual(report.inserted, 3) ;
+        assert.strictEqual((await db.search("customer", {})).length, 4) ;
+    }) ;
+
+    test.it("reports the failing batches with continueOnError", async ()=>{
+        let report = await db.transaction(async (tx)=>{
+            return await tx.bulkInsert("customer", [{id: 30, name: "a"}, {id: 1, name: "duplicate"}, {id: 31, name: "b"}], {
+                batchSize: 1, continueOnError: true
+            }) ;
+        }) ;
+        assert.strictEqual(report.inserted, 2) ;
+        assert.strictEqual(report.failed, 1) ;
+        assert.strictEqual(report.errors.length, 1) ;
+        assert.strictEqual(report.errors[0].batch, 1) ;
+        assert.strictEqual(report.errors[0].firstRow, 1) ;
+        assert.strictEqual((await db.getByPk("customer", 1)).name, "Alice") ;
+    }) ;
+
+    test.it("refuses an unknown mapped column", async ()=>{
+        await assert.rejects(db.transaction(async (tx)=>{
+            return await tx.bulkInsert("customer", [{id: 40}], {mapping: {unknown: "id"}}) ;
+        })) ;
+    }) ;
+}) ;
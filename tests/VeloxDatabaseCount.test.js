@@ -0,0 +1,45 @@
+const test = require("node:test") ;
+const assert = require("assert") ;
+const VeloxDatabase = require("../server/src/VeloxDatabase") ;
+
+const silentLogger = { debug: function(){}, info: function(){}, warn: function(){}, error: function(){} } ;
+
+const SCHEMA = {
+    customer : {
+        columns: [{name: "id", type: "int"}, {name: "name", type: "varchar", size: 128}, {name: "country", type: "varchar", size: 2}],
+        pk: ["id"]
+    }
+} ;
+
+const DATA = {
+    customer: [
+        {id: 1, name: "Alice", country: "FR"},
+        {id: 2, name: "Bob", country: "US"},
+        {id: 3, name: "Carol", country: "FR"},
+        {id: 4, name: "Dave", country: "DE"},
+        {id: 5, name: "Eve", country: "US"}
+    ]
+} ;
+
+test.describe("search with count", ()=>{
+    const db = new VeloxDatabase({backend: "memory", schema: SCHEMA, data: DATA, logger: silentLogger}) ;
+
+    test.it("gives the total count with the page", async ()=>{
+        let result = await db.search("customer", {country: "US"}, "id", 0, 1, {withCount: true}) ;
+        assert.strictEqual(result.total, 2) ;
+        assert.deepStrictEqual(result.rows.map((c)=>{ return c.id ; }), [2]) ;
+    }) ;
+
+    test.it("counts all the records of an empty search", async ()=>{
+        let result = await db.search("customer", {}, "id", 2, 2, {withCount: true}) ;
+        assert.strictEqual(result.total, 5) ;
+        assert.deepStrictEqual(result.rows.map((c)=>{ return c.id ; }), [3, 4]) ;
+    }) ;
+
+    test.it("gives the total count with a keyset page", async ()=>{
+        let result = await db.search("customer", {}, "name", 0, 2, {after: null, withCount: true}) ;
+        assert.strictEqual(result.total, 5) ;
+        assert.strictEqual(result.rows.length, 2) ;
+        assert.ok(result.cursor) ;
+    }) ;
+}) ;
@@ -0,0 +1,64 @@
+const test = require("node:test") ;
+const assert = require("assert") ;
+const VeloxDatabase = require("../server/src/VeloxDatabase") ;
+
+const silentLogger = { debug: function(){}, info: function(){}, warn: function(){}, error: function(){} } ;
+
+const SCHEMA = {
+    article : {
+        columns: [{name: "id", type: "int"}, {name: "title", type: "varchar", size: 128}, {name: "body", type: "text"}],
+        pk: ["id"]
+    }
+} ;
+
+const DATA = {
+    article: [
+        {id: 1, title: "Élan", body: "Le chat mange. Le chat dort."},
+        {id: 2, title: "Chien", body: "Le chien mange le chat"},
+        {id: 3, title: "Oiseau", body: "L'oiseau chante"},
+        {id: 4, title: "Vide", body: null}
+    ]
+} ;
+
+test.describe("full text search", ()=>{
+
+    test.it("finds the records containing all the words in memory", async ()=>{
+        const db = new VeloxDatabase({backend: "memory", schema: SCHEMA, data: DATA, logger: silentLogger}) ;
+        let articles = await db.search("article", {body: {ope: "fts", value: "CHAT, mange"}}, "id") ;
+        assert.deepStrictEqual(articles.map((a)=>{ return a.id ; }), [1, 2]) ;
+
+        articles = await db.search("article", {title: {ope: "fts", value: "élan"}}, "id") ;
+        assert.deepStrictEqual(articles.map((a)=>{ return a.id ; }), [1]) ;
+
+        articles = await db.search("article", {body: {ope: "fts", value: " ,. "}}, "id") ;
+        assert.deepStrictEqual(articles, []) ;
+    }) ;
+
+    test.it("orders by rank in memory", async ()=>{
+        const db = new VeloxDatabase({backend: "memory", schema: SCHEMA, data: DATA, logger: silentLogger}) ;
+        let articles = await db.search("article", {body: {ope: "fts", value: "chat"}}, "$rank desc") ;
+        assert.deepStrictEqual(articles.map((a)=>{ return a.id ; }), [1, 2]) ;
+        articles = await db.search("article", {body: {ope: "fts", value: "chat"}}, "$rank") ;
+        assert.deepStrictEqual(articles.map((a)=>{ return a.id ; }), [2, 1]) ;
+    }) ;
+
+    test.it("searches with the tsvector of the column language in PostgreSQL", async ()=>{
+        let queries = [] ;
+        const db = new VeloxDatabase({backend: "pg", user: "user", host: "localhost", port: 5432, database: "db", password: "pwd", logger: silentLogger,
+            schema: {article: {fullTextIndexes: [{column: "body", lang: "french"}]}}}) ;
+        db.backend.cache.schema = JSON.parse(JSON.stringify(SCHEMA)) ;
+        let connection = {
+            query: function(sql, params, callback){
+                queries.push({sql: sql.replace(/\s+/g, " ").trim(), params: params}) ;
+                setImmediate(function(){ callback(null, {rows: [], rowCount: 0}) ; }) ;
+            }
+        } ;
+        db.backend.pool.connect = function(callback){ callback(null, connection, function(){}) ; } ;
+
+        await db.search("article", {body: {ope: "fts", value: "chat"}}, "$rank desc") ;
+        let vector = "to_tsvector('french', t.\"body\")" ;
+        let query = "plainto_tsquery('french', $1)" ;
+        assert.ok(queries[0].sql.indexOf(" WHERE "+vector+" @@ "+query+" ORDER BY (ts_rank("+vector+", "+query+")) desc") !== -1, queries[0].sql) ;
+        assert.deepStrictEqual(queries[0].params, ["chat"]) ;
+    }) ;
+}) ;
@@ -0,0 +1,69 @@
+const test = require("node:test") ;
+const assert = require("assert") ;
+const fs = require("fs") ;
+const os = require("os") ;
+const path = require("path") ;
+const VeloxDatabase = require("../server/src/VeloxDatabase") ;
+const VeloxDatabaseExpress = require("../server/src/VeloxDatabaseExpress") ;
+
+const SCHEMA = {
+    customer : { columns: [{name: "id", type: "int"}, {name: "name", type: "varchar", size: 128}], pk: ["id"] }
+} ;
+
+/**
+ * Call the health check route with a fake request and response
+ */
+function callHealthCheck(express){
+    return new Promise((resolve)=>{
+        let res = {
+            status: function(status){ res.statusCode = status ; return res ; },
+            json: function(body){ res.body = body ; resolve(res) ; }
+        } ;
+        express._healthCheck({query: {}, body: {}}, res) ;
+    }) ;
+}
+
+test.describe("health check route", ()=>{
+    let folder = null ;
+    let warnings = [] ;
+    let db = null ;
+
+    test.beforeEach(()=>{
+        folder = fs.mkdtempSync(path.join(os.tmpdir(), "velox-health-")) ;
+        fs.writeFileSync(path.join(folder, "001_first.js"), "module.exports = { up: function(tx, done){ done() ; } } ;\n") ;
+        warnings = [] ;
+        let logger = { debug: function(){}, info: function(){}, warn: function(msg){ warnings.push(msg) ; }, error: function(){} } ;
+        db = new VeloxDatabase({backend: "memory", schema: SCHEMA, migrationFolder: folder, logger: logger}) ;
+    }) ;
+
+    test.afterEach(()=>{
+        fs.rmSync(folder, {recursive: true, force: true}) ;
+    }) ;
+
+    test.it("answers only the status by default", async ()=>{
+        await db.updateSchema() ;
+        let res = await callHealthCheck(new VeloxDatabaseExpress(db, {healthCheckEntryPoint: "/health"})) ;
+        assert.strictEqual(res.statusCode, 200) ;
+        assert.deepStrictEqual(res.body, {ok: true}) ;
+    }) ;
+
+    test.it("answers the details with the healthCheckDetails option", async ()=>{
+        await db.updateSchema() ;
+        let res = await callHealthCheck(new VeloxDatabaseExpress(db, {healthCheckEntryPoint: "/health", healthCheckDetails: true})) ;
+        assert.strictEqual(res.statusCode, 200) ;
+        assert.strictEqual(res.body.ok, true) ;
+        assert.strictEqual(res.body.database.ok, true) ;
+        assert.strictEqual(typeof(res.body.database.latencyMs), "number") ;
+        assert.deepStrictEqual(res.body.schema, {ok: true, version: 1, lastVersion: 1}) ;
+        assert.deepStrictEqual(res.body.pools, {primary: null, replicas: []}) ;
+    }) ;
+
+    test.it("answers 503 and logs the failure when the schema is not up to date", async ()=>{
+        let res = await callHealthCheck(new VeloxDatabaseExpress(db, {healthCheckEntryPoint: "/health", healthCheckDetails: true})) ;
+        assert.strictEqual(res.statusCode, 503) ;
+        assert.strictEqual(res.body.ok, false) ;
+        assert.deepStrictEqual(res.body.schema, {ok: false, version: 0, lastVersion: 1}) ;
+        assert.strictEqual(warnings.length, 1) ;
+        assert.ok(warnings[0].indexOf("Database health check failed") === 0) ;
+    }) ;
+}) ;
@@ -0,0 +1,57 @@
+const test = require("node:test") ;
+const assert = require("assert") ;
+const VeloxDatabase = require("../server/src/VeloxDatabase") ;
+
+const silentLogger = { debug: function(){}, info: function(){}, warn: function(){}, error: function(){} } ;
+
+const SCHEMA = {
+    person : {
+        columns: [{name: "id", type: "int"}, {name: "data", type: "jsonb"}],
+        pk: ["id"]
+    }
+} ;
+
+const DATA = {
+    person: [
+        {id: 1, data: {age: 30, status: "active", address: {city: "Paris"}}},
+        {id: 2, data: {age: 17, status: "active", address: {city: "Lyon"}}},
+        {id: 3, data: {age: 45, tags: ["admin"], address: {city: "Paris"}}},
+        {id: 4, data: null}
+    ]
+} ;
+
+function ids(records){
+    return records.map((r)=>{ return r.id ; }) ;
+}
+
+test.describe("JSON columns", ()=>{
+    const db = new VeloxDatabase({backend: "memory", schema: SCHEMA, data: DATA, logger: silentLogger}) ;
+
+    test.beforeEach(()=>{
+        db.backend.loadData(DATA) ;
+    }) ;
+
+    test.it("searches on the values inside the JSON", async ()=>{
+        assert.deepStrictEqual(ids(await db.search("person", {"data->address->city": "Paris"}, "id")), [1, 3]) ;
+        assert.deepStrictEqual(ids(await db.search("person", {"data->age": {ope: ">", value: 18}}, "id")), [1, 3]) ;
+    }) ;
+
+    test.it("orders on a value inside the JSON", async ()=>{
+        assert.deepStrictEqual(ids(await db.search("person", {"data->age": {ope: ">", value: 0}}, "data->age desc")), [3, 1, 2]) ;
+    }) ;
+
+    test.it("searches with the JSON operators", async ()=>{
+        assert.deepStrictEqual(ids(await db.search("person", {data: {ope: "?", value: "status"}}, "id")), [1, 2]) ;
+        assert.deepStrictEqual(ids(await db.search("person", {data: {ope: "?|", value: ["tags", "other"]}}, "id")), [3]) ;
+        assert.deepStrictEqual(ids(await db.search("person", {data: {ope: "?&", value: ["age", "status"]}}, "id")), [1, 2]) ;
+        assert.deepStrictEqual(ids(await db.search("person", {data: {ope: "@>", value: {address: {city: "Lyon"}}}}, "id")), [2]) ;
+    }) ;
+
+    test.it("merges the keys on update", async ()=>{
+        await db.transaction(async (tx)=>{
+            await tx.update("person", {id: 1, data: {$merge: {status: "inactive", score: 3}}}) ;
+        }) ;
+        let person = await db.getByPk("person", 1) ;
+        assert.deepStrictEqual(person.data, {age: 30, status: "inactive", address: {city: "Paris"}, score: 3}) ;
+    }) ;
+}) ;
@@ -0,0 +1,56 @@
+const test = require("node:test") ;
+const assert = require("assert") ;
+const VeloxDatabase = require("../server/src/VeloxDatabase") ;
+
+const silentLogger = { debug: function(){}, info: function(){}, warn: function(){}, error: function(){} } ;
+
+const SCHEMA = {
+    customer : {
+        columns: [{name: "id", type: "int"}, {name: "name", type: "varchar", size: 128}, {name: "country", type: "varchar", size: 2}],
+        pk: ["id"]
+    }
+} ;
+
+const DATA = {
+    customer: [
+        {id: 1, name: "Alice", country: "FR"},
+        {id: 2, name: "Bob", country: "US"},
+        {id: 3, name: "Carol", country: "FR"},
+        {id: 4, name: "Dave", country: null},
+        {id: 5, name: "Eve", country: "US"}
+    ]
+} ;
+
+/**
+ * Read all the pages of a search with the keyset cursor
+ */
+async function readPages(db, search, orderBy, limit){
+    let pages = [] ;
+    let page = await db.search("customer", search, orderBy, 0, limit, {after: null}) ;
+    pages.push(page.rows.map((c)=>{ return c.id ; })) ;
+    while(page.cursor){
+        page = await db.search("customer", search, orderBy, 0, limit, {after: page.cursor}) ;
+        pages.push(page.rows.map((c)=>{ return c.id ; })) ;
+    }
+    return pages ;
+}
+
+test.describe("keyset pagination", ()=>{
+    const db = new VeloxDatabase({backend: "memory", schema: SCHEMA, data: DATA, logger: silentLogger}) ;
+
+    test.it("reads the pages after the cursor", async ()=>{
+        assert.deepStrictEqual(await readPages(db, {}, "name", 2), [[1, 2], [3, 4], [5]]) ;
+    }) ;
+
+    test.it("pages on a descending order with nulls first and duplicated values", async ()=>{
+        assert.deepStrictEqual(await readPages(db, {}, "country DESC", 2), [[4, 2], [5, 1], [3]]) ;
+    }) ;
+
+    test.it("keeps the search conditions and ends on an empty page after a full one", async ()=>{
+        assert.deepStrictEqual(await readPages(db, {country: "FR"}, "name", 1), [[1], [3], []]) ;
+    }) ;
+
+    test.it("refuses a wrong cursor", async ()=>{
+        await assert.rejects(db.search("customer", {}, "name", 0, 2, {after: "wrong"})) ;
+    }) ;
+}) ;
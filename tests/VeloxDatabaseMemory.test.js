@@ -0,0 +1,99 @@
+const test = require("node:test") ;
+const assert = require("assert") ;
+const VeloxDatabase = require("../server/src/VeloxDatabase") ;
+
+const silentLogger = { debug: function(){}, info: function(){}, warn: function(){}, error: function(){} } ;
+
+const SCHEMA = {
+    customer : {
+        columns: [{name: "id", type: "int"}, {name: "name", type: "varchar", size: 128}, {name: "country", type: "varchar", size: 2}],
+        pk: ["id"]
+    },
+    orders : {
+        columns: [{name: "id", type: "int"}, {name: "customer_id", type: "int"}, {name: "amount", type: "int"}],
+        pk: ["id"],
+        fk: [{targetTable: "customer", thisColumn: "customer_id", targetColumn: "id"}]
+    }
+} ;
+
+const DATA = {
+    customer: [
+        {id: 1, name: "Alice", country: "FR"},
+        {id: 2, name: "Bob", country: "US"},
+        {id: 3, name: "Carol", country: "FR"},
+        {id: 4, name: "Dave", country: "DE"},
+        {id: 5, name: "Eve", country: "US"}
+    ],
+    orders: [
+        {id: 1, customer_id: 1, amount: 10},
+        {id: 2, customer_id: 1, amount: 20},
+        {id: 3, customer_id: 2, amount: 30}
+    ]
+} ;
+
+function createDb(){
+    return new VeloxDatabase({backend: "memory", schema: SCHEMA, data: DATA, logger: silentLogger}) ;
+}
+
+test.describe("memory backend search", ()=>{
+    const db = createDb() ;
+
+    test.it("filters with the search conditions", async ()=>{
+        let customers = await db.search("customer", {country: "FR"}, "id") ;
+        assert.deepStrictEqual(customers.map((c)=>{ return c.id ; }), [1, 3]) ;
+
+        customers = await db.search("customer", {id: {ope: "between", value: [2, 4]}}, "id") ;
+        assert.deepStrictEqual(customers.map((c)=>{ return c.id ; }), [2, 3, 4]) ;
+
+        customers = await db.search("customer", {name: "%o%"}, "id") ;
+        assert.deepStrictEqual(customers.map((c)=>{ return c.name ; }), ["Bob", "Carol"]) ;
+
+        customers = await db.search("customer", {$or: [{country: "DE"}, {name: "Eve"}]}, "id") ;
+        assert.deepStrictEqual(customers.map((c)=>{ return c.id ; }), [4, 5]) ;
+    }) ;
+
+    test.it("orders and pages with offset and limit", async ()=>{
+        let customers = await db.search("customer", {}, "name DESC", 1, 2) ;
+        assert.deepStrictEqual(customers.map((c)=>{ return c.name ; }), ["Dave", "Carol"]) ;
+    }) ;
+
+    test.it("joins the related tables", async ()=>{
+        let orders = await db.search("orders", {}, [{otherTable: "customer", name: "customer", type: "2one"}], "id") ;
+        assert.strictEqual(orders.length, 3) ;
+        assert.strictEqual(orders[2].customer.name, "Bob") ;
+    }) ;
+}) ;
+
+test.describe("memory backend transactions", ()=>{
+    const db = createDb() ;
+
+    test.beforeEach(()=>{
+        db.backend.loadData(DATA) ;
+    }) ;
+
+    test.it("rollbacks the changes when the transaction fails", async ()=>{
+        await assert.rejects(db.transaction(async (tx)=>{
+            await tx.insert("customer", {id: 10, name: "Frank"}) ;
+            throw "failed" ;
+        })) ;
+        assert.strictEqual(await db.getByPk("customer", 10), null) ;
+    }) ;
+
+    test.it("keeps the writes done outside of the transaction when it is rollbacked", async ()=>{
+        let release = null ;
+        let waiting = new Promise((resolve)=>{ release = resolve ; }) ;
+        let transaction = db.transaction(async (tx)=>{
+            await tx.insert("customer", {id: 10, name: "Frank"}) ;
+            await waiting ;
+            throw "failed" ;
+        }) ;
+        let outside = db.inDatabase(async (client)=>{
+            await client.insert("customer", {id: 11, name: "Grace"}) ;
+        }) ;
+        setTimeout(release, 10) ;
+        await assert.rejects(transaction) ;
+        await outside ;
+        assert.strictEqual(await db.getByPk("customer", 10), null) ;
+        assert.notStrictEqual(await db.getByPk("customer", 11), null) ;
+    }) ;
+}) ;
@@ -0,0 +1,78 @@
+const test = require("node:test") ;
+const assert = require("assert") ;
+const fs = require("fs") ;
+const os = require("os") ;
+const path = require("path") ;
+const VeloxDatabase = require("../server/src/VeloxDatabase") ;
+
+const SCHEMA = {
+    customer : {
+        columns: [{name: "id", type: "int"}, {name: "name", type: "varchar", size: 128}],
+        pk: ["id"]
+    }
+} ;
+
+/**
+ * Write a JS migration that inserts a customer on up and removes it on down
+ */
+function writeMigration(folder, file, id, name){
+    fs.writeFileSync(path.join(folder, file), `module.exports = {
+    up: function(tx, done){ tx.insert("customer", {id: ${id}, name: "${name}"}, done) ; },
+    down: function(tx, done){ tx.remove("customer", ${id}, done) ; }
+} ;
+`) ;
+}
+
+test.describe("memory backend migrations", ()=>{
+    let folder = null ;
+    let warnings = [] ;
+    let db = null ;
+
+    test.beforeEach(()=>{
+        folder = fs.mkdtempSync(path.join(os.tmpdir(), "velox-migration-")) ;
+        writeMigration(folder, "001_first.js", 1, "first") ;
+        writeMigration(folder, "002_second.js", 2, "second") ;
+        warnings = [] ;
+        let logger = { debug: function(){}, info: function(){}, warn: function(msg){ warnings.push(msg) ; }, error: function(){} } ;
+        db = new VeloxDatabase({backend: "memory", schema: SCHEMA, migrationFolder: folder, logger: logger}) ;
+    }) ;
+
+    test.afterEach(()=>{
+        fs.rmSync(folder, {recursive: true, force: true}) ;
+    }) ;
+
+    test.it("applies the migrations and saves their checksums", async ()=>{
+        await db.updateSchema() ;
+        assert.strictEqual(db.backend.store.version, 2) ;
+        assert.deepStrictEqual(Object.keys(db.backend.store.checksums), ["1", "2"]) ;
+        assert.strictEqual((await db.search("customer", {})).length, 2) ;
+
+        let plan = await db.planSchemaUpdate() ;
+        assert.strictEqual(plan.steps.length, 0) ;
+        await db.updateSchema() ;
+        assert.strictEqual((await db.search("customer", {})).length, 2) ;
+    }) ;
+
+    test.it("warns when an applied migration was modified", async ()=>{
+        await db.updateSchema() ;
+        writeMigration(folder, "002_second.js", 2, "modified") ;
+        await db.updateSchema() ;
+        assert.strictEqual(warnings.length, 1) ;
+        assert.ok(warnings[0].indexOf("002_second.js") !== -1) ;
+    }) ;
+
+    test.it("rollbacks to a target version", async ()=>{
+        await db.updateSchema() ;
+        await db.updateSchema({targetVersion: 1}) ;
+        assert.strictEqual(db.backend.store.version, 1) ;
+        let customers = await db.search("customer", {}) ;
+        assert.deepStrictEqual(customers.map((c)=>{ return c.name ; }), ["first"]) ;
+    }) ;
+
+    test.it("rejects when a migration throws", async ()=>{
+        fs.writeFileSync(path.join(folder, "003_failing.js"), "module.exports = { up: function(){ throw \"failed\" ; } } ;\n") ;
+        await assert.rejects(db.updateSchema()) ;
+        assert.strictEqual(db.backend.store.version, 0) ;
+        assert.strictEqual((await db.search("customer", {})).length, 0) ;
+    }) ;
+}) ;
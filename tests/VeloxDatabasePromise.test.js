@@ -0,0 +1,68 @@
+const test = require("node:test") ;
+const assert = require("assert") ;
+const VeloxDatabase = require("../server/src/VeloxDatabase") ;
+
+const silentLogger = { debug: function(){}, info: function(){}, warn: function(){}, error: function(){} } ;
+
+/**
+ * Create a pg database on a fake connection that records the queries
+ */
+function createDb(queries){
+    let db = new VeloxDatabase({backend: "pg", user: "user", host: "localhost", port: 5432, database: "db", password: "pwd", logger: silentLogger}) ;
+    let connection = {
+        query: function(sql, params, callback){
+            if(typeof(params) === "function"){ callback = params ; }
+            queries.push(sql) ;
+            setImmediate(function(){
+                if(sql === "SELECT fail"){ return callback("query failed") ; }
+                callback(null, {rows: [{sql: sql}], rowCount: 1}) ;
+            }) ;
+        }
+    } ;
+    db.backend.pool.connect = function(callback){ callback(null, connection, function(){}) ; } ;
+    return db ;
+}
+
+test.describe("promise API", ()=>{
+    let queries = [] ;
+    let db = null ;
+
+    test.beforeEach(()=>{
+        queries = [] ;
+        db = createDb(queries) ;
+    }) ;
+
+    test.it("gives back the result of inDatabase", async ()=>{
+        let rows = await db.inDatabase(async (client)=>{
+            let result = await client.query("SELECT 1") ;
+            return result.rows ;
+        }) ;
+        assert.deepStrictEqual(rows, [{sql: "SELECT 1"}]) ;
+    }) ;
+
+    test.it("commits the async transaction and gives back its result", async ()=>{
+        let result = await db.transaction(async (tx)=>{
+            await tx.query("SELECT 1") ;
+            return (await tx.queryFirst("SELECT 2")).sql ;
+        }) ;
+        assert.strictEqual(result, "SELECT 2") ;
+        assert.deepStrictEqual(queries, ["BEGIN", "SELECT 1", "SELECT 2", "COMMIT"]) ;
+    }) ;
+
+    test.it("rollbacks the transaction when it rejects", async ()=>{
+        await assert.rejects(db.transaction(async (tx)=>{
+            await tx.query("SELECT fail") ;
+        }), (err)=>{ return err === "query failed" ; }) ;
+        assert.deepStrictEqual(queries, ["BEGIN", "SELECT fail", "ROLLBACK"]) ;
+    }) ;
+
+    test.it("keeps the callback API", (t, done)=>{
+        db.transaction((tx, doneTx)=>{
+            tx.query("SELECT 1", [], doneTx) ;
+        }, (err)=>{
+            assert.ifError(err) ;
+            assert.deepStrictEqual(queries, ["BEGIN", "SELECT 1", "COMMIT"]) ;
+            done() ;
+        }) ;
+    }) ;
+}) ;
@@ -0,0 +1,59 @@
+const test = require("node:test") ;
+const assert = require("assert") ;
+const VeloxDatabase = require("../server/src/VeloxDatabase") ;
+
+const silentLogger = { debug: function(){}, info: function(){}, warn: function(){}, error: function(){} } ;
+
+const SCHEMA = {
+    country : {
+        columns: [{name: "code", type: "varchar", size: 2}, {name: "zone", type: "varchar", size: 10}],
+        pk: ["code"]
+    },
+    customer : {
+        columns: [{name: "id", type: "int"}, {name: "name", type: "varchar", size: 128}, {name: "country_code", type: "varchar", size: 2}],
+        pk: ["id"],
+        fk: [{targetTable: "country", thisColumn: "country_code", targetColumn: "code"}]
+    },
+    orders : {
+        columns: [{name: "id", type: "int"}, {name: "customer_id", type: "int"}, {name: "amount", type: "int"}],
+        pk: ["id"],
+        fk: [{targetTable: "customer", thisColumn: "customer_id", targetColumn: "id"}]
+    }
+} ;
+
+const DATA = {
+    country: [{code: "FR", zone: "EU"}, {code: "US", zone: "NA"}],
+    customer: [
+        {id: 1, name: "Alice", country_code: "FR"},
+        {id: 2, name: "Bob", country_code: "US"},
+        {id: 3, name: "Carol", country_code: "FR"}
+    ],
+    orders: [
+        {id: 1, customer_id: 1, amount: 10},
+        {id: 2, customer_id: 1, amount: 200},
+        {id: 3, customer_id: 2, amount: 30}
+    ]
+} ;
+
+function ids(records){
+    return records.map((r)=>{ return r.id ; }) ;
+}
+
+test.describe("conditions on related tables", ()=>{
+    const db = new VeloxDatabase({backend: "memory", schema: SCHEMA, data: DATA, logger: silentLogger}) ;
+
+    test.it("searches on a column of the related table", async ()=>{
+        assert.deepStrictEqual(ids(await db.search("orders", {"customer.name": "Bob"}, "id")), [3]) ;
+        assert.deepStrictEqual(ids(await db.search("orders", {"customer.country.zone": "EU"}, "id")), [1, 2]) ;
+    }) ;
+
+    test.it("searches on the existence of related records", async ()=>{
+        assert.deepStrictEqual(ids(await db.search("customer", {orders: {$exists: true}}, "id")), [1, 2]) ;
+        assert.deepStrictEqual(ids(await db.search("customer", {orders: {$exists: false}}, "id")), [3]) ;
+        assert.deepStrictEqual(ids(await db.search("customer", {orders: {$exists: {amount: {ope: ">", value: 100}}}}, "id")), [1]) ;
+    }) ;
+
+    test.it("refuses a table without link", async ()=>{
+        await assert.rejects(db.search("country", {"orders.amount": 10})) ;
+    }) ;
+}) ;
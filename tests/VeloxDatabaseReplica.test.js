@@ -0,0 +1,99 @@
+const test = require("node:test") ;
+const assert = require("assert") ;
+const VeloxDatabase = require("../server/src/VeloxDatabase") ;
+
+const silentLogger = { debug: function(){}, info: function(){}, warn: function(){}, error: function(){} } ;
+
+const SCHEMA = {
+    customer : { columns: [{name: "id", type: "int"}, {name: "name", type: "varchar"}], pk: ["id"], fk: [] }
+} ;
+
+/**
+ * Connect a backend to a fake database that records the queries with the database name.
+ * The database fails to connect or fails its queries with a connection error when its failure is set
+ */
+function fakeDatabase(backend, name, state){
+    let connection = {
+        query: function(sql, params, callback){
+            if(typeof(params) === "function"){ callback = params ; }
+            state.queries.push(name+": "+sql.replace(/\s+/g, " ").trim()) ;
+            setImmediate(function(){
+                if(state.failures[name] === "query"){
+                    let err = new Error("Connection terminated") ;
+                    err.code = "ECONNRESET" ;
+                    return callback(err) ;
+                }
+                if(/^INSERT/.test(sql)){ return callback(null, {rows: [{id: 1, name: "Alice"}], rowCount: 1}) ; }
+                callback(null, {rows: [], rowCount: 0}) ;
+            }) ;
+        }
+    } ;
+    backend.pool.connect = function(callback){
+        if(state.failures[name] === "connect"){ return callback("connection refused") ; }
+        callback(null, connection, function(){}) ;
+    } ;
+}
+
+/**
+ * Create a pg database with 2 replicas on fake databases
+ */
+function createDb(state){
+    let db = new VeloxDatabase({backend: "pg", user: "user", host: "primary", port: 5432, database: "db", password: "pwd",
+        replicas: [{host: "replica1"}, {host: "replica2"}], replicaHealthCheckDelay: 10, logger: silentLogger}) ;
+    db.backend.cache.schema = SCHEMA ;
+    fakeDatabase(db.backend, "primary", state) ;
+    fakeDatabase(db.replicas[0].backend, "replica1", state) ;
+    fakeDatabase(db.replicas[1].backend, "replica2", state) ;
+    return db ;
+}
+
+test.describe("read replicas", ()=>{
+    let state = null ;
+    let db = null ;
+
+    test.beforeEach(()=>{
+        state = {queries: [], failures: {}} ;
+        db = createDb(state) ;
+    }) ;
+
+    test.it("sends the reads to the replicas in turn and the writes to the primary", async ()=>{
+        await db.search("customer", {name: "A"}) ;
+        await db.search("customer", {name: "B"}) ;
+        await db.getByPk("customer", 1) ;
+        await db.transaction(async (tx)=>{
+            await tx.insert("customer", {id: 1, name: "Alice"}) ;
+        }) ;
+        assert.deepStrictEqual(state.queries.map((q)=>{ return q.substring(0, q.indexOf(":")) ; }),
+            ["replica1", "replica2", "replica1", "primary", "primary", "primary"]) ;
+        assert.ok(/^primary: INSERT/.test(state.queries[4])) ;
+    }) ;
+
+    test.it("reads on the primary with the primary option and onPrimary", async ()=>{
+        await db.search("customer", {name: "A"}, null, null, null, null, {primary: true}) ;
+        await db.getByPk("customer", 1, null, {primary: true}) ;
+        await db.onPrimary().search("customer", {name: "B"}) ;
+        assert.deepStrictEqual(state.queries.map((q)=>{ return q.substring(0, q.indexOf(":")) ; }),
+            ["primary", "primary", "primary"]) ;
+    }) ;
+
+    test.it("removes the replica that can't connect from the rotation until it is available again", async ()=>{
+        state.failures.replica1 = "connect" ;
+        await db.search("customer", {name: "A"}) ;
+        await db.search("customer", {name: "B"}) ;
+        assert.strictEqual(db.replicas[0].healthy, false) ;
+        assert.deepStrictEqual(state.queries.map((q)=>{ return q.substring(0, q.indexOf(":")) ; }), ["replica2", "replica2"]) ;
+
+        delete state.failures.replica1 ;
+        await new Promise((resolve)=>{ setTimeout(resolve, 50) ; }) ;
+        assert.strictEqual(db.replicas[0].healthy, true) ;
+    }) ;
+
+    test.it("removes the replica that loses its connection during a read", async ()=>{
+        state.failures.replica1 = "query" ;
+        await assert.rejects(db.search("customer", {name: "A"})) ;
+        assert.strictEqual(db.replicas[0].healthy, false) ;
+        assert.strictEqual(db.replicas[1].healthy, true) ;
+        await db.search("customer", {name: "B"}) ;
+        assert.ok(/^replica2: /.test(state.queries[state.queries.length-1])) ;
+    }) ;
+}) ;
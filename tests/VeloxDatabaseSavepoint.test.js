@@ -0,0 +1,113 @@
+const test = require("node:test") ;
+const assert = require("assert") ;
+const VeloxDatabase = require("../server/src/VeloxDatabase") ;
+
+const silentLogger = { debug: function(){}, info: function(){}, warn: function(){}, error: function(){} } ;
+
+const SCHEMA = {
+    customer : {
+        columns: [{name: "id", type: "int"}, {name: "name", type: "varchar", size: 128}],
+        pk: ["id"]
+    }
+} ;
+
+const DATA = {
+    customer: [{id: 1, name: "Alice"}]
+} ;
+
+test.describe("memory backend savepoints", ()=>{
+    const db = new VeloxDatabase({backend: "memory", schema: SCHEMA, data: DATA, logger: silentLogger}) ;
+
+    test.beforeEach(()=>{
+        db.backend.loadData(DATA) ;
+    }) ;
+
+    test.it("rollbacks only the changes of a failing savepoint", async ()=>{
+        await db.transaction((tx, done)=>{
+            tx.insert("customer", {id: 10, name: "Frank"}, (err)=>{
+                if(err){ return done(err) ; }
+                tx.savepoint((sp, doneSp)=>{
+                    sp.insert("customer", {id: 11, name: "Grace"}, (err)=>{
+                        if(err){ return doneSp(err) ; }
+                        doneSp("failed") ;
+                    }) ;
+                }, (err)=>{
+                    assert.strictEqual(err, "failed") ;
+                    done() ;
+                }) ;
+            }) ;
+        }) ;
+        assert.notStrictEqual(await db.getByPk("customer", 10), null) ;
+        assert.strictEqual(await db.getByPk("customer", 11), null) ;
+    }) ;
+
+    test.it("runs a nested transaction as a savepoint", async ()=>{
+        await db.transaction(async (tx)=>{
+            await tx.insert("customer", {id: 10, name: "Frank"}) ;
+            await assert.rejects(tx.transaction(async (nested)=>{
+                await nested.insert("customer", {id: 11, name: "Grace"}) ;
+                throw "failed" ;
+            })) ;
+            await tx.transaction(async (nested)=>{
+                await nested.insert("customer", {id: 12, name: "Heidi"}) ;
+            }) ;
+        }) ;
+        let customers = await db.search("customer", {}, "id") ;
+        assert.deepStrictEqual(customers.map((c)=>{ return c.id ; }), [1, 10, 12]) ;
+    }) ;
+
+    test.it("reports the failing changes with continueOnError", async ()=>{
+        let results = await db.transactionalChanges([
+            {table: "customer", action: "insert", record: {id: 10, name: "Frank"}},
+            {table: "customer", action: "insert", record: {id: 1, name: "Duplicate"}},
+            {table: "customer", action: "insert", record: {id: 11, name: "Grace"}}
+        ], {continueOnError: true}) ;
+        let failures = results.filter((r)=>{ return r.error ; }) ;
+        assert.strictEqual(failures.length, 1) ;
+        assert.strictEqual(failures[0].action, "insert") ;
+        assert.strictEqual(failures[0].table, "customer") ;
+        let customers = await db.search("customer", {}, "id") ;
+        assert.deepStrictEqual(customers.map((c)=>{ return c.name ; }), ["Alice", "Frank", "Grace"]) ;
+    }) ;
+
+    test.it("refuses a savepoint outside of a transaction", async ()=>{
+        await db.inDatabase((client, done)=>{
+            client.savepoint((sp, doneSp)=>{ doneSp() ; }, (err)=>{
+                assert.strictEqual(err, "A savepoint can only be created in a transaction") ;
+                done() ;
+            }) ;
+        }) ;
+    }) ;
+}) ;
+
+test.describe("pg savepoints", ()=>{
+
+    test.it("sends the savepoint statements", async ()=>{
+        let db = new VeloxDatabase({backend: "pg", user: "user", host: "localhost", port: 5432, database: "db", password: "pwd", logger: silentLogger}) ;
+        let queries = [] ;
+        let connection = {
+            query: function(sql, params, callback){
+                if(typeof(params) === "function"){ callback = params ; }
+                queries.push(sql) ;
+                setImmediate(function(){
+                    if(sql === "SELECT fail"){ return callback("query failed") ; }
+                    callback(null, {rows: [], rowCount: 0}) ;
+                }) ;
+            }
+        } ;
+        db.backend.pool.connect = function(callback){ callback(null, connection, function(){}) ; } ;
+        await db.transaction(async (tx)=>{
+            await tx.transaction(async (nested)=>{
+                await nested.query("SELECT 1") ;
+            }) ;
+            await assert.rejects(tx.transaction(async (nested)=>{
+                await nested.query("SELECT fail") ;
+            })) ;
+        }) ;
+        let names = queries.map((sql)=>{ return sql.replace(/velox_sp_\d+/, "sp") ; }) ;
+        assert.deepStrictEqual(names, [
+            "BEGIN", "SAVEPOINT sp", "SELECT 1", "RELEASE SAVEPOINT sp",
+            "SAVEPOINT sp", "SELECT fail", "ROLLBACK TO SAVEPOINT sp", "COMMIT"
+        ]) ;
+    }) ;
+}) ;
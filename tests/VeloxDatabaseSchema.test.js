@@ -0,0 +1,39 @@
+const test = require("node:test") ;
+const assert = require("assert") ;
+const VeloxDatabase = require("../server/src/VeloxDatabase") ;
+
+const silentLogger = { debug: function(){}, info: function(){}, warn: function(){}, error: function(){} } ;
+
+test.describe("schema introspection", ()=>{
+    const db = new VeloxDatabase({backend: "sqlite", database: ":memory:", logger: silentLogger}) ;
+    let schema = null ;
+
+    test.before(async ()=>{
+        schema = await db.inDatabase(async (client)=>{
+            await client.query("CREATE TABLE customer (id INTEGER PRIMARY KEY, email VARCHAR(128) NOT NULL UNIQUE, "+
+                "status VARCHAR(10) DEFAULT 'new' CHECK (status IN ('new', 'done')), age INTEGER, "+
+                "code VARCHAR(10), zone VARCHAR(10), UNIQUE (code, zone))") ;
+            await client.query("CREATE INDEX customer_age_idx ON customer (age)") ;
+            return await client.getSchema() ;
+        }) ;
+    }) ;
+
+    test.it("reads the nullability and the default values", ()=>{
+        let columns = {} ;
+        schema.customer.columns.forEach((c)=>{ columns[c.name] = c ; }) ;
+        assert.strictEqual(columns.email.nullable, false) ;
+        assert.strictEqual(columns.age.nullable, true) ;
+        assert.strictEqual(columns.status.defaultValue, "'new'") ;
+        assert.strictEqual(columns.age.defaultValue, null) ;
+    }) ;
+
+    test.it("reads the unique constraints and the indexes", ()=>{
+        assert.deepStrictEqual(schema.customer.unique.map((u)=>{ return u.columns ; }), [["email"], ["code", "zone"]]) ;
+        let index = schema.customer.indexes.find((i)=>{ return i.name === "customer_age_idx" ; }) ;
+        assert.deepStrictEqual(index, {name: "customer_age_idx", columns: ["age"], unique: false}) ;
+    }) ;
+
+    test.it("reads the check constraints", ()=>{
+        assert.deepStrictEqual(schema.customer.checks.map((c)=>{ return c.definition ; }), ["CHECK (status IN ('new', 'done'))"]) ;
+    }) ;
+}) ;
@@ -0,0 +1,131 @@
+const test = require("node:test") ;
+const assert = require("assert") ;
+const fs = require("fs") ;
+const os = require("os") ;
+const path = require("path") ;
+const VeloxDatabase = require("../server/src/VeloxDatabase") ;
+const VeloxDatabaseExpress = require("../server/src/VeloxDatabaseExpress") ;
+const VeloxDatabaseClient = require("../client/src/VeloxDatabaseClient") ;
+
+const silentLogger = { debug: function(){}, info: function(){}, warn: function(){}, error: function(){} } ;
+
+const SCHEMA = {
+    customer : { columns: [{name: "id", type: "int"}, {name: "name", type: "varchar", size: 128}], pk: ["id"] }
+} ;
+
+/**
+ * Create a fake express response that records the status, headers and body
+ */
+function createResponse(callback){
+    let res = {
+        headers: {},
+        setHeader: function(name, value){ res.headers[name] = value ; },
+        status: function(status){ res.statusCode = status ; return res ; },
+        json: function(body){ res.body = body ; callback(res) ; },
+        end: function(body){ res.body = body ; callback(res) ; }
+    } ;
+    return res ;
+}
+
+/**
+ * Create a database client on a fake service client. The responses give the X-Velox-Schema-Version header
+ */
+function createClient(server){
+    let client = new VeloxDatabaseClient() ;
+    client.dbEntryPoint = "api/" ;
+    client.schema = {customer: {}, __version: {version: 1}} ;
+    client.client = {
+        ajax: function(url, method, data, dataType, callback){
+            server.calls.push(url) ;
+            setImmediate(function(){
+                if(url === "api/schema"){
+                    if(server.schemaError){ return callback(server.schemaError) ; }
+                    return callback(null, {customer: {}, __version: {version: server.version}}) ;
+                }
+                if(url === "api/schemaVersion"){ return callback(null, {version: server.version}) ; }
+                callback(null, "result") ;
+            }) ;
+            return { getResponseHeader: function(name){ return name === "X-Velox-Schema-Version" ? String(server.version) : null ; } } ;
+        }
+    } ;
+    return client ;
+}
+
+test.describe("server schema version", ()=>{
+    let folder = null ;
+
+    test.beforeEach(()=>{
+        folder = fs.mkdtempSync(path.join(os.tmpdir(), "velox-schema-version-")) ;
+    }) ;
+
+    test.afterEach(()=>{
+        fs.rmSync(folder, {recursive: true, force: true}) ;
+    }) ;
+
+    test.it("gives the reloaded schema to the listeners after the update", async ()=>{
+        let db = new VeloxDatabase({backend: "memory", schema: SCHEMA, migrationFolder: folder, logger: silentLogger}) ;
+        let schemas = [] ;
+        db.onSchemaChange((schema)=>{ schemas.push(schema) ; }) ;
+        await db.updateSchema() ;
+        assert.strictEqual(schemas.length, 1) ;
+        assert.ok(schemas[0].customer) ;
+    }) ;
+
+    test.it("gives the schema version in the header and on the schemaVersion route", async ()=>{
+        let db = new VeloxDatabase({backend: "memory", schema: SCHEMA, migrationFolder: folder, logger: silentLogger}) ;
+        let express = new VeloxDatabaseExpress(db) ;
+        express.schema = Object.assign({__version: {version: 3}}, SCHEMA) ;
+        let res = await new Promise((resolve)=>{
+            express.middleware()({url: "/schemaVersion", query: {}}, createResponse(resolve)) ;
+        }) ;
+        assert.strictEqual(res.statusCode, 200) ;
+        assert.strictEqual(res.headers["X-Velox-Schema-Version"], 3) ;
+        assert.deepStrictEqual(res.body, {version: 3}) ;
+    }) ;
+}) ;
+
+test.describe("client schema version", ()=>{
+
+    test.it("reloads the schema when the header gives a new version", async ()=>{
+        let server = {version: 2, calls: []} ;
+        let client = createClient(server) ;
+        let result = await new Promise((resolve, reject)=>{
+            client._ajax("api/customer", "GET", null, "json", (err, result)=>{
+                if(err){ return reject(err) ; }
+                resolve(result) ;
+            }) ;
+        }) ;
+        assert.strictEqual(result, "result") ;
+        await new Promise((resolve)=>{ setImmediate(resolve) ; }) ;
+        assert.deepStrictEqual(server.calls, ["api/customer", "api/schema"]) ;
+        assert.strictEqual(client.schema.__version.version, 2) ;
+    }) ;
+
+    test.it("gives the failed reload to the schemaReloadError listeners", async ()=>{
+        let server = {version: 2, calls: [], schemaError: "server down"} ;
+        let client = createClient(server) ;
+        let reloadError = new Promise((resolve)=>{
+            client.on("schemaReloadError", (err, version)=>{ resolve({err: err, version: version}) ; }) ;
+        }) ;
+        client._ajax("api/customer", "GET", null, "json", ()=>{}) ;
+        assert.deepStrictEqual(await reloadError, {err: "server down", version: "2"}) ;
+        assert.strictEqual(client.schema.__version.version, 1) ;
+    }) ;
+
+    test.it("checks the schema version on demand", async ()=>{
+        let server = {version: 1, calls: []} ;
+        let client = createClient(server) ;
+        let check = ()=>{
+            return new Promise((resolve, reject)=>{
+                client.checkSchemaVersion((err, changed)=>{
+                    if(err){ return reject(err) ; }
+                    resolve(changed) ;
+                }) ;
+            }) ;
+        } ;
+        assert.strictEqual(await check(), false) ;
+        server.version = 4 ;
+        assert.strictEqual(await check(), true) ;
+        assert.strictEqual(client.schema.__version.version, 4) ;
+    }) ;
+}) ;
@@ -0,0 +1,81 @@
+const test = require("node:test") ;
+const assert = require("assert") ;
+const VeloxDatabase = require("../server/src/VeloxDatabase") ;
+
+const silentLogger = { debug: function(){}, info: function(){}, warn: function(){}, error: function(){} } ;
+
+const SCHEMA = {
+    customer : { columns: [{name: "id", type: "int"}], pk: ["id"], fk: [] },
+    "audit.log" : { columns: [{name: "id", type: "int"}, {name: "msg", type: "text"}], pk: ["id"], fk: [] }
+} ;
+
+/**
+ * Create a pg database with the app and audit schemas on a fake connection that records the queries
+ */
+function createDb(queries){
+    let db = new VeloxDatabase({backend: "pg", user: "user", host: "localhost", port: 5432, database: "db", password: "pwd",
+        searchPath: ["app", "audit"], logger: silentLogger}) ;
+    let connection = {
+        query: function(sql, params, callback){
+            if(typeof(params) === "function"){ callback = params ; params = [] ; }
+            queries.push({sql: sql.replace(/\s+/g, " ").trim(), params: params}) ;
+            setImmediate(function(){
+                if(/^INSERT/.test(sql)){ return callback(null, {rows: [{id: params[0], msg: params[1]}], rowCount: 1}) ; }
+                if(/pg_tables/.test(sql)){ return callback(null, {rows: [{exist: true}], rowCount: 1}) ; }
+                callback(null, {rows: [], rowCount: 0}) ;
+            }) ;
+        }
+    } ;
+    db.backend.pool.connect = function(callback){ callback(null, connection, function(){}) ; } ;
+    db.backend.cache.schema = SCHEMA ;
+    return {db: db, connection: connection} ;
+}
+
+test.describe("pg search path", ()=>{
+    let queries = [] ;
+    let db = null ;
+    let connection = null ;
+
+    test.beforeEach(()=>{
+        queries = [] ;
+        ({db, connection} = createDb(queries)) ;
+    }) ;
+
+    test.it("sets the search path on the new connections", ()=>{
+        db.backend.pool.emit("connect", connection) ;
+        assert.deepStrictEqual(queries.map((q)=>{ return q.sql ; }), ["SET search_path TO \"app\", \"audit\""]) ;
+    }) ;
+
+    test.it("qualifies only the tables of the other schemas", async ()=>{
+        await db.inDatabase(async (client)=>{
+            assert.strictEqual(client.qualifyTable("app", "customer"), "customer") ;
+            assert.strictEqual(client.qualifyTable("audit", "log"), "audit.log") ;
+            assert.deepStrictEqual(client.splitTable("audit.log"), {dbSchema: "audit", table: "log"}) ;
+            assert.deepStrictEqual(client.splitTable("customer"), {dbSchema: "app", table: "customer"}) ;
+        }) ;
+    }) ;
+
+    test.it("queries the tables of the other schemas", async ()=>{
+        await db.search("audit.log", {msg: "x"}) ;
+        await db.transaction(async (tx)=>{
+            await tx.insert("audit.log", {id: 1, msg: "a"}) ;
+        }) ;
+        let sqls = queries.map((q)=>{ return q.sql ; }) ;
+        assert.ok(sqls.indexOf("SELECT t.* FROM audit.log t WHERE t.\"msg\" = $1") !== -1) ;
+        assert.ok(sqls.indexOf("INSERT INTO audit.log(\"id\",\"msg\") VALUES ($1,$2) RETURNING *") !== -1) ;
+    }) ;
+
+    test.it("looks for the version table in the first schema", async ()=>{
+        let exists = await db.inDatabase(async (client)=>{
+            return await new Promise((resolve, reject)=>{
+                client.dbVersionTableExists((err, exists)=>{
+                    if(err){ return reject(err) ; }
+                    resolve(exists) ;
+                }) ;
+            }) ;
+        }) ;
+        assert.strictEqual(exists, true) ;
+        let query = queries.find((q)=>{ return /pg_tables/.test(q.sql) ; }) ;
+        assert.strictEqual(query.params[0], "app") ;
+    }) ;
+}) ;
@@ -0,0 +1,51 @@
+const test = require("node:test") ;
+const assert = require("assert") ;
+const VeloxDatabase = require("../server/src/VeloxDatabase") ;
+
+const silentLogger = { debug: function(){}, info: function(){}, warn: function(){}, error: function(){} } ;
+
+const SCHEMA = {
+    customer : {
+        columns: [{name: "id", type: "int"}, {name: "name", type: "varchar", size: 128}, {name: "country", type: "varchar", size: 2}],
+        pk: ["id"]
+    }
+} ;
+
+const DATA = {
+    customer: [
+        {id: 1, name: "Alice", country: "FR"},
+        {id: 2, name: "Bob", country: "US"},
+        {id: 3, name: "Carol", country: "FR"},
+        {id: 4, name: "Dave", country: "DE"},
+        {id: 5, name: "Eve", country: "FR"}
+    ]
+} ;
+
+test.describe("search stream", ()=>{
+    const db = new VeloxDatabase({backend: "memory", schema: SCHEMA, data: DATA, logger: silentLogger}) ;
+
+    test.it("streams the found records by batches", async ()=>{
+        let names = [] ;
+        for await (let customer of db.searchStream("customer", {country: "FR"}, "name DESC", {batchSize: 2})){
+            names.push(customer.name) ;
+        }
+        assert.deepStrictEqual(names, ["Eve", "Carol", "Alice"]) ;
+    }) ;
+
+    test.it("stops the reading when the stream is destroyed", async ()=>{
+        let ids = [] ;
+        for await (let customer of db.searchStream("customer", {}, "id", {batchSize: 1})){
+            ids.push(customer.id) ;
+            if(ids.length === 2){ break ; }
+        }
+        assert.deepStrictEqual(ids, [1, 2]) ;
+    }) ;
+
+    test.it("gives the error of the search", async ()=>{
+        await assert.rejects(async ()=>{
+            for await (let customer of db.searchStream("unknown", {})){
+                assert.fail("unexpected record "+customer) ;
+            }
+        }) ;
+    }) ;
+}) ;
@@ -0,0 +1,83 @@
+const test = require("node:test") ;
+const assert = require("assert") ;
+const VeloxDatabase = require("../server/src/VeloxDatabase") ;
+
+const SCHEMA = {
+    customer : { columns: [{name: "id", type: "int"}, {name: "name", type: "varchar"}], pk: ["id"], fk: [] }
+} ;
+
+/**
+ * Create a pg database that logs all the queries as slow on a fake connection and a fake pool.
+ * The queries are recorded, the INSERT of a slow query plan resolves the saved promise of the state
+ */
+function createDb(state, slowQuery){
+    let logger = { debug: function(){}, info: function(){}, warn: function(msg){ state.warnings.push(msg) ; }, error: function(){} } ;
+    let db = new VeloxDatabase({backend: "pg", user: "user", host: "localhost", port: 5432, database: "db", password: "pwd",
+        slowQuery: slowQuery, logger: logger}) ;
+    let answer = function(sql, params, callback){
+        if(typeof(params) === "function"){ callback = params ; params = [] ; }
+        state.queries.push(sql.replace(/\s+/g, " ").trim()) ;
+        setImmediate(function(){
+            if(/^EXPLAIN/.test(sql)){ return callback(null, {rows: [{"QUERY PLAN": "Seq Scan on customer"}], rowCount: 1}) ; }
+            if(/velox_slow_query/.test(sql)){ state.saved.push(params) ; }
+            callback(null, {rows: [], rowCount: 0}) ;
+        }) ;
+    } ;
+    let connection = { query: answer } ;
+    db.backend.pool.connect = function(callback){ callback(null, connection, function(){}) ; } ;
+    db.backend.pool.query = answer ;
+    db.backend.cache.schema = SCHEMA ;
+    return db ;
+}
+
+/**
+ * Wait for the pending explains to finish
+ */
+function waitExplains(){
+    return new Promise((resolve)=>{ setTimeout(resolve, 20) ; }) ;
+}
+
+test.describe("slow queries", ()=>{
+    let state = null ;
+
+    test.beforeEach(()=>{
+        state = {queries: [], warnings: [], saved: []} ;
+    }) ;
+
+    test.it("logs the slow queries with the operation and the user", async ()=>{
+        let db = createDb(state, {threshold: 0}) ;
+        await db.inDatabase(async (client)=>{
+            client.context = {req: {user: {login: "alice"}}} ;
+            await client.search("customer", {name: "Bob"}) ;
+        }) ;
+        assert.strictEqual(state.warnings.length, 1) ;
+        assert.ok(/^Slow query \(\d+ms, operation search, user alice, 1 params\) : SELECT t\.\* FROM customer t/.test(state.warnings[0])) ;
+        await waitExplains() ;
+        assert.deepStrictEqual(state.saved, []) ;
+    }) ;
+
+    test.it("saves the plan of the slow queries once by interval", async ()=>{
+        let db = createDb(state, {threshold: 0, explain: true}) ;
+        await db.search("customer", {name: "Bob"}) ;
+        await waitExplains() ;
+        await db.search("customer", {name: "Carol"}) ;
+        await waitExplains() ;
+        let explains = state.queries.filter((sql)=>{ return /^EXPLAIN/.test(sql) ; }) ;
+        assert.deepStrictEqual(explains, ["EXPLAIN SELECT t.* FROM customer t WHERE t.\"name\" = $1"]) ;
+        assert.strictEqual(state.saved.length, 1) ;
+        let [durationMs, operation, user, sql, paramsCount, plan] = state.saved[0] ;
+        assert.strictEqual(typeof(durationMs), "number") ;
+        assert.deepStrictEqual([operation, user, sql, paramsCount, plan],
+            ["search", null, "SELECT t.* FROM customer t WHERE t.\"name\" = $1", 1, "Seq Scan on customer"]) ;
+    }) ;
+
+    test.it("runs the analyze in a rollbacked transaction", async ()=>{
+        let db = createDb(state, {threshold: 0, explain: true, analyze: true}) ;
+        await db.search("customer", {name: "Bob"}) ;
+        await waitExplains() ;
+        let index = state.queries.indexOf("BEGIN") ;
+        assert.deepStrictEqual(state.queries.slice(index, index+3),
+            ["BEGIN", "EXPLAIN (ANALYZE, BUFFERS) SELECT t.* FROM customer t WHERE t.\"name\" = $1", "ROLLBACK"]) ;
+        assert.strictEqual(state.saved.length, 1) ;
+    }) ;
+}) ;
@@ -0,0 +1,133 @@
+const test = require("node:test") ;
+const assert = require("assert") ;
+const EventEmitter = require("events") ;
+const VeloxDatabase = require("../server/src/VeloxDatabase") ;
+const VeloxDatabaseExpress = require("../server/src/VeloxDatabaseExpress") ;
+
+const silentLogger = { debug: function(){}, info: function(){}, warn: function(){}, error: function(){} } ;
+
+/**
+ * Create a table definition with only an id column
+ */
+function table(){
+    return { columns: [{name: "id", type: "int"}], pk: ["id"], fk: [] } ;
+}
+
+/**
+ * Create a pg database with a default statement timeout of 2s and per table timeouts on a fake connection.
+ * The queries are answered after a random delay, the queries containing "hang" are answered only when released
+ */
+function createDb(state){
+    let db = new VeloxDatabase({backend: "pg", user: "user", host: "localhost", port: 5432, database: "db", password: "pwd",
+        statementTimeout: 2000, schema: {customer: {statementTimeout: 500}, orders: {statementTimeout: 7000}}, logger: silentLogger}) ;
+    db.backend.cache.schema = {customer: table(), orders: table(), product: table()} ;
+    let connection = {
+        processID: 42,
+        query: function(sql, params, callback){
+            if(typeof(params) === "function"){ callback = params ; }
+            state.queries.push(sql.replace(/\s+/g, " ").trim()) ;
+            if(/hang/.test(sql)){
+                state.release = function(err){ callback(err) ; } ;
+                return ;
+            }
+            setTimeout(function(){ callback(null, {rows: [], rowCount: 0}) ; }, Math.random()*5) ;
+        }
+    } ;
+    db.backend.pool.connect = function(callback){ callback(null, connection, function(){}) ; } ;
+    db.backend.pool.query = function(sql, params, callback){
+        state.poolQueries.push({sql: sql, params: params}) ;
+        setImmediate(function(){ callback(null, {rows: [], rowCount: 0}) ; }) ;
+    } ;
+    return db ;
+}
+
+/**
+ * Give the statement timeout in effect when each query (not SET) was sent
+ */
+function timeoutByQuery(queries){
+    let current = null ;
+    let result = [] ;
+    for(let sql of queries){
+        let set = /^SET statement_timeout TO (\d+)$/.exec(sql) ;
+        if(set){
+            current = Number(set[1]) ;
+        }else{
+            result.push([sql, current]) ;
+        }
+    }
+    return result ;
+}
+
+test.describe("statement timeout", ()=>{
+    let state = null ;
+    let db = null ;
+
+    test.beforeEach(()=>{
+        state = {queries: [], poolQueries: [], release: null} ;
+        db = createDb(state) ;
+    }) ;
+
+    test.it("sets the default timeout once and the timeout given to inDatabase", async ()=>{
+        await db.inDatabase(async (client)=>{
+            await client.query("SELECT 1") ;
+            await client.query("SELECT 2") ;
+        }) ;
+        await db.inDatabase(async (client)=>{
+            await client.query("SELECT 3") ;
+        }, {statementTimeout: 0}) ;
+        await db.inDatabase(async (client)=>{
+            await client.query("SELECT 4") ;
+        }) ;
+        assert.deepStrictEqual(state.queries, [
+            "SET statement_timeout TO 2000", "SELECT 1", "SELECT 2",
+            "SET statement_timeout TO 0", "SELECT 3",
+            "SET statement_timeout TO 2000", "SELECT 4"
+        ]) ;
+    }) ;
+
+    test.it("runs the parallel operations with the timeout of their table", async ()=>{
+        await db.inDatabase(async (client)=>{
+            await Promise.all([
+                client.search("customer", {}), client.search("orders", {}), client.getByPk("customer", 1),
+                client.search("product", {}), client.searchFirst("orders", {})
+            ]) ;
+        }) ;
+        let timeouts = {} ;
+        for(let [sql, timeout] of timeoutByQuery(state.queries)){
+            let table = /FROM (\w+)/.exec(sql)[1] ;
+            timeouts[table] = timeouts[table] || [] ;
+            timeouts[table].push(timeout) ;
+        }
+        assert.deepStrictEqual(timeouts, {customer: [500, 500], orders: [7000, 7000], product: [2000]}) ;
+    }) ;
+
+    test.it("cancels the running query when the request is aborted", async ()=>{
+        let express = new VeloxDatabaseExpress(db, {}) ;
+        let res = new EventEmitter() ;
+        let req = {res: res, headers: {}} ;
+        let result = db.inDatabase((client, done)=>{
+            express._setContext(client, req) ;
+            client.query("SELECT hang", [], done) ;
+        }) ;
+        await new Promise((resolve)=>{ setTimeout(resolve, 10) ; }) ;
+        res.emit("close") ;
+        await new Promise((resolve)=>{ setImmediate(resolve) ; }) ;
+        assert.deepStrictEqual(state.poolQueries, [{sql: "SELECT pg_cancel_backend($1)", params: [42]}]) ;
+        state.release("canceling statement due to user request") ;
+        await assert.rejects(result, (err)=>{ return err === "canceling statement due to user request" ; }) ;
+    }) ;
+
+    test.it("does not cancel when the response was sent", async ()=>{
+        let express = new VeloxDatabaseExpress(db, {}) ;
+        let res = new EventEmitter() ;
+        res.writableEnded = true ;
+        let req = {res: res, headers: {}} ;
+        await db.inDatabase(async (client)=>{
+            express._setContext(client, req) ;
+            await client.query("SELECT 1") ;
+        }) ;
+        res.emit("close") ;
+        await new Promise((resolve)=>{ setImmediate(resolve) ; }) ;
+        assert.deepStrictEqual(state.poolQueries, []) ;
+    }) ;
+}) ;
@@ -0,0 +1,57 @@
+const test = require("node:test") ;
+const assert = require("assert") ;
+const VeloxDatabase = require("../server/src/VeloxDatabase") ;
+
+const silentLogger = { debug: function(){}, info: function(){}, warn: function(){}, error: function(){} } ;
+
+const SCHEMA = {
+    customer : {
+        columns: [{name: "id", type: "int"}, {name: "email", type: "varchar", size: 128}, {name: "name", type: "varchar", size: 128}, {name: "country", type: "varchar", size: 2}],
+        pk: ["id"]
+    }
+} ;
+
+const DATA = {
+    customer: [
+        {id: 1, email: "alice@example.com", name: "Alice", country: "FR"},
+        {id: 2, email: "bob@example.com", name: "Bob", country: "US"}
+    ]
+} ;
+
+test.describe("upsert", ()=>{
+    const db = new VeloxDatabase({backend: "memory", schema: SCHEMA, data: DATA, logger: silentLogger}) ;
+
+    test.beforeEach(()=>{
+        db.backend.loadData(DATA) ;
+    }) ;
+
+    test.it("inserts or updates on the conflict columns", async ()=>{
+        let customers = await db.transaction(async (tx)=>{
+            return await tx.upsert("customer", [{id: 1, name: "Alicia"}, {id: 6, name: "Frank"}], {conflictColumns: ["id"]}) ;
+        }) ;
+        assert.deepStrictEqual(customers.map((c)=>{ return c.name ; }), ["Alicia", "Frank"]) ;
+        let alice = await db.getByPk("customer", 1) ;
+        assert.strictEqual(alice.name, "Alicia") ;
+        assert.strictEqual(alice.country, "FR") ;
+        assert.strictEqual((await db.search("customer", {})).length, 3) ;
+    }) ;
+
+    test.it("updates only the update columns", async ()=>{
+        await db.transaction(async (tx)=>{
+            await tx.upsert("customer", {id: 3, email: "bob@example.com", name: "Robert", country: "DE"}, {conflictColumns: ["email"], updateColumns: ["name"]}) ;
+        }) ;
+        let bob = await db.getByPk("customer", 2) ;
+        assert.strictEqual(bob.name, "Robert") ;
+        assert.strictEqual(bob.country, "US") ;
+        assert.strictEqual(await db.getByPk("customer", 3), null) ;
+    }) ;
+
+    test.it("runs the upsert action of the transactional changes", async ()=>{
+        await db.transactionalChanges([
+            {action: "upsert", table: "customer", record: {id: 2, name: "Bobby"}},
+            {action: "upsert", table: "customer", record: {id: 7, email: "grace@example.com", name: "Grace"}}
+        ]) ;
+        assert.strictEqual((await db.getByPk("customer", 2)).name, "Bobby") ;
+        assert.strictEqual((await db.getByPk("customer", 7)).name, "Grace") ;
+    }) ;
+}) ;
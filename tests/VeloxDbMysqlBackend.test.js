@@ -0,0 +1,71 @@
+const test = require("node:test") ;
+const assert = require("assert") ;
+const VeloxDatabase = require("../server/src/VeloxDatabase") ;
+
+const silentLogger = { debug: function(){}, info: function(){}, warn: function(){}, error: function(){} } ;
+
+const COLUMNS = [
+    {table_name: "customer", column_name: "id", data_type: "int", column_type: "int(11)", numeric_precision: 10, is_nullable: "NO"},
+    {table_name: "customer", column_name: "name", data_type: "varchar", column_type: "varchar(128)", character_maximum_length: 128, is_nullable: "NO"},
+    {table_name: "customer", column_name: "active", data_type: "tinyint", column_type: "tinyint(1)", numeric_precision: 3, is_nullable: "YES"},
+    {table_name: "orders", column_name: "id", data_type: "bigint", column_type: "bigint(20)", numeric_precision: 19, is_nullable: "NO"},
+    {table_name: "orders", column_name: "customer_id", data_type: "int", column_type: "int(11)", numeric_precision: 10, is_nullable: "YES"},
+    {table_name: "orders", column_name: "created", data_type: "datetime", column_type: "datetime", is_nullable: "YES"}
+] ;
+
+const KEYS = [
+    {table_name: "customer", column_name: "id", constraint_name: "PRIMARY"},
+    {table_name: "orders", column_name: "customer_id", constraint_name: "orders_customer_fk", foreign_table_name: "customer", foreign_column_name: "id"},
+    {table_name: "orders", column_name: "id", constraint_name: "PRIMARY"}
+] ;
+
+/**
+ * Create a mysql database on a fake connection that records the queries and answers the schema queries
+ */
+function createDb(queries){
+    let db = new VeloxDatabase({backend: "mysql", user: "user", host: "localhost", database: "db", password: "pwd", logger: silentLogger}) ;
+    let connection = {
+        query: function(sql, values, callback){
+            queries.push({sql: sql.replace(/\s+/g, " ").trim(), values: values}) ;
+            setImmediate(function(){
+                if(/information_schema\.columns c/.test(sql)){ return callback(null, COLUMNS) ; }
+                if(/information_schema\.key_column_usage k\s+WHERE/.test(sql)){ return callback(null, KEYS) ; }
+                if(/^\s*SELECT/i.test(sql)){ return callback(null, []) ; }
+                callback(null, {affectedRows: 1, insertId: 0}) ;
+            }) ;
+        },
+        release: function(){}
+    } ;
+    db.backend.pool.getConnection = function(callback){ callback(null, connection) ; } ;
+    return db ;
+}
+
+test.describe("mysql backend", ()=>{
+    let queries = [] ;
+    let db = null ;
+
+    test.beforeEach(()=>{
+        queries = [] ;
+        db = createDb(queries) ;
+    }) ;
+
+    test.it("gives the $n parameters in the positional order", async ()=>{
+        await db.inDatabase(async (client)=>{
+            await client.query("SELECT * FROM customer WHERE name = $2 AND id = $1 OR alias = $2", [1, "Alice"]) ;
+        }) ;
+        let query = queries.find((q)=>{ return q.sql.indexOf("FROM customer") !== -1 ; }) ;
+        assert.strictEqual(query.sql, "SELECT * FROM customer WHERE name = ? AND id = ? OR alias = ?") ;
+        assert.deepStrictEqual(query.values, ["Alice", 1, "Alice"]) ;
+    }) ;
+
+    test.it("reads the schema with the PostgreSQL type names", async ()=>{
+        let schema = await db.inDatabase(async (client)=>{
+            return await client.getSchema() ;
+        }) ;
+        assert.deepStrictEqual(schema.customer.pk, ["id"]) ;
+        assert.deepStrictEqual(schema.customer.columns.map((c)=>{ return c.type ; }), ["int", "varchar", "bool"]) ;
+        assert.strictEqual(schema.customer.columns[1].size, 128) ;
+        assert.deepStrictEqual(schema.orders.columns.map((c)=>{ return c.type ; }), ["int8", "select", "timestamp"]) ;
+        assert.deepStrictEqual(schema.orders.fk, [{targetTable: "customer", thisColumn: "customer_id", targetColumn: "id"}]) ;
+    }) ;
+}) ;
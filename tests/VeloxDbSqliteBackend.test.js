@@ -0,0 +1,61 @@
+const test = require("node:test") ;
+const assert = require("assert") ;
+const VeloxDatabase = require("../server/src/VeloxDatabase") ;
+
+const silentLogger = { debug: function(){}, info: function(){}, warn: function(){}, error: function(){} } ;
+
+test.describe("sqlite backend", ()=>{
+    const db = new VeloxDatabase({backend: "sqlite", database: ":memory:", logger: silentLogger}) ;
+
+    test.before(async ()=>{
+        await db.inDatabase(async (client)=>{
+            await client.query("CREATE TABLE customer (id INTEGER PRIMARY KEY AUTOINCREMENT, name VARCHAR(128) NOT NULL, country CHAR(2))") ;
+            await client.query("CREATE TABLE orders (id INTEGER PRIMARY KEY, customer_id INTEGER REFERENCES customer(id), amount NUMERIC(10,2))") ;
+        }) ;
+    }) ;
+
+    test.it("reads the schema of the tables", async ()=>{
+        let schema = await db.inDatabase(async (client)=>{
+            return await client.getSchema() ;
+        }) ;
+        assert.deepStrictEqual(schema.customer.pk, ["id"]) ;
+        assert.deepStrictEqual(schema.customer.columns.map((c)=>{ return c.name ; }), ["id", "name", "country"]) ;
+        let name = schema.customer.columns.find((c)=>{ return c.name === "name" ; }) ;
+        assert.strictEqual(name.type, "varchar") ;
+        assert.strictEqual(name.size, 128) ;
+        assert.deepStrictEqual(schema.orders.fk, [{targetTable: "customer", thisColumn: "customer_id", targetColumn: "id"}]) ;
+    }) ;
+
+    test.it("converts the $n parameters", async ()=>{
+        let row = await db.inDatabase(async (client)=>{
+            return await client.queryFirst("SELECT $2 AS b, $1 AS a, $2 AS c", ["first", "second"]) ;
+        }) ;
+        assert.deepStrictEqual(row, {b: "second", a: "first", c: "second"}) ;
+    }) ;
+
+    test.it("inserts, searches, updates and removes the records", async ()=>{
+        await db.transaction(async (tx)=>{
+            let alice = await tx.insert("customer", {name: "Alice", country: "FR"}) ;
+            assert.ok(alice.id) ;
+            await tx.insert("customer", {name: "Bob", country: "US"}) ;
+            await tx.update("customer", {id: alice.id, country: "DE"}) ;
+        }) ;
+        let customers = await db.search("customer", {name: "%o%"}, "name") ;
+        assert.deepStrictEqual(customers.map((c)=>{ return c.name ; }), ["Bob"]) ;
+        let alice = (await db.search("customer", {name: "Alice"}))[0] ;
+        assert.strictEqual(alice.country, "DE") ;
+
+        await db.transaction(async (tx)=>{
+            await tx.remove("customer", alice.id) ;
+        }) ;
+        assert.strictEqual(await db.getByPk("customer", alice.id), null) ;
+    }) ;
+
+    test.it("rollbacks the failed transaction", async ()=>{
+        await assert.rejects(db.transaction(async (tx)=>{
+            await tx.insert("customer", {name: "Carol"}) ;
+            await tx.insert("customer", {country: "FR"}) ;
+        })) ;
+        assert.deepStrictEqual(await db.search("customer", {name: "Carol"}), []) ;
+    }) ;
+}) ;
@@ -0,0 +1,124 @@
+const test = require("node:test") ;
+const assert = require("assert") ;
+const VeloxSchemaDiff = require("../server/src/VeloxSchemaDiff") ;
+
+const LIVE_SCHEMA = {
+    customer : {
+        columns: [
+            {name: "id", type: "int4", nullable: false},
+            {name: "name", type: "varchar", size: 100, nullable: true},
+            {name: "legacy", type: "text", nullable: true}
+        ],
+        pk: ["id"],
+        fk: []
+    },
+    velox_db_version : {
+        columns: [{name: "version", type: "int4"}],
+        pk: [],
+        fk: []
+    }
+} ;
+
+test.describe("VeloxSchemaDiff", ()=>{
+
+    test.it("gives no query when the definition matches the database", ()=>{
+        let result = new VeloxSchemaDiff("pg").diff({
+            customer : {
+                columns: [{name: "id", type: "integer"}, {name: "name", type: "varchar", size: 100}, {name: "legacy", type: "text"}],
+                pk: ["id"]
+            }
+        }, LIVE_SCHEMA) ;
+        assert.deepStrictEqual(result, {queries: [], destructive: [], warnings: [], errors: []}) ;
+    }) ;
+
+    test.it("creates the new tables and columns", ()=>{
+        let result = new VeloxSchemaDiff("pg").diff({
+            customer : {
+                columns: [
+                    {name: "id", type: "integer"}, {name: "name", type: "varchar", size: 100}, {name: "legacy", type: "text"},
+                    {name: "country", type: "varchar", size: 2, defaultValue: "'FR'"}
+                ],
+                pk: ["id"]
+            },
+            orders : {
+                columns: [{name: "id", type: "serial"}, {name: "customer_id", type: "int"}],
+                pk: ["id"],
+                fk: [{thisColumn: "customer_id", targetTable: "customer", targetColumn: "id"}]
+            }
+        }, LIVE_SCHEMA) ;
+        assert.deepStrictEqual(result.destructive, []) ;
+        assert.deepStrictEqual(result.queries, [
+            "CREATE TABLE \"orders\" (\"id\" serial, \"customer_id\" int, PRIMARY KEY (\"id\"), "+
+                "FOREIGN KEY (\"customer_id\") REFERENCES \"customer\"(\"id\"))",
+            "ALTER TABLE \"customer\" ADD COLUMN \"country\" varchar(2) DEFAULT 'FR'"
+        ]) ;
+    }) ;
+
+    test.it("gives the drops as destructive changes and keeps the velox tables", ()=>{
+        let result = new VeloxSchemaDiff("pg").diff({
+            customer : {
+                columns: [{name: "id", type: "integer"}, {name: "name", type: "varchar", size: 100}],
+                pk: ["id"]
+            }
+        }, LIVE_SCHEMA) ;
+        assert.deepStrictEqual(result.destructive, ["Drop column customer.legacy"]) ;
+        assert.deepStrictEqual(result.queries, ["ALTER TABLE \"customer\" DROP COLUMN \"legacy\""]) ;
+    }) ;
+
+    test.it("renames the hinted columns", ()=>{
+        let result = new VeloxSchemaDiff("pg").diff({
+            customer : {
+                columns: [{name: "id", type: "integer"}, {name: "full_name", type: "varchar", size: 100, renamedFrom: "name"}, {name: "legacy", type: "text"}],
+                pk: ["id"]
+            }
+        }, LIVE_SCHEMA) ;
+        assert.deepStrictEqual(result.destructive, []) ;
+        assert.deepStrictEqual(result.queries, ["ALTER TABLE \"customer\" RENAME COLUMN \"name\" TO \"full_name\""]) ;
+    }) ;
+
+    test.it("gives the index drops as destructive changes and keeps the velox and expression indexes", ()=>{
+        let live = JSON.parse(JSON.stringify(LIVE_SCHEMA)) ;
+        live.customer.indexes = [
+            {name: "customer_name_idx", columns: ["name"], unique: false},
+            {name: "customer_legacy_idx", columns: ["legacy"], unique: false},
+            {name: "velox_fts_customer_name", columns: [], unique: false},
+            {name: "customer_lower_name_idx", columns: [], unique: false, expression: true}
+        ] ;
+        let result = new VeloxSchemaDiff("pg").diff({
+            customer : {
+                columns: [{name: "id", type: "integer"}, {name: "name", type: "varchar", size: 100}, {name: "legacy", type: "text"}],
+                pk: ["id"],
+                indexes: [{columns: ["name"], unique: true}]
+            }
+        }, live) ;
+        assert.deepStrictEqual(result.destructive, ["Drop index customer_legacy_idx of table customer"]) ;
+        assert.deepStrictEqual(result.queries, [
+            "DROP INDEX \"customer_name_idx\"",
+            "CREATE UNIQUE INDEX \"customer_name_idx\" ON \"customer\" (\"name\")",
+            "DROP INDEX \"customer_legacy_idx\""
+        ]) ;
+    }) ;
+
+    test.it("keeps the not null and default value of a MySQL modified column", ()=>{
+        let result = new VeloxSchemaDiff("mysql").diff({
+            product : {
+                columns: [{name: "id", type: "int"}, {name: "code", type: "varchar", size: 20}, {name: "stock", type: "bigint"}],
+                pk: ["id"]
+            }
+        }, {
+            product : {
+                columns: [
+                    {name: "id", type: "int", nullable: false},
+                    {name: "code", type: "varchar", size: 10, nullable: false, defaultValue: "NONE"},
+                    {name: "stock", type: "int", nullable: true, defaultValue: "0"}
+                ],
+                pk: ["id"],
+                fk: []
+            }
+        }) ;
+        assert.deepStrictEqual(result.queries, [
+            "ALTER TABLE `product` MODIFY COLUMN `code` varchar(20) NOT NULL DEFAULT 'NONE'",
+            "ALTER TABLE `product` MODIFY COLUMN `stock` bigint DEFAULT 0"
+        ]) ;
+    }) ;
+}) ;